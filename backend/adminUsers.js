@@ -0,0 +1,214 @@
+// backend/adminUsers.js
+// Admin accounts for the console and the /admin API, one API key each, in DATA_DIR/admin-users.json.
+// Roles:
+//   owner       everything, including accounts, reloads, rollbacks and the audit log
+//   host        reads and changes only the apartments listed in `apartments`
+//   read_only   reads everything (or only `apartments` when set), changes nothing
+// Keys look like yka_<user id>_<secret>. Only a SHA-256 hash of the secret is stored (the secret is
+// 192 random bits, so a slow hash adds nothing) and it is compared in constant time; the key itself
+// is shown once, when it is created or rotated.
+// ADMIN_RELOAD_SECRET still signs in as an owner, for setting up the first accounts. It may be
+// given as sha256:<hex> so the plain secret never sits in .env.
+const crypto = require('crypto');
+const content = require('./content');
+const { dataPath, readJson, writeJson } = require('./store');
+
+const USERS_FILE = dataPath('admin-users.json');
+
+const ROLES = ['owner', 'host', 'read_only'];
+
+// last_used_at is saved at most this often per account
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+let users = null; // lazy-loaded { id: user }
+
+function loadUsers() {
+  if (!users) users = readJson(USERS_FILE, {});
+  return users;
+}
+
+function saveUsers() {
+  writeJson(USERS_FILE, users);
+}
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(String(s)).digest();
+}
+
+// Both sides hashed first, so neither the length nor the content leaks through timing
+function sameSecret(given, expectedHash) {
+  return crypto.timingSafeEqual(sha256(given), expectedHash);
+}
+
+function clean(v, max) {
+  return ((v ?? '') + '').trim().slice(0, max);
+}
+
+function publicUser(u) {
+  const { key_hash, ...rest } = u;
+  return rest;
+}
+
+// -------------------------------
+// Validation
+// -------------------------------
+// 'YAKA01, YAKA02' or ['YAKA01'] -> ['YAKA01', 'YAKA02']
+function parseApartments(v) {
+  const list = Array.isArray(v) ? v : ((v ?? '') + '').split(',');
+  return [...new Set(list.map(content.normaliseAptId).filter(Boolean))];
+}
+
+// Returns an error string, or null. For an update, pass the account with the changes applied.
+function validateUserInput({ name, role, apartments }) {
+  if (!clean(name, 80)) return "'name' is required";
+  if (!ROLES.includes(role)) return `'role' must be one of: ${ROLES.join(', ')}`;
+  if (role === 'host' && !parseApartments(apartments).length) return 'A host needs at least one apartment';
+  const unknown = parseApartments(apartments).filter(a => !content.isKnownApartment(a));
+  if (unknown.length) return `Unknown apartment '${unknown[0]}'`;
+  return null;
+}
+
+// -------------------------------
+// Accounts
+// -------------------------------
+function newSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function newUserId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function issueKey(user) {
+  const secret = newSecret();
+  user.key_hash = sha256(secret).toString('hex');
+  user.key_hint = secret.slice(-4);
+  user.key_created_at = new Date().toISOString();
+  return `yka_${user.id}_${secret}`;
+}
+
+// Returns { user, key }; the key is not stored and cannot be shown again
+function createUser({ name, role, apartments }, createdBy) {
+  const now = new Date().toISOString();
+  const user = {
+    id: newUserId(),
+    name: clean(name, 80),
+    role,
+    apartments: parseApartments(apartments),
+    disabled: false,
+    created_at: now,
+    created_by: createdBy || null,
+    last_used_at: null
+  };
+  const key = issueKey(user);
+  loadUsers()[user.id] = user;
+  saveUsers();
+  return { user: publicUser(user), key };
+}
+
+function listUsers() {
+  return Object.values(loadUsers())
+    .map(publicUser)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+function getUser(id) {
+  const u = loadUsers()[clean(id, 32)];
+  return u ? publicUser(u) : null;
+}
+
+function updateUser(id, { name, role, apartments, disabled }) {
+  const u = loadUsers()[clean(id, 32)];
+  if (!u) return null;
+  if (name !== undefined) u.name = clean(name, 80);
+  if (role !== undefined) u.role = role;
+  if (apartments !== undefined) u.apartments = parseApartments(apartments);
+  if (disabled !== undefined) u.disabled = !!disabled;
+  u.updated_at = new Date().toISOString();
+  saveUsers();
+  return publicUser(u);
+}
+
+// Returns { user, key }, or null for an unknown id; the old key stops working at once
+function rotateKey(id) {
+  const u = loadUsers()[clean(id, 32)];
+  if (!u) return null;
+  const key = issueKey(u);
+  saveUsers();
+  return { user: publicUser(u), key };
+}
+
+function deleteUser(id) {
+  const all = loadUsers();
+  const u = all[clean(id, 32)];
+  if (!u) return null;
+  delete all[u.id];
+  saveUsers();
+  return publicUser(u);
+}
+
+// False when no account could manage the others any more (and ADMIN_RELOAD_SECRET is not set).
+// change: the update for account id; a deletion counts as { disabled: true }
+function ownerLeftAfter(id, change) {
+  if (envSecretHash()) return true;
+  return Object.values(loadUsers()).some(u => {
+    const next = u.id === id ? { ...u, ...change } : u;
+    return next.role === 'owner' && !next.disabled;
+  });
+}
+
+// -------------------------------
+// Sign-in
+// -------------------------------
+function envSecretHash() {
+  const secret = process.env.ADMIN_RELOAD_SECRET || '';
+  if (!secret) return null;
+  const m = secret.match(/^sha256:([0-9a-f]{64})$/i);
+  return m ? Buffer.from(m[1], 'hex') : sha256(secret);
+}
+
+function isConfigured() {
+  return !!envSecretHash() || Object.keys(loadUsers()).length > 0;
+}
+
+// The admin behind a key or ADMIN_RELOAD_SECRET, as { id, name, role, apartments } (apartments
+// null = all), or null
+function authenticate(provided) {
+  const given = clean(provided, 200);
+  if (!given) return null;
+
+  const m = given.match(/^yka_([0-9a-f]{8})_([A-Za-z0-9_-]{32})$/);
+  if (m) {
+    const u = loadUsers()[m[1]];
+    if (!u || u.disabled || !sameSecret(m[2], Buffer.from(u.key_hash, 'hex'))) return null;
+
+    const now = Date.now();
+    if (!u.last_used_at || now - Date.parse(u.last_used_at) > TOUCH_INTERVAL_MS) {
+      u.last_used_at = new Date(now).toISOString();
+      saveUsers();
+    }
+    const apartments = u.role !== 'owner' && u.apartments.length ? u.apartments : null;
+    return { id: u.id, name: u.name, role: u.role, apartments };
+  }
+
+  const envHash = envSecretHash();
+  if (envHash && sameSecret(given, envHash)) {
+    return { id: 'env', name: 'ADMIN_RELOAD_SECRET', role: 'owner', apartments: null };
+  }
+  return null;
+}
+
+module.exports = {
+  ROLES,
+  parseApartments,
+  validateUserInput,
+  createUser,
+  listUsers,
+  getUser,
+  updateUser,
+  rotateKey,
+  deleteUser,
+  ownerLeftAfter,
+  isConfigured,
+  authenticate,
+};
@@ -0,0 +1,156 @@
+// backend/ai.js
+// Chat, embeddings, TTS and STT through the configured providers (see providers/),
+// plus the prompts built on top: language detection, translation and the FAQ-grounded answer.
+// Every paid call is checked against and charged to the daily budgets (budgets.js).
+const { getProvider, describeProviders } = require('./providers');
+const budgets = require('./budgets');
+
+// AI providers per capability (LLM_PROVIDER=openai|azure|local|fake, see providers/index.js)
+const AI = {
+  chat: getProvider('chat'),
+  embeddings: getProvider('embeddings'),
+  tts: getProvider('tts'),
+  stt: getProvider('stt')
+};
+const EMBEDDING_MODEL_ID = AI.embeddings.embeddingModelId;
+
+for (const [capability, info] of Object.entries(describeProviders())) {
+  if (!info.configured) console.error(`Warning: AI provider "${info.provider}" for ${capability} is not configured - ${capability} will fail.`);
+}
+
+// Batch embeddings: one request for many texts, vectors returned in input order.
+async function getEmbeddings(texts) {
+  budgets.check();
+  const vectors = await AI.embeddings.embed(texts);
+  budgets.record(budgets.embeddingCost(texts));
+  return vectors;
+}
+
+async function getEmbedding(text) {
+  const [vec] = await getEmbeddings([text]);
+  return vec;
+}
+
+// options.purpose ('detect_language' | 'translate' | 'answer') only matters to the fake provider
+async function chatCompletion(messages, options = {}) {
+  budgets.check();
+  const reply = await AI.chat.chat(messages, options);
+  budgets.record(budgets.chatCost(messages, reply));
+  return reply;
+}
+
+// Calls onDelta(text) for every content chunk, resolves to the full text.
+async function chatCompletionStream(messages, options = {}, onDelta = () => {}) {
+  budgets.check();
+  const text = await AI.chat.chatStream(messages, options, onDelta);
+  budgets.record(budgets.chatCost(messages, text));
+  return text;
+}
+
+async function textToSpeech(text, options = {}) {
+  budgets.check();
+  const audio = await AI.tts.tts(text, options);
+  budgets.record(budgets.ttsCost(text));
+  return audio;
+}
+
+// file: { buffer, filename, mimetype }
+async function speechToText(file) {
+  budgets.check();
+  const text = await AI.stt.stt(file);
+  budgets.record(budgets.sttCost(file.buffer?.length || 0));
+  return text;
+}
+
+// -------------------------------
+// Language detection & translation
+// -------------------------------
+async function detectLanguage(text) {
+  const system = "You are a language detection assistant. Respond with the ISO 639-1 language code only (e.g. 'en', 'de', 'fr', 'si', 'es').";
+  const user = `Detect the language of the following text and return only the ISO-639-1 code:\n\n${text}`;
+
+  try {
+    const reply = await chatCompletion(
+      [{ role: 'system', content: system }, { role: 'user', content: user }],
+      { temperature: 0.0, max_tokens: 8, purpose: 'detect_language', text }
+    );
+
+    const code = (reply || '').trim().toLowerCase();
+    const token = (code.split(/[^a-z]/i)[0] || '').toLowerCase();
+    return token || 'en';
+  } catch (e) {
+    console.warn('Language detection failed, defaulting to en:', e?.message || e);
+    return 'en';
+  }
+}
+
+async function translateText(text, targetLang) {
+  if (!text) return text;
+  if (!targetLang) return text;
+  if (targetLang.toLowerCase() === 'en') return text;
+
+  const system = `You are a translation assistant. Translate the user's text into ${targetLang} (ISO 639-1: ${targetLang}). Preserve meaning and tone. Keep every ⟦n⟧ placeholder exactly as written (they stand for names, links and codes). Respond with the translation only.`;
+  const user = `Translate this to ${targetLang}:\n\n${text}`;
+
+  try {
+    const reply = await chatCompletion(
+      [{ role: 'system', content: system }, { role: 'user', content: user }],
+      { temperature: 0.0, max_tokens: 350, purpose: 'translate', targetLang, text }
+    );
+    return reply || text;
+  } catch (e) {
+    console.warn('Translation failed, returning original text:', e?.message || e);
+    return text;
+  }
+}
+
+// -------------------------------
+// FAQ-grounded answer (LLM fallback)
+// -------------------------------
+async function callLLMFallback(userMessage, topMatches, userLang = 'en', history = [], { onToken, signal } = {}) {
+  const systemPrompt = `
+You are a helpful concierge assistant for a short-term rental apartment.
+Use the provided FAQ items to answer the guest's question.
+Earlier turns of the conversation may be included; use them to understand follow-up questions.
+Answer in the language specified (ISO-639-1): ${userLang}.
+Be concise (no more than 120 words).
+Do not invent facts not supported by the provided FAQs.
+If the answer is not present, politely suggest contacting the host.
+`.trim();
+
+  const faqContext = (topMatches || []).slice(0, 3)
+    .map((m, idx) => `FAQ ${idx + 1}\nQ: ${m.question}\nA: ${m.answer}`)
+    .join('\n\n') || '(none)';
+
+  const userPrompt = `Guest question: "${userMessage}"\n\nRelevant FAQs:\n${faqContext}\n\nAnswer:`;
+
+  const messages = [{ role: 'system', content: systemPrompt }, ...history, { role: 'user', content: userPrompt }];
+  const options = { temperature: 0.2, max_tokens: 300, purpose: 'answer' };
+
+  try {
+    if (onToken) {
+      const text = await chatCompletionStream(messages, { ...options, signal }, onToken);
+      return text ? text.trim() : null;
+    }
+
+    const text = await chatCompletion(messages, options);
+    return text ? text.trim() : null;
+  } catch (err) {
+    console.error('LLM fallback error:', err?._openai || err?.response?.data || err.message || err);
+    return null;
+  }
+}
+
+module.exports = {
+  AI,
+  EMBEDDING_MODEL_ID,
+  getEmbeddings,
+  getEmbedding,
+  chatCompletion,
+  chatCompletionStream,
+  textToSpeech,
+  speechToText,
+  detectLanguage,
+  translateText,
+  callLLMFallback,
+};
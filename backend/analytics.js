@@ -0,0 +1,168 @@
+// backend/analytics.js
+// Summaries of the conversation log for the admin dashboard: volume and trends, which step
+// answered, language mix, top questions per apartment, and clusters of questions nothing in the
+// sheet answered (the FAQs to write next). Also the CSV export.
+const { stringify: stringifyCsv } = require('csv-stringify/sync');
+
+const STOPWORDS = new Set((
+  'a an the is are was were be been am do does did can could would should will shall may might ' +
+  'i me my we our you your he she it its they them their this that these those there here ' +
+  'what where when which who whom how why to of in on at by for from with about into near ' +
+  'and or but if so not no yes please thanks thank hi hello hey any some much many get got have has'
+).split(' '));
+
+// Lowercase words (any script), punctuation dropped, for grouping identical questions
+function normaliseQuestion(text) {
+  return ((text ?? '') + '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function keywords(text) {
+  return new Set(normaliseQuestion(text).split(' ').filter(w => w.length > 1 && !STOPWORDS.has(w)));
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function countBy(entries, key) {
+  const counts = new Map();
+  for (const e of entries) {
+    const k = typeof key === 'function' ? key(e) : e[key];
+    counts.set(k ?? 'unknown', (counts.get(k ?? 'unknown') || 0) + 1);
+  }
+  return [...counts].map(([k, count]) => ({ key: k, count })).sort((a, b) => b.count - a.count);
+}
+
+function share(count, total) {
+  return total ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// -------------------------------
+// Question grouping
+// -------------------------------
+// Same question after normalisation -> one entry: { question, count, sources, lastAsked }
+function groupQuestions(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = normaliseQuestion(e.message);
+    if (!key) continue;
+    let g = groups.get(key);
+    if (!g) {
+      g = { key, question: e.message, count: 0, sources: {}, lastAsked: e.ts };
+      groups.set(key, g);
+    }
+    g.count++;
+    g.sources[e.source] = (g.sources[e.source] || 0) + 1;
+    if (e.ts > g.lastAsked) g.lastAsked = e.ts;
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count || (a.lastAsked < b.lastAsked ? 1 : -1));
+}
+
+// Greedy clustering of similar wordings by shared keywords. Biggest clusters first.
+function clusterQuestions(entries, { minSimilarity = 0.5 } = {}) {
+  const clusters = [];
+  for (const g of groupQuestions(entries)) {
+    const words = keywords(g.question);
+    const home = clusters.find(c => jaccard(c.words, words) >= minSimilarity);
+    if (home) {
+      home.variants.push(g);
+      home.size += g.count;
+      if (g.lastAsked > home.lastAsked) home.lastAsked = g.lastAsked;
+    } else {
+      clusters.push({ words, example: g.question, size: g.count, variants: [g], lastAsked: g.lastAsked });
+    }
+  }
+
+  return clusters
+    .sort((a, b) => b.size - a.size)
+    .map(c => {
+      const keys = new Set(c.variants.map(v => v.key));
+      const apts = [...new Set(entries.filter(e => keys.has(normaliseQuestion(e.message))).map(e => e.apt))];
+      return {
+        example: c.example,
+        size: c.size,
+        keywords: [...c.words],
+        apts,
+        lastAsked: c.lastAsked,
+        variants: c.variants.slice(0, 5).map(v => ({ question: v.question, count: v.count }))
+      };
+    });
+}
+
+// -------------------------------
+// Summary
+// -------------------------------
+function summarise(entries, { top = 10 } = {}) {
+  const total = entries.length;
+  const unanswered = entries.filter(e => e.fallback);
+  const latencies = entries.map(e => e.latency_ms).filter(n => typeof n === 'number').sort((a, b) => a - b);
+
+  const byDay = new Map();
+  for (const e of entries) {
+    const day = e.ts.slice(0, 10);
+    const d = byDay.get(day) || { day, total: 0, fallback: 0, sources: {} };
+    d.total++;
+    if (e.fallback) d.fallback++;
+    d.sources[e.source] = (d.sources[e.source] || 0) + 1;
+    byDay.set(day, d);
+  }
+
+  const topQuestions = {};
+  for (const { key: apt } of countBy(entries, 'apt')) {
+    topQuestions[apt] = groupQuestions(entries.filter(e => e.apt === apt)).slice(0, top)
+      .map(({ question, count, sources, lastAsked }) => ({ question, count, sources, lastAsked }));
+  }
+
+  return {
+    total,
+    unanswered: unanswered.length,
+    fallbackRate: share(unanswered.length, total),
+    latency: {
+      avg: latencies.length ? Math.round(latencies.reduce((s, n) => s + n, 0) / latencies.length) : null,
+      p50: percentile(latencies, 0.5),
+      p95: percentile(latencies, 0.95)
+    },
+    sources: countBy(entries, 'source').map(({ key, count }) => ({ source: key, count, share: share(count, total) })),
+    languages: countBy(entries, 'lang').map(({ key, count }) => ({ lang: key, count, share: share(count, total) })),
+    apartments: countBy(entries, 'apt').map(({ key, count }) => ({ apt: key, count })),
+    daily: [...byDay.values()].sort((a, b) => (a.day < b.day ? -1 : 1)),
+    topQuestions,
+    unansweredClusters: clusterQuestions(unanswered).slice(0, top * 2)
+  };
+}
+
+// -------------------------------
+// CSV export
+// -------------------------------
+const CSV_COLUMNS = [
+  'ts', 'apt', 'lang', 'source', 'handler', 'score', 'fallback', 'latency_ms', 'faq',
+  'message', 'reply', 'session', 'channel', 'access', 'id'
+];
+
+function csvCell(v) {
+  return typeof v === 'boolean' ? String(v) : (v ?? '');
+}
+
+function toCsv(entries) {
+  return stringifyCsv([CSV_COLUMNS, ...entries.map(e => CSV_COLUMNS.map(c => csvCell(e[c])))]);
+}
+
+module.exports = {
+  normaliseQuestion,
+  clusterQuestions,
+  summarise,
+  toCsv,
+};
@@ -0,0 +1,133 @@
+// backend/apartmentProfile.js
+// Apartment profile: structured facts from the Apartments sheet, so "What time is check-out?" or
+// "Can we bring the dog?" get the host's own answer without a FAQ row per apartment.
+//   display_name              shown to guests ("THE SKYLINE SUITE"); else name, else apt_id
+//   check_in, check_out       "14:00", "from 2pm", ...
+//   wifi_ssid, wifi_password  guests only
+//   floor                     guests only
+//   parking                   yes / no, or a sentence ("one covered slot, number 12")
+//   smoking, pets, parties    yes / no, or a sentence; house_rules: anything else
+//   host_name, host_phone     host_phone guests only
+//   timezone                  IANA name, also used for opening hours (openingHours.js)
+// Blank columns are skipped, so the question goes on to the FAQs as before.
+
+function str(v) {
+  return ((v ?? '') + '').trim();
+}
+
+function displayName(aptRow) {
+  return str(aptRow?.display_name) || str(aptRow?.name) || str(aptRow?.apt_id);
+}
+
+// 'yes' -> true, 'not allowed' -> false, a sentence -> the sentence, blank -> null
+function flagOrText(v) {
+  const s = str(v);
+  if (!s) return null;
+  const l = s.toLowerCase();
+  if (/^(yes|y|true|allowed|ok|permitted|1)$/.test(l)) return true;
+  if (/^(no|n|false|not allowed|forbidden|prohibited|none|0)$/.test(l)) return false;
+  return s;
+}
+
+const RULES = {
+  smoking: { yes: 'Smoking is allowed.', no: 'Smoking is not allowed in the apartment.', label: 'Smoking' },
+  pets: { yes: 'Pets are welcome.', no: 'Sorry, pets are not allowed.', label: 'Pets' },
+  parties: { yes: 'Parties and visitors are allowed.', no: 'Parties and events are not allowed.', label: 'Parties and visitors' },
+};
+
+function ruleText(aptRow, rule) {
+  const v = flagOrText(aptRow?.[rule]);
+  if (v === null) return null;
+  if (v === true) return RULES[rule].yes;
+  if (v === false) return RULES[rule].no;
+  return `${RULES[rule].label}: ${v}`;
+}
+
+// -------------------------------
+// Answers
+// -------------------------------
+// fact (see detectApartmentFact in intents.js) -> { text } | { gated: true } | null (no data)
+// guest: whether the visitor may see guest-only columns
+function answerFact(fact, aptRow, { guest = false } = {}) {
+  if (!aptRow) return null;
+  const name = displayName(aptRow);
+  const v = column => str(aptRow[column]);
+  const needsGuest = columns => !guest && columns.some(c => v(c));
+
+  switch (fact) {
+    case 'check_in':
+      return v('check_in') ? { text: `Check-in at ${name} is from ${v('check_in')}.` } : null;
+
+    case 'check_out':
+      return v('check_out') ? { text: `Check-out is by ${v('check_out')}.` } : null;
+
+    case 'wifi': {
+      if (!v('wifi_ssid') && !v('wifi_password')) return null;
+      if (needsGuest(['wifi_ssid', 'wifi_password'])) return { gated: true };
+      if (!v('wifi_password')) return { text: `The Wi-Fi network is ${v('wifi_ssid')}.` };
+      if (!v('wifi_ssid')) return { text: `The Wi-Fi password is ${v('wifi_password')}.` };
+      return { text: `The Wi-Fi network is ${v('wifi_ssid')} and the password is ${v('wifi_password')}.` };
+    }
+
+    case 'floor':
+      if (!v('floor')) return null;
+      if (needsGuest(['floor'])) return { gated: true };
+      return { text: `${name} is on floor ${v('floor')}.` };
+
+    case 'parking': {
+      const p = flagOrText(v('parking'));
+      if (p === null) return null;
+      if (p === true) return { text: 'Yes, there is parking for guests.' };
+      if (p === false) return { text: 'Sorry, there is no parking at the apartment.' };
+      return { text: `Parking: ${p}` };
+    }
+
+    case 'smoking':
+    case 'pets':
+    case 'parties': {
+      const text = ruleText(aptRow, fact);
+      return text ? { text } : null;
+    }
+
+    case 'house_rules': {
+      const lines = [...Object.keys(RULES).map(rule => ruleText(aptRow, rule)), v('house_rules')].filter(Boolean);
+      return lines.length ? { text: `House rules for ${name}:\n${lines.map(l => `• ${l}`).join('\n')}` } : null;
+    }
+
+    case 'host': {
+      if (!v('host_name') && !v('host_phone')) return null;
+      if (needsGuest(['host_phone'])) return { gated: true };
+      const who = v('host_name') ? `Your host is ${v('host_name')}.` : '';
+      const phone = v('host_phone') ? `You can reach them on ${v('host_phone')}.` : '';
+      return { text: [who, phone].filter(Boolean).join(' ') };
+    }
+
+    default:
+      return null;
+  }
+}
+
+// What GET /api/apartments/:id/public shows: no guest-only columns, coordinates or booking refs
+function publicProfile(aptRow) {
+  return {
+    apt_id: str(aptRow.apt_id),
+    display_name: displayName(aptRow),
+    check_in: str(aptRow.check_in) || null,
+    check_out: str(aptRow.check_out) || null,
+    parking: flagOrText(aptRow.parking),
+    house_rules: {
+      smoking: flagOrText(aptRow.smoking),
+      pets: flagOrText(aptRow.pets),
+      parties: flagOrText(aptRow.parties),
+      notes: str(aptRow.house_rules) || null
+    },
+    host_name: str(aptRow.host_name) || null,
+    timezone: str(aptRow.timezone) || null
+  };
+}
+
+module.exports = {
+  displayName,
+  answerFact,
+  publicProfile,
+};
@@ -0,0 +1,108 @@
+// backend/auditLog.js
+// Append-only record of admin actions (reloads, content edits, rollbacks, status changes, links,
+// accounts), as JSON lines in DATA_DIR/admin-audit.jsonl:
+//   { seq, ts, actor: { id, name, role }, action, method, path, apt, status, ip, details, prev, hash }
+// Entries are only ever appended. Each one carries the hash of the one before (prev) and its own
+// hash over both, so an edited or deleted line shows up in verifyAudit().
+const crypto = require('crypto');
+const fs = require('fs');
+const { dataPath, appendJsonLine } = require('./store');
+
+const AUDIT_FILE = dataPath('admin-audit.jsonl');
+
+// hash of the last entry and its number, read from the file on the first append
+let last = null;
+
+function entryHash(entry) {
+  const { hash, ...rest } = entry;
+  return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+}
+
+function readEntries() {
+  let text = '';
+  try {
+    text = fs.readFileSync(AUDIT_FILE, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Could not read the audit log:', err?.message || err);
+    return [];
+  }
+  const out = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      out.push({ unreadable: line.slice(0, 200) });
+    }
+  }
+  return out;
+}
+
+function lastEntry() {
+  if (!last) {
+    const entries = readEntries();
+    const tail = entries[entries.length - 1];
+    last = { seq: tail?.seq || 0, hash: tail?.hash || null };
+  }
+  return last;
+}
+
+// actor: req.admin; details: anything that says what changed (never secrets or keys).
+// Never throws: a full disk must not turn a successful change into an error.
+function recordAction({ actor, action, method, path, apt, status, ip, details }) {
+  try {
+    const prev = lastEntry();
+    const entry = {
+      seq: prev.seq + 1,
+      ts: new Date().toISOString(),
+      actor: actor ? { id: actor.id, name: actor.name, role: actor.role } : null,
+      action,
+      method,
+      path,
+      apt: apt || null,
+      status,
+      ip: ip || null,
+      details: details || null,
+      prev: prev.hash
+    };
+    entry.hash = entryHash(entry);
+    appendJsonLine(AUDIT_FILE, entry);
+    last = { seq: entry.seq, hash: entry.hash };
+    return entry;
+  } catch (err) {
+    console.error('Could not write the audit log:', err?.message || err);
+    return null;
+  }
+}
+
+// Newest first; filters: actor (id), action, apt, since (Date or ISO string)
+function listActions({ actor, action, apt, since, limit = 200 } = {}) {
+  const from = since ? new Date(since).toISOString() : '';
+  return readEntries()
+    .filter(e => e.ts >= from)
+    .filter(e => !actor || e.actor?.id === actor)
+    .filter(e => !action || e.action === action)
+    .filter(e => !apt || e.apt === apt)
+    .reverse()
+    .slice(0, limit);
+}
+
+// { ok, entries, broken_at? }: broken_at is the seq (or line) where the chain stops matching
+function verifyAudit() {
+  const entries = readEntries();
+  let prev = null;
+  for (const [i, e] of entries.entries()) {
+    if (e.unreadable || e.prev !== prev || entryHash(e) !== e.hash) {
+      return { ok: false, entries: entries.length, broken_at: e.seq || i + 1 };
+    }
+    prev = e.hash;
+  }
+  return { ok: true, entries: entries.length };
+}
+
+module.exports = {
+  AUDIT_FILE,
+  recordAction,
+  listActions,
+  verifyAudit,
+};
@@ -0,0 +1,65 @@
+// backend/bookings/hostaway.js
+// Hostaway PMS (BOOKING_PMS=hostaway): reservations of the listing in the apartment's
+// `pms_listing_id` column. Needs HOSTAWAY_ACCOUNT_ID and HOSTAWAY_API_KEY.
+// Airbnb and Booking.com have no open reservation API for hosts; use their iCal export
+// (`ical_url`) or a PMS that is connected to them.
+const axios = require('axios');
+
+const API = 'https://api.hostaway.com/v1';
+let token = null; // { value, expiresAt }
+
+async function accessToken() {
+  if (token && token.expiresAt > Date.now() + 60000) return token.value;
+  const body = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: process.env.HOSTAWAY_ACCOUNT_ID,
+    client_secret: process.env.HOSTAWAY_API_KEY,
+    scope: 'general'
+  });
+  const resp = await axios.post(`${API}/accessTokens`, body.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 15000
+  });
+  token = { value: resp.data.access_token, expiresAt: Date.now() + (resp.data.expires_in || 3600) * 1000 };
+  return token.value;
+}
+
+// Hostaway gives check-in/out times as hours (15 -> "15:00")
+function hour(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 && n <= 24 ? `${String(n).padStart(2, '0')}:00` : undefined;
+}
+
+module.exports = {
+  name: 'hostaway',
+
+  isConfigured() {
+    return !!(process.env.HOSTAWAY_ACCOUNT_ID && process.env.HOSTAWAY_API_KEY);
+  },
+
+  handles(aptRow) {
+    return !!((aptRow?.pms_listing_id ?? '') + '').trim();
+  },
+
+  async fetchReservations(aptRow) {
+    const resp = await axios.get(`${API}/reservations`, {
+      params: { listingId: String(aptRow.pms_listing_id).trim(), limit: 200, sortOrder: 'arrivalDate' },
+      headers: { Authorization: `Bearer ${await accessToken()}` },
+      timeout: 20000
+    });
+
+    return (resp.data?.result || [])
+      .filter(r => !/cancel|declined|expired/i.test(r.status || ''))
+      .map(r => ({
+        id: `hostaway-${r.id}`,
+        ref: r.channelReservationId || r.hostawayReservationId || String(r.id),
+        guest_name: r.guestName || [r.guestFirstName, r.guestLastName].filter(Boolean).join(' '),
+        check_in: r.arrivalDate,
+        check_out: r.departureDate,
+        check_in_time: hour(r.checkInTime),
+        check_out_time: hour(r.checkOutTime),
+        guests: r.numberOfGuests,
+        source: 'hostaway'
+      }));
+  }
+};
@@ -0,0 +1,129 @@
+// backend/bookings/ical.js
+// Reservations from iCal calendars (the export Airbnb, Booking.com, Vrbo and most PMSs offer).
+// Apartments column `ical_url`: one or more http(s) URLs or file names, comma-separated; file
+// names are read from BOOKINGS_DIR (default DATA_DIR/bookings).
+// Each VEVENT is a stay: DTSTART = check-in day, DTEND = check-out day. The booking reference
+// is the confirmation code in the description (Airbnb "…/reservations/details/HMABC123", or
+// "Confirmation code: ...", "Booking number: ..."); "Not available" blocks without one are skipped.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { dataPath } = require('../store');
+
+const BOOKINGS_DIR = path.resolve(process.env.BOOKINGS_DIR || dataPath('bookings'));
+
+function str(v) {
+  return ((v ?? '') + '').trim();
+}
+
+function sources(aptRow) {
+  return str(aptRow?.ical_url).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+async function readCalendar(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const resp = await axios.get(source, { timeout: 15000, responseType: 'text' });
+    return String(resp.data);
+  }
+  // a file name, never a path outside BOOKINGS_DIR
+  const file = path.resolve(BOOKINGS_DIR, source);
+  if (!file.startsWith(BOOKINGS_DIR + path.sep)) throw new Error(`'${source}' is outside BOOKINGS_DIR`);
+  return fs.promises.readFile(file, 'utf8');
+}
+
+// -------------------------------
+// Parsing (RFC 5545, the parts calendars exports use)
+// -------------------------------
+function unescapeText(s) {
+  return s.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// "20260301" / "20260301T140000Z" / "20260301T140000" -> "2026-03-01"
+function icalDate(v) {
+  const m = str(v).match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+// -> [{ uid, summary, description, start, end }] with start/end as YYYY-MM-DD
+function parseEvents(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let ev = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') ev = {};
+    else if (line === 'END:VEVENT') {
+      if (ev?.start) events.push(ev);
+      ev = null;
+    } else if (ev) {
+      const idx = line.indexOf(':');
+      if (idx <= 0) continue;
+      const name = line.slice(0, idx).split(';')[0].toUpperCase();
+      const value = line.slice(idx + 1);
+      if (name === 'UID') ev.uid = value;
+      else if (name === 'SUMMARY') ev.summary = unescapeText(value);
+      else if (name === 'DESCRIPTION') ev.description = unescapeText(value);
+      else if (name === 'DTSTART') ev.start = icalDate(value);
+      else if (name === 'DTEND') ev.end = icalDate(value);
+      else if (name === 'STATUS') ev.status = value.toLowerCase();
+    }
+  }
+  return events;
+}
+
+const REF_PATTERNS = [
+  /reservations\/details\/([A-Z0-9]{6,})/i,
+  /(?:confirmation|reservation|booking)\s*(?:code|number|no\.?|ref(?:erence)?|id)\s*[:#]?\s*([A-Z0-9-]{4,})/i,
+];
+
+function bookingRef(ev) {
+  const text = `${ev.description || ''}\n${ev.summary || ''}`;
+  for (const re of REF_PATTERNS) {
+    const m = text.match(re);
+    if (m) return m[1].toUpperCase();
+  }
+  return '';
+}
+
+// "Reserved - Anna Smith" / "Anna Smith (HMABC123)" -> "Anna Smith"; "Reserved" -> ''
+function guestName(ev) {
+  const s = str(ev.summary).replace(/\([^)]*\)/g, '').replace(/^(reserved|booked|booking|reservation)\s*[-:–]?\s*/i, '').trim();
+  return /^(airbnb|booking\.com|vrbo|not available|blocked|closed)/i.test(s) ? '' : s;
+}
+
+function toReservations(events, source) {
+  return events
+    .filter(ev => ev.status !== 'cancelled')
+    .map(ev => ({
+      id: ev.uid || `${ev.start}-${ev.end}`,
+      ref: bookingRef(ev),
+      guest_name: guestName(ev),
+      check_in: ev.start,
+      check_out: ev.end || ev.start,
+      source: `ical:${source.replace(/\?.*$/, '')}`
+    }))
+    .filter(r => r.ref || r.guest_name);
+}
+
+module.exports = {
+  name: 'ical',
+
+  isConfigured() {
+    return true;
+  },
+
+  handles(aptRow) {
+    return sources(aptRow).length > 0;
+  },
+
+  async fetchReservations(aptRow) {
+    const out = [];
+    for (const source of sources(aptRow)) {
+      out.push(...toReservations(parseEvents(await readCalendar(source)), source));
+    }
+    return out;
+  },
+
+  parseEvents,
+  BOOKINGS_DIR,
+};
@@ -0,0 +1,264 @@
+// backend/bookings/index.js
+// Reservations per apartment, imported from calendars and a PMS, and the guest's current stay.
+// Every booking source has the interface
+//   name, isConfigured(), handles(aptRow), fetchReservations(aptRow) -> [reservation]
+// where a reservation is
+//   { id, ref, guest_name, check_in, check_out (YYYY-MM-DD), check_in_time?, check_out_time?, guests?, source }
+// iCal is used for every apartment with an `ical_url`; BOOKING_PMS=stub|hostaway adds one PMS for
+// apartments with a `pms_listing_id`. syncBookings() imports everything into DATA_DIR/bookings.json
+// (at startup, every BOOKING_SYNC_MINUTES - default 30 - and on POST /admin/bookings/sync).
+//
+// A guest links their booking by entering its reference in the chat (/api/verify); the guest
+// token then carries the reservation id, and resolveStay() gives every feature the stay window.
+const content = require('../content');
+const { dataPath, readJson, writeJson } = require('../store');
+const { localTime, timeZoneOf } = require('../openingHours');
+
+const BOOKINGS_FILE = dataPath('bookings.json');
+
+const ADAPTERS = {
+  ical: require('./ical'),
+  stub: require('./stub'),
+  hostaway: require('./hostaway'),
+};
+const PMS_ADAPTERS = ['stub', 'hostaway'];
+
+let STATE = null; // { synced_at, apartments: { apt_id: [reservation] }, errors: { apt_id: message } }
+
+function state() {
+  if (!STATE) STATE = readJson(BOOKINGS_FILE, null) || { synced_at: null, apartments: {}, errors: {} };
+  return STATE;
+}
+
+function str(v) {
+  return ((v ?? '') + '').trim();
+}
+
+function normaliseRef(s) {
+  return str(s).toUpperCase().replace(/[\s-]+/g, '');
+}
+
+function isDate(v) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(`${v}T00:00:00Z`));
+}
+
+function isTime(v) {
+  return /^\d{1,2}[:.]\d{2}$/.test(str(v));
+}
+
+function enabledAdapters() {
+  const out = [ADAPTERS.ical];
+  const pms = str(process.env.BOOKING_PMS).toLowerCase();
+  if (!pms) return out;
+  if (!PMS_ADAPTERS.includes(pms)) {
+    console.warn(`Unknown booking PMS "${pms}" in BOOKING_PMS - ignored (use ${PMS_ADAPTERS.join(' or ')}).`);
+  } else if (!ADAPTERS[pms].isConfigured()) {
+    console.warn(`Booking PMS "${pms}" is enabled but not configured - ignored.`);
+  } else {
+    out.push(ADAPTERS[pms]);
+  }
+  return out;
+}
+
+// Trimmed fields, dates as YYYY-MM-DD; null when the dates are unusable
+function normaliseReservation(r) {
+  const checkIn = str(r.check_in).slice(0, 10);
+  const checkOut = str(r.check_out).slice(0, 10);
+  if (!isDate(checkIn) || !isDate(checkOut) || checkOut < checkIn) return null;
+
+  const out = {
+    id: str(r.id) || `${checkIn}-${normaliseRef(r.ref)}`,
+    ref: str(r.ref).toUpperCase(),
+    guest_name: str(r.guest_name),
+    check_in: checkIn,
+    check_out: checkOut,
+    source: str(r.source)
+  };
+  if (isTime(r.check_in_time)) out.check_in_time = str(r.check_in_time);
+  if (isTime(r.check_out_time)) out.check_out_time = str(r.check_out_time);
+  if (Number(r.guests) > 0) out.guests = Number(r.guests);
+  return out;
+}
+
+// -------------------------------
+// Import
+// -------------------------------
+// A source that fails keeps the apartment's previous reservations (and records the error).
+// With no apartments loaded (content not read yet, or unreadable) the saved import is kept as is.
+async function syncBookings(reason = 'manual') {
+  const prev = state();
+  if (!content.getApartments().length) {
+    console.warn(`Bookings not synced (${reason}): no apartments loaded, keeping the last import`);
+    const kept = Object.values(prev.apartments).reduce((n, list) => n + list.length, 0);
+    return { synced_at: prev.synced_at, reservations: kept, errors: prev.errors || {}, skipped: 'no apartments loaded' };
+  }
+
+  const adapters = enabledAdapters();
+  const apartments = {};
+  const errors = {};
+
+  for (const aptRow of content.getApartments()) {
+    const apt = str(aptRow.apt_id);
+    const using = adapters.filter(a => a.handles(aptRow));
+    if (!apt || !using.length) continue;
+
+    const byId = new Map();
+    try {
+      for (const adapter of using) {
+        for (const raw of await adapter.fetchReservations(aptRow)) {
+          const r = normaliseReservation(raw);
+          if (r) byId.set(r.id, r);
+        }
+      }
+      apartments[apt] = [...byId.values()].sort((a, b) => a.check_in.localeCompare(b.check_in));
+    } catch (err) {
+      errors[apt] = err?.message || String(err);
+      apartments[apt] = prev.apartments[apt] || [];
+      console.warn(`Booking import for ${apt} failed:`, errors[apt]);
+    }
+  }
+
+  STATE = { synced_at: new Date().toISOString(), apartments, errors };
+  writeJson(BOOKINGS_FILE, STATE);
+  const total = Object.values(apartments).reduce((n, list) => n + list.length, 0);
+  console.log(`Bookings synced (${reason}): ${total} reservations for ${Object.keys(apartments).length} apartments`);
+  return { synced_at: STATE.synced_at, reservations: total, errors };
+}
+
+// Call once the content is loaded: the import only covers the apartments it knows about
+function startBookingSync() {
+  const minutes = parseFloat(process.env.BOOKING_SYNC_MINUTES || '30');
+  const run = (reason) => syncBookings(reason).catch(err => console.warn('Booking sync failed:', err?.message || err));
+  run('startup');
+  if (!(minutes > 0)) return () => {};
+
+  const timer = setInterval(() => run('schedule'), minutes * 60 * 1000);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+// -------------------------------
+// Lookups
+// -------------------------------
+function listBookings() {
+  return state();
+}
+
+function reservationsFor(apt) {
+  return state().apartments[str(apt)] || [];
+}
+
+// The apartment's date today, in its own time zone
+function today(apt) {
+  return localTime(new Date(), timeZoneOf(content.getApartmentById(apt))).date;
+}
+
+// A reservation for this apartment with this reference that hasn't ended yet
+function findByRef(apt, ref) {
+  const given = normaliseRef(ref);
+  if (!given) return null;
+  const now = today(apt);
+  return reservationsFor(apt).find(r => r.ref && normaliseRef(r.ref) === given && r.check_out >= now) || null;
+}
+
+function getReservation(apt, id) {
+  return reservationsFor(apt).find(r => r.id === id) || null;
+}
+
+// Hours from now until the end of the check-out day (at least 1), for the guest token lifetime
+function hoursUntilCheckout(reservation) {
+  const end = Date.parse(`${reservation.check_out}T23:59:59Z`);
+  return Math.max(1, (end - Date.now()) / 3600000);
+}
+
+function nights(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// -------------------------------
+// Current stay
+// -------------------------------
+// The guest's stay, for the chat and any other feature:
+//   { source: 'booking' | 'link', check_in, check_out, nights, check_in_time?, check_out_time?,
+//     ref?, guest_name?, guests? }  or null when unknown.
+// From the booking linked to the guest token (guest = its verified payload), else from the
+// stay window of a signed apartment link (aptLink.from / to). Times fall back to the
+// apartment's check_in / check_out columns.
+function resolveStay({ apt, aptLink, guest }) {
+  const aptRow = content.getApartmentById(apt);
+  const times = r => {
+    const out = {};
+    const inTime = r?.check_in_time || (isTime(aptRow?.check_in) ? str(aptRow.check_in) : '');
+    const outTime = r?.check_out_time || (isTime(aptRow?.check_out) ? str(aptRow.check_out) : '');
+    if (inTime) out.check_in_time = inTime;
+    if (outTime) out.check_out_time = outTime;
+    return out;
+  };
+
+  const r = guest?.bk ? getReservation(apt, guest.bk) : null;
+  if (r) {
+    const stay = { source: 'booking', check_in: r.check_in, check_out: r.check_out, nights: nights(r.check_in, r.check_out), ...times(r), ref: r.ref };
+    if (r.guest_name) stay.guest_name = r.guest_name;
+    if (r.guests) stay.guests = r.guests;
+    return stay;
+  }
+
+  if (aptLink?.from && aptLink?.to) {
+    const tz = timeZoneOf(aptRow);
+    const checkIn = localTime(new Date(aptLink.from * 1000), tz).date;
+    const checkOut = localTime(new Date(aptLink.to * 1000), tz).date;
+    return { source: 'link', check_in: checkIn, check_out: checkOut, nights: nights(checkIn, checkOut), ...times(null) };
+  }
+  return null;
+}
+
+// -------------------------------
+// Reply formats (English; the chat translates them)
+// -------------------------------
+// "2026-03-05" -> "Thu 5 Mar"
+function formatDay(ymd) {
+  return new Date(`${ymd}T12:00:00Z`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+// topic: 'check_in' | 'check_out' | 'stay' (see detectStayIntent); change: asks for another time
+function formatStayReply(stay, { topic, change }, aptName) {
+  let out;
+  if (topic === 'check_in') {
+    out = `Your check-in is on ${formatDay(stay.check_in)}${stay.check_in_time ? `, from ${stay.check_in_time}` : ''}.`;
+  } else if (topic === 'check_out') {
+    out = `Your check-out is on ${formatDay(stay.check_out)}${stay.check_out_time ? `, by ${stay.check_out_time}` : ''}.`;
+  } else {
+    const n = `${stay.nights} night${stay.nights === 1 ? '' : 's'}`;
+    out = `Your stay at ${aptName}: ${formatDay(stay.check_in)} – ${formatDay(stay.check_out)} (${n}).`;
+  }
+  if (change) {
+    const what = topic === 'check_in' ? 'check-in' : 'check-out';
+    out += ` A different ${what} time depends on the bookings around yours - shall I ask the host for you?`;
+  }
+  return out;
+}
+
+// The chat's opening line once the stay is known
+function formatGreeting(stay, aptName) {
+  const first = str(stay.guest_name).split(/\s+/)[0];
+  const hello = first ? `Hi ${first}, welcome to ${aptName}!` : `Welcome to ${aptName}!`;
+  const out = stay.check_out_time ? `, check-out by ${stay.check_out_time}` : '';
+  return `${hello} You're staying from ${formatDay(stay.check_in)} to ${formatDay(stay.check_out)}${out}. Ask me anything about your stay.`;
+}
+
+module.exports = {
+  ADAPTERS,
+  BOOKINGS_FILE,
+  normaliseReservation,
+  syncBookings,
+  startBookingSync,
+  listBookings,
+  reservationsFor,
+  findByRef,
+  getReservation,
+  hoursUntilCheckout,
+  resolveStay,
+  formatDay,
+  formatStayReply,
+  formatGreeting,
+};
@@ -0,0 +1,34 @@
+// backend/bookings/stub.js
+// Local stand-in for a PMS (BOOKING_PMS=stub): reservations from a JSON file, for development
+// and tests. PMS_STUB_FILE (default BOOKINGS_DIR/pms-stub.json) holds an array of
+//   { listing_id, ref, guest_name, check_in, check_out, check_in_time?, check_out_time?, guests?, status? }
+// matched to apartments by their `pms_listing_id` column.
+const fs = require('fs');
+const path = require('path');
+const { BOOKINGS_DIR } = require('./ical');
+
+function stubFile() {
+  return path.resolve(process.env.PMS_STUB_FILE || path.join(BOOKINGS_DIR, 'pms-stub.json'));
+}
+
+module.exports = {
+  name: 'stub',
+
+  isConfigured() {
+    return true;
+  },
+
+  handles(aptRow) {
+    return !!((aptRow?.pms_listing_id ?? '') + '').trim();
+  },
+
+  // a missing file is an empty PMS; a broken one fails the import (so the last one is kept)
+  async fetchReservations(aptRow) {
+    const listing = ((aptRow.pms_listing_id ?? '') + '').trim();
+    const file = stubFile();
+    const rows = fs.existsSync(file) ? JSON.parse(await fs.promises.readFile(file, 'utf8')) : [];
+    return (Array.isArray(rows) ? rows : [])
+      .filter(r => String(r.listing_id ?? '').trim() === listing && r.status !== 'cancelled')
+      .map(r => ({ ...r, id: r.id || r.ref, source: 'stub' }));
+  }
+};
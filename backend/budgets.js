@@ -0,0 +1,154 @@
+// backend/budgets.js
+// Daily spending caps for the AI providers, per apartment and for the whole server.
+//   AI_DAILY_BUDGET_USD       all apartments together (blank/0 = no cap)
+//   AI_APT_DAILY_BUDGET_USD   each apartment; the Apartments column ai_budget_usd overrides it
+// Spend is estimated from the text sent and received (about 4 characters a token) at the
+// AI_PRICE_* rates below, counted per UTC day in DATA_DIR/ai-spend.json. Once a cap is reached,
+// ai.js refuses further calls until midnight UTC and the chat answers from keywords only.
+const { AsyncLocalStorage } = require('async_hooks');
+const content = require('./content');
+const { dataPath, readJson, writeJson } = require('./store');
+
+const SPEND_FILE = dataPath('ai-spend.json');
+
+function envNumber(name, fallback) {
+  const v = parseFloat(process.env[name] ?? '');
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+}
+
+const DAILY_BUDGET_USD = envNumber('AI_DAILY_BUDGET_USD', 0);
+const APT_DAILY_BUDGET_USD = envNumber('AI_APT_DAILY_BUDGET_USD', 0);
+
+// USD; defaults are OpenAI's list prices for gpt-4o-mini, text-embedding-3-small, tts-1 and whisper-1
+const PRICES = {
+  chatInput: envNumber('AI_PRICE_CHAT_INPUT', 0.15),      // per 1M tokens
+  chatOutput: envNumber('AI_PRICE_CHAT_OUTPUT', 0.60),    // per 1M tokens
+  embedding: envNumber('AI_PRICE_EMBEDDING', 0.02),       // per 1M tokens
+  tts: envNumber('AI_PRICE_TTS', 15),                     // per 1M characters
+  stt: envNumber('AI_PRICE_STT', 0.006),                  // per minute of audio
+};
+
+// compressed voice notes from the browser run at roughly 32 kbit/s
+const STT_BYTES_PER_MINUTE = 240000;
+
+let spend = null; // { date, total, apartments: { apt_id: usd } }
+
+// The apartment the current request is for, so ai.js can charge it without passing it around
+const aptContext = new AsyncLocalStorage();
+
+function forApartment(apt, fn) {
+  return aptContext.run({ apt: content.normaliseAptId(apt) }, fn);
+}
+
+function currentApt() {
+  return aptContext.getStore()?.apt || null;
+}
+
+// -------------------------------
+// Cost estimates (USD)
+// -------------------------------
+function tokens(text) {
+  return Math.ceil(((text ?? '') + '').length / 4);
+}
+
+function chatCost(messages, reply) {
+  const input = (messages || []).reduce((n, m) => n + tokens(m.content), 0);
+  return (input * PRICES.chatInput + tokens(reply) * PRICES.chatOutput) / 1e6;
+}
+
+function embeddingCost(texts) {
+  return (texts || []).reduce((n, t) => n + tokens(t), 0) * PRICES.embedding / 1e6;
+}
+
+function ttsCost(text) {
+  return ((text ?? '') + '').length * PRICES.tts / 1e6;
+}
+
+function sttCost(bytes) {
+  return Math.max(bytes / STT_BYTES_PER_MINUTE, 1 / 60) * PRICES.stt;
+}
+
+// -------------------------------
+// Spend per UTC day
+// -------------------------------
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function loadSpend() {
+  if (!spend) spend = readJson(SPEND_FILE, null);
+  if (!spend || spend.date !== today()) spend = { date: today(), total: 0, apartments: {} };
+  return spend;
+}
+
+function aptBudget(apt) {
+  const own = parseFloat(((content.getApartmentById(apt)?.ai_budget_usd ?? '') + '').trim());
+  return Number.isFinite(own) && own >= 0 ? own : APT_DAILY_BUDGET_USD;
+}
+
+// Which cap is used up ('global' | 'apartment'), or null
+function exhaustedBy(apt = currentApt()) {
+  const s = loadSpend();
+  if (DAILY_BUDGET_USD && s.total >= DAILY_BUDGET_USD) return 'global';
+  const budget = apt ? aptBudget(apt) : 0;
+  if (budget && (s.apartments[apt] || 0) >= budget) return 'apartment';
+  return null;
+}
+
+function isExhausted(apt = currentApt()) {
+  return !!exhaustedBy(apt);
+}
+
+// Throws before an AI call that the budget no longer allows
+function check(apt = currentApt()) {
+  const by = exhaustedBy(apt);
+  if (!by) return;
+  const err = new Error(by === 'global' ? 'Daily AI budget used up' : `Daily AI budget for ${apt} used up`);
+  err.code = 'budget_exhausted';
+  throw err;
+}
+
+function record(usd, apt = currentApt()) {
+  if (!(usd > 0)) return;
+  const s = loadSpend();
+  s.total += usd;
+  if (apt) s.apartments[apt] = (s.apartments[apt] || 0) + usd;
+  try {
+    writeJson(SPEND_FILE, s);
+  } catch (err) {
+    console.warn('Could not save AI spend:', err?.message || err);
+  }
+}
+
+// For GET /admin/usage
+function usageReport() {
+  const s = loadSpend();
+  const round = v => Math.round(v * 1e6) / 1e6;
+  const ids = new Set([...content.getApartments().map(a => content.normaliseAptId(a.apt_id)), ...Object.keys(s.apartments)]);
+  const apartments = {};
+  for (const apt of [...ids].filter(Boolean).sort()) {
+    const budget = aptBudget(apt);
+    apartments[apt] = { spent_usd: round(s.apartments[apt] || 0), budget_usd: budget || null, keyword_only: isExhausted(apt) };
+  }
+  return {
+    date: s.date,
+    spent_usd: round(s.total),
+    budget_usd: DAILY_BUDGET_USD || null,
+    keyword_only: exhaustedBy(null) === 'global',
+    prices: PRICES,
+    apartments
+  };
+}
+
+module.exports = {
+  forApartment,
+  currentApt,
+  chatCost,
+  embeddingCost,
+  ttsCost,
+  sttCost,
+  isExhausted,
+  check,
+  record,
+  usageReport,
+};
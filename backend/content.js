@@ -0,0 +1,323 @@
+// backend/content.js
+// In-memory copy of the spreadsheet content every other module reads from.
+// applySheetRows() swaps it in one go; listeners registered with onContentChange()
+// (e.g. the FAQ embedding index) rebuild after every swap.
+// Content comes from the configured source (Google Sheet or files, see dataSources/), is
+// checked by contentHealth.js on every load and kept as a version by contentVersions.js.
+const { getContentSource } = require('./dataSources');
+const { ANSWER_LANG_COLUMN } = require('./dataSources/tables');
+const versions = require('./contentVersions');
+
+let FAQ_DATA = {};     // { apt_id: [ {question, answer, visibility, translations}, ... ] }
+let GLOBAL_FAQS = [];  // global FAQs
+let APARTMENTS = [];   // rows from Apartments sheet
+let LOCAL_GUIDE = [];  // rows from LocalGuide sheet
+let SERVICES = [];     // rows from Services sheet (services.js)
+let HEALTH = null;     // contentHealth report for the live content
+let ROW_COUNTS = null; // rows per tab of the live content, for the shrink guard
+let LIVE_VERSION = null;       // contentVersions metadata of the live content
+let LAST_SOURCE_HASHES = null; // per-sheet hashes from the last read of the source
+
+const listeners = [];
+
+function normaliseAptId(v) {
+  return ((v ?? '') + '').toString().trim();
+}
+
+function isGlobalAptId(aptRaw) {
+  const s = normaliseAptId(aptRaw);
+  const u = s.toUpperCase();
+  return (
+    !s ||                 // blank = global
+    u === 'ALL' ||
+    u === 'GLOBAL' ||
+    u === 'ALL APARTMENTS' ||
+    u === '*'
+  );
+}
+
+// answer_de, answer_si ... columns -> { de: '...', si: '...' } (blank cells skipped)
+function answerTranslations(row) {
+  const out = {};
+  for (const [column, value] of Object.entries(row || {})) {
+    const m = column.match(ANSWER_LANG_COLUMN);
+    if (m && ((value ?? '') + '').trim()) out[m[1].toLowerCase()] = ((value ?? '') + '').trim();
+  }
+  return out;
+}
+
+function onContentChange(fn) {
+  listeners.push(fn);
+}
+
+// required lazily: contentHealth reads localGuide and the router, which both read this module
+function health() {
+  return require('./contentHealth');
+}
+
+function logHealth(report) {
+  console.log(`Content check: ${report.errors} errors, ${report.warnings} warnings`);
+  for (const i of report.issues.filter(x => x.level === 'error')) {
+    console.warn(`  ${i.sheet} row ${i.row} ${i.column}: ${i.message}`);
+  }
+}
+
+// Swaps in freshly read sheet rows (already converted by valuesToObjects).
+// Also the entry point for tests, which feed fixture rows instead of calling Google.
+function applySheetRows(rows, report) {
+  const { localGuideRows = [], apartmentsRows = [], faqsRows = [], servicesRows = [] } = rows;
+
+  // ---- Build FAQ map + global FAQs ----
+  const faqMap = {};
+  const globalFaqs = [];
+
+  faqsRows.forEach(r => {
+    const aptRaw = normaliseAptId(r.apt_id);
+
+    const item = {
+      question: r.question || '',
+      answer: r.answer || '',
+      visibility: r.visibility || '',
+      translations: answerTranslations(r)
+    };
+
+    if (isGlobalAptId(aptRaw)) {
+      if ((item.question || '').trim() || (item.answer || '').trim()) {
+        globalFaqs.push(item);
+      }
+      return;
+    }
+
+    if (!faqMap[aptRaw]) faqMap[aptRaw] = [];
+    faqMap[aptRaw].push(item);
+  });
+
+  FAQ_DATA = faqMap;
+  GLOBAL_FAQS = globalFaqs;
+  APARTMENTS = apartmentsRows;
+  LOCAL_GUIDE = localGuideRows;
+  SERVICES = servicesRows;
+
+  console.log('Loaded Apartments:', APARTMENTS.length, 'rows');
+  console.log('Loaded LocalGuide:', LOCAL_GUIDE.length, 'rows');
+  if (SERVICES.length) console.log('Loaded Services:', SERVICES.length, 'rows');
+  console.log('Loaded FAQs (per apt):', Object.keys(FAQ_DATA).length, 'apartments with FAQs');
+  console.log('Loaded Global FAQs:', GLOBAL_FAQS.length);
+
+  HEALTH = report || health().validateContent(rows);
+  ROW_COUNTS = health().rowCounts(rows);
+  logHealth(HEALTH);
+
+  for (const fn of listeners) {
+    try {
+      fn();
+    } catch (err) {
+      console.warn('Content change listener failed:', err?.message || err);
+    }
+  }
+}
+
+// Where content is read from and where the admin console writes it back
+function contentSource() {
+  return getContentSource();
+}
+
+// -------------------------------
+// Loading: read -> check -> apply -> keep a version (contentVersions.js)
+// -------------------------------
+// Reads, checks and applies the content. A reload that would empty most of a tab is refused
+// (the live content stays) unless force is set. onlyIfChanged skips the work when the source
+// hashes are the same as on the previous read, so background syncs do not undo a rollback.
+// When nothing is live yet and the source cannot be read, the latest saved version is served.
+// Returns { ok, applied, unchanged?, version?, report?, refused?, error?, fallback? }.
+async function loadAllData({ force = false, reason = 'reload', onlyIfChanged = false } = {}) {
+  const source = getContentSource();
+  let rows;
+  try {
+    rows = await source.readAllRows();
+    if (!rows) throw new Error(`No content from ${source.name}`);
+  } catch (err) {
+    console.error(`Error loading content from ${source.name}:`, err?.message || err);
+    const error = err?.message || String(err);
+    return ROW_COUNTS ? { ok: false, applied: false, error } : restoreLatestVersion(error);
+  }
+
+  const hashes = versions.hashRows(rows);
+  const sourceChanged = !versions.sameHashes(hashes, LAST_SOURCE_HASHES);
+  LAST_SOURCE_HASHES = hashes;
+  if (onlyIfChanged && !sourceChanged) return { ok: true, applied: false, unchanged: true, version: LIVE_VERSION };
+  if (LIVE_VERSION && versions.sameHashes(hashes, LIVE_VERSION.hashes)) {
+    return { ok: true, applied: false, unchanged: true, version: LIVE_VERSION, report: HEALTH };
+  }
+
+  const report = health().validateContent(rows);
+  const refused = !force && ROW_COUNTS && health().checkShrink(ROW_COUNTS, health().rowCounts(rows));
+  if (refused) {
+    console.warn(`Content reload refused: ${refused}. Keeping the current content.`);
+    return { ok: false, applied: false, refused, report };
+  }
+
+  applySheetRows(rows, report);
+  keepVersion(rows, { reason, source: source.name, health: report });
+  return { ok: true, applied: true, version: LIVE_VERSION, report };
+}
+
+function keepVersion(rows, meta) {
+  try {
+    LIVE_VERSION = versions.recordVersion(rows, meta);
+    console.log(`Content version ${LIVE_VERSION.id} is live (${meta.reason})`);
+  } catch (err) {
+    LIVE_VERSION = { id: null, hashes: versions.hashRows(rows), reason: meta.reason };
+    console.warn('Could not save content version:', err?.message || err);
+  }
+}
+
+function restoreLatestVersion(error) {
+  const latest = versions.latestVersion();
+  const snapshot = latest && versions.getVersion(latest.id);
+  if (!snapshot) return { ok: false, applied: false, error };
+
+  console.warn(`Serving saved content version ${latest.id} from ${latest.createdAt} until the source can be read`);
+  applySheetRows(snapshot.rows);
+  LIVE_VERSION = latest;
+  return { ok: false, applied: true, error, fallback: latest.id, version: latest };
+}
+
+// Makes a saved version live again. The source is not touched: the next change there (or a
+// manual reload) replaces it. Returns the new version, or null for an unknown id.
+function rollbackTo(id) {
+  const snapshot = versions.getVersion(id);
+  if (!snapshot) return null;
+
+  applySheetRows(snapshot.rows);
+  keepVersion(snapshot.rows, { reason: `rollback to ${id}`, source: 'snapshot', health: HEALTH });
+  return LIVE_VERSION;
+}
+
+function getLiveVersion() {
+  return LIVE_VERSION;
+}
+
+// Background sync (schedule, webhook, file watch). Calls that arrive while one is running
+// make it run once more afterwards instead of overlapping.
+let syncing = null;
+let syncAgain = false;
+
+async function syncContent(reason = 'sync') {
+  if (syncing) {
+    syncAgain = true;
+    return syncing;
+  }
+  syncing = (async () => {
+    let result;
+    do {
+      syncAgain = false;
+      result = await loadAllData({ reason, onlyIfChanged: true });
+    } while (syncAgain);
+    return result;
+  })();
+  try {
+    return await syncing;
+  } finally {
+    syncing = null;
+  }
+}
+
+// Polls the source every CONTENT_SYNC_MINUTES (default 5 for the Google Sheet, off for files,
+// which are watched instead; 0 turns it off). Returns stop().
+function startContentSync() {
+  const source = getContentSource();
+  const fallback = source.watch ? '0' : '5';
+  const minutes = parseFloat(process.env.CONTENT_SYNC_MINUTES || fallback);
+  if (!(minutes > 0)) return () => {};
+
+  console.log(`Content sync every ${minutes} min from ${source.name}`);
+  const timer = setInterval(() => {
+    syncContent('schedule').catch(err => console.warn('Content sync failed:', err?.message || err));
+  }, minutes * 60 * 1000);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+// Hot reload for sources that can tell when they change (content files). Returns stop().
+function watchContent() {
+  const source = getContentSource();
+  if (!source.watch || process.env.CONTENT_WATCH === 'false') return () => {};
+  return source.watch(() => syncContent('file change'));
+}
+
+// -------------------------------
+// Read access
+// -------------------------------
+function getFaqData() {
+  return FAQ_DATA;
+}
+
+function getFaqsForApt(aptId) {
+  return FAQ_DATA[aptId] || [];
+}
+
+function getGlobalFaqs() {
+  return GLOBAL_FAQS;
+}
+
+function getApartments() {
+  return APARTMENTS;
+}
+
+function getApartmentById(aptId) {
+  const id = (aptId || '').trim();
+  return APARTMENTS.find(a => ((a.apt_id || '') + '').trim() === id) || null;
+}
+
+// Unknown apartments are only rejected once the Apartments sheet has loaded.
+function isKnownApartment(aptId) {
+  return !APARTMENTS.length || !!getApartmentById(aptId);
+}
+
+function getLocalGuide() {
+  return LOCAL_GUIDE;
+}
+
+function getServices() {
+  return SERVICES;
+}
+
+// Report for the content currently live (null before the first load)
+function getContentHealth() {
+  return HEALTH;
+}
+
+function contentStats() {
+  return {
+    apartments: APARTMENTS.length,
+    localGuide: LOCAL_GUIDE.length,
+    services: SERVICES.length,
+    faqApartments: Object.keys(FAQ_DATA),
+    globalFaqCount: GLOBAL_FAQS.length
+  };
+}
+
+module.exports = {
+  normaliseAptId,
+  isGlobalAptId,
+  onContentChange,
+  applySheetRows,
+  contentSource,
+  loadAllData,
+  syncContent,
+  startContentSync,
+  watchContent,
+  rollbackTo,
+  getLiveVersion,
+  getFaqData,
+  getFaqsForApt,
+  getGlobalFaqs,
+  getApartments,
+  getApartmentById,
+  isKnownApartment,
+  getLocalGuide,
+  getServices,
+  getContentHealth,
+  contentStats,
+};
@@ -0,0 +1,306 @@
+// backend/contentHealth.js
+// Checks sheet content before it goes live. validateContent() returns a report of problems per
+// sheet / row / column; checkShrink() refuses a reload that would drop most of a tab (a cleared
+// sheet, a wrong range) so the bot keeps answering from what it had.
+//   error   -> the row is ignored or misbehaves (no question, bad JSON, duplicate apt_id)
+//   warning -> the row works but worse than intended (unparseable distance sorts last, unknown apt)
+// Row numbers are spreadsheet rows: the header is row 1, so rows[0] is row 2.
+const { TABLE_TITLES, ROWS_KEY, DEFAULT_HEADERS, ANSWER_LANG_COLUMN } = require('./dataSources/tables');
+const { isGlobalAptId } = require('./content');
+const { isKnownVisibility } = require('./guestAccess');
+const { distanceToMetres } = require('./localGuide');
+const { isValidTimeZone, parseSchedule, parseExceptions } = require('./openingHours');
+const { HANDLERS } = require('./router');
+const { FIELDS } = require('./services');
+
+const CONTENT_MAX_SHRINK = parseFloat(process.env.CONTENT_MAX_SHRINK || '0.5');
+const SHRINK_MIN_ROWS = 10; // smaller tabs are not guarded; deleting 2 of 3 rows is normal editing
+
+// columns the bot relies on; the rest of DEFAULT_HEADERS are optional
+const REQUIRED_COLUMNS = { LocalGuide: ['name'], Apartments: ['apt_id'], FAQs: ['question', 'answer'], Services: ['name'] };
+const EXPECTED_COLUMNS = { LocalGuide: ['apt_id', 'category', 'distance', 'maps_link'], Apartments: [], FAQs: ['apt_id'], Services: ['apt_id', 'service_id'] };
+
+function str(v) {
+  return ((v ?? '') + '').trim();
+}
+
+function isNumber(v) {
+  return str(v) !== '' && Number.isFinite(Number(str(v)));
+}
+
+// Levenshtein distance, for "did you mean" on misspelt column names
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function closestColumn(name, known) {
+  const n = name.toLowerCase().replace(/[\s-]+/g, '_');
+  let best = null;
+  for (const k of known) {
+    const dist = editDistance(n, k);
+    if (dist <= 2 && (!best || dist < best.dist)) best = { k, dist };
+  }
+  return best?.k || null;
+}
+
+function isKnownColumn(title, column) {
+  if (title === 'FAQs' && ANSWER_LANG_COLUMN.test(column)) return true;
+  return DEFAULT_HEADERS[title].includes(column);
+}
+
+// -------------------------------
+// Report
+// -------------------------------
+function createReport() {
+  const issues = [];
+  const add = (level) => (sheet, row, column, message) => issues.push({ level, sheet, row, column, message });
+  return { issues, error: add('error'), warning: add('warning') };
+}
+
+function checkColumns(title, rows, r) {
+  const seen = new Set();
+  for (const row of rows) for (const k of Object.keys(row || {})) seen.add(k);
+  if (!rows.length) return;
+
+  for (const column of seen) {
+    if (!column || isKnownColumn(title, column)) continue;
+    const guess = closestColumn(column, DEFAULT_HEADERS[title]);
+    if (guess && !seen.has(guess)) r.error(title, 1, column, `Unknown column '${column}' - did you mean '${guess}'?`);
+    else r.warning(title, 1, column, `Unknown column '${column}' is ignored`);
+  }
+  for (const column of REQUIRED_COLUMNS[title]) {
+    if (!seen.has(column)) r.error(title, 1, column, `Missing column '${column}'`);
+  }
+  for (const column of EXPECTED_COLUMNS[title]) {
+    if (!seen.has(column)) r.warning(title, 1, column, `Missing column '${column}'`);
+  }
+}
+
+function checkApartments(rows, r) {
+  const seen = new Map();
+  const names = HANDLERS.map(h => h.name);
+
+  rows.forEach((row, i) => {
+    const line = i + 2;
+    const id = str(row.apt_id);
+    if (!id) {
+      r.error('Apartments', line, 'apt_id', 'apt_id is blank');
+    } else if (seen.has(id)) {
+      r.error('Apartments', line, 'apt_id', `Duplicate apt_id '${id}' (first on row ${seen.get(id)}); only the first is used`);
+    } else {
+      seen.set(id, line);
+      if (id !== id.toUpperCase() || /\s/.test(id)) {
+        r.warning('Apartments', line, 'apt_id', `apt_id '${id}' has lower case or spaces; links and sheets must match it exactly`);
+      }
+    }
+
+    for (const [column, limit] of [['lat', 90], ['lng', 180]]) {
+      const v = str(row[column]);
+      if (v && (!isNumber(v) || Math.abs(Number(v)) > limit)) {
+        r.error('Apartments', line, column, `'${v}' is not a valid ${column === 'lat' ? 'latitude' : 'longitude'}`);
+      }
+    }
+    if (!!str(row.lat) !== !!str(row.lng)) {
+      r.warning('Apartments', line, str(row.lat) ? 'lng' : 'lat', 'lat and lng must both be set for nearby searches');
+    }
+
+    const tz = str(row.timezone);
+    if (tz && !isValidTimeZone(tz)) {
+      r.warning('Apartments', line, 'timezone', `Unknown time zone '${tz}' (use e.g. "Asia/Colombo"); opening hours use the default`);
+    }
+
+    const budget = str(row.ai_budget_usd);
+    if (budget && (!isNumber(budget) || Number(budget) < 0)) {
+      r.warning('Apartments', line, 'ai_budget_usd', `'${budget}' is not an amount in USD; AI_APT_DAILY_BUDGET_USD applies`);
+    }
+
+    for (const column of ['handlers_off', 'handlers_on']) {
+      for (const name of str(row[column]).split(',').map(s => s.trim()).filter(Boolean)) {
+        if (!names.includes(name)) r.warning('Apartments', line, column, `Unknown chat step '${name}'`);
+      }
+    }
+
+    const config = str(row.handler_config);
+    if (config) {
+      try {
+        const parsed = JSON.parse(config);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('expected a JSON object');
+      } catch (err) {
+        r.error('Apartments', line, 'handler_config', `Invalid JSON: ${err?.message || err}`);
+      }
+    }
+  });
+
+  return seen;
+}
+
+function checkAptRef(title, row, line, apartments, r) {
+  const id = str(row.apt_id);
+  if (isGlobalAptId(id) || !apartments.size || apartments.has(id)) return;
+  const caseMatch = [...apartments.keys()].find(k => k.toLowerCase() === id.toLowerCase());
+  r.warning(title, line, 'apt_id', caseMatch
+    ? `apt_id '${id}' does not match '${caseMatch}' in Apartments (case differs)`
+    : `apt_id '${id}' is not in Apartments`);
+}
+
+function checkLocalGuide(rows, apartments, r) {
+  rows.forEach((row, i) => {
+    const line = i + 2;
+    if (!str(row.name)) r.error('LocalGuide', line, 'name', 'name is blank; the row is never shown');
+    if (!str(row.category)) r.warning('LocalGuide', line, 'category', 'category is blank; the row only shows in searches by name');
+    checkAptRef('LocalGuide', row, line, apartments, r);
+
+    // coordinates: distance and walking time are computed per apartment, distance/sort_mins unused
+    for (const [column, limit] of [['lat', 90], ['lng', 180]]) {
+      const v = str(row[column]);
+      if (v && (!isNumber(v) || Math.abs(Number(v)) > limit)) {
+        r.warning('LocalGuide', line, column, `'${v}' is not a valid ${column === 'lat' ? 'latitude' : 'longitude'}; the typed distance is used`);
+      }
+    }
+    if (!!str(row.lat) !== !!str(row.lng)) {
+      r.warning('LocalGuide', line, str(row.lat) ? 'lng' : 'lat', 'lat and lng must both be set to compute distances');
+    }
+    const hasCoords = isNumber(row.lat) && isNumber(row.lng);
+
+    const distance = str(row.distance);
+    const sortMins = str(row.sort_mins);
+    if (distance && !Number.isFinite(distanceToMetres(distance))) {
+      r.warning('LocalGuide', line, 'distance', `Cannot read a distance from '${distance}' (use e.g. "400 m", "1.2 km" or "5 min")`);
+    }
+    if (sortMins && !isNumber(sortMins)) {
+      r.warning('LocalGuide', line, 'sort_mins', `'${sortMins}' is not a number of minutes`);
+    }
+    if (!distance && !sortMins && !hasCoords) {
+      r.warning('LocalGuide', line, 'distance', 'No distance or sort_mins; the row sorts last in "nearest" lists');
+    }
+
+    const link = str(row.maps_link);
+    if (!link) r.warning('LocalGuide', line, 'maps_link', 'maps_link is blank; guests get no directions link');
+    else if (!/^https?:\/\/\S+$/i.test(link)) r.warning('LocalGuide', line, 'maps_link', `'${link}' is not an http(s) link`);
+
+    const hours = str(row.opening_hours);
+    const schedule = hours ? parseSchedule(hours) : {};
+    if (schedule.error) r.warning('LocalGuide', line, 'opening_hours', `Opening hours ignored: ${schedule.error}`);
+    const exceptions = parseExceptions(row.hours_exceptions);
+    if (exceptions.error) r.warning('LocalGuide', line, 'hours_exceptions', `Exceptions ignored: ${exceptions.error}`);
+    if (str(row.hours_exceptions) && !hours) {
+      r.warning('LocalGuide', line, 'hours_exceptions', 'hours_exceptions without opening_hours is ignored');
+    }
+  });
+}
+
+function checkFaqs(rows, apartments, r) {
+  const seen = new Map();
+  rows.forEach((row, i) => {
+    const line = i + 2;
+    const question = str(row.question);
+    const answer = str(row.answer);
+    if (!question && !answer) return; // spacer row
+
+    if (!question) r.error('FAQs', line, 'question', 'question is blank; the answer can never match');
+    if (!answer) r.error('FAQs', line, 'answer', 'answer is blank');
+    checkAptRef('FAQs', row, line, apartments, r);
+
+    if (!isKnownVisibility(row.visibility)) {
+      r.warning('FAQs', line, 'visibility', `Unknown visibility '${row.visibility}'; treated as 'guest' (use public, guest or host_only)`);
+    }
+
+    const key = `${isGlobalAptId(row.apt_id) ? '*' : str(row.apt_id)}|${question.toLowerCase()}`;
+    if (question && seen.has(key)) {
+      r.warning('FAQs', line, 'question', `Same question as row ${seen.get(key)} for this apartment`);
+    } else if (question) {
+      seen.set(key, line);
+    }
+  });
+}
+
+function checkServices(rows, apartments, r) {
+  const seen = new Map();
+  rows.forEach((row, i) => {
+    const line = i + 2;
+    if (!str(row.name) && !str(row.service_id)) return; // spacer row
+
+    if (!str(row.name)) r.warning('Services', line, 'name', 'name is blank; guests see the service_id');
+    checkAptRef('Services', row, line, apartments, r);
+
+    const id = str(row.service_id) || str(row.name).toLowerCase();
+    const key = `${isGlobalAptId(row.apt_id) ? '*' : str(row.apt_id)}|${id}`;
+    if (seen.has(key)) r.error('Services', line, 'service_id', `Same service as row ${seen.get(key)} for this apartment; only the first is used`);
+    else seen.set(key, line);
+
+    const lead = str(row.lead_hours);
+    if (lead && !(isNumber(lead) && Number(lead) >= 0)) {
+      r.warning('Services', line, 'lead_hours', `'${lead}' is not a number of hours; no notice is required`);
+    }
+    for (const field of str(row.fields).split(',').map(s => s.trim()).filter(Boolean)) {
+      if (!FIELDS.includes(field.toLowerCase())) {
+        r.warning('Services', line, 'fields', `Unknown field '${field}' is ignored (use ${FIELDS.filter(f => f !== 'notes').join(', ')})`);
+      }
+    }
+  });
+}
+
+// rows: { localGuideRows, apartmentsRows, faqsRows, servicesRows } as returned by a content source
+function validateContent(rows) {
+  const r = createReport();
+  for (const title of TABLE_TITLES) checkColumns(title, rows?.[ROWS_KEY[title]] || [], r);
+
+  const apartments = checkApartments(rows?.apartmentsRows || [], r);
+  checkLocalGuide(rows?.localGuideRows || [], apartments, r);
+  checkFaqs(rows?.faqsRows || [], apartments, r);
+  checkServices(rows?.servicesRows || [], apartments, r);
+
+  const sheets = {};
+  for (const title of TABLE_TITLES) {
+    const mine = r.issues.filter(i => i.sheet === title);
+    sheets[title] = {
+      rows: (rows?.[ROWS_KEY[title]] || []).length,
+      errors: mine.filter(i => i.level === 'error').length,
+      warnings: mine.filter(i => i.level === 'warning').length,
+    };
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    ok: !r.issues.some(i => i.level === 'error'),
+    errors: r.issues.filter(i => i.level === 'error').length,
+    warnings: r.issues.filter(i => i.level === 'warning').length,
+    sheets,
+    issues: r.issues,
+  };
+}
+
+// -------------------------------
+// Shrink guard
+// -------------------------------
+// previous / next: { LocalGuide: n, Apartments: n, FAQs: n }. Returns null or a reason.
+function checkShrink(previous, next, maxShrink = CONTENT_MAX_SHRINK) {
+  const drops = [];
+  for (const title of TABLE_TITLES) {
+    const before = previous?.[title] || 0;
+    const after = next?.[title] || 0;
+    if (before < SHRINK_MIN_ROWS || after >= before * (1 - maxShrink)) continue;
+    drops.push(`${title} ${before} -> ${after} rows`);
+  }
+  return drops.length ? `New content would remove most of ${drops.join(', ')}` : null;
+}
+
+function rowCounts(rows) {
+  const counts = {};
+  for (const title of TABLE_TITLES) counts[title] = (rows?.[ROWS_KEY[title]] || []).length;
+  return counts;
+}
+
+module.exports = {
+  CONTENT_MAX_SHRINK,
+  validateContent,
+  checkShrink,
+  rowCounts,
+};
@@ -0,0 +1,171 @@
+// backend/contentVersions.js
+// Version history of the content. Every load that changes something is kept as a snapshot
+// (DATA_DIR/content-versions/<id>.json) with a content hash per sheet and the rows added,
+// changed and removed since the previous snapshot. index.json lists them, oldest first.
+// Rows are matched across versions by apt_id (+ question for FAQs, + name for LocalGuide).
+const crypto = require('crypto');
+const fs = require('fs');
+const { dataPath, readJson, writeJson } = require('./store');
+const { TABLE_TITLES, ROWS_KEY } = require('./dataSources/tables');
+
+const VERSIONS_DIR = dataPath('content-versions');
+const INDEX_FILE = dataPath('content-versions', 'index.json');
+const CONTENT_VERSIONS_KEEP = parseInt(process.env.CONTENT_VERSIONS_KEEP || '50', 10);
+
+function str(v) {
+  return ((v ?? '') + '').trim();
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// { LocalGuide: sha256, Apartments: sha256, FAQs: sha256, Services: sha256 }
+function hashRows(rows) {
+  const hashes = {};
+  for (const title of TABLE_TITLES) hashes[title] = hash(rows?.[ROWS_KEY[title]] || []);
+  return hashes;
+}
+
+function sameHashes(a, b) {
+  return !!a && !!b && TABLE_TITLES.every(t => a[t] === b[t]);
+}
+
+// -------------------------------
+// Diff
+// -------------------------------
+function rowKey(title, row) {
+  const apt = str(row.apt_id) || '*';
+  if (title === 'FAQs') return `${apt} | ${str(row.question).toLowerCase()}`;
+  if (title === 'LocalGuide') return `${apt} | ${str(row.name).toLowerCase()}`;
+  if (title === 'Services') return `${apt} | ${(str(row.service_id) || str(row.name)).toLowerCase()}`;
+  return apt;
+}
+
+function keyed(title, rows) {
+  const map = new Map();
+  for (const row of rows || []) {
+    const base = rowKey(title, row);
+    let key = base;
+    for (let n = 2; map.has(key); n++) key = `${base} #${n}`;
+    map.set(key, row);
+  }
+  return map;
+}
+
+function diffTable(title, before, after) {
+  const b = keyed(title, before);
+  const a = keyed(title, after);
+  const diff = { added: [], changed: [], removed: [] };
+
+  for (const [key, row] of a) {
+    if (!b.has(key)) {
+      diff.added.push({ key, row });
+      continue;
+    }
+    const old = b.get(key);
+    const columns = [...new Set([...Object.keys(old), ...Object.keys(row)])].filter(c => str(old[c]) !== str(row[c]));
+    if (columns.length) diff.changed.push({ key, columns, before: old, after: row });
+  }
+  for (const [key, row] of b) {
+    if (!a.has(key)) diff.removed.push({ key, row });
+  }
+  return diff;
+}
+
+function diffRows(before, after) {
+  const diff = {};
+  for (const title of TABLE_TITLES) {
+    diff[title] = diffTable(title, before?.[ROWS_KEY[title]], after?.[ROWS_KEY[title]]);
+  }
+  return diff;
+}
+
+function summarise(diff) {
+  const summary = {};
+  for (const title of TABLE_TITLES) {
+    summary[title] = {
+      added: diff[title].added.length,
+      changed: diff[title].changed.length,
+      removed: diff[title].removed.length
+    };
+  }
+  return summary;
+}
+
+// -------------------------------
+// Snapshots
+// -------------------------------
+function versionFile(id) {
+  return dataPath('content-versions', `${id}.json`);
+}
+
+function listVersions() {
+  return readJson(INDEX_FILE, []);
+}
+
+function latestVersion() {
+  const list = listVersions();
+  return list[list.length - 1] || null;
+}
+
+// Metadata plus { rows, diff }, or null
+function getVersion(id) {
+  const meta = listVersions().find(v => v.id === id);
+  if (!meta) return null;
+  const snapshot = readJson(versionFile(id), null);
+  if (!snapshot) return null;
+  return { ...meta, rows: snapshot.rows, diff: snapshot.diff };
+}
+
+function prune(list) {
+  while (list.length > CONTENT_VERSIONS_KEEP) {
+    const old = list.shift();
+    try {
+      fs.unlinkSync(versionFile(old.id));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`Could not remove content version ${old.id}:`, err?.message || err);
+    }
+  }
+  return list;
+}
+
+// Saves rows as a new version unless they match the latest one. Returns the version metadata.
+function recordVersion(rows, { reason = 'reload', source = '', health = null } = {}) {
+  const list = listVersions();
+  const latest = list[list.length - 1] || null;
+  const hashes = hashRows(rows);
+  if (latest && sameHashes(latest.hashes, hashes)) return latest;
+
+  const previous = latest ? readJson(versionFile(latest.id), null) : null;
+  const diff = diffRows(previous?.rows, rows);
+  const seq = (latest?.seq || 0) + 1;
+  const meta = {
+    id: `v${seq}`,
+    seq,
+    createdAt: new Date().toISOString(),
+    reason,
+    source,
+    previous: latest?.id || null,
+    hashes,
+    rows: Object.fromEntries(TABLE_TITLES.map(t => [t, (rows?.[ROWS_KEY[t]] || []).length])),
+    changes: summarise(diff),
+    health: health ? { errors: health.errors, warnings: health.warnings } : null
+  };
+
+  writeJson(versionFile(meta.id), { id: meta.id, rows, diff });
+  list.push(meta);
+  writeJson(INDEX_FILE, prune(list));
+  return meta;
+}
+
+module.exports = {
+  VERSIONS_DIR,
+  hashRows,
+  sameHashes,
+  diffRows,
+  listVersions,
+  latestVersion,
+  getVersion,
+  recordVersion,
+};
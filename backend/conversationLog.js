@@ -0,0 +1,219 @@
+// backend/conversationLog.js
+// Every guest exchange, one JSON line per message in DATA_DIR/conversations/YYYY-MM-DD.jsonl:
+//   { id, ts, apt, session, channel, access, lang, lang_via, source, handler, score, faq, fallback,
+//     latency_ms, message, reply, error? }
+// lang_via says how the reply language was chosen (see language.js).
+// Personal data in the message and reply (emails, phone and card numbers, the apartment's
+// booking references and the refs of its imported reservations) is masked unless CONVERSATION_LOG_REDACT=false; the session id is hashed.
+// CONVERSATION_LOG=false turns logging off. Files older than CONVERSATION_LOG_DAYS are removed.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath, ensureDir, appendJsonLine } = require('./store');
+const bookings = require('./bookings');
+
+const LOG_DIR = dataPath('conversations');
+const CONVERSATION_LOG_DAYS = parseInt(process.env.CONVERSATION_LOG_DAYS || '180', 10);
+
+const MAX_TEXT_CHARS = 1000;
+
+// sources where no host-written content answered the question
+const FALLBACK_SOURCES = ['fallback', 'llm_fallback'];
+// sources that answer with one FAQ row (the LLM only uses FAQs as context)
+const FAQ_SOURCES = ['faq', 'faq_keyword'];
+
+// The FAQ question behind an answer, or null. answer is the router's onAnswer info.
+function matchedFaq(source, answer) {
+  return FAQ_SOURCES.includes(source) ? (answer?.faqs?.[0]?.question || null) : null;
+}
+
+function isEnabled() {
+  return process.env.CONVERSATION_LOG !== 'false';
+}
+
+function redactEnabled() {
+  return process.env.CONVERSATION_LOG_REDACT !== 'false';
+}
+
+// -------------------------------
+// Redaction
+// -------------------------------
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function redact(text, { bookingRefs = [] } = {}) {
+  let out = (text ?? '') + '';
+  for (const ref of bookingRefs) {
+    if (ref.length >= 4) out = out.replace(new RegExp(escapeRegExp(ref), 'gi'), '[booking_ref]');
+  }
+  return out
+    .replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]')
+    .replace(/\+?\d[\d\s().-]{5,}\d/g, m => {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(m)) return m; // a date, not a number to hide
+      const digits = m.replace(/\D/g, '').length;
+      if (digits >= 13) return '[card]';
+      return digits >= 7 ? '[phone]' : m;
+    });
+}
+
+// The Apartments sheet's booking_ref column and the imported reservations (bookings/): both
+// are accepted by /api/verify
+function bookingRefsOf(apt, aptRow) {
+  const sheet = ((aptRow?.booking_ref || '') + '').split(',').map(s => s.trim());
+  return [...sheet, ...bookings.reservationsFor(apt).map(r => r.ref)].filter(Boolean);
+}
+
+function hashSession(sessionId) {
+  if (!sessionId) return null;
+  return crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 12);
+}
+
+// -------------------------------
+// Writing
+// -------------------------------
+function dayOf(ts) {
+  return ts.slice(0, 10);
+}
+
+function fileForDay(day) {
+  return path.join(LOG_DIR, `${day}.jsonl`);
+}
+
+let lastDay = null;
+
+function pruneOldFiles(today) {
+  const cutoff = new Date(Date.parse(today) - CONVERSATION_LOG_DAYS * 86400000).toISOString().slice(0, 10);
+  let names = [];
+  try {
+    names = fs.readdirSync(LOG_DIR);
+  } catch {
+    return;
+  }
+  for (const name of names) {
+    const day = name.replace(/\.jsonl$/, '');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(day) && day < cutoff) {
+      try {
+        fs.unlinkSync(path.join(LOG_DIR, name));
+      } catch (err) {
+        console.warn(`Could not remove old conversation log ${name}:`, err?.message || err);
+      }
+    }
+  }
+}
+
+// info: { apt, aptRow, sessionId, channel, access, payload, answer (from onAnswer), latencyMs, message, error }
+// Returns the entry (null when logging is off). Never throws: logging must not break a chat.
+function logExchange(info) {
+  if (!isEnabled()) return null;
+  try {
+    const { apt, aptRow, sessionId, channel, access, payload = {}, answer = {}, latencyMs, message, error } = info;
+    const hide = redactEnabled()
+      ? (t) => redact(t, { bookingRefs: bookingRefsOf(apt, aptRow) })
+      : (t) => (t ?? '') + '';
+
+    const ts = new Date().toISOString();
+    const source = payload.source || (error ? 'error' : null);
+    const entry = {
+      id: info.id || crypto.randomUUID(),
+      ts,
+      apt,
+      session: hashSession(sessionId),
+      channel,
+      access,
+      lang: payload.detected_language || answer.userLang || null,
+      lang_via: answer.langVia || null,
+      source,
+      handler: answer.handler || null,
+      score: typeof payload.score === 'number' ? Math.round(payload.score * 1000) / 1000 : null,
+      faq: matchedFaq(source, answer),
+      fallback: FALLBACK_SOURCES.includes(source),
+      latency_ms: latencyMs,
+      message: hide(message).slice(0, MAX_TEXT_CHARS),
+      reply: hide(payload.reply).slice(0, MAX_TEXT_CHARS),
+    };
+    if (error) entry.error = String(error).slice(0, 300);
+
+    const day = dayOf(ts);
+    if (day !== lastDay) {
+      ensureDir(LOG_DIR);
+      pruneOldFiles(day);
+      lastDay = day;
+    }
+    appendJsonLine(fileForDay(day), entry);
+    return entry;
+  } catch (err) {
+    console.warn('Could not log conversation:', err?.message || err);
+    return null;
+  }
+}
+
+// -------------------------------
+// Reading
+// -------------------------------
+// Entries between since and until (Date or ISO string), oldest first; apt filters one apartment.
+function readExchanges({ since, until, apt } = {}) {
+  const from = since ? new Date(since).toISOString() : '';
+  const to = until ? new Date(until).toISOString() : '9999';
+  let names = [];
+  try {
+    names = fs.readdirSync(LOG_DIR).filter(n => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(n)).sort();
+  } catch {
+    return [];
+  }
+
+  const out = [];
+  for (const name of names) {
+    const day = name.slice(0, 10);
+    if (day < from.slice(0, 10) || day > to.slice(0, 10)) continue;
+    const lines = fs.readFileSync(path.join(LOG_DIR, name), 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let e;
+      try {
+        e = JSON.parse(line);
+      } catch {
+        continue; // a torn last line after a crash
+      }
+      if (e.ts < from || e.ts > to) continue;
+      if (apt && e.apt !== apt) continue;
+      out.push(e);
+    }
+  }
+  return out;
+}
+
+// One entry by id, looking back `days` day files (newest first), or null
+function findExchange(id, { days = 14 } = {}) {
+  if (!id) return null;
+  let names = [];
+  try {
+    names = fs.readdirSync(LOG_DIR).filter(n => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(n)).sort().reverse().slice(0, days);
+  } catch {
+    return null;
+  }
+  for (const name of names) {
+    const text = fs.readFileSync(path.join(LOG_DIR, name), 'utf8');
+    if (!text.includes(id)) continue;
+    for (const line of text.split('\n')) {
+      if (!line.includes(id)) continue;
+      try {
+        const e = JSON.parse(line);
+        if (e.id === id) return e;
+      } catch {
+        /* torn line */
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  LOG_DIR,
+  FALLBACK_SOURCES,
+  matchedFaq,
+  redact,
+  logExchange,
+  readExchanges,
+  findExchange,
+};
@@ -0,0 +1,212 @@
+// backend/dataSources/files.js
+// Content source: one file per tab in CONTENT_DIR (default DATA_DIR/content), same columns
+// as the Google Sheet. LocalGuide.csv, Apartments.yaml, FAQs.json ... formats can be mixed:
+//   .json         [ { "apt_id": "YAKA01", "question": "...", ... }, ... ]
+//   .csv          header row + one row per line
+//   .yaml / .yml  a list of mappings
+// Every value is read as a string, like the Sheets API returns them.
+// New tabs are written as CONTENT_FORMAT (json|csv|yaml, default json).
+const fs = require('fs');
+const path = require('path');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { stringify: stringifyCsv } = require('csv-stringify/sync');
+const YAML = require('yaml');
+const { dataPath, ensureDir } = require('../store');
+const { TABLE_TITLES, DEFAULT_HEADERS } = require('./tables');
+
+const CONTENT_DIR = path.resolve(process.env.CONTENT_DIR || dataPath('content'));
+const CONTENT_FORMAT = (process.env.CONTENT_FORMAT || 'json').toLowerCase();
+
+const EXTENSIONS = { '.json': 'json', '.csv': 'csv', '.yaml': 'yaml', '.yml': 'yaml' };
+
+function cell(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+function tableFromRows(rawRows) {
+  const headers = [];
+  for (const r of rawRows) {
+    for (const k of Object.keys(r || {})) if (!headers.includes(k)) headers.push(k);
+  }
+  const rows = rawRows.map(r => {
+    const row = {};
+    for (const h of headers) row[h] = cell(r?.[h]);
+    return row;
+  });
+  return { headers, rows };
+}
+
+// -------------------------------
+// Formats
+// -------------------------------
+const FORMATS = {
+  json: {
+    parse(text) {
+      const data = JSON.parse(text || '[]');
+      if (!Array.isArray(data)) throw new Error('expected a JSON array of rows');
+      return tableFromRows(data);
+    },
+    stringify({ rows }) {
+      return JSON.stringify(rows, null, 2) + '\n';
+    }
+  },
+  csv: {
+    parse(text) {
+      const values = parseCsv(text || '', { skip_empty_lines: true, relax_column_count: true, bom: true });
+      if (!values.length) return { headers: [], rows: [] };
+      const headers = values[0].map(h => (h || '').toString().trim());
+      const rows = values.slice(1).map(v => {
+        const row = {};
+        headers.forEach((h, i) => { row[h] = v[i] !== undefined ? v[i] : ''; });
+        return row;
+      });
+      return { headers, rows };
+    },
+    stringify({ headers, rows }) {
+      return stringifyCsv([headers, ...rows.map(r => headers.map(h => r[h] ?? ''))]);
+    }
+  },
+  yaml: {
+    parse(text) {
+      const data = YAML.parse(text || '') || [];
+      if (!Array.isArray(data)) throw new Error('expected a YAML list of rows');
+      return tableFromRows(data);
+    },
+    stringify({ rows }) {
+      return YAML.stringify(rows);
+    }
+  }
+};
+
+// The file holding a tab, or null. Matches the tab name case-insensitively.
+function findFile(title) {
+  let names;
+  try {
+    names = fs.readdirSync(CONTENT_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  const matches = names.filter(n => {
+    const ext = path.extname(n).toLowerCase();
+    return EXTENSIONS[ext] && path.basename(n, path.extname(n)).toLowerCase() === title.toLowerCase();
+  });
+  if (matches.length > 1) console.warn(`Several content files for ${title} (${matches.join(', ')}) - using ${matches[0]}`);
+  if (!matches.length) return null;
+
+  const file = path.join(CONTENT_DIR, matches[0]);
+  return { file, format: EXTENSIONS[path.extname(file).toLowerCase()] };
+}
+
+function hasTable(title) {
+  return !!findFile(title);
+}
+
+function isConfigured() {
+  return TABLE_TITLES.some(hasTable);
+}
+
+async function readTable(title) {
+  const found = findFile(title);
+  if (!found) return { headers: [...DEFAULT_HEADERS[title]], rows: [] };
+
+  try {
+    const table = FORMATS[found.format].parse(fs.readFileSync(found.file, 'utf8'));
+    if (!table.headers.length) table.headers = [...DEFAULT_HEADERS[title]];
+    return table;
+  } catch (err) {
+    throw new Error(`Could not read ${found.file}: ${err?.message || err}`);
+  }
+}
+
+// Same shape as the Sheets source
+async function readAllRows() {
+  if (!isConfigured()) {
+    console.error(`No content: Google Sheets is not configured and ${CONTENT_DIR} has no LocalGuide/Apartments/FAQs files.`);
+    return null;
+  }
+
+  const [localGuide, apartments, faqs, services] = await Promise.all(TABLE_TITLES.map(readTable));
+  console.log('Content files read from', CONTENT_DIR);
+  return { localGuideRows: localGuide.rows, apartmentsRows: apartments.rows, faqsRows: faqs.rows, servicesRows: services.rows };
+}
+
+// Writes a whole tab; keeps the tab's current file/format unless one is asked for.
+async function writeTable(title, table, format) {
+  const found = findFile(title);
+  const fmt = format || found?.format || CONTENT_FORMAT;
+  if (!FORMATS[fmt]) throw new Error(`Unknown content format '${fmt}' (use json, csv or yaml)`);
+
+  const file = found && found.format === fmt ? found.file : path.join(CONTENT_DIR, `${title}.${fmt}`);
+  ensureDir(CONTENT_DIR);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, FORMATS[fmt].stringify(table));
+  fs.renameSync(tmp, file);
+  if (found && found.file !== file) fs.unlinkSync(found.file);
+  return file;
+}
+
+function pick(headers, row) {
+  const out = {};
+  for (const h of headers) out[h] = cell(row[h]);
+  return out;
+}
+
+async function mutate(title, fn) {
+  const table = await readTable(title);
+  fn(table);
+  await writeTable(title, table);
+}
+
+async function appendRow(title, row) {
+  await mutate(title, t => t.rows.push(pick(t.headers, row)));
+}
+
+async function updateRow(title, index, row) {
+  await mutate(title, t => { t.rows[index] = pick(t.headers, row); });
+}
+
+async function deleteRow(title, index) {
+  await mutate(title, t => t.rows.splice(index, 1));
+}
+
+// -------------------------------
+// Hot reload: onChange() once the files have been quiet for a moment
+// -------------------------------
+function watch(onChange, debounceMs = 300) {
+  ensureDir(CONTENT_DIR);
+  let timer = null;
+
+  const watcher = fs.watch(CONTENT_DIR, (event, filename) => {
+    if (!filename || filename.endsWith('.tmp') || !EXTENSIONS[path.extname(filename).toLowerCase()]) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      console.log('Content files changed - reloading');
+      onChange();
+    }, debounceMs);
+    timer.unref?.();
+  });
+  watcher.unref?.();
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+module.exports = {
+  name: 'files',
+  CONTENT_DIR,
+  isConfigured,
+  hasTable,
+  readAllRows,
+  readTable,
+  writeTable,
+  appendRow,
+  updateRow,
+  deleteRow,
+  watch,
+};
@@ -0,0 +1,33 @@
+// backend/dataSources/index.js
+// Where the content (LocalGuide, Apartments, FAQs, Services) comes from. Every source has the interface
+//   name, isConfigured(), readAllRows() -> { localGuideRows, apartmentsRows, faqsRows, servicesRows } | null,
+//   readTable(title) -> { headers, rows }, writeTable(title, table),
+//   appendRow(title, row), updateRow(title, index, row), deleteRow(title, index)
+// and may offer watch(onChange) -> stop() for hot reload.
+//
+// CONTENT_SOURCE=sheets|files picks one; by default the Google Sheet when its env vars are set,
+// otherwise the files in CONTENT_DIR.
+const sheets = require('./sheets');
+const files = require('./files');
+const { TABLE_TITLES, DEFAULT_HEADERS } = require('./tables');
+
+const SOURCES = { sheets, files };
+
+function getSource(name) {
+  const source = SOURCES[name];
+  if (!source) throw new Error(`Unknown content source '${name}' (use ${Object.keys(SOURCES).join(' or ')})`);
+  return source;
+}
+
+function getContentSource() {
+  const wanted = (process.env.CONTENT_SOURCE || '').trim().toLowerCase();
+  if (wanted) return getSource(wanted);
+  return sheets.isConfigured() ? sheets : files;
+}
+
+module.exports = {
+  TABLE_TITLES,
+  DEFAULT_HEADERS,
+  getSource,
+  getContentSource,
+};
@@ -0,0 +1,168 @@
+// backend/dataSources/sheets.js
+// Content source: the Google Sheet (LocalGuide, Apartments, FAQs and Services tabs).
+// Reads use the read-only scope; admin-console writes and imports need the service account
+// to have Editor access on the spreadsheet.
+const { google } = require('googleapis');
+
+const READ_SCOPE = 'https://www.googleapis.com/auth/spreadsheets.readonly';
+const WRITE_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+function isConfigured() {
+  return !!(process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL && process.env.GOOGLE_SERVICE_ACCOUNT_KEY && process.env.GOOGLE_SHEETS_ID);
+}
+
+async function connect(scope = READ_SCOPE) {
+  const email = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
+  const key = (process.env.GOOGLE_SERVICE_ACCOUNT_KEY || '').replace(/\\n/g, '\n');
+  const spreadsheetId = process.env.GOOGLE_SHEETS_ID;
+
+  const jwt = new google.auth.JWT(email, null, key, [scope]);
+  await jwt.authorize();
+
+  return { sheetsApi: google.sheets({ version: 'v4', auth: jwt }), spreadsheetId };
+}
+
+function valuesToObjects(values) {
+  if (!values || values.length === 0) return [];
+  const headers = values[0].map(h => (h || '').toString().trim());
+  const rows = values.slice(1);
+  return rows.map(row => {
+    const obj = {};
+    for (let i = 0; i < headers.length; i++) {
+      obj[headers[i]] = row[i] !== undefined ? row[i] : '';
+    }
+    return obj;
+  });
+}
+
+// The whole tab rather than a fixed A:Z, so columns past Z (more profile columns, answer_<lang>
+// translations) are never dropped
+function tabRange(title) {
+  return `'${String(title).replace(/'/g, "''")}'`;
+}
+
+async function readValues(title, sheetsApi, spreadsheetId) {
+  const resp = await sheetsApi.spreadsheets.values.get({ spreadsheetId, range: tabRange(title) });
+  return resp.data.values || [];
+}
+
+// A missing tab reads as empty; any other failure fails the whole read, so a flaky request
+// never swaps in a half-empty copy of the content.
+async function readSheetByTitleUsingGoogleApi(title, sheetsApi, spreadsheetId) {
+  try {
+    return valuesToObjects(await readValues(title, sheetsApi, spreadsheetId));
+  } catch (err) {
+    if (/Unable to parse range/i.test(err?.message || '')) {
+      console.warn(`Sheet "${title}" not found - treating it as empty`);
+      return [];
+    }
+    throw new Error(`Could not read sheet "${title}": ${err?.message || err}`);
+  }
+}
+
+// Returns { localGuideRows, apartmentsRows, faqsRows, servicesRows }, or null when the env vars are missing.
+async function readAllRows() {
+  if (!isConfigured()) {
+    console.error('Missing Google Sheets env vars. Required: GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_SERVICE_ACCOUNT_KEY, GOOGLE_SHEETS_ID');
+    return null;
+  }
+
+  const { sheetsApi, spreadsheetId } = await connect();
+
+  const [localGuideRows, apartmentsRows, faqsRows, servicesRows] = await Promise.all([
+    readSheetByTitleUsingGoogleApi('LocalGuide', sheetsApi, spreadsheetId),
+    readSheetByTitleUsingGoogleApi('Apartments', sheetsApi, spreadsheetId),
+    readSheetByTitleUsingGoogleApi('FAQs', sheetsApi, spreadsheetId),
+    readSheetByTitleUsingGoogleApi('Services', sheetsApi, spreadsheetId),
+  ]);
+
+  // ---- Diagnostics (useful on Azure) ----
+  console.log('Google Sheets ID ending:', String(spreadsheetId).slice(-6));
+  console.log('FAQs rows read:', faqsRows.length);
+  console.log('FAQ headers detected:', faqsRows[0] ? Object.keys(faqsRows[0]) : '(none)');
+  console.log('Sample apt_id values:', faqsRows.slice(0, 10).map(r => r.apt_id));
+
+  return { localGuideRows, apartmentsRows, faqsRows, servicesRows };
+}
+
+// -------------------------------
+// Tables for the admin console: { headers, rows }, rows addressed by 0-based index
+// (row 0 is sheet row 2, under the header row)
+// -------------------------------
+async function readTable(title) {
+  const { sheetsApi, spreadsheetId } = await connect();
+  const values = await readValues(title, sheetsApi, spreadsheetId);
+  return {
+    headers: (values[0] || []).map(h => (h || '').toString().trim()),
+    rows: valuesToObjects(values)
+  };
+}
+
+function rowValues(headers, row) {
+  return headers.map(h => (row[h] ?? '') + '');
+}
+
+async function appendRow(title, row) {
+  const { headers } = await readTable(title);
+  const { sheetsApi, spreadsheetId } = await connect(WRITE_SCOPE);
+  await sheetsApi.spreadsheets.values.append({
+    spreadsheetId,
+    range: tabRange(title),
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values: [rowValues(headers, row)] }
+  });
+}
+
+async function updateRow(title, index, row) {
+  const { headers } = await readTable(title);
+  const { sheetsApi, spreadsheetId } = await connect(WRITE_SCOPE);
+  await sheetsApi.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${tabRange(title)}!A${index + 2}`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [rowValues(headers, row)] }
+  });
+}
+
+async function deleteRow(title, index) {
+  const { sheetsApi, spreadsheetId } = await connect(WRITE_SCOPE);
+  const meta = await sheetsApi.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties' });
+  const sheet = (meta.data.sheets || []).find(s => s.properties?.title === title);
+  if (!sheet) throw new Error(`Sheet "${title}" not found`);
+
+  await sheetsApi.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{
+        deleteDimension: {
+          range: { sheetId: sheet.properties.sheetId, dimension: 'ROWS', startIndex: index + 1, endIndex: index + 2 }
+        }
+      }]
+    }
+  });
+}
+
+// Replaces a whole tab (header row + rows), used by scripts/import-content.js
+async function writeTable(title, { headers, rows }) {
+  const { sheetsApi, spreadsheetId } = await connect(WRITE_SCOPE);
+  await sheetsApi.spreadsheets.values.clear({ spreadsheetId, range: tabRange(title) });
+  await sheetsApi.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${tabRange(title)}!A1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [headers, ...rows.map(r => rowValues(headers, r))] }
+  });
+}
+
+module.exports = {
+  name: 'sheets',
+  isConfigured,
+  valuesToObjects,
+  readAllRows,
+  readTable,
+  writeTable,
+  appendRow,
+  updateRow,
+  deleteRow,
+};
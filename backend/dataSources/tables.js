@@ -0,0 +1,29 @@
+// backend/dataSources/tables.js
+// The content tabs and their columns, shared by every content source.
+const TABLE_TITLES = ['LocalGuide', 'Apartments', 'FAQs', 'Services'];
+
+// where each tab's rows are in what readAllRows() returns
+const ROWS_KEY = { LocalGuide: 'localGuideRows', Apartments: 'apartmentsRows', FAQs: 'faqsRows', Services: 'servicesRows' };
+
+const DEFAULT_HEADERS = {
+  LocalGuide: ['apt_id', 'category', 'name', 'distance', 'sort_mins', 'description', 'maps_link', 'lat', 'lng', 'opening_hours', 'hours_exceptions'],
+  Apartments: [
+    'apt_id', 'name', 'display_name', 'lat', 'lng', 'timezone', 'booking_ref',
+    'floor', 'check_in', 'check_out', 'wifi_ssid', 'wifi_password', 'parking',
+    'smoking', 'pets', 'parties', 'house_rules', 'host_name', 'host_phone',
+    'ical_url', 'pms_listing_id', 'ai_budget_usd',
+    'handlers_off', 'handlers_on', 'handler_config'
+  ],
+  FAQs: ['apt_id', 'question', 'answer', 'visibility'],
+  Services: ['apt_id', 'service_id', 'name', 'price', 'lead_hours', 'fields', 'keywords', 'description'],
+};
+
+// Optional host-written translations of a FAQ answer: answer_de, answer_si, ... (ISO 639-1)
+const ANSWER_LANG_COLUMN = /^answer_([a-z]{2,3})$/i;
+
+module.exports = {
+  TABLE_TITLES,
+  ROWS_KEY,
+  DEFAULT_HEADERS,
+  ANSWER_LANG_COLUMN,
+};
@@ -0,0 +1,100 @@
+// backend/embeddingStore.js
+// Persistent embedding cache, keyed by model + sha256(text).
+// Stored as JSON lines under DATA_DIR/embeddings/<model>.jsonl: { "h": hash, "v": base64(Float32Array) }.
+// Append-only, so unchanged FAQ text never costs another embeddings call - even across restarts.
+const crypto = require('crypto');
+const fs = require('fs');
+const { dataPath, appendJsonLine } = require('./store');
+
+const stores = new Map(); // model -> { file, vectors: Map(hash -> Float32Array) }
+
+function textHash(text) {
+  return crypto.createHash('sha256').update((text || '').toString().trim()).digest('hex');
+}
+
+function fileForModel(model) {
+  return dataPath('embeddings', `${model.replace(/[^a-zA-Z0-9._-]+/g, '_')}.jsonl`);
+}
+
+function encode(vec) {
+  const f32 = vec instanceof Float32Array ? vec : Float32Array.from(vec);
+  return Buffer.from(f32.buffer, f32.byteOffset, f32.byteLength).toString('base64');
+}
+
+function decode(b64) {
+  const buf = Buffer.from(b64, 'base64');
+  // copy into an aligned buffer (Buffer slices may not be 4-byte aligned)
+  return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+}
+
+function getStore(model) {
+  let s = stores.get(model);
+  if (s) return s;
+
+  s = { file: fileForModel(model), vectors: new Map() };
+  try {
+    const lines = fs.readFileSync(s.file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line) continue;
+      try {
+        const row = JSON.parse(line);
+        if (row.h && row.v) s.vectors.set(row.h, decode(row.v));
+      } catch { /* skip a torn last line */ }
+    }
+    console.log(`Embedding cache (${model}): ${s.vectors.size} vectors loaded`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Could not read embedding cache:', err?.message || err);
+  }
+
+  stores.set(model, s);
+  return s;
+}
+
+function getCached(model, text) {
+  return getStore(model).vectors.get(textHash(text)) || null;
+}
+
+function putCached(model, text, vec) {
+  const s = getStore(model);
+  const h = textHash(text);
+  if (s.vectors.has(h)) return;
+
+  const f32 = Float32Array.from(vec);
+  s.vectors.set(h, f32);
+  try {
+    appendJsonLine(s.file, { h, v: encode(f32) });
+  } catch (err) {
+    console.warn('Could not persist embedding:', err?.message || err);
+  }
+}
+
+// Embeds every text that isn't cached yet, in batches. embedBatch(texts) -> vectors (same order).
+// Returns the number of new vectors computed.
+async function ensureEmbedded(model, texts, embedBatch, batchSize = 96) {
+  const seen = new Set();
+  const missing = [];
+  for (const t of texts) {
+    const text = (t || '').toString().trim();
+    if (!text) continue;
+    const h = textHash(text);
+    if (seen.has(h) || getStore(model).vectors.has(h)) continue;
+    seen.add(h);
+    missing.push(text);
+  }
+
+  for (let i = 0; i < missing.length; i += batchSize) {
+    const batch = missing.slice(i, i + batchSize);
+    const vectors = await embedBatch(batch);
+    batch.forEach((text, j) => {
+      if (vectors[j]) putCached(model, text, vectors[j]);
+    });
+  }
+  return missing.length;
+}
+
+module.exports = {
+  textHash,
+  getCached,
+  putCached,
+  ensureEmbedded,
+};
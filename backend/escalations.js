@@ -0,0 +1,129 @@
+// backend/escalations.js
+// Host escalation tickets: saved to disk, then pushed to the host through the notifiers.
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./store');
+const { notifyAll } = require('./notifiers');
+
+const TICKETS_FILE = dataPath('escalations.json');
+
+const TICKET_STATUSES = ['open', 'notified', 'notify_failed', 'acknowledged', 'resolved'];
+
+const MAX_MESSAGE_CHARS = 2000;
+const MAX_SNIPPET_TURNS = 10;
+const MAX_TURN_CHARS = 600;
+
+let tickets = null; // lazy-loaded { id: ticket }
+
+function loadTickets() {
+  if (!tickets) tickets = readJson(TICKETS_FILE, {});
+  return tickets;
+}
+
+function saveTickets() {
+  writeJson(TICKETS_FILE, tickets);
+}
+
+function newTicketId() {
+  // short enough to read out on the phone, random enough not to be guessable
+  return `T-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+}
+
+function clean(v, max) {
+  return ((v ?? '') + '').trim().slice(0, max);
+}
+
+// Returns an error string, or null when the body is usable.
+function validateEscalationInput(body) {
+  const { apt, message, contact, conversation } = body || {};
+  if (!clean(apt, 64)) return "Missing 'apt' in request body";
+  if (!clean(message, MAX_MESSAGE_CHARS)) return "Missing 'message' in request body";
+  if (contact !== undefined && (typeof contact !== 'object' || Array.isArray(contact))) {
+    return "'contact' must be an object like { name, phone, email }";
+  }
+  if (conversation !== undefined && !Array.isArray(conversation)) {
+    return "'conversation' must be an array of { role, text }";
+  }
+  return null;
+}
+
+function publicTicketView(t) {
+  return {
+    id: t.id,
+    apt: t.apt,
+    status: t.status,
+    created_at: t.created_at,
+    updated_at: t.updated_at
+  };
+}
+
+async function createTicket({ apt, message, conversation, contact, lang }) {
+  const now = new Date().toISOString();
+  const c = contact || {};
+
+  const ticket = {
+    id: newTicketId(),
+    apt: clean(apt, 64),
+    message: clean(message, MAX_MESSAGE_CHARS),
+    conversation: (conversation || [])
+      .slice(-MAX_SNIPPET_TURNS)
+      .map(turn => ({
+        role: turn?.role === 'bot' ? 'bot' : 'guest',
+        text: clean(turn?.text, MAX_TURN_CHARS)
+      }))
+      .filter(turn => turn.text),
+    contact: {
+      name: clean(c.name, 120),
+      phone: clean(c.phone, 40),
+      email: clean(c.email, 160)
+    },
+    lang: clean(lang, 8) || 'en',
+    status: 'open',
+    notifications: [],
+    notes: [],
+    created_at: now,
+    updated_at: now
+  };
+
+  loadTickets()[ticket.id] = ticket;
+  saveTickets();
+
+  const results = await notifyAll(ticket);
+  ticket.notifications.push(...results);
+  ticket.status = results.some(r => r.ok) ? 'notified' : 'notify_failed';
+  ticket.updated_at = new Date().toISOString();
+  saveTickets();
+
+  return ticket;
+}
+
+function getTicket(id) {
+  return loadTickets()[clean(id, 32)] || null;
+}
+
+function listTickets({ apt, status } = {}) {
+  return Object.values(loadTickets())
+    .filter(t => !apt || t.apt === apt)
+    .filter(t => !status || t.status === status)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+function updateTicketStatus(id, status, note) {
+  const t = getTicket(id);
+  if (!t) return null;
+
+  t.status = status;
+  if (note) t.notes.push({ at: new Date().toISOString(), text: clean(note, 1000) });
+  t.updated_at = new Date().toISOString();
+  saveTickets();
+  return t;
+}
+
+module.exports = {
+  TICKET_STATUSES,
+  validateEscalationInput,
+  publicTicketView,
+  createTicket,
+  getTicket,
+  listTickets,
+  updateTicketStatus,
+};
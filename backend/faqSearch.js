@@ -0,0 +1,139 @@
+// backend/faqSearch.js
+// FAQ lookup: keyword scoring (works without any AI provider) and embedding search over
+// a per-apartment vector index, rebuilt whenever the content changes.
+const content = require('./content');
+const guestAccess = require('./guestAccess');
+const embeddingStore = require('./embeddingStore');
+const { createVectorIndex } = require('./vectorIndex');
+const { AI, EMBEDDING_MODEL_ID, getEmbeddings, getEmbedding } = require('./ai');
+const { norm, isOpeningHoursQuestion } = require('./intents');
+
+// -------------------------------
+// Keyword FAQ match (works even when OpenAI blocked)
+// -------------------------------
+function keywordFaqMatch(allFaqs, message, minScore = 18) {
+  const msg = norm(message);
+  const tokens = msg.split(' ').filter(t => t.length >= 3);
+
+  let best = null;
+
+  for (const f of (allFaqs || [])) {
+    const q = norm(f.question || '');
+    const a = norm(f.answer || '');
+    if (!q && !a) continue;
+
+    let score = 0;
+
+    // strong signals
+    if (q && msg.includes(q)) score += 80 + q.length;
+    if (a && msg.includes(a)) score += 10;
+
+    // token overlap with question text
+    const hits = tokens.filter(t => q.includes(t)).length;
+    score += hits * 6;
+
+    // hours/open-late boost
+    if (isOpeningHoursQuestion(message) && (q.includes('open') || q.includes('hour') || q.includes('late') || q.includes('supermarket'))) {
+      score += 15;
+    }
+
+    if (!best || score > best.score) {
+      best = { score, faq: f };
+    }
+  }
+
+  // threshold to avoid random matches
+  if (best && best.score >= minScore) return best;
+  return null;
+}
+
+// -------------------------------
+// Embedding match
+// -------------------------------
+const GLOBAL_PARTITION = '*';
+const faqIndex = createVectorIndex();
+
+function indexFaqPartition(key, faqs) {
+  faqIndex.setPartition(key, (faqs || [])
+    .filter(guestAccess.isServable)
+    .map(f => ({ item: f, vector: embeddingStore.getCached(EMBEDDING_MODEL_ID, f.question) })));
+}
+
+function rebuildFaqIndex() {
+  faqIndex.clear();
+  for (const [apt, faqs] of Object.entries(content.getFaqData())) indexFaqPartition(apt, faqs);
+  indexFaqPartition(GLOBAL_PARTITION, content.getGlobalFaqs());
+}
+
+function faqQuestions(faqs) {
+  return (faqs || []).filter(guestAccess.isServable).map(f => (f.question || '').trim()).filter(Boolean);
+}
+
+// Embeds every FAQ question missing from the persistent cache (batched), then re-indexes.
+async function warmFaqEmbeddings() {
+  if (!AI.embeddings.isConfigured()) return;
+
+  const texts = [...Object.values(content.getFaqData()).flatMap(faqQuestions), ...faqQuestions(content.getGlobalFaqs())];
+  try {
+    const t0 = Date.now();
+    const added = await embeddingStore.ensureEmbedded(EMBEDDING_MODEL_ID, texts, getEmbeddings);
+    if (added) console.log(`FAQ embeddings: ${added} new vectors in ${Date.now() - t0} ms`);
+  } catch (e) {
+    console.warn('[FAQ embedding warm-up failed]', e?._openai || e?.message || e);
+  }
+  rebuildFaqIndex();
+}
+
+async function findBestMatches(aptId, userMessage, topK = 5) {
+  // host_only rows never take part; guest rows are gated by the caller
+  const aptFaqs = content.getFaqsForApt(aptId);
+  const texts = [...faqQuestions(aptFaqs), ...faqQuestions(content.getGlobalFaqs())];
+  if (texts.length === 0) return { topMatches: [] };
+
+  let userEmb = null;
+  try {
+    userEmb = await getEmbedding(userMessage);
+  } catch (e) {
+    console.warn('[Embeddings disabled for this request]', e?._openai || e?.message || e);
+    return { topMatches: [], _embeddings_error: e?._openai || e?.message || String(e) };
+  }
+
+  // Asked before the background warm-up reached this apartment: embed its FAQs now (one batch)
+  try {
+    const added = await embeddingStore.ensureEmbedded(EMBEDDING_MODEL_ID, texts, getEmbeddings);
+    if (added) {
+      indexFaqPartition(aptId, aptFaqs);
+      indexFaqPartition(GLOBAL_PARTITION, content.getGlobalFaqs());
+    }
+  } catch (e) {
+    console.warn('[FAQ embeddings incomplete]', e?._openai || e?.message || e);
+  }
+
+  const hits = faqIndex.search(userEmb, [aptId, GLOBAL_PARTITION], topK);
+  return {
+    topMatches: hits.map(h => ({
+      question: h.item.question || '',
+      answer: h.item.answer || '',
+      visibility: h.item.visibility || '',
+      translations: h.item.translations || {},
+      _score: h.score
+    }))
+  };
+}
+
+// cached vectors are usable straight away; new/changed questions get embedded in the background
+content.onContentChange(() => {
+  rebuildFaqIndex();
+  warmFaqEmbeddings();
+});
+
+function indexStats() {
+  return faqIndex.stats();
+}
+
+module.exports = {
+  keywordFaqMatch,
+  findBestMatches,
+  warmFaqEmbeddings,
+  indexStats,
+};
@@ -0,0 +1,105 @@
+// backend/feedback.js
+// Guest 👍/👎 on bot replies, one per message (a second vote replaces the first), saved in
+// DATA_DIR/feedback.json. The conversation log is the source of truth for what was answered;
+// what the client sends (source, score, faq) is only used when the message is not in the log.
+const { dataPath, readJson, writeJson } = require('./store');
+const conversationLog = require('./conversationLog');
+
+const FEEDBACK_FILE = dataPath('feedback.json');
+
+const RATINGS = ['up', 'down'];
+const MAX_COMMENT_CHARS = 1000;
+
+let feedback = null; // lazy-loaded { message_id: item }
+
+function loadFeedback() {
+  if (!feedback) feedback = readJson(FEEDBACK_FILE, {});
+  return feedback;
+}
+
+function clean(v, max) {
+  return ((v ?? '') + '').trim().slice(0, max);
+}
+
+function toScore(v) {
+  const n = typeof v === 'number' ? v : parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Returns an error string, or null when the body is usable.
+function validateFeedbackInput(body) {
+  const { message_id, rating, comment } = body || {};
+  if (!clean(message_id, 100)) return "Missing 'message_id' in request body";
+  if (!RATINGS.includes(rating)) return "'rating' must be 'up' or 'down'";
+  if (comment !== undefined && typeof comment !== 'string') return "'comment' must be a string";
+  return null;
+}
+
+// Returns the saved item, or null when the message belongs to another apartment.
+function recordFeedback({ apt, message_id, rating, comment, source, score, faq }) {
+  const id = clean(message_id, 100);
+  const logged = conversationLog.findExchange(id);
+  if (logged && logged.apt !== apt) return null;
+
+  const all = loadFeedback();
+  const now = new Date().toISOString();
+  const previous = all[id];
+  if (previous && previous.apt !== apt) return null;
+  const item = {
+    message_id: id,
+    apt,
+    rating,
+    comment: comment !== undefined ? clean(comment, MAX_COMMENT_CHARS) : (previous?.comment || ''),
+    source: logged ? logged.source : clean(source, 64) || null,
+    score: logged ? logged.score : toScore(score),
+    faq: logged ? logged.faq : clean(faq, 500) || null,
+    message: logged?.message || null,
+    reply: logged?.reply || null,
+    lang: logged?.lang || null,
+    logged: !!logged,
+    created_at: previous?.created_at || now,
+    updated_at: now
+  };
+
+  all[id] = item;
+  writeJson(FEEDBACK_FILE, all);
+  return item;
+}
+
+// Newest first
+function listFeedback({ since, apt, rating } = {}) {
+  const from = since ? new Date(since).toISOString() : '';
+  return Object.values(loadFeedback())
+    .filter(f => f.updated_at >= from)
+    .filter(f => !apt || f.apt === apt)
+    .filter(f => !rating || f.rating === rating)
+    .sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1));
+}
+
+// One group per FAQ (answers not from a FAQ are grouped by source), most 👎 first:
+// { faq, source, apts, up, down, total, comments: [{ comment, message, reply, apt, at }], lastAt }
+function groupByFaq(items) {
+  const groups = new Map();
+  for (const f of items) {
+    const key = f.faq ? `faq:${f.faq.trim().toLowerCase()}` : `source:${f.source || 'unknown'}`;
+    let g = groups.get(key);
+    if (!g) {
+      g = { faq: f.faq || null, source: f.source || null, apts: [], up: 0, down: 0, total: 0, comments: [], lastAt: f.updated_at };
+      groups.set(key, g);
+    }
+    g[f.rating]++;
+    g.total++;
+    if (!g.apts.includes(f.apt)) g.apts.push(f.apt);
+    if (f.rating === 'down') g.comments.push({ comment: f.comment, message: f.message, reply: f.reply, apt: f.apt, at: f.updated_at });
+    if (f.updated_at > g.lastAt) g.lastAt = f.updated_at;
+  }
+  return [...groups.values()].sort((a, b) => b.down - a.down || (b.down / b.total) - (a.down / a.total));
+}
+
+module.exports = {
+  RATINGS,
+  validateFeedbackInput,
+  recordFeedback,
+  listFeedback,
+  groupByFaq,
+};
@@ -0,0 +1,134 @@
+// backend/guestAccess.js
+// FAQ visibility levels + guest verification.
+//   public    -> anyone with the apartment link
+//   guest     -> only verified guests (booking reference or signed guest token)
+//   host_only -> never served through the guest API
+const crypto = require('crypto');
+const { signPayload, readPayload, hasValidSignature, safeEqual } = require('./signing');
+
+// the words accepted in the FAQs `visibility` column, per level
+const VISIBILITY_WORDS = {
+  public: ['public', 'everyone', 'all'],
+  guest: ['guest', 'guests', 'private', 'verified'],
+  host_only: ['host_only', 'host', 'internal', 'hidden'],
+};
+
+const GUEST_TOKEN_SECRET = process.env.GUEST_TOKEN_SECRET || '';
+const GUEST_TOKEN_TTL_HOURS = parseFloat(process.env.GUEST_TOKEN_TTL_HOURS || '72');
+const DEFAULT_FAQ_VISIBILITY = normaliseVisibility(process.env.DEFAULT_FAQ_VISIBILITY || 'public');
+
+if (!GUEST_TOKEN_SECRET) {
+  console.error('Warning: Missing GUEST_TOKEN_SECRET in .env - guest-only FAQs cannot be unlocked.');
+}
+
+function visibilityWord(v) {
+  return ((v ?? '') + '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+function visibilityLevel(word) {
+  return Object.keys(VISIBILITY_WORDS).find(level => VISIBILITY_WORDS[level].includes(word)) || null;
+}
+
+function normaliseVisibility(v) {
+  const s = visibilityWord(v);
+  if (!s) return null;
+  // unknown labels fail closed to the middle level rather than leaking to the public
+  return visibilityLevel(s) || 'guest';
+}
+
+// False for a label normaliseVisibility() does not know (and treats as 'guest'); blank is known
+function isKnownVisibility(v) {
+  const s = visibilityWord(v);
+  return !s || !!visibilityLevel(s);
+}
+
+function faqVisibility(faq) {
+  return normaliseVisibility(faq?.visibility) || DEFAULT_FAQ_VISIBILITY || 'public';
+}
+
+// Can this FAQ ever be served to a guest (verified or not)?
+function isServable(faq) {
+  return faqVisibility(faq) !== 'host_only';
+}
+
+// access: 'public' | 'guest'
+function canSee(faq, access) {
+  const v = faqVisibility(faq);
+  if (v === 'public') return true;
+  if (v === 'guest') return access === 'guest';
+  return false;
+}
+
+// -------------------------------
+// Signed guest tokens (see signing.js)
+// -------------------------------
+// extra: more payload fields, e.g. { bk: reservation id } for a linked booking (bookings/)
+function signGuestToken(apt, ttlHours = GUEST_TOKEN_TTL_HOURS, extra = {}) {
+  if (!GUEST_TOKEN_SECRET) throw new Error('GUEST_TOKEN_SECRET not set');
+
+  const exp = Math.floor(Date.now() / 1000 + ttlHours * 3600);
+  const token = signPayload({ ...extra, typ: 'guest', apt, exp }, GUEST_TOKEN_SECRET);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// Returns the payload when the token is valid for this apartment, else null.
+function verifyGuestToken(token, apt) {
+  if (!hasValidSignature(token, GUEST_TOKEN_SECRET)) return null;
+
+  const payload = readPayload(token);
+  if (payload?.typ !== 'guest' || payload.apt !== apt) return null;
+  if (!payload.exp || Date.now() / 1000 > payload.exp) return null;
+  return payload;
+}
+
+// -------------------------------
+// Requester tokens: the service requests a browser made (services.js)
+// -------------------------------
+// Issued with the first service request, around a server-made id rather than the client's session
+// id, and sent back with later requests and chat messages. They unlock nothing else.
+function signRequesterToken(apt, requester = crypto.randomBytes(12).toString('base64url')) {
+  if (!GUEST_TOKEN_SECRET) return null;
+  return { token: signPayload({ typ: 'requester', apt, rid: requester }, GUEST_TOKEN_SECRET), requester };
+}
+
+// The requester id when the token is valid for this apartment, else null
+function verifyRequesterToken(token, apt) {
+  if (!hasValidSignature(token, GUEST_TOKEN_SECRET)) return null;
+
+  const payload = readPayload(token);
+  if (payload?.typ !== 'requester' || payload.apt !== apt || !payload.rid) return null;
+  return String(payload.rid);
+}
+
+// -------------------------------
+// Booking reference check (Apartments sheet column "booking_ref", comma-separated)
+// -------------------------------
+function normaliseRef(s) {
+  return ((s ?? '') + '').trim().toUpperCase().replace(/[\s-]+/g, '');
+}
+
+function bookingRefMatches(aptRow, provided) {
+  const given = normaliseRef(provided);
+  if (!aptRow || !given) return false;
+
+  const refs = ((aptRow.booking_ref || '') + '').split(',').map(normaliseRef).filter(Boolean);
+  return refs.some(ref => safeEqual(ref, given));
+}
+
+function resolveAccess(apt, guestToken) {
+  return verifyGuestToken(guestToken, apt) ? 'guest' : 'public';
+}
+
+module.exports = {
+  normaliseVisibility,
+  isKnownVisibility,
+  faqVisibility,
+  isServable,
+  canSee,
+  signGuestToken,
+  verifyGuestToken,
+  signRequesterToken,
+  verifyRequesterToken,
+  bookingRefMatches,
+  resolveAccess,
+};
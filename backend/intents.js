@@ -0,0 +1,692 @@
+// backend/intents.js
+// Rule-based intent detection on the guest's message, in every language the chat offers
+// (en si ta es ru it zh de pl fr hi pt ar). Each intent has a keyword table per language;
+// norm() folds case, accents and Arabic vowel marks the same way for messages and keywords, so
+// "supermarché" also matches "supermarche" and a table entry is written once.
+// A keyword matches at the start of a word ("restaurants", Tamil "கடைக்கு"; "great" is not
+// "eat"). In Chinese, written without spaces, and Arabic, where "the"/"to" attach to the word,
+// it matches anywhere.
+const { getLocalGuide } = require('./content');
+
+// Lowercase letters (any script) and digits, single spaces. Latin accents, Arabic harakat and
+// zero-width joiners are dropped, so both the message and the keywords compare the same way.
+function norm(s) {
+  return (s || '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '')
+    .replace(/[\u200b-\u200d\ufeff]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const MATCH_ANYWHERE = /[\p{Script=Han}\p{Script=Arabic}]/u;
+
+// Position of the first match of term in the normalised message, or -1
+function findTerm(s, term) {
+  if (MATCH_ANYWHERE.test(term)) return s.indexOf(term);
+  return ` ${s}`.indexOf(` ${term}`);
+}
+
+// { en: [...], de: [...] } -> normalised keywords of every language
+function terms(byLang) {
+  return [...new Set(Object.values(byLang).flat().map(norm).filter(Boolean))];
+}
+
+function hasAny(s, list) {
+  return list.some(term => findTerm(s, term) >= 0);
+}
+
+// -------------------------------
+// Keyword tables
+// -------------------------------
+const DIRECTIONS = terms({
+  en: ['how do i get', 'how to get', 'directions', 'route to', 'get to', 'go to', 'how can i get', 'how can i go', 'how do we get', 'how do we go', 'way to'],
+  de: ['wie komme ich', 'wie kommen wir', 'wie kommt man', 'wegbeschreibung', 'weg zum', 'weg zur', 'route zum', 'route zur'],
+  fr: ['comment aller', 'comment se rendre', 'comment je vais', 'itinéraire', 'chemin pour'],
+  es: ['cómo llego', 'cómo llegar', 'cómo voy', 'cómo ir', 'indicaciones', 'direcciones', 'ruta a', 'ruta hacia'],
+  it: ['come arrivo', 'come arrivare', 'come si arriva', 'come andare', 'indicazioni', 'percorso per'],
+  pt: ['como chego', 'como chegar', 'como vou', 'como ir', 'direções', 'caminho para', 'rota para'],
+  pl: ['jak dojść', 'jak dojechać', 'jak się dostać', 'jak trafić', 'wskazówki dojazdu', 'droga do'],
+  ru: ['как добраться', 'как пройти', 'как доехать', 'как дойти', 'маршрут', 'дорога до'],
+  si: ['යන්නේ කොහොමද', 'යන්න කොහොමද', 'යන්නෙ කොහොමද', 'පාර කියන්න', 'යන පාර'],
+  ta: ['எப்படி செல்வது', 'எப்படி போவது', 'எப்படி போக', 'எப்படி செல்ல', 'வழி சொல்', 'வழிகாட்டு'],
+  zh: ['怎么去', '怎么走', '如何去', '如何到', '怎样去', '路线'],
+  hi: ['कैसे जाएं', 'कैसे जाऊं', 'कैसे जाऊँ', 'कैसे पहुंच', 'कैसे पहुँच', 'रास्ता'],
+  ar: ['كيف أصل', 'كيف أذهب', 'الطريق إلى', 'اتجاهات'],
+});
+
+const OPENING_HOURS = terms({
+  en: ['open late', 'open now', 'opening hours', 'opening hour', 'hours', 'closing', 'close at', 'closes at', 'until when', 'till when'],
+  de: ['öffnungszeiten', 'geöffnet', 'offen', 'hat auf', 'schließt', 'bis wann'],
+  fr: ['horaires', "heures d'ouverture", 'ouvert', 'ferme à', 'ferme quand', "jusqu'à quelle heure", "jusqu'à quand"],
+  es: ['horario', 'abiert', 'abre', 'cierra', 'hasta qué hora', 'hasta cuándo'],
+  it: ['orari', 'orario', 'apert', 'chiude', 'fino a che ora', 'fino a quando'],
+  pt: ['horário', 'abert', 'abre', 'que horas fecha', 'fecha às', 'até que horas', 'até quando'],
+  pl: ['godziny otwarcia', 'otwart', 'czynn', 'zamykają', 'do której'],
+  ru: ['часы работы', 'открыт', 'закрыва', 'до скольки', 'во сколько'],
+  si: ['විවෘත', 'වහන්නේ', 'වසන්නේ', 'ඇරලා'],
+  ta: ['திறந்திருக்கும்', 'திறந்து', 'திறக்கும்', 'மூடும்', 'மூடப்படும்', 'வேலை நேரம்'],
+  zh: ['营业', '开到几点', '几点关门', '几点开门', '开门', '关门'],
+  hi: ['खुला', 'खुली', 'खुलता', 'खुलती', 'बंद होता', 'बंद होती', 'कब तक', 'कितने बजे'],
+  ar: ['ساعات العمل', 'مفتوح', 'يفتح', 'يغلق', 'تغلق', 'حتى متى'],
+});
+
+// Plain "open" (the other languages' words for it are in OPENING_HOURS already)
+const OPEN = terms({
+  en: ['open'],
+});
+
+// "now"/"today" - with an opening-hours word: "what's open now?"
+const NOW = terms({
+  en: ['now', 'right now', 'currently', 'at the moment', 'still', 'today', 'tonight'],
+  de: ['jetzt', 'gerade', 'noch', 'heute', 'momentan'],
+  fr: ['maintenant', 'en ce moment', 'encore', "aujourd'hui", 'ce soir'],
+  es: ['ahora', 'todavía', 'hoy', 'en este momento', 'esta noche'],
+  it: ['adesso', 'ora', 'ancora', 'oggi', 'in questo momento', 'stasera'],
+  pt: ['agora', 'ainda', 'hoje', 'neste momento', 'esta noite'],
+  pl: ['teraz', 'jeszcze', 'dzisiaj', 'dziś', 'w tej chwili'],
+  ru: ['сейчас', 'еще', 'сегодня'],
+  si: ['දැන්', 'අද'],
+  ta: ['இப்போது', 'இன்று'],
+  zh: ['现在', '目前', '今天', '今晚'],
+  hi: ['अभी', 'आज'],
+  ar: ['الآن', 'اليوم', 'حاليا'],
+});
+
+// "late"/"at night" - with an opening-hours word: "anything open late tonight?"
+const LATE = terms({
+  en: ['late', 'midnight', '24 hours', '24h'],
+  de: ['spät', 'lange', 'nachts', 'mitternacht', '24 stunden'],
+  fr: ['tard', 'la nuit', 'minuit', '24h'],
+  es: ['tarde', 'de noche', 'por la noche', 'medianoche', '24 horas'],
+  it: ['tardi', 'di notte', 'mezzanotte', '24 ore'],
+  pt: ['tarde', 'de noite', 'à noite', 'meia-noite', '24 horas'],
+  pl: ['późn', 'w nocy', 'nocą', 'północy', 'całą dobę'],
+  ru: ['допоздна', 'поздно', 'ночью', 'круглосуточно'],
+  si: ['රෑ', 'රාත්‍රී'],
+  ta: ['இரவு', 'தாமதமாக'],
+  zh: ['晚上', '深夜', '很晚', '24小时'],
+  hi: ['देर रात', 'रात को', 'रात में', 'रात'],
+  ar: ['متأخر', 'الليل', 'ليلا', 'منتصف الليل'],
+});
+
+// "nearest"/"closest" in each language; with a category word it asks for the nearest_list
+const NEAREST = terms({
+  en: ['nearest', 'closest'],
+  de: ['nächste', 'nächsten', 'nächstgelegene', 'am nächsten'],
+  fr: ['le plus proche', 'la plus proche', 'plus proche'],
+  es: ['más cercano', 'más cercana'],
+  it: ['più vicino', 'più vicina'],
+  pt: ['mais próximo', 'mais próxima', 'mais perto'],
+  pl: ['najbliższy', 'najbliższa', 'najbliższe', 'najbliżej'],
+  ru: ['ближайш'],
+  si: ['ළඟම', 'ලඟම', 'කිට්ටුම'],
+  ta: ['மிக அருகில்', 'அருகாமையிலுள்ள'],
+  zh: ['最近的', '离这最近', '离这里最近'],
+  hi: ['सबसे नज़दीकी', 'सबसे नजदीकी', 'सबसे करीबी', 'सबसे पास'],
+  ar: ['أقرب'],
+});
+
+// LocalGuide category, Google Places type and the English labels used in replies
+const CATEGORIES = [
+  {
+    category: 'supermarket', type: 'supermarket', label: 'supermarket', plural: 'supermarkets',
+    words: terms({
+      en: ['supermarket', 'grocery', 'groceries'],
+      de: ['supermarkt', 'lebensmittel'],
+      fr: ['supermarché', 'épicerie', 'supérette'],
+      es: ['supermercado', 'tienda de comestibles'],
+      it: ['supermercato', 'alimentari'],
+      pt: ['supermercado', 'mercearia'],
+      pl: ['sklep', 'spożywcz'],
+      ru: ['супермаркет', 'продуктов', 'магазин'],
+      si: ['සුපර් මාකට්', 'සුපර්මාකට්', 'සුපර් මාර්කට්', 'කඩේ', 'කඩය', 'කඩයක්', 'කඩවල්'],
+      ta: ['சூப்பர் மார்க்கெட்', 'சூப்பர்மார்க்கெட்', 'பல்பொருள் அங்காடி', 'மளிகை'],
+      zh: ['超市', '杂货店', '便利店'],
+      hi: ['सुपरमार्केट', 'किराना', 'राशन'],
+      ar: ['سوبر ماركت', 'سوبرماركت', 'بقالة'],
+    })
+  },
+  {
+    category: 'atm', type: 'atm', label: 'ATM', plural: 'ATMs',
+    words: terms({
+      en: ['atm', 'cash machine', 'cash'],
+      de: ['geldautomat', 'bankautomat', 'bargeld'],
+      fr: ['distributeur', 'guichet automatique', "retirer de l'argent"],
+      es: ['cajero', 'efectivo'],
+      it: ['bancomat', 'sportello automatico', 'contanti'],
+      pt: ['caixa eletrônico', 'multibanco', 'dinheiro'],
+      pl: ['bankomat', 'gotówk'],
+      ru: ['банкомат', 'наличны'],
+      si: ['ඒටීඑම්', 'සල්ලි ගන්න', 'මුදල් ගන්න'],
+      ta: ['ஏடிஎம்', 'பணம் எடுக்க'],
+      zh: ['取款机', '提款机', '取钱'],
+      hi: ['एटीएम', 'नकद', 'कैश'],
+      ar: ['صراف'],
+    })
+  },
+  {
+    category: 'pharmacy', type: 'pharmacy', label: 'pharmacy', plural: 'pharmacies',
+    words: terms({
+      en: ['pharmacy', 'pharmacies', 'chemist', 'medicine'],
+      de: ['apotheke', 'medikament'],
+      fr: ['pharmacie', 'médicament'],
+      es: ['farmacia', 'medicina', 'medicamento'],
+      it: ['farmacia', 'medicin'],
+      pt: ['farmácia', 'remédio', 'medicamento'],
+      pl: ['aptek', 'leki'],
+      ru: ['аптек', 'лекарств'],
+      si: ['ෆාමසි', 'බෙහෙත්'],
+      ta: ['மருந்தகம்', 'மருந்து'],
+      zh: ['药店', '药房', '买药'],
+      hi: ['फार्मेसी', 'दवा', 'दवाई', 'केमिस्ट'],
+      ar: ['صيدلية', 'دواء'],
+    })
+  },
+  {
+    category: 'cafe', type: 'cafe', label: 'café', plural: 'cafés',
+    words: terms({
+      en: ['cafe', 'coffee'],
+      de: ['kaffee'],
+      fr: ['café'],
+      es: ['cafetería'],
+      it: ['caffè', 'caffetteria'],
+      pt: ['cafeteria'],
+      pl: ['kawiarni', 'kawa', 'kawy', 'kawę'],
+      ru: ['кафе', 'кофе', 'кофейн'],
+      si: ['කෝපි', 'කැෆේ'],
+      ta: ['காபி', 'கஃபே'],
+      zh: ['咖啡'],
+      hi: ['कॉफी', 'कॉफ़ी', 'कैफे'],
+      ar: ['مقهى', 'قهوة', 'كافيه'],
+    })
+  },
+  {
+    category: 'restaurant', type: 'restaurant', label: 'restaurant', plural: 'restaurants',
+    nearestPhrases: terms({ en: ['eat nearby'] }),
+    words: terms({
+      en: ['restaurant', 'eat', 'dinner', 'lunch', 'breakfast'],
+      de: ['restaurant', 'essen', 'abendessen', 'mittagessen', 'frühstück'],
+      fr: ['restaurant', 'manger', 'dîner', 'déjeuner'],
+      es: ['restaurante', 'dónde comer', 'para comer', 'cena', 'almuerzo', 'desayuno'],
+      it: ['ristorant', 'mangiare', 'cena', 'pranzo', 'colazione'],
+      pt: ['restaurante', 'onde comer', 'para comer', 'jantar', 'almoço', 'café da manhã'],
+      pl: ['restauracj', 'jedzeni', 'zjeść', 'obiad', 'kolacj', 'śniadani'],
+      ru: ['ресторан', 'поесть', 'поужинать', 'пообедать', 'завтрак', 'ужин', 'обед'],
+      si: ['අවන්හල', 'රෙස්ටුරන්ට්', 'කෑම', 'කන්න'],
+      ta: ['உணவகம்', 'ஹோட்டல்', 'சாப்பிட', 'உணவு'],
+      zh: ['餐厅', '饭店', '餐馆', '吃饭'],
+      hi: ['रेस्टोरेंट', 'रेस्तरां', 'खाना', 'खाने'],
+      ar: ['مطعم', 'مطاعم', 'طعام', 'عشاء', 'غداء', 'فطور'],
+    })
+  },
+  {
+    category: 'attraction', type: 'tourist_attraction', label: 'attraction', plural: 'attractions',
+    nearestPhrases: terms({ en: ['things to do nearby', 'nearby attractions'] }),
+    words: terms({
+      en: ['attraction', 'things to do', 'tourist', 'visit', 'sightseeing'],
+      de: ['sehenswürdigkeit', 'ausflug', 'besichtigen'],
+      fr: ['attraction', 'à voir', 'à visiter', 'visiter', 'touristique'],
+      es: ['atracción', 'atracciones', 'turístic', 'visitar', 'qué hacer', 'qué ver'],
+      it: ['attrazion', 'turistic', 'visitare', 'cosa fare', 'cosa vedere'],
+      pt: ['atração', 'atrações', 'turístic', 'visitar', 'o que fazer'],
+      pl: ['atrakcj', 'zwiedz', 'turystyczn', 'co robić'],
+      ru: ['достопримечательност', 'экскурси', 'посетить', 'что посмотреть'],
+      si: ['සංචාරක', 'නැරඹ', 'බලන්න යන්න'],
+      ta: ['சுற்றுலா', 'பார்க்க வேண்டிய', 'பார்வையிட'],
+      zh: ['景点', '旅游', '好玩', '参观'],
+      hi: ['घूमने', 'पर्यटन', 'देखने लायक', 'दर्शनीय'],
+      ar: ['معالم', 'سياحي', 'زيارة'],
+    })
+  },
+];
+
+// Questions about the apartment itself, answered from the Apartments row (apartmentProfile.js)
+const APARTMENT_FACTS = [
+  {
+    fact: 'check_in',
+    words: terms({
+      en: ['check in', 'checkin', 'arrival time', 'time can we arrive', 'time can i arrive'],
+      de: ['einchecken', 'anreise', 'ankunftszeit'],
+      fr: ['arrivée', 'enregistrement'],
+      es: ['llegada', 'registro de entrada', 'entrada al apartamento'],
+      it: ['arrivo'],
+      pt: ['chegada'],
+      pl: ['zameldowanie', 'zameldować', 'przyjazd'],
+      ru: ['заселен', 'заезд', 'чек ин'],
+      si: ['චෙක් ඉන්', 'පැමිණිය හැක්කේ'],
+      ta: ['செக் இன்', 'வருகை நேரம்'],
+      zh: ['入住'],
+      hi: ['चेक इन', 'चेक-इन'],
+      ar: ['تسجيل الدخول', 'موعد الوصول'],
+    })
+  },
+  {
+    fact: 'check_out',
+    words: terms({
+      en: ['check out', 'checkout', 'departure time', 'leave the apartment', 'late check out'],
+      de: ['auschecken', 'abreise'],
+      fr: ['départ', "quitter l'appartement"],
+      es: ['salida', 'dejar el apartamento'],
+      it: ['partenza', "lasciare l'appartamento"],
+      pt: ['saída', 'partida'],
+      pl: ['wymeldowanie', 'wymeldować', 'wyjazd'],
+      ru: ['выселен', 'выезд', 'чек аут'],
+      si: ['චෙක් අවුට්', 'පිටවිය යුත්තේ'],
+      ta: ['செக் அவுட்', 'வெளியேறும் நேரம்'],
+      zh: ['退房'],
+      hi: ['चेक आउट', 'चेक-आउट'],
+      ar: ['تسجيل الخروج', 'موعد المغادرة'],
+    })
+  },
+  {
+    fact: 'wifi',
+    words: terms({
+      en: ['wifi', 'wi fi', 'wireless', 'internet'],
+      de: ['wlan'],
+      es: ['contraseña del wifi'],
+      ru: ['вайфай', 'вай фай', 'интернет'],
+      si: ['වයිෆයි', 'වයි ෆයි', 'අන්තර්ජාල'],
+      ta: ['வைஃபை', 'இணைய'],
+      zh: ['无线网', 'wifi密码', '网络密码'],
+      hi: ['वाईफाई', 'वाई फाई', 'इंटरनेट'],
+      ar: ['واي فاي', 'الإنترنت', 'انترنت'],
+    })
+  },
+  {
+    fact: 'parking',
+    words: terms({
+      en: ['parking', 'park the car', 'park my car', 'park our car', 'car park', 'garage'],
+      de: ['parkplatz', 'parken', 'tiefgarage'],
+      fr: ['parking', 'garer', 'stationnement'],
+      es: ['aparcamiento', 'aparcar', 'estacionamiento', 'estacionar', 'parqueo'],
+      it: ['parcheggi'],
+      pt: ['estacionamento', 'estacionar', 'garagem'],
+      pl: ['parking', 'parkowanie', 'zaparkować'],
+      ru: ['парковк', 'припарковать'],
+      si: ['වාහන නවත්වන්න', 'වාහන නැවැත්වීම', 'පාකින්'],
+      ta: ['வாகன நிறுத்த', 'பார்க்கிங்'],
+      zh: ['停车'],
+      hi: ['पार्किंग'],
+      ar: ['موقف سيارات', 'مواقف', 'ركن السيارة'],
+    })
+  },
+  {
+    fact: 'smoking',
+    words: terms({
+      en: ['smoking', 'can i smoke', 'can we smoke', 'smoke inside', 'smoke on the balcony', 'cigarette', 'vape'],
+      de: ['rauchen', 'raucher', 'zigarette'],
+      fr: ['fumer', 'fumeur', 'cigarette'],
+      es: ['fumar', 'cigarr'],
+      it: ['fumare', 'sigarett'],
+      pt: ['fumar', 'cigarro'],
+      pl: ['palić', 'palenie', 'papieros'],
+      ru: ['курить', 'курени', 'сигарет'],
+      si: ['දුම් බීම', 'දුම් බොන්න', 'සිගරට්'],
+      ta: ['புகைபிடி', 'சிகரெட்'],
+      zh: ['吸烟', '抽烟'],
+      hi: ['धूम्रपान', 'सिगरेट'],
+      ar: ['التدخين', 'تدخين', 'أدخن'],
+    })
+  },
+  {
+    fact: 'pets',
+    words: terms({
+      en: ['pets', 'pet friendly', 'dog', 'my cat', 'our cat', 'cats'],
+      de: ['haustier', 'hund', 'katze'],
+      fr: ['animaux', 'animal de compagnie', 'chien'],
+      es: ['mascota', 'perro', 'gato'],
+      it: ['animali', 'cane', 'gatto'],
+      pt: ['animais', 'animal de estimação', 'cachorro', 'cão', 'gato'],
+      pl: ['zwierz', 'pies', 'psem'],
+      ru: ['животн', 'собак', 'кошк'],
+      si: ['සුරතල්', 'බල්ලා', 'පූසා'],
+      ta: ['செல்லப்பிராணி', 'நாய்', 'பூனை'],
+      zh: ['宠物', '狗', '猫'],
+      hi: ['पालतू', 'कुत्ता', 'बिल्ली'],
+      ar: ['حيوانات', 'حيوان أليف', 'كلب', 'قطة'],
+    })
+  },
+  {
+    fact: 'parties',
+    words: terms({
+      en: ['party', 'parties', 'visitors', 'guests over', 'friends over'],
+      de: ['party', 'partys', 'feiern', 'besucher'],
+      fr: ['fête', 'visiteurs'],
+      es: ['fiesta', 'visitas'],
+      it: ['festa', 'feste', 'visitatori'],
+      pt: ['festa', 'visitas'],
+      pl: ['impreza', 'imprezy', 'imprezę', 'odwiedzający'],
+      ru: ['вечеринк', 'гостей'],
+      si: ['සාද', 'අමුත්තන්'],
+      ta: ['பார்ட்டி', 'விருந்து'],
+      zh: ['派对', '聚会', '访客'],
+      hi: ['पार्टी', 'मेहमान'],
+      ar: ['حفلة', 'حفلات', 'زوار'],
+    })
+  },
+  {
+    fact: 'house_rules',
+    words: terms({
+      en: ['house rules', 'rules', 'quiet hours'],
+      de: ['hausordnung', 'regeln', 'ruhezeiten'],
+      fr: ['règlement', 'règles'],
+      es: ['normas', 'reglas'],
+      it: ['regole', 'regolamento'],
+      pt: ['regras', 'normas'],
+      pl: ['regulamin', 'zasady'],
+      ru: ['правила'],
+      si: ['නීති'],
+      ta: ['விதிகள்'],
+      zh: ['规则', '守则'],
+      hi: ['नियम'],
+      ar: ['قواعد', 'القواعد'],
+    })
+  },
+  {
+    fact: 'host',
+    words: terms({
+      en: ['host', 'owner', 'contact', 'phone number', 'whatsapp'],
+      de: ['gastgeber', 'vermieter', 'kontakt', 'telefonnummer'],
+      fr: ['hôte', 'propriétaire', 'contacter', 'numéro de téléphone'],
+      es: ['anfitrión', 'propietario', 'contacto', 'contactar', 'teléfono'],
+      it: ['proprietario', 'contatto', 'contattare', 'numero di telefono'],
+      pt: ['anfitrião', 'proprietário', 'contato', 'contacto', 'telefone'],
+      pl: ['gospodarz', 'właściciel', 'kontakt', 'numer telefonu'],
+      ru: ['хозяин', 'хозяйк', 'владел', 'контакт', 'номер телефона'],
+      si: ['අයිතිකරු', 'සත්කාරක', 'දුරකථන'],
+      ta: ['உரிமையாளர்', 'தொடர்பு', 'தொலைபேசி'],
+      zh: ['房东', '联系', '电话'],
+      hi: ['मेज़बान', 'मालिक', 'संपर्क', 'फ़ोन नंबर'],
+      ar: ['المضيف', 'المالك', 'رقم الهاتف', 'التواصل'],
+    })
+  },
+  {
+    fact: 'floor',
+    words: terms({
+      en: ['which floor', 'what floor', 'floor number'],
+      de: ['welcher stock', 'welchem stock', 'etage', 'stockwerk'],
+      fr: ['quel étage', 'étage'],
+      es: ['qué piso', 'qué planta'],
+      it: ['che piano', 'quale piano'],
+      pt: ['qual andar', 'que andar'],
+      pl: ['piętro', 'piętrze'],
+      ru: ['этаж'],
+      si: ['මහල'],
+      ta: ['மாடி'],
+      zh: ['几楼', '楼层'],
+      hi: ['मंजिल', 'मंज़िल'],
+      ar: ['الطابق'],
+    })
+  },
+];
+
+// "my booking" / "our check-out": about the guest's own stay (bookings/)
+const MY_STAY = terms({
+  en: ['my booking', 'my reservation', 'our booking', 'our reservation', 'my stay', 'our stay', 'my check', 'our check', 'how many nights', 'when do we leave', 'when do i leave'],
+  de: ['meine buchung', 'unsere buchung', 'meine reservierung', 'unsere reservierung', 'mein aufenthalt', 'unser aufenthalt', 'meine abreise', 'unsere abreise', 'wie viele nächte'],
+  fr: ['ma réservation', 'notre réservation', 'mon séjour', 'notre séjour', 'mon départ', 'notre départ', 'mon arrivée', 'notre arrivée', 'combien de nuits'],
+  es: ['mi reserva', 'nuestra reserva', 'mi estancia', 'nuestra estancia', 'mi salida', 'nuestra salida', 'mi llegada', 'cuántas noches'],
+  it: ['la mia prenotazione', 'nostra prenotazione', 'mio soggiorno', 'nostro soggiorno', 'mia partenza', 'nostra partenza', 'quante notti'],
+  pt: ['minha reserva', 'nossa reserva', 'minha estadia', 'nossa estadia', 'minha saída', 'nossa saída', 'quantas noites'],
+  pl: ['moja rezerwacja', 'nasza rezerwacja', 'mój pobyt', 'nasz pobyt', 'moje wymeldowanie', 'ile nocy'],
+  ru: ['мое бронирование', 'наше бронирование', 'моя бронь', 'наша бронь', 'мой выезд', 'наш выезд', 'сколько ночей'],
+  si: ['මගේ වෙන්කිරීම', 'අපේ වෙන්කිරීම', 'මගේ බුකින්'],
+  ta: ['என் முன்பதிவு', 'எங்கள் முன்பதிவு'],
+  zh: ['我的预订', '我们的预订', '我的退房', '我们的退房', '住几晚'],
+  hi: ['मेरी बुकिंग', 'हमारी बुकिंग', 'मेरा चेक'],
+  ar: ['حجزي', 'حجزنا', 'إقامتي', 'إقامتنا'],
+});
+
+// "late" / "early" next to check-in or check-out: asking to change the time
+const CHANGE_TIME = terms({
+  en: ['late', 'later', 'early', 'earlier', 'extend', 'extra night'],
+  de: ['spät', 'später', 'früh', 'früher', 'verlänger'],
+  fr: ['tard', 'tardif', 'tôt', 'plus tôt', 'prolonger'],
+  es: ['tarde', 'tardío', 'temprano', 'antes', 'extender', 'noche extra'],
+  it: ['tardi', 'tardivo', 'presto', 'anticipato', 'prolungare'],
+  pt: ['tarde', 'tardio', 'cedo', 'antecipado', 'prolongar', 'estender'],
+  pl: ['późn', 'wcześn', 'przedłuż'],
+  ru: ['поздн', 'позже', 'ранн', 'раньше', 'продлить'],
+  si: ['පරක්කු', 'කලින්', 'දීර්ඝ'],
+  ta: ['தாமதம', 'முன்கூட்டியே', 'நீட்டி'],
+  zh: ['晚', '提前', '延迟', '延长'],
+  hi: ['देर', 'जल्दी', 'बढ़ा'],
+  ar: ['متأخر', 'مبكر', 'تأخير', 'تمديد'],
+});
+
+// Services from the Services sheet with these service_ids are recognised in every language; any
+// service also matches its own name and keywords column. `with`: a second word that must appear
+// too, so "How far is the airport?" is not a transfer request.
+const SERVICE_KINDS = [
+  {
+    id: 'airport_transfer',
+    words: terms({
+      en: ['airport'],
+      de: ['flughafen'],
+      fr: ['aéroport'],
+      es: ['aeropuerto'],
+      it: ['aeroporto'],
+      pt: ['aeroporto'],
+      pl: ['lotnisk'],
+      ru: ['аэропорт'],
+      si: ['ගුවන් තොටුපළ', 'එයාපෝට්'],
+      ta: ['விமான நிலைய'],
+      zh: ['机场', '接机', '送机'],
+      hi: ['हवाई अड्डे', 'हवाई अड्डा', 'एयरपोर्ट'],
+      ar: ['المطار'],
+    }),
+    with: terms({
+      en: ['pick up', 'pickup', 'drop', 'transfer', 'taxi', 'cab', 'ride', 'shuttle', 'driver', 'car to', 'collect'],
+      de: ['abhol', 'transfer', 'taxi', 'fahrt', 'bringen', 'shuttle'],
+      fr: ['navette', 'transfert', 'taxi', 'chercher', 'déposer', 'conduire'],
+      es: ['recoger', 'recogida', 'traslado', 'taxi', 'llevar', 'transfer'],
+      it: ['transfer', 'navetta', 'taxi', 'prendere', 'accompagnare', 'passaggio'],
+      pt: ['transfer', 'traslado', 'buscar', 'levar', 'táxi', 'taxi'],
+      pl: ['odbiór', 'odebrać', 'transfer', 'taksówk', 'zawieźć', 'podwieźć'],
+      ru: ['трансфер', 'такси', 'встретить', 'отвезти', 'забрать'],
+      si: ['පික්', 'ටැක්සි', 'ගෙනියන්න', 'ප්‍රවාහන', 'ඩ්‍රොප්'],
+      ta: ['பிக்', 'டாக்ஸி', 'அழைத்து', 'கொண்டு'],
+      zh: ['接机', '送机', '接送', '出租车', '打车'],
+      hi: ['पिकअप', 'टैक्सी', 'छोड़', 'ले जा', 'ड्रॉप'],
+      ar: ['توصيل', 'تاكسي', 'نقل', 'استقبال'],
+    })
+  },
+  {
+    id: 'cleaning',
+    words: terms({
+      en: ['clean', 'housekeeping', 'maid'],
+      de: ['reinigung', 'putzen', 'sauber machen', 'zimmerservice'],
+      fr: ['ménage', 'nettoyage', 'nettoyer'],
+      es: ['limpieza', 'limpiar'],
+      it: ['pulizia', 'pulire', 'pulizie'],
+      pt: ['limpeza', 'limpar', 'faxina'],
+      pl: ['sprzątan', 'sprzątać', 'posprzątać'],
+      ru: ['уборк', 'убрать', 'убраться'],
+      si: ['පිරිසිදු'],
+      ta: ['சுத்தம்'],
+      zh: ['打扫', '清洁', '保洁'],
+      hi: ['सफाई', 'साफ'],
+      ar: ['تنظيف'],
+    })
+  },
+  {
+    id: 'towels',
+    words: terms({
+      en: ['towel'],
+      de: ['handtuch', 'handtücher'],
+      fr: ['serviette'],
+      es: ['toalla'],
+      it: ['asciugaman'],
+      pt: ['toalha'],
+      pl: ['ręcznik'],
+      ru: ['полотенц'],
+      si: ['තුවා'],
+      ta: ['துண்டு'],
+      zh: ['毛巾', '浴巾'],
+      hi: ['तौलिय', 'तौलिए', 'टॉवल'],
+      ar: ['منشفة', 'مناشف'],
+    })
+  },
+];
+
+// "What's the status of my request?" / "Is my transfer confirmed?"
+const SERVICE_STATUS = terms({
+  en: ['status', 'my request', 'my order', 'confirmed', 'any update'],
+  de: ['status', 'meine anfrage', 'meine bestellung', 'bestätigt'],
+  fr: ['statut', 'ma demande', 'ma commande', 'confirmé'],
+  es: ['estado de', 'mi solicitud', 'mi pedido', 'confirmad'],
+  it: ['stato della', 'stato del', 'mia richiesta', 'mio ordine', 'confermat'],
+  pt: ['status', 'meu pedido', 'minha solicitação', 'confirmad'],
+  pl: ['status', 'moje zamówienie', 'moja prośba', 'moje zgłoszenie', 'potwierdzon'],
+  ru: ['статус', 'моя заявка', 'мой заказ', 'подтвержд'],
+  si: ['තත්ත්වය', 'මගේ ඉල්ලීම'],
+  ta: ['நிலை என்ன', 'என் கோரிக்கை'],
+  zh: ['状态', '我的请求', '我的订单', '确认了'],
+  hi: ['स्थिति', 'मेरा अनुरोध', 'स्टेटस'],
+  ar: ['حالة', 'طلبي'],
+});
+
+// The category mentioned first in the message (a longer keyword wins a tie: "café da manhã")
+function findCategory(s) {
+  let best = null;
+  for (const c of CATEGORIES) {
+    for (const term of c.words) {
+      const at = findTerm(s, term);
+      if (at < 0) continue;
+      if (!best || at < best.at || (at === best.at && term.length > best.term.length)) best = { c, at, term };
+    }
+  }
+  return best?.c || null;
+}
+
+// -------------------------------
+// Intents
+// -------------------------------
+function isDirectionsQuestion(message) {
+  return hasAny(norm(message), DIRECTIONS);
+}
+
+// opening-hours intent (so FAQ should win)
+function isOpeningHoursQuestion(message) {
+  return hasAny(norm(message), OPENING_HOURS);
+}
+
+// "Is the pharmacy open now?" / "Anything open late tonight?" / "What's open near me?"
+//   -> { when: 'now' | 'late', category (LocalGuide, or null for any), label }
+// Without a category it needs "now" or "late" wording, so "check-out hours?" isn't one.
+function detectOpenIntent(message) {
+  const s = norm(message);
+  if (!hasAny(s, OPENING_HOURS) && !hasAny(s, OPEN)) return null;
+
+  const late = hasAny(s, LATE);
+  const now = hasAny(s, NOW) || /^(what s|anything|is anything|is there anything) open/.test(s);
+  const c = findCategory(s);
+  if (!c && !late && !now) return null; // "how do I open the door?"
+
+  return {
+    when: late ? 'late' : 'now',
+    category: c ? mapNearbyTypeToLocalGuideCategory(c.type) : null,
+    label: c ? c.plural : 'places'
+  };
+}
+
+// "What time is check-out?" -> 'check_out' (see apartmentProfile.js), the fact mentioned first
+function detectApartmentFact(message) {
+  const s = norm(message);
+  let best = null;
+  for (const { fact, words } of APARTMENT_FACTS) {
+    for (const term of words) {
+      const at = findTerm(s, term);
+      if (at >= 0 && (!best || at < best.at)) best = { fact, at };
+    }
+  }
+  return best?.fact || null;
+}
+
+// "When is my check-out?" / "Can I get a late check-in?" / "How many nights is my booking?"
+//   -> { topic: 'check_in' | 'check_out' | 'stay', personal, change } or null
+function detectStayIntent(message) {
+  const s = norm(message);
+  const fact = detectApartmentFact(message);
+  const topic = fact === 'check_in' || fact === 'check_out' ? fact : null;
+  const personal = hasAny(s, MY_STAY);
+  if (!topic && !personal) return null;
+  return { topic: topic || 'stay', personal, change: !!topic && hasAny(s, CHANGE_TIME) };
+}
+
+// "Can you arrange an airport pickup?" -> the service from `services` (servicesForApt in
+// services.js) asked for first in the message, or null
+function detectServiceRequest(message, services) {
+  const s = norm(message);
+  let best = null;
+  for (const service of services || []) {
+    const kind = SERVICE_KINDS.find(k => k.id === service.id);
+    if (kind?.with && !hasAny(s, kind.with)) continue;
+    const words = [...(kind?.words || []), norm(service.name), ...(service.keywords || []).map(norm)].filter(Boolean);
+    for (const term of words) {
+      const at = findTerm(s, term);
+      if (at >= 0 && (!best || at < best.at)) best = { service, at };
+    }
+  }
+  return best?.service || null;
+}
+
+function isServiceStatusQuestion(message) {
+  return hasAny(norm(message), SERVICE_STATUS);
+}
+
+// "Where is the nearest supermarket?" -> { category, label }
+function detectNearestCategoryIntent(message) {
+  const s = norm(message);
+
+  const phrase = CATEGORIES.find(c => c.nearestPhrases && hasAny(s, c.nearestPhrases));
+  const c = phrase || (hasAny(s, NEAREST) ? findCategory(s) : null);
+  return c ? { category: c.category, label: c.label } : null;
+}
+
+// "Any restaurants nearby?" -> { type (Google Places), label }, unless it asks the way somewhere
+// or names a LocalGuide place
+function detectNearbyIntent(message) {
+  if (isDirectionsQuestion(message)) return null;
+
+  const msgN = norm(message);
+  const hasNamedPlace = getLocalGuide().some(r => {
+    const n = norm(r.name || '');
+    return n && msgN.includes(n);
+  });
+  if (hasNamedPlace) return null;
+
+  const c = findCategory(msgN);
+  return c ? { type: c.type, label: c.plural } : null;
+}
+
+// Google Places type -> LocalGuide category
+function mapNearbyTypeToLocalGuideCategory(type) {
+  const t = (type || '').toLowerCase();
+  if (t === 'supermarket') return 'Supermarket';
+  if (t === 'atm') return 'ATM';
+  if (t === 'pharmacy') return 'Pharmacy';
+  if (t === 'cafe') return 'Cafe';
+  if (t === 'restaurant') return 'Restaurant';
+  if (t === 'tourist_attraction') return 'Attraction';
+  return null;
+}
+
+module.exports = {
+  norm,
+  isDirectionsQuestion,
+  isOpeningHoursQuestion,
+  detectOpenIntent,
+  detectApartmentFact,
+  detectStayIntent,
+  detectServiceRequest,
+  isServiceStatusQuestion,
+  detectNearestCategoryIntent,
+  detectNearbyIntent,
+  mapNearbyTypeToLocalGuideCategory,
+};
@@ -0,0 +1,132 @@
+// backend/language.js
+// Which language to reply in. The language the guest picked in the chat (sent as `lang` with
+// every message) is combined with a cheap local detector; the LLM is only asked when neither
+// settles it, so "wifi?" or "ok thanks" no longer flip the reply language.
+//   LANGUAGE_POLICY=prefer (default)  the chosen language, unless the message is clearly written
+//                                     in another one (then that one)
+//                   fixed             always the chosen language
+//                   detect            the message's language; the chosen one only when unsure
+// Unsure and nothing chosen: the language of the session's last reply, then the LLM
+// (LANGUAGE_DETECT_LLM=false skips it), then English.
+const { detectLanguage } = require('./ai');
+
+const POLICIES = ['prefer', 'fixed', 'detect'];
+
+// Scripts that identify one language (checked on letters only)
+const SCRIPTS = [
+  ['si', /[඀-෿]/u],
+  ['ta', /[஀-௿]/u],
+  ['hi', /[ऀ-ॿ]/u],
+  ['ar', /[؀-ۿݐ-ݿ]/u],
+  ['ru', /\p{Script=Cyrillic}/u],
+  ['el', /\p{Script=Greek}/u],
+  ['he', /\p{Script=Hebrew}/u],
+  ['th', /\p{Script=Thai}/u],
+  ['ko', /\p{Script=Hangul}/u],
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ['zh', /\p{Script=Han}/u],
+];
+
+// Latin-script languages: common short words, plus letters only that language uses
+const LATIN = {
+  en: {
+    words: 'the is are a an to of in on at for and or what where when how which who can could do does is there any my your it this that with near nearest please thanks thank you have has i we',
+    letters: ''
+  },
+  de: {
+    words: 'der die das ist sind ein eine einen und oder wo wie wann was welche welcher gibt es kann ich wir mein meine bitte danke nicht mit in im am zum zur bis nächste nächsten haben hat',
+    letters: 'äöüß'
+  },
+  fr: {
+    words: 'le la les est sont un une des et ou où quand comment quel quelle quels il y a je nous mon ma mes merci svp pour avec dans au aux du de plus proche puis peut',
+    letters: 'çêëîïôœû'
+  },
+  es: {
+    words: 'el la los las es son un una y o dónde donde cuándo cuando cómo como qué que cuál hay puedo mi mis gracias por favor para con en del más cerca está tiene',
+    letters: 'ñ¿¡'
+  },
+  it: {
+    words: 'il lo la gli le è sono un una e o dove quando come che cosa quale ci posso mio mia grazie per favore con nel della del più vicino vicina c\'è dov\'è',
+    letters: 'ìò'
+  },
+  pt: {
+    words: 'o a os as é são um uma e ou onde quando como que qual há tem posso meu minha obrigado obrigada por favor para com no na do da mais perto',
+    letters: 'ãõ'
+  },
+  pl: {
+    words: 'jest są i lub gdzie kiedy jak co który która czy mogę mój moja dziękuję proszę dla z w na do najbliższy najbliższa jaki jakie',
+    letters: 'ąęłśźżćń'
+  },
+};
+const LATIN_WORDS = Object.fromEntries(Object.entries(LATIN).map(([lang, v]) => [lang, new Set(v.words.split(' '))]));
+
+function policy() {
+  const p = (process.env.LANGUAGE_POLICY || 'prefer').trim().toLowerCase();
+  return POLICIES.includes(p) ? p : 'prefer';
+}
+
+function llmEnabled() {
+  return process.env.LANGUAGE_DETECT_LLM !== 'false';
+}
+
+// 'pt-BR' -> 'pt'; anything that isn't a language code -> null
+function normaliseLang(v) {
+  const m = ((v ?? '') + '').trim().toLowerCase().match(/^([a-z]{2,3})(?:[-_][a-z0-9]{2,8})*$/);
+  return m ? m[1] : null;
+}
+
+// -------------------------------
+// Local detector
+// -------------------------------
+// { lang, confident }: lang is null when nothing points anywhere
+function detectLocal(text) {
+  const s = ((text ?? '') + '').normalize('NFC');
+  const letters = [...s].filter(ch => /\p{L}/u.test(ch));
+  if (!letters.length) return { lang: null, confident: false };
+
+  // a non-Latin script that makes up most of the letters settles it
+  for (const [lang, re] of SCRIPTS) {
+    const n = letters.filter(ch => re.test(ch)).length;
+    if (n && n / letters.length >= 0.5) return { lang, confident: true };
+    if (n) return { lang, confident: false }; // a few words in an otherwise Latin message
+  }
+
+  const words = s.toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = Object.keys(LATIN).map(lang => {
+    let score = words.filter(w => LATIN_WORDS[lang].has(w)).length;
+    for (const ch of new Set(s.toLowerCase())) if (LATIN[lang].letters.includes(ch)) score++;
+    return { lang, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (!best.score) return { lang: null, confident: false };
+  return { lang: best.lang, confident: best.score >= 2 && best.score >= 2 * second.score };
+}
+
+// -------------------------------
+// Policy
+// -------------------------------
+// Returns { lang, via }: via is 'preferred', 'detected', 'session', 'llm' or 'default'
+async function resolveLanguage({ message, preferred, session }) {
+  const chosen = normaliseLang(preferred);
+  const mode = policy();
+  if (mode === 'fixed' && chosen) return { lang: chosen, via: 'preferred' };
+
+  const local = detectLocal(message);
+  if (local.confident) return { lang: local.lang, via: 'detected' };
+
+  const askLlm = async () => ({ lang: normaliseLang(await detectLanguage(message)) || 'en', via: 'llm' });
+  if (mode === 'detect' && llmEnabled()) return askLlm();
+
+  if (chosen) return { lang: chosen, via: 'preferred' };
+  if (session?.lang) return { lang: session.lang, via: 'session' };
+  if (llmEnabled()) return askLlm();
+  return { lang: local.lang || 'en', via: 'default' };
+}
+
+module.exports = {
+  POLICIES,
+  normaliseLang,
+  detectLocal,
+  resolveLanguage,
+};
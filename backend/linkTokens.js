@@ -0,0 +1,102 @@
+// backend/linkTokens.js
+// Signed apartment links (?t=<token>) instead of guessable ?apt=YAKA01 codes.
+//
+// Payload: { apt, kv, iat, from?, to? }
+//   kv       key version used to sign (picked from APT_LINK_KEYS)
+//   from/to  optional stay window (unix seconds); printed QR codes have none
+//
+// Keys: APT_LINK_KEYS="1:long-random-secret,2:another-secret"
+//       APT_LINK_KEY_VERSION=2   (version used for NEW links; default = highest)
+// Rotation: add a new version and make it current, but keep the old one in
+// APT_LINK_KEYS for as long as QR codes signed with it are still on the walls.
+// Removing a version revokes every link signed with it.
+const { signPayload, readPayload, hasValidSignature } = require('./signing');
+
+function parseKeyRing(raw = process.env.APT_LINK_KEYS || '') {
+  const ring = new Map();
+  for (const part of raw.split(',')) {
+    const idx = part.indexOf(':');
+    if (idx <= 0) continue;
+    const kv = parseInt(part.slice(0, idx).trim(), 10);
+    const secret = part.slice(idx + 1).trim();
+    if (Number.isInteger(kv) && kv > 0 && secret) ring.set(kv, secret);
+  }
+  return ring;
+}
+
+function currentKeyVersion(ring = parseKeyRing()) {
+  const wanted = parseInt(process.env.APT_LINK_KEY_VERSION || '', 10);
+  if (ring.has(wanted)) return wanted;
+  return ring.size ? Math.max(...ring.keys()) : null;
+}
+
+function isConfigured() {
+  return parseKeyRing().size > 0;
+}
+
+function toUnixSeconds(v) {
+  if (v === undefined || v === null || v === '') return undefined;
+  const ms = typeof v === 'number' ? v * 1000 : Date.parse(v);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : NaN;
+}
+
+// from/to accept ISO dates ("2026-03-01", "2026-03-01T14:00:00+05:30") or unix seconds.
+function signAptLink(apt, { from, to } = {}) {
+  const ring = parseKeyRing();
+  const kv = currentKeyVersion(ring);
+  if (!kv) throw new Error('APT_LINK_KEYS not set');
+  if (!apt) throw new Error('Missing apartment id');
+
+  const payload = { apt, kv, iat: Math.floor(Date.now() / 1000) };
+  const f = toUnixSeconds(from);
+  const t = toUnixSeconds(to);
+  if (Number.isNaN(f) || Number.isNaN(t)) throw new Error("'from'/'to' must be ISO dates or unix seconds");
+  if (f !== undefined) payload.from = f;
+  if (t !== undefined) payload.to = t;
+  if (f !== undefined && t !== undefined && t <= f) throw new Error("'to' must be after 'from'");
+
+  return { token: signPayload(payload, ring.get(kv)), payload };
+}
+
+function fail(code, status, error) {
+  return { ok: false, code, status, error };
+}
+
+// Returns { ok: true, link } or { ok: false, code, status, error }.
+function verifyAptLink(token, now = Date.now()) {
+  if (!token) return fail('link_missing', 401, 'This page needs a signed apartment link. Please scan the QR code in your apartment.');
+
+  const payload = readPayload(token);
+  if (!payload || typeof payload.apt !== 'string' || !payload.kv) {
+    return fail('link_malformed', 401, 'This apartment link is not valid. Please scan the QR code in your apartment again.');
+  }
+
+  const secret = parseKeyRing().get(payload.kv);
+  if (!secret) {
+    return fail('link_key_retired', 401, 'This apartment link has been retired. Please scan the current QR code in your apartment.');
+  }
+  if (!hasValidSignature(token, secret)) {
+    return fail('link_tampered', 401, 'This apartment link has been altered and cannot be used. Please scan the QR code in your apartment again.');
+  }
+
+  const secs = now / 1000;
+  if (payload.from && secs < payload.from) {
+    return fail('link_not_yet_valid', 403, `This link becomes active on ${new Date(payload.from * 1000).toISOString()}.`);
+  }
+  if (payload.to && secs > payload.to) {
+    return fail('link_expired', 403, 'This apartment link has expired. Please ask your host for a new one.');
+  }
+
+  return {
+    ok: true,
+    link: { apt: payload.apt, kv: payload.kv, from: payload.from || null, to: payload.to || null }
+  };
+}
+
+module.exports = {
+  parseKeyRing,
+  currentKeyVersion,
+  isConfigured,
+  signAptLink,
+  verifyAptLink,
+};
@@ -0,0 +1,289 @@
+// backend/localGuide.js
+// LocalGuide sheet: rows per apartment (plus ALL rows), nearest-first ordering,
+// named place matching and the reply formats. Formats take an optional { at } (the apartment's
+// local time, see openingHours.js) to mark places with opening hours as open or closed.
+// Rows with lat/lng get their distance and walking time computed from each apartment's own
+// coordinates, so an ALL row is right for every building; other rows keep the typed `distance`.
+const { getLocalGuide, getApartmentById } = require('./content');
+const { norm, isDirectionsQuestion, isOpeningHoursQuestion } = require('./intents');
+const { openStatus, describeStatus } = require('./openingHours');
+
+function normaliseCategory(s) {
+  return (s || '')
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ''); // removes spaces, hyphens, punctuation
+}
+
+function distanceToMetres(distanceStr) {
+  const s = (distanceStr || '').toString().trim().toLowerCase();
+  if (!s) return Number.POSITIVE_INFINITY;
+
+  const km = s.match(/([\d.]+)\s*km/);
+  if (km) return parseFloat(km[1]) * 1000;
+
+  const m = s.match(/([\d.]+)\s*m\b/);
+  if (m) return parseFloat(m[1]);
+
+  const mins = s.match(/([\d.]+)\s*(min|mins|minute|minutes)\b/);
+  if (mins) return parseFloat(mins[1]) * 80;
+
+  const num = s.match(/([\d.]+)/);
+  if (num) return parseFloat(num[1]);
+
+  return Number.POSITIVE_INFINITY;
+}
+
+function toNumber(v, fallback = Number.POSITIVE_INFINITY) {
+  const s = String(v ?? '').trim();
+  const n = Number(s);
+  return s && Number.isFinite(n) ? n : fallback;
+}
+
+// -------------------------------
+// Distances from coordinates
+// -------------------------------
+const WALK_METRES_PER_MIN = 80;
+const WALK_DETOUR = 1.3; // streets are longer than the straight line
+const MAX_WALK_MINS = 60; // further than this, only the distance is shown
+
+function coords(row) {
+  const lat = toNumber(row?.lat, NaN);
+  const lng = toNumber(row?.lng, NaN);
+  return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+}
+
+// Great-circle distance in metres
+function haversineMetres(a, b) {
+  const rad = d => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function walkingMinutes(metres) {
+  return Math.max(1, Math.round((metres * WALK_DETOUR) / WALK_METRES_PER_MIN));
+}
+
+// 430 -> "430 m", 1234 -> "1.2 km"
+function formatMetres(metres) {
+  if (metres < 1000) return `${Math.max(10, Math.round(metres / 10) * 10)} m`;
+  return `${(metres / 1000).toFixed(metres < 10000 ? 1 : 0).replace(/\.0$/, '')} km`;
+}
+
+// The row as seen from one apartment: distance (text), distance_m and walk_mins from the
+// coordinates when both have them, else the row unchanged
+function withDistanceFrom(row, aptRow) {
+  const from = coords(aptRow);
+  const to = coords(row);
+  if (!from || !to) return row;
+
+  const metres = haversineMetres(from, to);
+  return {
+    ...row,
+    distance: formatMetres(metres),
+    distance_m: Math.round(metres),
+    walk_mins: walkingMinutes(metres)
+  };
+}
+
+function getLocalGuideRowsForAptOrAll(aptId) {
+  const id = (aptId || '').trim();
+  const aptRow = getApartmentById(id);
+  return getLocalGuide()
+    .filter(r => {
+      const rid = ((r.apt_id || '') + '').trim();
+      return rid === id || rid.toUpperCase() === 'ALL';
+    })
+    .map(r => withDistanceFrom(r, aptRow));
+}
+
+// Walking minutes (computed, else the host-curated sort_mins) first, then the distance
+function compareNearest(a, b) {
+  const aM = a.walk_mins ?? toNumber(a.sort_mins, Number.POSITIVE_INFINITY);
+  const bM = b.walk_mins ?? toNumber(b.sort_mins, Number.POSITIVE_INFINITY);
+  if (aM !== bM) return aM - bM;
+  return (a.distance_m ?? distanceToMetres(a.distance)) - (b.distance_m ?? distanceToMetres(b.distance));
+}
+
+// Nearest rows of one category for the apartment (its own rows + ALL rows).
+function listByCategory(aptId, category, limit = 6) {
+  const wanted = normaliseCategory(category);
+  return getLocalGuideRowsForAptOrAll(aptId)
+    .filter(r => normaliseCategory(r.category) === wanted)
+    .sort(compareNearest)
+    .slice(0, limit);
+}
+
+// -------------------------------
+// Named place matching
+// -------------------------------
+function findLocalGuidePlace(aptId, message) {
+  const msg = norm(message);
+
+  const candidates = getLocalGuideRowsForAptOrAll(aptId);
+
+  const scored = candidates
+    .map(r => {
+      const name = (r.name || '').toString().trim();
+      const n = norm(name);
+      if (!n) return null;
+
+      let score = 0;
+      if (msg.includes(n)) score = 100 + n.length;
+
+      const tokens = msg.split(' ').filter(t => t.length >= 3);
+      const hits = tokens.filter(t => n.includes(t)).length;
+      score += hits * 5;
+
+      if (isDirectionsQuestion(message)) score += 10;
+
+      return { row: r, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length && scored[0].score >= 30) return scored[0].row;
+  return null;
+}
+
+// -------------------------------
+// Reply formats
+// -------------------------------
+// "8 min walk" for a row with a computed distance, else null
+function walkNote(r) {
+  return r.walk_mins && r.walk_mins <= MAX_WALK_MINS ? `${r.walk_mins} min walk` : null;
+}
+
+// "open now, until 23:00" for a row with opening hours, else null
+function hoursNote(r, at) {
+  return at ? describeStatus(openStatus(r, at), at) : null;
+}
+
+function capitalise(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function formatLocalGuideReply(placeRow, message, { at } = {}) {
+  const name = (placeRow.name || '').toString().trim();
+  const distance = (placeRow.distance || '').toString().trim();
+  const desc = (placeRow.description || '').toString().trim();
+  const link = (placeRow.maps_link || '').toString().trim();
+  const walk = walkNote(placeRow);
+  const hours = hoursNote(placeRow, at);
+
+  const wantDirections = isDirectionsQuestion(message);
+
+  if (wantDirections) {
+    let out = `To get to ${name}`;
+    if (distance) out += ` (about ${distance} away${walk ? `, ${walk}` : ''})`;
+    out += `, open Google Maps and follow the route:\n${link || '(map link not available)'}`;
+    if (hours) out += `\n\n${capitalise(hours)}.`;
+    if (desc) out += `\n\nTip: ${desc}`;
+    return out.trim();
+  }
+
+  // "Is Keells open now?" -> the answer first
+  if (hours && isOpeningHoursQuestion(message)) {
+    let out = `${name} is ${hours}.`;
+    if (distance) out += ` It is about ${distance} away${walk ? ` (${walk})` : ''}.`;
+    if (link) out += `\n\nGoogle Maps:\n${link}`;
+    return out.trim();
+  }
+
+  let out = `${name}`;
+  if (distance) out += ` — about ${distance} away${walk ? ` (${walk})` : ''}.`;
+  if (hours) out += `\n${capitalise(hours)}.`;
+  if (desc) out += `\n${desc}`;
+  if (link) out += `\n\nGoogle Maps:\n${link}`;
+  return out.trim();
+}
+
+function formatNumberedLines(rows, at) {
+  return rows.map((r, i) => {
+    const name = (r.name || '').toString().trim() || 'Unknown';
+    const dist = (r.distance || '').toString().trim();
+    const link = (r.maps_link || '').toString().trim();
+    const hours = hoursNote(r, at);
+
+    const walk = walkNote(r);
+
+    let line = `${i + 1}. ${name}`;
+    if (dist) line += ` — ${dist}`;
+    if (walk) line += ` · ${walk}`;
+    if (hours) line += ` (${hours})`;
+    if (link) line += `\n   ${link}`;
+    return line;
+  });
+}
+
+function formatLocalGuideNearestListReply(rows, label, { at } = {}) {
+  if (!rows || rows.length === 0) return null;
+
+  const lines = formatNumberedLines(rows, at);
+  return `Nearest ${label} options:\n\n${lines.join('\n\n')}`.trim();
+}
+
+function formatLocalGuideListReply(rows, label, { at } = {}) {
+  if (!rows || rows.length === 0) return null;
+
+  const lines = rows.map(r => {
+    const name = (r.name || '').toString().trim() || 'Unknown';
+    const dist = (r.distance || '').toString().trim();
+    const link = (r.maps_link || '').toString().trim();
+    const hours = hoursNote(r, at);
+
+    const walk = walkNote(r);
+
+    let line = `• ${name}`;
+    if (dist) line += ` — ${dist}`;
+    if (walk) line += ` · ${walk}`;
+    if (hours) line += ` (${hours})`;
+    if (link) line += `\n  ${link}`;
+    return line;
+  });
+
+  return `Here are some nearby ${label}:\n\n${lines.join('\n\n')}`.trim();
+}
+
+// "What's open now?" / "open late?": the open rows, or the closed ones with their next opening
+function formatOpenPlacesReply({ open, closed, label, when, at }) {
+  const phrase = when === 'late' ? 'open late tonight' : 'open right now';
+  if (open.length) {
+    return `${capitalise(label)} ${phrase}:\n\n${formatNumberedLines(open, at).join('\n\n')}`.trim();
+  }
+  if (!closed.length) return null;
+  return `None of the ${label} in our local guide is ${phrase}:\n\n${formatNumberedLines(closed, at).join('\n\n')}`.trim();
+}
+
+// The fields a chat reply exposes for a LocalGuide row (open_now only for rows with hours)
+function placeSummary(r, at) {
+  const summary = {
+    category: r.category || '',
+    name: r.name || '',
+    distance: r.distance || '',
+    maps_link: r.maps_link || ''
+  };
+  if (r.distance_m !== undefined) Object.assign(summary, { distance_m: r.distance_m, walk_mins: r.walk_mins });
+  const status = at ? openStatus(r, at) : null;
+  if (status?.known) summary.open_now = status.open;
+  return summary;
+}
+
+module.exports = {
+  normaliseCategory,
+  distanceToMetres,
+  getLocalGuideRowsForAptOrAll,
+  compareNearest,
+  haversineMetres,
+  withDistanceFrom,
+  listByCategory,
+  findLocalGuidePlace,
+  formatLocalGuideReply,
+  formatLocalGuideNearestListReply,
+  formatLocalGuideListReply,
+  formatOpenPlacesReply,
+  placeSummary,
+};
@@ -0,0 +1,105 @@
+// backend/middleware/admin.js
+// Admin auth: an account's API key or ADMIN_RELOAD_SECRET (see adminUsers.js), in the
+// X-Admin-Secret header or as Authorization: Bearer <key> - never from the body or query string.
+//   requireAdmin   any admin; read_only accounts only for GET. Sets req.admin = { id, name, role, apartments }
+//   requireOwner   owners only (accounts, reloads, rollbacks, the audit log)
+//   requireAdminDryRun  any admin, read_only included, for POSTs that change nothing (the
+//                  console's test question); these are not audited
+// Accounts limited to some apartments (apartments != null) are checked by the routes with
+// checkAptAccess, and lists are narrowed with scopeToApts.
+// Every admin request that is not a read goes to the audit log (auditLog.js) once answered,
+// allowed or not, with res.locals.audit = { apt, details } when the route adds them.
+const content = require('../content');
+const adminUsers = require('../adminUsers');
+const { recordAction } = require('../auditLog');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function credential(req) {
+  const m = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return m ? m[1] : (req.headers['x-admin-secret'] || '');
+}
+
+function forbidden(res, error) {
+  return res.status(403).json({ error, code: 'forbidden' });
+}
+
+function auditWhenAnswered(req, res) {
+  res.on('finish', () => {
+    const audit = res.locals.audit || {};
+    recordAction({
+      actor: req.admin,
+      action: `${req.method} ${req.route?.path || req.path}`,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      apt: audit.apt || content.normaliseAptId(req.body?.apt ?? req.query?.apt) || null,
+      status: res.statusCode,
+      ip: req.ip,
+      details: audit.details
+    });
+  });
+}
+
+// Answers 500/401 itself and returns null when there is no valid admin
+function signIn(req, res, { audit = true } = {}) {
+  if (!adminUsers.isConfigured()) {
+    res.status(500).json({ error: 'Server not configured with ADMIN_RELOAD_SECRET or admin accounts. Set it in .env.' });
+    return null;
+  }
+  const admin = adminUsers.authenticate(credential(req));
+  if (!admin) {
+    res.status(401).json({ error: 'Unauthorized: invalid admin secret or API key' });
+    return null;
+  }
+  req.admin = admin;
+  if (audit && !READ_METHODS.includes(req.method)) auditWhenAnswered(req, res);
+  return admin;
+}
+
+function requireAdmin(req, res, next) {
+  const admin = signIn(req, res);
+  if (!admin) return;
+  if (admin.role === 'read_only' && !READ_METHODS.includes(req.method)) return forbidden(res, 'This account is read-only');
+  return next();
+}
+
+function requireOwner(req, res, next) {
+  const admin = signIn(req, res);
+  if (!admin) return;
+  if (admin.role !== 'owner') return forbidden(res, 'Only an owner can do this');
+  return next();
+}
+
+function requireAdminDryRun(req, res, next) {
+  const admin = signIn(req, res, { audit: false });
+  if (!admin) return;
+  return next();
+}
+
+// -------------------------------
+// Apartment scope
+// -------------------------------
+function canAccessApt(admin, apt) {
+  return !admin?.apartments || admin.apartments.includes(content.normaliseAptId(apt));
+}
+
+// False (after answering 403) when this admin may not see or change the apartment
+function checkAptAccess(req, res, apt) {
+  if (canAccessApt(req.admin, apt)) return true;
+  forbidden(res, `This account has no access to apartment '${content.normaliseAptId(apt) || 'ALL'}'`);
+  return false;
+}
+
+function scopeToApts(req, items, aptOf = item => item.apt) {
+  if (!req.admin?.apartments) return items;
+  return items.filter(item => canAccessApt(req.admin, aptOf(item)));
+}
+
+module.exports = {
+  requireAdmin,
+  requireOwner,
+  requireAdminDryRun,
+  canAccessApt,
+  checkAptAccess,
+  scopeToApts,
+};
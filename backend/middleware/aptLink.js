@@ -0,0 +1,40 @@
+// backend/middleware/aptLink.js
+// Signed apartment links (X-Apt-Token header or body.t, see linkTokens.js).
+// Sets req.aptLink = { apt, kv, from, to } (or { apt, legacy: true } for old ?apt= links).
+const content = require('../content');
+const linkTokens = require('../linkTokens');
+
+const ALLOW_LEGACY_APT_LINKS = process.env.ALLOW_LEGACY_APT_LINKS === 'true' || !linkTokens.isConfigured();
+if (!linkTokens.isConfigured()) {
+  console.error('Warning: Missing APT_LINK_KEYS in .env - accepting unsigned ?apt= links.');
+}
+
+function requireAptLink(req, res, next) {
+  const token = req.headers['x-apt-token'] || req.body?.t || '';
+  const bodyApt = content.normaliseAptId(req.body?.apt);
+
+  // Old printed ?apt= links, only while signing is not configured (or explicitly allowed)
+  if (!token && ALLOW_LEGACY_APT_LINKS) {
+    if (bodyApt && !content.isKnownApartment(bodyApt)) {
+      return res.status(404).json({ error: `Unknown apartment '${bodyApt}'.`, code: 'apt_unknown' });
+    }
+    req.aptLink = bodyApt ? { apt: bodyApt, legacy: true } : null;
+    return next();
+  }
+
+  const result = linkTokens.verifyAptLink(token);
+  if (!result.ok) return res.status(result.status).json({ error: result.error, code: result.code });
+
+  const { apt } = result.link;
+  if (!content.isKnownApartment(apt)) {
+    return res.status(404).json({ error: `This link points to an unknown apartment ('${apt}').`, code: 'apt_unknown' });
+  }
+  if (bodyApt && bodyApt !== apt) {
+    return res.status(403).json({ error: 'This link belongs to a different apartment.', code: 'apt_mismatch' });
+  }
+
+  req.aptLink = result.link;
+  return next();
+}
+
+module.exports = { requireAptLink };
@@ -0,0 +1,44 @@
+// backend/middleware/cors.js
+// Which websites may call the API from a browser.
+//   CORS_ORIGINS   comma-separated allow-list, e.g. "https://chat.yaka.lk,https://yaka.lk"
+// Unset, any origin is allowed (with a warning at startup). Pages served by this server and
+// requests without an Origin header (curl, server-to-server) are always allowed. A browser
+// request from another origin gets 403 { code: 'origin_not_allowed' }, not only a missing
+// CORS header, so simple form posts can't use the API either.
+const cors = require('cors');
+
+const ALLOWED = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(s => s.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+if (!ALLOWED.length) {
+  console.error('Warning: CORS_ORIGINS not set - any website can call the API.');
+}
+
+function sameHost(req, origin) {
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+function originAllowed(req) {
+  const origin = req.headers.origin;
+  return !ALLOWED.length || !origin || ALLOWED.includes(origin) || sameHost(req, origin);
+}
+
+function corsMiddleware() {
+  if (!ALLOWED.length) return [cors()];
+
+  const withCors = cors((req, callback) => callback(null, { origin: originAllowed(req) }));
+  const guard = (req, res, next) => {
+    if (originAllowed(req)) return next();
+    console.warn(`Blocked request from origin ${req.headers.origin}`);
+    return res.status(403).json({ error: 'This website may not use the chat API.', code: 'origin_not_allowed' });
+  };
+  return [withCors, guard];
+}
+
+module.exports = { corsMiddleware };
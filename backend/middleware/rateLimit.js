@@ -0,0 +1,112 @@
+// backend/middleware/rateLimit.js
+// Request limits on the guest API, per client IP and per apartment link (a valid X-Apt-Token,
+// counted by apartment and stay window, or the apt id for old unsigned links), in fixed windows
+// in memory (one server process, at most MAX_WINDOWS counters; the oldest go first).
+//   RATE_LIMIT_WINDOW_SECONDS   default 60
+//   RATE_LIMIT_PER_IP           chat and voice requests per window from one IP (default 20)
+//   RATE_LIMIT_PER_LINK         chat and voice requests per window on one link (default 60)
+//   RATE_LIMIT_VERIFY_PER_IP    booking reference attempts per window from one IP (default 10)
+//   RATE_LIMIT_NOTIFY_PER_IP    escalations and service requests (which text, email or call a
+//                               webhook for the host) per window from one IP (default 5)
+//   RATE_LIMIT_NOTIFY_PER_LINK  the same per window on one link (default 10)
+// Feedback and the stay greeting count separately, with the chat limits.
+// 0 turns a limit off. Over the limit: 429 { error, code: 'rate_limited' } with Retry-After.
+// Behind a proxy set TRUST_PROXY (see server.js) so req.ip is the guest's address.
+const crypto = require('crypto');
+const content = require('../content');
+const linkTokens = require('../linkTokens');
+
+function envLimit(name, fallback) {
+  const v = parseInt(process.env[name] ?? '', 10);
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+}
+
+const WINDOW_MS = envLimit('RATE_LIMIT_WINDOW_SECONDS', 60) * 1000 || 60000;
+const PER_IP = envLimit('RATE_LIMIT_PER_IP', 20);
+const PER_LINK = envLimit('RATE_LIMIT_PER_LINK', 60);
+const VERIFY_PER_IP = envLimit('RATE_LIMIT_VERIFY_PER_IP', 10);
+const NOTIFY_PER_IP = envLimit('RATE_LIMIT_NOTIFY_PER_IP', 5);
+const NOTIFY_PER_LINK = envLimit('RATE_LIMIT_NOTIFY_PER_LINK', 10);
+
+// group -> limits; chat and stream share one count, so do TTS and STT, and escalations and
+// service requests
+const LIMITS = {
+  chat: { ip: PER_IP, link: PER_LINK },
+  voice: { ip: PER_IP, link: PER_LINK },
+  verify: { ip: VERIFY_PER_IP, link: VERIFY_PER_IP },
+  notify: { ip: NOTIFY_PER_IP, link: NOTIFY_PER_LINK },
+  feedback: { ip: PER_IP, link: PER_LINK },
+  stay: { ip: PER_IP, link: PER_LINK },
+};
+
+const MAX_WINDOWS = 10000;
+const MAX_TOKEN_CHARS = 1024;
+
+const windows = new Map(); // 'group|ip|1.2.3.4' -> { start, count }, oldest window first
+
+function sweep(now) {
+  for (const [key, w] of windows) {
+    if (now - w.start >= WINDOW_MS) windows.delete(key);
+  }
+  // still full of live windows (many clients, or one making up keys): drop the oldest
+  for (const key of windows.keys()) {
+    if (windows.size < MAX_WINDOWS) break;
+    windows.delete(key);
+  }
+}
+
+// Counts one request; returns the seconds to wait when over the limit, else 0
+function hit(key, limit, now) {
+  if (!limit) return 0;
+  let w = windows.get(key);
+  if (!w || now - w.start >= WINDOW_MS) {
+    windows.delete(key); // re-added at the end, so the Map stays in start order
+    if (windows.size >= MAX_WINDOWS) sweep(now);
+    w = { start: now, count: 0 };
+    windows.set(key, w);
+  }
+  w.count += 1;
+  return w.count > limit ? Math.ceil((w.start + WINDOW_MS - now) / 1000) : 0;
+}
+
+function shortHash(s) {
+  return crypto.createHash('sha256').update(s).digest('base64url').slice(0, 16);
+}
+
+// Runs before requireAptLink (and before multer on /api/stt), so only the header and a JSON
+// body are looked at. Only a valid link or a known apartment is counted (requireAptLink refuses
+// the rest), under a short hash rather than the client's own string.
+function linkKey(req) {
+  const token = req.headers['x-apt-token'] || req.body?.t;
+  if (token) {
+    if (typeof token !== 'string' || token.length > MAX_TOKEN_CHARS) return null;
+    const result = linkTokens.verifyAptLink(token);
+    if (!result.ok) return null;
+    const { apt, from, to } = result.link;
+    return `t:${shortHash(`${apt}|${from || ''}|${to || ''}`)}`;
+  }
+  const apt = content.normaliseAptId(req.body?.apt);
+  return apt && content.isKnownApartment(apt) ? `apt:${apt}` : null;
+}
+
+function rateLimit(group) {
+  const limits = LIMITS[group];
+  if (!limits) throw new Error(`Unknown rate limit group '${group}'`);
+
+  return (req, res, next) => {
+    const now = Date.now();
+    // over the IP limit already: answered without looking at (or counting) the link
+    let wait = hit(`${group}|ip|${req.ip}`, limits.ip, now);
+    if (!wait) {
+      const link = linkKey(req);
+      if (link) wait = hit(`${group}|link|${link}`, limits.link, now);
+    }
+    if (!wait) return next();
+
+    console.warn(`Rate limit (${group}) hit by ${req.ip}`);
+    res.setHeader('Retry-After', String(wait));
+    return res.status(429).json({ error: `Too many requests, please wait ${wait} seconds and try again.`, code: 'rate_limited' });
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,38 @@
+// backend/notifiers/email.js
+// Sends the ticket by SMTP (any provider: Office 365, Gmail, SendGrid SMTP, ...).
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+  transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  return transport;
+}
+
+module.exports = {
+  name: 'email',
+
+  isConfigured() {
+    return !!(process.env.SMTP_HOST && process.env.ESCALATION_EMAIL_TO);
+  },
+
+  async send(ticket, text) {
+    const to = process.env.ESCALATION_EMAIL_TO;
+    await getTransport().sendMail({
+      from: process.env.ESCALATION_EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      replyTo: ticket.contact?.email || undefined,
+      subject: `[YAKA] Guest request ${ticket.id} — ${ticket.apt}`,
+      text
+    });
+    return { target: to };
+  }
+};
@@ -0,0 +1,18 @@
+// backend/notifiers/file.js
+// Local notifier for testing: appends each ticket to a JSON-lines file.
+const { dataPath, appendJsonLine } = require('../store');
+
+const OUTBOX_FILE = process.env.ESCALATION_FILE || dataPath('escalations-outbox.jsonl');
+
+module.exports = {
+  name: 'file',
+
+  isConfigured() {
+    return true;
+  },
+
+  async send(ticket, text) {
+    appendJsonLine(OUTBOX_FILE, { at: new Date().toISOString(), ticket_id: ticket.id, text, ticket });
+    return { target: OUTBOX_FILE };
+  }
+};
@@ -0,0 +1,76 @@
+// backend/notifiers/index.js
+// Registry of host notifiers. Pick the active ones with
+// ESCALATION_NOTIFIERS=file,webhook,email,sms (default: file).
+const NOTIFIERS = {
+  file: require('./file'),
+  webhook: require('./webhook'),
+  email: require('./email'),
+  sms: require('./sms'),
+};
+
+function getEnabledNotifiers() {
+  const names = (process.env.ESCALATION_NOTIFIERS || 'file')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const out = [];
+  for (const name of names) {
+    const n = NOTIFIERS[name];
+    if (!n) {
+      console.warn(`Unknown notifier "${name}" in ESCALATION_NOTIFIERS - ignored.`);
+      continue;
+    }
+    if (!n.isConfigured()) {
+      console.warn(`Notifier "${name}" is enabled but not configured - ignored.`);
+      continue;
+    }
+    out.push(n);
+  }
+  return out;
+}
+
+function formatTicketText(ticket) {
+  const c = ticket.contact || {};
+  const contactLine = [c.name, c.phone, c.email].filter(Boolean).join(' / ') || '(no contact details left)';
+
+  const lines = [
+    `Guest request ${ticket.id} — apartment ${ticket.apt}`,
+    `Contact: ${contactLine}`,
+    '',
+    `Message: ${ticket.message}`
+  ];
+
+  if (ticket.conversation && ticket.conversation.length) {
+    lines.push('', 'Recent conversation:');
+    for (const turn of ticket.conversation) {
+      lines.push(`${turn.role === 'guest' ? 'Guest' : 'Bot'}: ${turn.text}`);
+    }
+  }
+
+  if (ticket.lang && ticket.lang !== 'en') lines.push('', `Guest language: ${ticket.lang}`);
+  return lines.join('\n');
+}
+
+// Sends through every enabled notifier; one failing channel never blocks the others.
+async function notifyAll(ticket) {
+  const text = formatTicketText(ticket);
+  const notifiers = getEnabledNotifiers();
+
+  return Promise.all(notifiers.map(async n => {
+    const at = new Date().toISOString();
+    try {
+      const info = await n.send(ticket, text);
+      return { notifier: n.name, ok: true, at, target: info?.target || '' };
+    } catch (err) {
+      console.error(`[Notifier ${n.name} error]`, err?.response?.status || '', err?.message || err);
+      return { notifier: n.name, ok: false, at, error: err?.message || String(err) };
+    }
+  }));
+}
+
+module.exports = {
+  getEnabledNotifiers,
+  formatTicketText,
+  notifyAll,
+};
@@ -0,0 +1,48 @@
+// backend/notifiers/sms.js
+// WhatsApp / SMS through a gateway adapter. Only Twilio for now:
+// prefix the numbers with "whatsapp:" to send over WhatsApp instead of SMS.
+const axios = require('axios');
+
+const GATEWAYS = {
+  async twilio(to, body) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const token = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.SMS_FROM;
+
+    const form = new URLSearchParams({ To: to, From: from, Body: body });
+    await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(sid)}/Messages.json`,
+      form.toString(),
+      {
+        auth: { username: sid, password: token },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 15000
+      }
+    );
+  }
+};
+
+function gatewayName() {
+  return (process.env.SMS_GATEWAY || 'twilio').trim().toLowerCase();
+}
+
+module.exports = {
+  name: 'sms',
+
+  isConfigured() {
+    if (!GATEWAYS[gatewayName()]) return false;
+    return !!(process.env.SMS_FROM && process.env.ESCALATION_SMS_TO &&
+      process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN);
+  },
+
+  async send(ticket, text) {
+    const recipients = process.env.ESCALATION_SMS_TO.split(',').map(s => s.trim()).filter(Boolean);
+    // SMS segments are short; keep the essentials
+    const body = text.length > 1200 ? `${text.slice(0, 1197)}...` : text;
+
+    for (const to of recipients) {
+      await GATEWAYS[gatewayName()](to, body);
+    }
+    return { target: recipients.join(', ') };
+  }
+};
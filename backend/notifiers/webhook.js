@@ -0,0 +1,23 @@
+// backend/notifiers/webhook.js
+// POSTs the ticket as JSON to ESCALATION_WEBHOOK_URL (Slack/Teams/Zapier style).
+const axios = require('axios');
+
+module.exports = {
+  name: 'webhook',
+
+  isConfigured() {
+    return !!process.env.ESCALATION_WEBHOOK_URL;
+  },
+
+  async send(ticket, text) {
+    const url = process.env.ESCALATION_WEBHOOK_URL;
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.ESCALATION_WEBHOOK_SECRET) {
+      headers['x-webhook-secret'] = process.env.ESCALATION_WEBHOOK_SECRET;
+    }
+
+    // "text" keeps Slack-compatible incoming webhooks happy; the rest is for custom receivers
+    await axios.post(url, { text, ticket }, { headers, timeout: 15000 });
+    return { target: url.replace(/\?.*$/, '') };
+  }
+};
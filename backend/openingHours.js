@@ -0,0 +1,220 @@
+// backend/openingHours.js
+// Opening hours of LocalGuide places, evaluated in the apartment's time zone.
+//   opening_hours     weekly schedule, rules separated by ';' - a later rule wins for its days:
+//                       "Mo-Fr 08:00-22:00; Sa 09:00-13:00, 15:00-20:00; Su off"
+//                       "daily 07:00-23:00"   "18:00-02:00" (every day, past midnight)   "24/7"
+//   hours_exceptions  dates that differ from the week, same format after the date:
+//                       "2026-12-25 off; 2026-12-31 08:00-18:00; 04-13..04-14 closed" (MM-DD = every year)
+// Apartments `timezone` column (IANA name, e.g. Asia/Colombo), else DEFAULT_TIMEZONE.
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Colombo';
+
+const DAYS = ['su', 'mo', 'tu', 'we', 'th', 'fr', 'sa'];
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MINUTES = 24 * 60;
+
+function str(v) {
+  return ((v ?? '') + '').trim();
+}
+
+// -------------------------------
+// Time zone
+// -------------------------------
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function timeZoneOf(aptRow) {
+  const tz = str(aptRow?.timezone);
+  return tz && isValidTimeZone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+// Wall-clock time in a zone: { date: 'YYYY-MM-DD', day: 0 (Sun) - 6, minutes since midnight }
+function localTime(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  const ymd = `${parts.year}-${parts.month}-${parts.day}`;
+  return { date: ymd, day: new Date(`${ymd}T00:00:00Z`).getUTCDay(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function addDays(ymd, n) {
+  return new Date(Date.parse(`${ymd}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+}
+
+function clock(minutes) {
+  const m = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// -------------------------------
+// Parsing
+// -------------------------------
+// "08:00-22:00, 15:00-20:00" | "off" -> [[480, 1320], ...] (end past midnight is > 1440), or null
+function parseRanges(text) {
+  const s = str(text).toLowerCase();
+  if (/^(off|closed)$/.test(s)) return [];
+  if (s === '24h' || s === '00:00-24:00') return [[0, DAY_MINUTES]];
+
+  const ranges = [];
+  for (const part of s.split(',').map(p => p.trim()).filter(Boolean)) {
+    const m = part.match(/^(\d{1,2})[:.](\d{2})\s*-\s*(\d{1,2})[:.](\d{2})$/);
+    if (!m) return null;
+    const start = Number(m[1]) * 60 + Number(m[2]);
+    let end = Number(m[3]) * 60 + Number(m[4]);
+    if (start >= DAY_MINUTES || end > DAY_MINUTES || Number(m[2]) > 59 || Number(m[4]) > 59) return null;
+    if (end <= start) end += DAY_MINUTES; // past midnight
+    ranges.push([start, end]);
+  }
+  return ranges.length ? ranges : null;
+}
+
+// "Mo-Fr" | "Sa,Su" | "daily" -> [1, 2, 3, 4, 5], or null
+function parseDays(text) {
+  const s = str(text).toLowerCase();
+  if (/^(daily|every ?day|mo-su)$/.test(s)) return [0, 1, 2, 3, 4, 5, 6];
+
+  const days = new Set();
+  for (const part of s.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [a, b] = part.split('-').map(d => DAYS.indexOf(d.slice(0, 2)));
+    if (a < 0 || (b !== undefined && b < 0)) return null;
+    if (b === undefined) {
+      days.add(a);
+      continue;
+    }
+    for (let d = a; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === b) break;
+    }
+  }
+  return days.size ? [...days] : null;
+}
+
+// -> { always, week: [ranges per day 0-6] } or { error }
+function parseSchedule(text) {
+  const s = str(text);
+  if (/^24\s*\/\s*7$/.test(s)) return { always: true, week: Array.from({ length: 7 }, () => [[0, DAY_MINUTES]]) };
+
+  const week = Array.from({ length: 7 }, () => []);
+  for (const rule of s.split(';').map(r => r.trim()).filter(Boolean)) {
+    const m = rule.match(/^([a-z][a-z ,-]*?)\s+(\d.*|off|closed|24h)$/i);
+    const days = m ? parseDays(m[1]) : [0, 1, 2, 3, 4, 5, 6];
+    const ranges = parseRanges(m ? m[2] : rule);
+    if (!days || !ranges) return { error: `can't read '${rule}' (use e.g. "Mo-Fr 08:00-22:00; Sa 09:00-13:00; Su off")` };
+    for (const d of days) week[d] = ranges;
+  }
+  return { always: false, week };
+}
+
+// -> { dates: { 'YYYY-MM-DD' | 'MM-DD': ranges } } or { error }
+function parseExceptions(text) {
+  const dates = {};
+  for (const rule of str(text).split(';').map(r => r.trim()).filter(Boolean)) {
+    const m = rule.match(/^((?:\d{4}-)?\d{2}-\d{2})(?:\s*\.\.\s*((?:\d{4}-)?\d{2}-\d{2}))?\s+(.+)$/);
+    const ranges = m && parseRanges(m[3]);
+    if (!ranges) return { error: `can't read '${rule}' (use e.g. "2026-12-25 off; 2026-12-31 08:00-18:00")` };
+
+    const yearly = m[1].length === 5;
+    const year = yearly ? '2000' : ''; // a leap year, so 02-29 is a valid yearly date
+    let from = yearly ? `${year}-${m[1]}` : m[1];
+    const to = m[2] ? (yearly ? `${year}-${m[2].slice(-5)}` : m[2]) : from;
+    if (Number.isNaN(Date.parse(`${from}T00:00:00Z`)) || Number.isNaN(Date.parse(`${to}T00:00:00Z`)) || to < from) {
+      return { error: `'${rule}' is not a valid date or date range` };
+    }
+    for (let i = 0; from <= to && i < 366; i++, from = addDays(from, 1)) dates[yearly ? from.slice(5) : from] = ranges;
+  }
+  return { dates };
+}
+
+const parsed = new Map(); // "schedule\nexceptions" -> parsed hours (rows are re-read on every content load)
+
+// { always, week, dates } for a LocalGuide row, or null when it has no (readable) hours
+function hoursOf(row) {
+  const schedule = str(row?.opening_hours);
+  if (!schedule) return null;
+  const exceptions = str(row?.hours_exceptions);
+  const key = `${schedule}\n${exceptions}`;
+  if (!parsed.has(key)) {
+    const week = parseSchedule(schedule);
+    const ex = parseExceptions(exceptions);
+    parsed.set(key, week.error ? null : { ...week, dates: ex.dates || {} });
+    if (parsed.size > 5000) parsed.delete(parsed.keys().next().value);
+  }
+  return parsed.get(key);
+}
+
+function hasHours(row) {
+  return !!hoursOf(row);
+}
+
+// -------------------------------
+// Status
+// -------------------------------
+function rangesOn(hours, ymd, day) {
+  return hours.dates[ymd] || hours.dates[ymd.slice(5)] || hours.week[day];
+}
+
+// Open/closed at a local time (see localTime):
+//   { known: false } when the row has no hours, else
+//   { known: true, open, always?, closesAt?, closesIn? (minutes), opensAt?, opensDay? (0 = today) }
+function openStatus(row, at) {
+  const hours = hoursOf(row);
+  if (!hours) return { known: false };
+  if (hours.always) return { known: true, open: true, always: true };
+
+  // intervals from yesterday (past midnight) to a week ahead, in minutes from today's 00:00
+  const intervals = [];
+  for (let d = -1; d <= 7; d++) {
+    for (const [s, e] of rangesOn(hours, addDays(at.date, d), (at.day + d + 7) % 7)) {
+      intervals.push([s + d * DAY_MINUTES, e + d * DAY_MINUTES]);
+    }
+  }
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  const now = at.minutes;
+  const current = intervals.find(([s, e]) => s <= now && now < e);
+  if (current) {
+    let end = current[1];
+    for (const [s, e] of intervals) if (s <= end && e > end) end = e; // back-to-back ranges
+    if (end - now >= 7 * DAY_MINUTES) return { known: true, open: true, always: true };
+    return { known: true, open: true, closesAt: clock(end), closesIn: end - now };
+  }
+
+  const next = intervals.find(([s]) => s > now);
+  if (!next) return { known: true, open: false };
+  return { known: true, open: false, opensAt: clock(next[0]), opensDay: Math.floor(next[0] / DAY_MINUTES) };
+}
+
+// Open at least until `minutes` past midnight tonight (e.g. 22 * 60 for "open late")
+function openUntil(row, at, minutes) {
+  const later = { ...at, minutes: Math.max(at.minutes, minutes) };
+  return openStatus(row, later).open === true;
+}
+
+// "open now, until 22:00" / "closed now, opens 08:00 tomorrow" / null when unknown
+function describeStatus(status, at) {
+  if (!status?.known) return null;
+  if (status.always) return 'open 24 hours';
+  if (status.open) return `open now, until ${status.closesAt}`;
+  if (status.opensAt === undefined) return 'closed';
+  if (status.opensDay === 0) return `closed now, opens ${status.opensAt}`;
+  if (status.opensDay === 1) return `closed now, opens ${status.opensAt} tomorrow`;
+  return `closed now, opens ${DAY_LABELS[(at.day + status.opensDay) % 7]} ${status.opensAt}`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  timeZoneOf,
+  localTime,
+  parseSchedule,
+  parseExceptions,
+  hasHours,
+  openStatus,
+  openUntil,
+  describeStatus,
+};
@@ -0,0 +1,69 @@
+// backend/places.js
+// Google Places nearby search (legacy API), cached for a day per location/type/radius.
+const axios = require('axios');
+
+const GOOGLE_PLACES_API_KEY = process.env.GOOGLE_PLACES_API_KEY;
+const PLACES_RADIUS_METERS = parseInt(process.env.PLACES_RADIUS_METERS || '2000', 10);
+const PLACES_MAX_RESULTS = parseInt(process.env.PLACES_MAX_RESULTS || '5', 10);
+
+if (!GOOGLE_PLACES_API_KEY) {
+  console.error('Warning: Missing GOOGLE_PLACES_API_KEY in .env - nearby places will fail.');
+}
+
+const placesCache = new Map();
+function cacheGet(key) {
+  const v = placesCache.get(key);
+  if (!v) return null;
+  if (Date.now() > v.expiresAt) { placesCache.delete(key); return null; }
+  return v.data;
+}
+function cacheSet(key, data, ttlMs) {
+  placesCache.set(key, { data, expiresAt: Date.now() + ttlMs });
+}
+
+async function getNearbyPlaces({ lat, lng, type, radius }) {
+  if (!GOOGLE_PLACES_API_KEY) throw new Error('Missing GOOGLE_PLACES_API_KEY');
+
+  const cacheKey = `${lat},${lng}|${type}|${radius}`;
+  const cached = cacheGet(cacheKey);
+  if (cached) return cached;
+
+  const url = 'https://maps.googleapis.com/maps/api/place/nearbysearch/json';
+  const params = {
+    location: `${lat},${lng}`,
+    radius,
+    type,
+    key: GOOGLE_PLACES_API_KEY
+  };
+
+  const resp = await axios.get(url, { params, timeout: 20000 });
+
+  if (resp.data.status !== 'OK' && resp.data.status !== 'ZERO_RESULTS') {
+    throw new Error(`Places error: ${resp.data.status} ${resp.data.error_message || ''}`);
+  }
+
+  const results = resp.data.results || [];
+  cacheSet(cacheKey, results, 24 * 60 * 60 * 1000);
+  return results;
+}
+
+function formatPlacesReply(label, places, maxResults = PLACES_MAX_RESULTS) {
+  if (!places || places.length === 0) return null;
+
+  const lines = places.slice(0, maxResults).map((p, i) => {
+    const name = p.name || 'Unknown';
+    const addr = p.vicinity || p.formatted_address || '';
+    const rating = p.rating ? `⭐ ${p.rating}` : '';
+    const maps = p.place_id ? `\nhttps://www.google.com/maps/place/?q=place_id:${p.place_id}` : '';
+    return `${i + 1}. ${name}${rating ? ` — ${rating}` : ''}\n${addr}${maps}`;
+  });
+
+  return `Here are some nearby ${label}:\n\n${lines.join('\n\n')}`;
+}
+
+module.exports = {
+  PLACES_RADIUS_METERS,
+  PLACES_MAX_RESULTS,
+  getNearbyPlaces,
+  formatPlacesReply,
+};
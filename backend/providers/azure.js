@@ -0,0 +1,33 @@
+// backend/providers/azure.js
+// Azure OpenAI: one deployment per capability, api-key header, api-version query string.
+//   AZURE_OPENAI_ENDPOINT=https://<resource>.openai.azure.com
+//   AZURE_OPENAI_API_KEY=...
+//   AZURE_OPENAI_CHAT_DEPLOYMENT / _EMBED_DEPLOYMENT / _TTS_DEPLOYMENT / _STT_DEPLOYMENT
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+const ENDPOINT = (process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+const API_KEY = process.env.AZURE_OPENAI_API_KEY;
+const API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+
+const DEPLOYMENTS = {
+  chat: process.env.AZURE_OPENAI_CHAT_DEPLOYMENT,
+  embeddings: process.env.AZURE_OPENAI_EMBED_DEPLOYMENT,
+  tts: process.env.AZURE_OPENAI_TTS_DEPLOYMENT,
+  stt: process.env.AZURE_OPENAI_STT_DEPLOYMENT
+};
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'azure',
+  label: 'Azure OpenAI',
+  isConfigured: () => !!(ENDPOINT && API_KEY),
+  url: (capability, path) => {
+    const deployment = DEPLOYMENTS[capability];
+    if (!deployment) throw new Error(`Azure OpenAI: no deployment configured for ${capability}`);
+    return `${ENDPOINT}/openai/deployments/${encodeURIComponent(deployment)}/${path}?api-version=${API_VERSION}`;
+  },
+  headers: () => ({ 'api-key': API_KEY }),
+  // Azure routes by deployment; the model field is ignored but harmless
+  model: capability => DEPLOYMENTS[capability] || '',
+  embeddingModelId: `azure:${DEPLOYMENTS.embeddings || ''}`,
+  ttsVoice: process.env.OPENAI_TTS_VOICE || 'alloy'
+});
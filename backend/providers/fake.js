@@ -0,0 +1,90 @@
+// backend/providers/fake.js
+// Deterministic offline provider: no network, same output for the same input.
+// LLM_PROVIDER=fake runs the whole /api/chat pipeline (tests, demos, CI).
+//   chat: language detection by script, translation as "[xx] text", answers echo the best FAQ
+//   embed: hashed bag-of-words vectors, so similar wording still scores higher
+const DIM = 256;
+
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function tokens(text) {
+  return ((text || '') + '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function embedOne(text) {
+  const v = new Array(DIM).fill(0);
+  for (const tok of tokens(text)) {
+    const h = fnv1a(tok);
+    v[h % DIM] += (h & 0x100) ? 1 : -1;
+  }
+  if (v.every(x => x === 0)) v[0] = 1; // never return a zero vector
+  return v;
+}
+
+function detectScript(text) {
+  const s = (text || '') + '';
+  if (/[඀-෿]/.test(s)) return 'si';
+  if (/[஀-௿]/.test(s)) return 'ta';
+  if (/[Ѐ-ӿ]/.test(s)) return 'ru';
+  if (/[一-鿿]/.test(s)) return 'zh';
+  if (/[ऀ-ॿ]/.test(s)) return 'hi';
+  if (/[؀-ۿ]/.test(s)) return 'ar';
+  return 'en';
+}
+
+function lastUserMessage(messages) {
+  const m = [...(messages || [])].reverse().find(x => x.role === 'user');
+  return (m?.content || '') + '';
+}
+
+async function chat(messages, options = {}) {
+  const prompt = lastUserMessage(messages);
+
+  if (options.purpose === 'detect_language') return detectScript(options.text ?? prompt);
+  if (options.purpose === 'translate') return `[${options.targetLang}] ${options.text ?? prompt}`;
+
+  if (options.purpose === 'answer') {
+    if (process.env.FAKE_LLM_REPLY !== undefined) return process.env.FAKE_LLM_REPLY;
+    const faq = prompt.match(/^A: (.+)$/m);
+    return faq ? `From the apartment FAQs: ${faq[1].trim()}` : '';
+  }
+
+  return 'OK';
+}
+
+async function chatStream(messages, options = {}, onDelta = () => {}) {
+  const text = await chat(messages, options);
+  for (const piece of text.match(/\S+\s*/g) || []) onDelta(piece);
+  return text;
+}
+
+async function embed(texts) {
+  return texts.map(embedOne);
+}
+
+async function tts(text) {
+  // not a playable mp3, just stable bytes for tests
+  return Buffer.from(`FAKE-MP3:${text}`, 'utf8');
+}
+
+async function stt() {
+  return process.env.FAKE_STT_TEXT || 'What is the Wi-Fi password?';
+}
+
+module.exports = {
+  name: 'fake',
+  isConfigured: () => true,
+  embeddingModelId: `fake-hash-${DIM}`,
+  chat,
+  chatStream,
+  embed,
+  tts,
+  stt,
+};
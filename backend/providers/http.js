@@ -0,0 +1,62 @@
+// backend/providers/http.js
+// Shared HTTP error handling for the AI providers.
+
+// ----------------------------------------------------
+// Better error details for upstream failures (403 etc.)
+// ----------------------------------------------------
+function summariseAxiosError(err) {
+  try {
+    const status = err?.response?.status;
+    const statusText = err?.response?.statusText;
+    const url = err?.config?.url;
+    const method = (err?.config?.method || '').toUpperCase();
+
+    let data = err?.response?.data;
+    if (Buffer.isBuffer(data)) data = data.toString('utf8');
+    if (typeof data === 'string') {
+      try { data = JSON.parse(data); } catch { /* ignore */ }
+    }
+
+    const msg =
+      data?.error?.message ||
+      data?.message ||
+      err?.message ||
+      'Unknown error';
+
+    const code =
+      data?.error?.code ||
+      data?.code ||
+      undefined;
+
+    return {
+      status,
+      statusText,
+      where: `${method} ${url || ''}`.trim(),
+      code,
+      message: msg,
+      raw: (typeof data === 'object' ? JSON.stringify(data) : String(data || '')).slice(0, 2000)
+    };
+  } catch (e) {
+    return {
+      status: err?.response?.status,
+      where: 'unknown',
+      message: err?.message || String(err),
+      raw: ''
+    };
+  }
+}
+
+// Logs the upstream failure and rethrows it as an Error carrying the summary in e._openai
+// (the name predates the provider layer; every provider uses it).
+function upstreamError(label, err) {
+  const info = summariseAxiosError(err);
+  console.error(`[${label} error]`, info);
+  const e = new Error(`${label} failed (${info.status || 'no-status'}): ${info.message}`);
+  e._openai = info;
+  return e;
+}
+
+module.exports = {
+  summariseAxiosError,
+  upstreamError,
+};
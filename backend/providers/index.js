@@ -0,0 +1,46 @@
+// backend/providers/index.js
+// Picks the AI provider per capability from env:
+//   LLM_PROVIDER=openai|azure|local|fake   (default openai, used for everything)
+//   CHAT_PROVIDER / EMBEDDINGS_PROVIDER / TTS_PROVIDER / STT_PROVIDER override one capability,
+//   e.g. chat on a local Ollama model but TTS still on OpenAI.
+const PROVIDERS = {
+  openai: () => require('./openai'),
+  azure: () => require('./azure'),
+  local: () => require('./local'),
+  fake: () => require('./fake'),
+};
+
+const CAPABILITY_ENV = {
+  chat: 'CHAT_PROVIDER',
+  embeddings: 'EMBEDDINGS_PROVIDER',
+  tts: 'TTS_PROVIDER',
+  stt: 'STT_PROVIDER'
+};
+
+function providerName(capability) {
+  const raw = process.env[CAPABILITY_ENV[capability]] || process.env.LLM_PROVIDER || 'openai';
+  const name = raw.trim().toLowerCase();
+  if (PROVIDERS[name]) return name;
+
+  console.warn(`Unknown AI provider "${raw}" - using openai.`);
+  return 'openai';
+}
+
+function getProvider(capability) {
+  return PROVIDERS[providerName(capability)]();
+}
+
+// For startup warnings and /debug output
+function describeProviders() {
+  const out = {};
+  for (const capability of Object.keys(CAPABILITY_ENV)) {
+    const p = getProvider(capability);
+    out[capability] = { provider: p.name, configured: p.isConfigured() };
+  }
+  return out;
+}
+
+module.exports = {
+  getProvider,
+  describeProviders,
+};
@@ -0,0 +1,25 @@
+// backend/providers/local.js
+// OpenAI-compatible local servers: Ollama (http://localhost:11434/v1), LM Studio, vLLM, LocalAI.
+// Most only do chat + embeddings; TTS/STT work if the server exposes /audio/* as well.
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+const BASE_URL = (process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const API_KEY = process.env.LOCAL_LLM_API_KEY || '';
+
+const MODELS = {
+  chat: process.env.LOCAL_CHAT_MODEL || 'llama3.1',
+  embeddings: process.env.LOCAL_EMBED_MODEL || 'nomic-embed-text',
+  tts: process.env.LOCAL_TTS_MODEL || 'tts-1',
+  stt: process.env.LOCAL_STT_MODEL || 'whisper-1'
+};
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'local',
+  label: 'Local LLM',
+  isConfigured: () => !!BASE_URL,
+  url: (capability, path) => `${BASE_URL}/${path}`,
+  headers: () => (API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {}),
+  model: capability => MODELS[capability],
+  embeddingModelId: `local:${MODELS.embeddings}`,
+  ttsVoice: process.env.LOCAL_TTS_VOICE || 'alloy'
+});
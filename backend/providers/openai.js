@@ -0,0 +1,25 @@
+// backend/providers/openai.js
+// api.openai.com (or any proxy in front of it via OPENAI_BASE_URL).
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+const MODELS = {
+  chat: process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
+  embeddings: process.env.OPENAI_OPENAI_EMBED_MODEL || process.env.OPENAI_EMBED_MODEL || 'text-embedding-3-small',
+  tts: process.env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts',
+  stt: process.env.OPENAI_STT_MODEL || 'gpt-4o-mini-transcribe'
+};
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI',
+  isConfigured: () => !!OPENAI_API_KEY,
+  url: (capability, path) => `${BASE_URL}/${path}`,
+  headers: () => ({ Authorization: `Bearer ${OPENAI_API_KEY}` }),
+  model: capability => MODELS[capability],
+  // plain model name: keeps embedding caches written before the provider layer valid
+  embeddingModelId: MODELS.embeddings,
+  ttsVoice: process.env.OPENAI_TTS_VOICE || 'alloy'
+});
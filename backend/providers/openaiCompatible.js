@@ -0,0 +1,162 @@
+// backend/providers/openaiCompatible.js
+// One implementation of the provider interface for every OpenAI-style REST API
+// (OpenAI itself, Azure OpenAI, Ollama / LM Studio / vLLM). The concrete providers only
+// say where each capability lives, which headers to send and which model to ask for.
+//
+// Provider interface:
+//   chat(messages, options)                 -> reply text
+//   chatStream(messages, options, onDelta)  -> full reply text, onDelta(chunk) per token chunk
+//   embed(texts)                            -> vectors, same order as texts
+//   tts(text, { voice })                    -> Buffer (mp3)
+//   stt({ buffer, filename, mimetype })     -> transcript text
+//   isConfigured(), embeddingModelId (cache key for embeddingStore)
+const axios = require('axios');
+const FormData = require('form-data');
+const { upstreamError } = require('./http');
+
+const PATHS = {
+  chat: 'chat/completions',
+  embeddings: 'embeddings',
+  tts: 'audio/speech',
+  stt: 'audio/transcriptions'
+};
+
+// cfg: { name, label, isConfigured(), url(capability, path), headers(), model(capability), embeddingModelId, ttsVoice }
+function createOpenAICompatibleProvider(cfg) {
+  function ensureConfigured() {
+    if (!cfg.isConfigured()) throw new Error(`${cfg.label} is not configured`);
+  }
+
+  function chatBody(messages, options) {
+    return {
+      model: cfg.model('chat'),
+      messages,
+      temperature: options.temperature ?? 0.0,
+      max_tokens: options.max_tokens ?? 200,
+      top_p: options.top_p ?? 1.0,
+    };
+  }
+
+  async function chat(messages, options = {}) {
+    ensureConfigured();
+    try {
+      const resp = await axios.post(cfg.url('chat', PATHS.chat), chatBody(messages, options), {
+        headers: { ...cfg.headers(), 'Content-Type': 'application/json' },
+        timeout: 20000
+      });
+      return (resp.data?.choices?.[0]?.message?.content || '').trim();
+    } catch (err) {
+      throw upstreamError(`${cfg.label} chat`, err);
+    }
+  }
+
+  async function chatStream(messages, options = {}, onDelta = () => {}) {
+    ensureConfigured();
+
+    let resp;
+    try {
+      resp = await axios.post(cfg.url('chat', PATHS.chat), { ...chatBody(messages, options), stream: true }, {
+        headers: { ...cfg.headers(), 'Content-Type': 'application/json' },
+        responseType: 'stream',
+        signal: options.signal,
+        timeout: 60000
+      });
+    } catch (err) {
+      throw upstreamError(`${cfg.label} chat stream`, err);
+    }
+
+    let full = '';
+    let buffered = '';
+
+    for await (const chunk of resp.data) {
+      buffered += chunk.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop(); // keep a partial line for the next chunk
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') return full;
+
+        try {
+          const delta = JSON.parse(data)?.choices?.[0]?.delta?.content;
+          if (delta) {
+            full += delta;
+            onDelta(delta);
+          }
+        } catch { /* ignore keep-alive / partial frames */ }
+      }
+    }
+    return full;
+  }
+
+  async function embed(texts) {
+    ensureConfigured();
+    try {
+      const resp = await axios.post(
+        cfg.url('embeddings', PATHS.embeddings),
+        { model: cfg.model('embeddings'), input: texts },
+        { headers: { ...cfg.headers(), 'Content-Type': 'application/json' }, timeout: 60000 }
+      );
+      return resp.data.data
+        .slice()
+        .sort((a, b) => a.index - b.index)
+        .map(d => d.embedding);
+    } catch (err) {
+      throw upstreamError(`${cfg.label} embeddings`, err);
+    }
+  }
+
+  async function tts(text, { voice } = {}) {
+    ensureConfigured();
+    try {
+      const resp = await axios.post(
+        cfg.url('tts', PATHS.tts),
+        { model: cfg.model('tts'), voice: voice || cfg.ttsVoice, input: text, format: 'mp3' },
+        {
+          headers: { ...cfg.headers(), 'Content-Type': 'application/json' },
+          responseType: 'arraybuffer',
+          timeout: 30000
+        }
+      );
+      return Buffer.from(resp.data);
+    } catch (err) {
+      throw upstreamError(`${cfg.label} TTS`, err);
+    }
+  }
+
+  async function stt({ buffer, filename, mimetype }) {
+    ensureConfigured();
+
+    const form = new FormData();
+    form.append('model', cfg.model('stt'));
+    form.append('file', buffer, {
+      filename: filename || 'audio.webm',
+      contentType: mimetype || 'audio/webm'
+    });
+
+    try {
+      const resp = await axios.post(cfg.url('stt', PATHS.stt), form, {
+        headers: { ...cfg.headers(), ...form.getHeaders() },
+        timeout: 60000
+      });
+      return resp.data?.text || '';
+    } catch (err) {
+      throw upstreamError(`${cfg.label} STT`, err);
+    }
+  }
+
+  return {
+    name: cfg.name,
+    isConfigured: cfg.isConfigured,
+    embeddingModelId: cfg.embeddingModelId,
+    chat,
+    chatStream,
+    embed,
+    tts,
+    stt,
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
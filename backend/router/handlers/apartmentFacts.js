@@ -0,0 +1,27 @@
+// "What time is check-out?" / "Can we bring the dog?" -> the apartment's own profile columns
+// (see apartmentProfile.js). Blank columns pass, so the FAQs still answer for apartments without them.
+const { detectApartmentFact } = require('../../intents');
+const { answerFact } = require('../../apartmentProfile');
+const guestAccess = require('../../guestAccess');
+
+module.exports = {
+  name: 'apartment_facts',
+  description: 'Check-in/out, Wi-Fi, parking, house rules and host contact from the Apartments sheet',
+  defaults: {},
+
+  async match(ctx) {
+    const fact = detectApartmentFact(ctx.message);
+    if (!fact) return ctx.pass('no question about the apartment itself');
+
+    const answer = answerFact(fact, ctx.aptRow, { guest: guestAccess.canSee({ visibility: 'guest' }, ctx.access) });
+    if (!answer) return ctx.pass(`no ${fact} in the Apartments row`);
+    if (answer.gated) return ctx.gated();
+
+    return ctx.reply({
+      reply: await ctx.localise(answer.text),
+      source: 'apartment_profile',
+      fact,
+      detected_language: ctx.userLang
+    });
+  }
+};
@@ -0,0 +1,31 @@
+// "When is my check-out?" / "Can I get a late check-in?" -> the guest's own stay (bookings/).
+// Without a known stay, general questions ("What time is check-out?") go on to the apartment
+// profile and FAQs; personal ones ask the guest to link their booking.
+const { detectStayIntent } = require('../../intents');
+const { formatStayReply } = require('../../bookings');
+const { displayName } = require('../../apartmentProfile');
+
+module.exports = {
+  name: 'booking',
+  description: "The guest's own check-in/out dates from their linked booking or stay link",
+  defaults: {},
+
+  async match(ctx) {
+    const intent = detectStayIntent(ctx.message);
+    if (!intent) return ctx.pass('no question about the stay');
+
+    const stay = ctx.stay;
+    if (!stay) {
+      if (!intent.personal && !intent.change) return ctx.pass('no stay known; general check-in/out question');
+      const text = 'I can answer that once your booking is linked. Please enter your booking reference.';
+      return ctx.reply({ reply: await ctx.localise(text), source: 'booking_link_needed', verify: true, detected_language: ctx.userLang });
+    }
+
+    return ctx.reply({
+      reply: await ctx.localise(formatStayReply(stay, intent, displayName(ctx.aptRow))),
+      source: 'booking',
+      detected_language: ctx.userLang,
+      ...(intent.change && { escalate: true })
+    });
+  }
+};
@@ -0,0 +1,20 @@
+// Last step: no answer, offer to notify the host (the client shows the escalation form).
+module.exports = {
+  name: 'fallback',
+  description: 'Offer to notify the host',
+  required: true,
+  defaults: {},
+
+  async match(ctx) {
+    const { bestScore, visible } = await ctx.embeddingMatches();
+
+    return ctx.reply({
+      reply: await ctx.localise("I don't have a specific answer for that. Would you like me to notify the host?"),
+      source: 'fallback',
+      escalate: true,
+      score: bestScore,
+      matches: visible.slice(0, 3),
+      detected_language: ctx.userLang
+    });
+  }
+};
@@ -0,0 +1,27 @@
+// Closest FAQ question by embedding similarity, when it clears the threshold.
+const guestAccess = require('../../guestAccess');
+
+const EMB_THRESHOLD = parseFloat(process.env.EMB_THRESHOLD || '0.72');
+
+module.exports = {
+  name: 'faq_embedding',
+  description: 'FAQ answer by embedding similarity',
+  defaults: { threshold: EMB_THRESHOLD },
+  usesAi: true,
+
+  async match(ctx, config) {
+    const { best, bestScore, visible } = await ctx.embeddingMatches();
+    const threshold = Number(config.threshold) || EMB_THRESHOLD;
+    if (!best) return ctx.pass('no FAQ embeddings available');
+    if (bestScore < threshold) return ctx.pass(`best score ${bestScore.toFixed(3)} below threshold ${threshold}`);
+    if (!guestAccess.canSee(best, ctx.access)) return ctx.gated(bestScore);
+
+    return ctx.reply({
+      reply: await ctx.localiseFaq(best),
+      source: 'faq',
+      score: bestScore,
+      matches: visible.slice(0, 3),
+      detected_language: ctx.userLang
+    }, { faqs: visible.slice(0, 3) });
+  }
+};
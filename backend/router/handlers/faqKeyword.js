@@ -0,0 +1,28 @@
+// Opening-hours questions ("is the supermarket open late?") go to the FAQs by keyword
+// before the embedding search, so a host-written answer beats a generic place list.
+// Once the daily AI budget is used up every question is matched this way (ctx.keywordOnly).
+const content = require('../../content');
+const guestAccess = require('../../guestAccess');
+const { keywordFaqMatch } = require('../../faqSearch');
+
+module.exports = {
+  name: 'faq_keyword',
+  description: 'Keyword FAQ match for opening-hours questions, or every question once the AI budget is used up',
+  defaults: { min_score: 18 },
+
+  async match(ctx, config) {
+    if (!ctx.preferFaq && !ctx.keywordOnly) return ctx.pass('not an opening-hours question');
+
+    const faqs = [...content.getFaqsForApt(ctx.apt), ...content.getGlobalFaqs()].filter(guestAccess.isServable);
+    const kw = keywordFaqMatch(faqs, ctx.message, Number(config.min_score) || 18);
+    if (!kw || !kw.faq?.answer) return ctx.pass('no FAQ scored above the keyword threshold');
+    if (!guestAccess.canSee(kw.faq, ctx.access)) return ctx.gated(kw.score);
+
+    return ctx.reply({
+      reply: await ctx.localiseFaq(kw.faq),
+      source: 'faq_keyword',
+      score: kw.score,
+      detected_language: ctx.userLang
+    }, { faqs: [kw.faq] });
+  }
+};
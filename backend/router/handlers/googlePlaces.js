@@ -0,0 +1,46 @@
+// Nearby places the LocalGuide doesn't cover, from Google Places around the apartment.
+const places = require('../../places');
+
+module.exports = {
+  name: 'google_places',
+  description: 'Nearby places from Google Places when the LocalGuide has none',
+  defaults: { radius: places.PLACES_RADIUS_METERS, max_results: places.PLACES_MAX_RESULTS },
+
+  async match(ctx, config) {
+    const intent = ctx.nearbyIntent;
+    if (!intent) return ctx.pass('no nearby-places wording');
+    if (ctx.preferFaq) return ctx.pass('opening-hours questions are left to the FAQs');
+
+    const lat = ctx.aptRow?.lat;
+    const lng = ctx.aptRow?.lng;
+
+    if (!lat || !lng) {
+      return ctx.reply({
+        reply: await ctx.localise("This apartment doesn't have a location configured yet, so I can't look up nearby places. Please ask the host to add it."),
+        source: 'places_missing_latlng',
+        detected_language: ctx.userLang
+      });
+    }
+
+    try {
+      const results = await places.getNearbyPlaces({
+        lat,
+        lng,
+        type: intent.type,
+        radius: Number(config.radius) || places.PLACES_RADIUS_METERS
+      });
+
+      const replyText = places.formatPlacesReply(intent.label, results, Number(config.max_results) || places.PLACES_MAX_RESULTS)
+        || `I couldn't find nearby ${intent.label} right now.`;
+
+      return ctx.reply({ reply: await ctx.localise(replyText), source: 'google_places_legacy', detected_language: ctx.userLang });
+    } catch (e) {
+      console.error('Places lookup failed:', e?.message || e);
+      return ctx.reply({
+        reply: await ctx.localise("Sorry — I couldn't fetch nearby places right now. Please try again later."),
+        source: 'google_places_error',
+        detected_language: ctx.userLang
+      });
+    }
+  }
+};
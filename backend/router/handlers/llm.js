@@ -0,0 +1,30 @@
+// Free-form answer from the chat model, grounded on the closest FAQs the visitor may see, and on
+// the FAQ behind the last reply when the guest follows up on it.
+// Streams tokens when the caller listens for them.
+const { callLLMFallback } = require('../../ai');
+const sessions = require('../../sessions');
+
+module.exports = {
+  name: 'llm',
+  description: 'LLM answer grounded on the closest FAQs',
+  defaults: { history_turns: 4 },
+  usesAi: true,
+
+  async match(ctx, config) {
+    const { bestScore, visible } = await ctx.embeddingMatches();
+
+    if (ctx.events.onToken) ctx.route('llm_fallback');
+    const history = sessions.historyForLLM(ctx.session, Number(config.history_turns) || 4);
+    const earlier = ctx.followUpFaq && !visible.some(m => m.question === ctx.followUpFaq.question) ? [ctx.followUpFaq] : [];
+    const llmReply = await callLLMFallback(ctx.message, [...earlier, ...visible], ctx.userLang, history, ctx.events);
+    if (!llmReply) return ctx.pass('the model returned no answer');
+
+    return ctx.reply({
+      reply: llmReply,
+      source: 'llm_fallback',
+      score: bestScore,
+      matches: visible.slice(0, 3),
+      detected_language: ctx.userLang
+    }, { faqs: visible.slice(0, 3) });
+  }
+};
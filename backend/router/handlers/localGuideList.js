@@ -0,0 +1,31 @@
+// "Any restaurants nearby?" -> the LocalGuide rows of that category
+// (this fixes: "Any supermarkets nearby?" returning only SPAR).
+const { mapNearbyTypeToLocalGuideCategory } = require('../../intents');
+const { listByCategory, formatLocalGuideListReply } = require('../../localGuide');
+
+module.exports = {
+  name: 'local_guide_list',
+  description: 'Nearby places of a category from the LocalGuide sheet',
+  defaults: { limit: 6 },
+
+  async match(ctx, config) {
+    const intent = ctx.nearbyIntent;
+    if (!intent) return ctx.pass('no nearby-places wording');
+    if (ctx.preferFaq) return ctx.pass('opening-hours questions are left to the FAQs');
+
+    const category = mapNearbyTypeToLocalGuideCategory(intent.type);
+    if (!category) return ctx.pass(`no LocalGuide category for ${intent.type}`);
+
+    const rows = listByCategory(ctx.apt, category, Number(config.limit) || 6);
+    const listReply = formatLocalGuideListReply(rows, intent.label, { at: ctx.localTime });
+    if (!listReply) return ctx.pass(`no LocalGuide rows in category ${category}`);
+
+    return ctx.reply({
+      reply: await ctx.localise(listReply),
+      source: 'local_guide_list',
+      detected_language: ctx.userLang,
+      category,
+      results_count: rows.length
+    }, { places: rows });
+  }
+};
@@ -0,0 +1,27 @@
+// A LocalGuide place mentioned by name ("How do I get to Galle Face Green?").
+const { findLocalGuidePlace, formatLocalGuideReply } = require('../../localGuide');
+const { openStatus } = require('../../openingHours');
+
+module.exports = {
+  name: 'local_guide_place',
+  description: 'Named place from the LocalGuide sheet, with directions',
+  defaults: {},
+
+  async match(ctx) {
+    const place = findLocalGuidePlace(ctx.apt, ctx.message);
+    if (!place) return ctx.pass('no LocalGuide place named');
+
+    const status = openStatus(place, ctx.localTime);
+    return ctx.reply({
+      reply: await ctx.localise(formatLocalGuideReply(place, ctx.message, { at: ctx.localTime })),
+      source: 'local_guide',
+      detected_language: ctx.userLang,
+      place: {
+        name: place.name || '',
+        distance: place.distance || '',
+        maps_link: place.maps_link || '',
+        ...(status.known && { open_now: status.open })
+      }
+    }, { places: [place] });
+  }
+};
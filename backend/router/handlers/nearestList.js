@@ -0,0 +1,25 @@
+// "Where is the nearest supermarket?" -> the closest LocalGuide rows of that category.
+const { detectNearestCategoryIntent } = require('../../intents');
+const { listByCategory, formatLocalGuideNearestListReply, placeSummary } = require('../../localGuide');
+
+module.exports = {
+  name: 'nearest_list',
+  description: 'Nearest places of a category from the LocalGuide sheet',
+  defaults: { limit: 3 },
+
+  async match(ctx, config) {
+    const intent = detectNearestCategoryIntent(ctx.message);
+    if (!intent) return ctx.pass('no "nearest <category>" wording');
+
+    const rows = listByCategory(ctx.apt, intent.category, Number(config.limit) || 3);
+    if (!rows.length) return ctx.pass(`no LocalGuide rows in category ${intent.category}`);
+
+    return ctx.reply({
+      reply: await ctx.localise(formatLocalGuideNearestListReply(rows, intent.label, { at: ctx.localTime })),
+      source: 'local_guide_nearest_list',
+      detected_language: ctx.userLang,
+      results_count: rows.length,
+      places: rows.map(r => placeSummary(r, ctx.localTime))
+    }, { places: rows });
+  }
+};
@@ -0,0 +1,43 @@
+// "Is the pharmacy open now?" / "Anything open late tonight?" -> LocalGuide rows with opening
+// hours, checked against the apartment's local time. Rows without hours are left out; when no
+// row in scope has any, the question goes on to the FAQs as before.
+const { detectOpenIntent } = require('../../intents');
+const { getLocalGuideRowsForAptOrAll, normaliseCategory, compareNearest, formatOpenPlacesReply, placeSummary } = require('../../localGuide');
+const { hasHours, openStatus, openUntil } = require('../../openingHours');
+
+module.exports = {
+  name: 'open_now',
+  description: 'LocalGuide places open now or late tonight, from their opening hours',
+  defaults: { limit: 5, late_hour: 22 },
+
+  async match(ctx, config) {
+    const intent = detectOpenIntent(ctx.message);
+    if (!intent) return ctx.pass('no "open now / open late" wording');
+
+    const wanted = intent.category && normaliseCategory(intent.category);
+    const rows = getLocalGuideRowsForAptOrAll(ctx.apt)
+      .filter(r => !wanted || normaliseCategory(r.category) === wanted)
+      .filter(hasHours)
+      .sort(compareNearest);
+    if (!rows.length) return ctx.pass(`no LocalGuide opening hours${wanted ? ` in category ${intent.category}` : ''}`);
+
+    const at = ctx.localTime;
+    const lateHour = Number(config.late_hour);
+    const isOpen = intent.when === 'late'
+      ? r => openUntil(r, at, (Number.isFinite(lateHour) ? lateHour : 22) * 60)
+      : r => openStatus(r, at).open;
+
+    const limit = Number(config.limit) || 5;
+    const open = rows.filter(isOpen).slice(0, limit);
+    const closed = open.length ? [] : rows.slice(0, limit);
+    const shown = open.length ? open : closed;
+
+    return ctx.reply({
+      reply: await ctx.localise(formatOpenPlacesReply({ open, closed, label: intent.label, when: intent.when, at })),
+      source: 'local_guide_open_now',
+      detected_language: ctx.userLang,
+      results_count: open.length,
+      places: shown.map(r => placeSummary(r, at))
+    }, { places: shown });
+  }
+};
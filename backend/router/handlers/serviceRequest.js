@@ -0,0 +1,34 @@
+// "Can you arrange an airport pickup?" -> the service from the Services sheet, with a form in the
+// chat (see services.js); "What's the status of my request?" -> the guest's own requests.
+const { detectServiceRequest, isServiceStatusQuestion } = require('../../intents');
+const services = require('../../services');
+
+module.exports = {
+  name: 'service_request',
+  description: 'Airport transfers, cleaning and other services from the Services sheet, and the status of requests',
+  defaults: {},
+
+  async match(ctx) {
+    if (isServiceStatusQuestion(ctx.message)) {
+      const mine = services.requestsForGuest({ apt: ctx.apt, requester: ctx.requester, ref: ctx.stay?.ref });
+      if (mine.length) {
+        return ctx.reply({
+          reply: await ctx.localise(services.formatRequestStatus(mine)),
+          source: 'service_status',
+          service_requests: mine.map(services.publicRequestView),
+          detected_language: ctx.userLang
+        });
+      }
+    }
+
+    const service = detectServiceRequest(ctx.message, services.servicesForApt(ctx.apt));
+    if (!service) return ctx.pass('no service asked for');
+
+    return ctx.reply({
+      reply: await ctx.localise(services.formatServiceOffer(service)),
+      source: 'service_catalogue',
+      service: services.serviceForm(service, ctx.stay),
+      detected_language: ctx.userLang
+    });
+  }
+};
@@ -0,0 +1,259 @@
+// backend/router/index.js
+// The /api/chat pipeline as an ordered chain of handlers. Each handler (see handlers/) is
+//   { name, description, defaults, required?, enabledByDefault?, usesAi?, async match(ctx, config) }
+// and returns ctx.reply(...) to answer, or ctx.pass(reason) / null to hand over to the next one.
+// Once the apartment's daily AI budget is used up (budgets.js) the usesAi handlers are skipped
+// and the FAQs are matched by keyword only.
+//
+// Per-handler switches and config, most specific wins:
+//   handler defaults
+//   CHAT_HANDLERS_OFF="google_places,llm"          CHAT_HANDLER_CONFIG='{"nearest_list":{"limit":5}}'
+//   Apartments sheet columns: handlers_off, handlers_on, handler_config (same formats)
+// A new answer source is a new file in handlers/ plus its place in HANDLERS.
+const content = require('../content');
+const sessions = require('../sessions');
+const guestAccess = require('../guestAccess');
+const { resolveLanguage } = require('../language');
+const { translate } = require('../translations');
+const { localTime, timeZoneOf } = require('../openingHours');
+const { getLocalGuideRowsForAptOrAll } = require('../localGuide');
+const { displayName } = require('../apartmentProfile');
+const bookings = require('../bookings');
+const budgets = require('../budgets');
+const { findBestMatches } = require('../faqSearch');
+const { isOpeningHoursQuestion, detectNearbyIntent } = require('../intents');
+
+const HANDLERS = [
+  require('./handlers/nearestList'),
+  require('./handlers/localGuidePlace'),
+  require('./handlers/openNow'),
+  require('./handlers/serviceRequest'),
+  require('./handlers/booking'),
+  require('./handlers/apartmentFacts'),
+  require('./handlers/faqKeyword'),
+  require('./handlers/faqEmbedding'),
+  require('./handlers/localGuideList'),
+  require('./handlers/googlePlaces'),
+  require('./handlers/llm'),
+  require('./handlers/fallback'),
+];
+
+function parseList(raw) {
+  return ((raw ?? '') + '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function parseConfig(raw, label) {
+  if (!raw || !((raw + '').trim())) return {};
+  try {
+    const v = JSON.parse(raw);
+    if (v && typeof v === 'object' && !Array.isArray(v)) return v;
+  } catch { /* reported below */ }
+  console.warn(`Ignoring invalid handler config in ${label}`);
+  return {};
+}
+
+const GLOBAL_OFF = parseList(process.env.CHAT_HANDLERS_OFF);
+const GLOBAL_CONFIG = parseConfig(process.env.CHAT_HANDLER_CONFIG, 'CHAT_HANDLER_CONFIG');
+
+// [{ handler, enabled, config }] in chain order, for one apartment
+function resolveChain(aptId) {
+  const aptRow = content.getApartmentById(aptId);
+  const aptOff = parseList(aptRow?.handlers_off);
+  const aptOn = parseList(aptRow?.handlers_on);
+  const aptConfig = parseConfig(aptRow?.handler_config, `Apartments row ${aptId}`);
+
+  return HANDLERS.map(handler => {
+    let enabled = handler.enabledByDefault !== false;
+    if (GLOBAL_OFF.includes(handler.name)) enabled = false;
+    if (aptOff.includes(handler.name)) enabled = false;
+    if (aptOn.includes(handler.name)) enabled = true;
+    if (handler.required) enabled = true;
+
+    const config = { ...handler.defaults, ...GLOBAL_CONFIG[handler.name], ...aptConfig[handler.name] };
+    return { handler, enabled, config };
+  });
+}
+
+// For the debug endpoint
+function describeChain(aptId) {
+  return resolveChain(aptId).map(({ handler, enabled, config }, i) => ({
+    order: i + 1,
+    name: handler.name,
+    description: handler.description,
+    required: !!handler.required,
+    enabled,
+    config
+  }));
+}
+
+// -------------------------------
+// Chat pipeline (shared by /api/chat and /api/chat/stream)
+// events: { onRoute(source), onToken(text), onAnswer(info), signal, trace } - all optional;
+// trace (an array) collects what every handler did, for /debug/chat-chain and the admin console;
+// onAnswer gets { handler, access, message, userLang, langVia, faqs, places } for the conversation log
+// -------------------------------
+// The FAQ behind the last reply as it is live now for this apartment, or null when it is gone or
+// this visitor may not see it (a session can outlive the guest token that unlocked it)
+function liveFollowUpFaq(apt, faq, access) {
+  if (!faq?.question) return null;
+  const live = [...content.getFaqsForApt(apt), ...content.getGlobalFaqs()].find(f => f.question === faq.question);
+  return live && guestAccess.canSee(live, access) ? live : null;
+}
+
+async function answerChat(input, events = {}) {
+  return budgets.forApartment(input.apt, () => runChain(input, events));
+}
+
+async function runChain({ apt, rawMessage, session_id, guest_token, request_token, aptLink, lang, access: forcedAccess }, events = {}) {
+  // 'guest' only with a valid guest token (from a verified booking reference or a guest link),
+  // else 'public': a stay-window link is shared like any QR code, so it unlocks nothing by itself.
+  // The admin console's test panel picks the level itself.
+  const access = forcedAccess || guestAccess.resolveAccess(apt, guest_token);
+
+  // Conversation memory: resolve "how far is it?" / "the second one" against the last reply
+  const session = sessions.getSession(session_id, apt);
+  const { message, faq: lastFaq } = sessions.resolveFollowUp(session, rawMessage);
+  const followUpFaq = liveFollowUpFaq(apt, lastFaq, access);
+
+  // tell a streaming client which step is answering (again if the LLM gives up and we fall back)
+  let routedTo = null;
+  const route = (source) => {
+    if (routedTo === source) return;
+    routedTo = source;
+    events.onRoute?.(source);
+  };
+
+  // no paid AI calls for the rest of the day (language detection and translation fall back to English)
+  const keywordOnly = budgets.isExhausted(apt);
+
+  // lang: the language the guest picked in the chat, combined with detection (see language.js)
+  const { lang: userLang, via: langVia } = await resolveLanguage({ message: rawMessage, preferred: lang, session });
+  if (session) session.lang = userLang;
+
+  let matchesPromise = null;
+  let nearbyIntent;
+  let now;
+  let stay;
+  let passReason = null;
+
+  const ctx = {
+    apt,
+    aptRow: content.getApartmentById(apt),
+    rawMessage,
+    message,
+    access,
+    session,
+    // the FAQ behind the last reply when this message follows up on it ("is it free?")
+    followUpFaq,
+    userLang,
+    events,
+    route,
+    // FAQ first for "opening hours/open late" questions
+    preferFaq: isOpeningHoursQuestion(message),
+    keywordOnly,
+
+    // the apartment's wall-clock time, for opening hours
+    get localTime() {
+      if (!now) now = localTime(new Date(), timeZoneOf(ctx.aptRow));
+      return now;
+    },
+
+    // the guest's stay (linked booking or stay-window link), or null - see bookings/
+    get stay() {
+      if (stay === undefined) stay = bookings.resolveStay({ apt, aptLink, guest: guestAccess.verifyGuestToken(guest_token, apt) });
+      return stay;
+    },
+
+    // the id in the guest's requester token (service requests they made), or null
+    get requester() {
+      return guestAccess.verifyRequesterToken(request_token, apt);
+    },
+
+    get nearbyIntent() {
+      if (nearbyIntent === undefined) nearbyIntent = detectNearbyIntent(message);
+      return nearbyIntent;
+    },
+
+    // One embedding search per message, shared by every handler that needs it
+    embeddingMatches() {
+      if (!matchesPromise && keywordOnly) {
+        matchesPromise = Promise.resolve({ topMatches: [], best: null, bestScore: 0, visible: [] });
+      }
+      if (!matchesPromise) {
+        matchesPromise = findBestMatches(apt, message, 5).then(({ topMatches }) => {
+          const best = topMatches[0] || null;
+          return {
+            topMatches,
+            best,
+            bestScore: best ? best._score : 0,
+            visible: topMatches.filter(m => guestAccess.canSee(m, access))
+          };
+        });
+      }
+      return matchesPromise;
+    },
+
+    // Machine translation for non-English visitors; place and apartment names are never translated
+    async localise(text) {
+      if (userLang === 'en') return text;
+      const keep = [ctx.aptRow?.name, displayName(ctx.aptRow), ctx.aptRow?.wifi_ssid, ...getLocalGuideRowsForAptOrAll(apt).map(r => r.name)];
+      return translate(text, userLang, { keep });
+    },
+
+    // A FAQ answer: the host's own answer_<lang> column when filled in, else machine translation
+    async localiseFaq(faq) {
+      return faq?.translations?.[userLang] || ctx.localise(faq?.answer || '');
+    },
+
+    reply(payload, { places, faqs } = {}) {
+      return { payload, places, faqs };
+    },
+
+    // why this handler didn't answer (shown in the trace)
+    pass(reason) {
+      passReason = reason;
+      return null;
+    },
+
+    // A guest-only FAQ matched but this visitor isn't verified: ask for the booking reference
+    async gated(score) {
+      const text = "That information is only shared with guests staying in the apartment. Please enter your booking reference to unlock it.";
+      return ctx.reply({ reply: await ctx.localise(text), source: 'faq_gated', verify: true, score, detected_language: userLang });
+    }
+  };
+
+  for (const { handler, enabled, config } of resolveChain(apt)) {
+    if (!enabled) {
+      events.trace?.push({ handler: handler.name, result: 'disabled' });
+      continue;
+    }
+    if (handler.usesAi && keywordOnly) {
+      events.trace?.push({ handler: handler.name, result: 'passed', reason: 'daily AI budget used up' });
+      continue;
+    }
+
+    const t0 = Date.now();
+    passReason = null;
+    const result = await handler.match(ctx, config);
+    events.trace?.push(result
+      ? { handler: handler.name, result: 'answered', source: result.payload.source, ms: Date.now() - t0 }
+      : { handler: handler.name, result: 'passed', reason: passReason, ms: Date.now() - t0 });
+    if (!result) continue;
+
+    const { payload, places, faqs } = result;
+    route(payload.source);
+    sessions.recordTurn(session, { message: rawMessage, reply: payload.reply, source: payload.source, places, faqs });
+    events.onAnswer?.({ handler: handler.name, access, message, userLang, langVia, faqs, places });
+    return payload;
+  }
+
+  // unreachable while the required fallback handler is last
+  throw new Error('No chat handler produced a reply');
+}
+
+module.exports = {
+  HANDLERS,
+  resolveChain,
+  describeChain,
+  answerChat,
+};
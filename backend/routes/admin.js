@@ -0,0 +1,168 @@
+// backend/routes/admin.js
+// Host/admin endpoints, all behind requireAdmin (reloads behind requireOwner).
+const express = require('express');
+const content = require('../content');
+const budgets = require('../budgets');
+const { validateContent } = require('../contentHealth');
+const escalations = require('../escalations');
+const guestAccess = require('../guestAccess');
+const linkTokens = require('../linkTokens');
+const { requireAdmin, requireOwner, checkAptAccess, scopeToApts } = require('../middleware/admin');
+
+const router = express.Router();
+
+// -------------------------------
+// Admin: reload sheets (protected)
+// -------------------------------
+function healthSummary(report) {
+  if (!report) return null;
+  return { ok: report.ok, errors: report.errors, warnings: report.warnings, sheets: report.sheets };
+}
+
+// force=true applies a reload even when it would remove most of a tab
+router.post('/admin/reload-sheets', requireOwner, async (req, res) => {
+  const force = String(req.query.force ?? req.body?.force ?? '') === 'true';
+  try {
+    const result = await content.loadAllData({ force, reason: `admin reload by ${req.admin.name}` });
+    res.locals.audit = { details: { force, applied: !!result.applied, version: result.version?.id || null, refused: result.refused || undefined } };
+    if (result.refused) {
+      return res.status(409).json({
+        error: 'Reload refused, the current content is kept',
+        details: `${result.refused}. Fix the sheet, or reload with force=true if this is intended.`,
+        health: healthSummary(result.report)
+      });
+    }
+    if (!result.ok) {
+      return res.status(502).json({ error: 'Failed to reload sheets', details: result.error });
+    }
+
+    const stats = content.contentStats();
+    return res.json({
+      ok: true,
+      message: result.applied ? 'Sheets reloaded' : 'No changes since the last load',
+      changed: result.applied,
+      version: result.version?.id || null,
+      apartments: stats.apartments,
+      localGuide: stats.localGuide,
+      faqApartments: stats.faqApartments.length,
+      globalFaqCount: stats.globalFaqCount,
+      health: healthSummary(result.report)
+    });
+  } catch (err) {
+    console.error('Admin reload error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to reload sheets', details: err?.message || String(err) });
+  }
+});
+
+// -------------------------------
+// Admin: content health report (protected)
+// -------------------------------
+// Report for the live content; fresh=true checks the source as it is now without loading it.
+router.get('/admin/content-health', requireAdmin, async (req, res) => {
+  const { sheet, level } = req.query;
+  try {
+    let report = content.getContentHealth();
+    if (String(req.query.fresh) === 'true') {
+      const rows = await content.contentSource().readAllRows();
+      if (!rows) return res.status(502).json({ error: `No content from ${content.contentSource().name}` });
+      report = validateContent(rows);
+    }
+    if (!report) return res.status(404).json({ error: 'No content loaded yet' });
+
+    const issues = report.issues.filter(i => (!sheet || i.sheet === sheet) && (!level || i.level === level));
+    return res.json({ ...report, live: String(req.query.fresh) !== 'true', issues });
+  } catch (err) {
+    console.error('Admin content health error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to check content', details: err?.message || String(err) });
+  }
+});
+
+// -------------------------------
+// Admin: escalation tickets (protected)
+// -------------------------------
+router.get('/admin/escalations', requireAdmin, (req, res) => {
+  const { apt, status } = req.query;
+  if (apt && !checkAptAccess(req, res, apt)) return;
+  return res.json({ tickets: scopeToApts(req, escalations.listTickets({ apt, status })) });
+});
+
+router.post('/admin/escalations/:id/status', requireAdmin, (req, res) => {
+  const { status, note } = req.body || {};
+  if (!escalations.TICKET_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `'status' must be one of: ${escalations.TICKET_STATUSES.join(', ')}` });
+  }
+
+  const existing = escalations.getTicket(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Ticket not found' });
+  res.locals.audit = { apt: existing.apt, details: { id: existing.id, from: existing.status, to: status } };
+  if (!checkAptAccess(req, res, existing.apt)) return;
+
+  const ticket = escalations.updateTicketStatus(req.params.id, status, note);
+  return res.json({ ok: true, ticket });
+});
+
+// -------------------------------
+// Admin: time-limited guest link for a QR code / message (protected). The URL carries a signed
+// apartment link (?t=, valid as long as the guest token) once APT_LINK_KEYS is set, since bare
+// ?apt= links are refused then.
+// -------------------------------
+router.post('/admin/guest-links', requireAdmin, (req, res) => {
+  const { hours, base_url } = req.body || {};
+  const apt = content.normaliseAptId(req.body?.apt);
+  if (!apt) return res.status(400).json({ error: "Missing 'apt' in request body" });
+  if (!checkAptAccess(req, res, apt)) return;
+  if (!content.isKnownApartment(apt)) return res.status(404).json({ error: `Unknown apartment '${apt}'` });
+  res.locals.audit = { details: { hours: hours ?? null } };
+
+  const ttl = parseFloat(hours);
+  if (hours !== undefined && !(ttl > 0)) return res.status(400).json({ error: "'hours' must be a positive number" });
+
+  try {
+    const { token, expiresAt } = guestAccess.signGuestToken(apt, ttl > 0 ? ttl : undefined);
+    const base = base_url || process.env.PUBLIC_BASE_URL || 'https://ask.yakaresidences.com/';
+    const link = linkTokens.isConfigured() ? linkTokens.signAptLink(apt, { to: expiresAt }).token : null;
+    const where = link ? `t=${encodeURIComponent(link)}` : `apt=${encodeURIComponent(apt)}`;
+    const url = `${base}?${where}&g=${encodeURIComponent(token)}`;
+    return res.json({ ok: true, apt, guest_token: token, apt_token: link, expires_at: expiresAt, url });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// -------------------------------
+// Admin: signed apartment link for a QR code, optionally limited to a stay (protected)
+// -------------------------------
+router.post('/admin/apt-links', requireAdmin, (req, res) => {
+  const { apt, from, to, base_url } = req.body || {};
+  if (!apt) return res.status(400).json({ error: "Missing 'apt' in request body" });
+  if (!checkAptAccess(req, res, apt)) return;
+  if (!content.isKnownApartment(apt)) return res.status(404).json({ error: `Unknown apartment '${apt}'` });
+  res.locals.audit = { details: { from: from ?? null, to: to ?? null } };
+
+  try {
+    const { token, payload } = linkTokens.signAptLink(apt, { from, to });
+    const base = base_url || process.env.PUBLIC_BASE_URL || 'https://ask.yakaresidences.com/';
+    return res.json({
+      ok: true,
+      apt,
+      key_version: payload.kv,
+      from: payload.from ? new Date(payload.from * 1000).toISOString() : null,
+      to: payload.to ? new Date(payload.to * 1000).toISOString() : null,
+      token,
+      url: `${base}?t=${encodeURIComponent(token)}`
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err?.message || String(err) });
+  }
+});
+
+// -------------------------------
+// Admin: today's estimated AI spend against the daily budgets (protected)
+// -------------------------------
+router.get('/admin/usage', requireAdmin, (req, res) => {
+  const report = budgets.usageReport();
+  const apartments = scopeToApts(req, Object.entries(report.apartments), ([apt]) => apt);
+  return res.json({ ...report, apartments: Object.fromEntries(apartments) });
+});
+
+module.exports = router;
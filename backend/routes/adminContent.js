@@ -0,0 +1,162 @@
+// backend/routes/adminContent.js
+// Content editing for the admin console (public/admin/): read the content tabs, add/edit/delete
+// rows, and try a question against the live chain. Writes go to the content source
+// (Google Sheet or content files, see dataSources/) and are followed by a reload.
+// Accounts limited to some apartments see other apartments' rows as null (row numbers stay the
+// same) and can only change rows of their own apartments, not the global (ALL) ones.
+const express = require('express');
+const content = require('../content');
+const chatRouter = require('../router');
+const { TABLE_TITLES } = require('../dataSources');
+const { requireAdmin, requireAdminDryRun, canAccessApt, checkAptAccess } = require('../middleware/admin');
+
+const router = express.Router();
+
+// column that must not be blank, per tab
+const REQUIRED_COLUMN = { Apartments: 'apt_id', FAQs: 'question', LocalGuide: 'name', Services: 'name' };
+
+function sameRow(headers, a, b) {
+  return headers.every(h => ((a?.[h] ?? '') + '').trim() === ((b?.[h] ?? '') + '').trim());
+}
+
+function scopeTable(req, title, table) {
+  if (!req.admin?.apartments) return table;
+  const visible = row => canAccessApt(req.admin, row.apt_id) || (title !== 'Apartments' && content.isGlobalAptId(row.apt_id));
+  return { ...table, rows: table.rows.map(row => (visible(row) ? row : null)) };
+}
+
+// Resolves the tab and (optionally) the row index, or answers the request with an error.
+async function loadTarget(req, res, { withIndex }) {
+  const title = req.params.table;
+  if (!TABLE_TITLES.includes(title)) {
+    res.status(404).json({ error: `Unknown table '${title}'. Use one of: ${TABLE_TITLES.join(', ')}` });
+    return null;
+  }
+
+  const source = content.contentSource();
+  const table = await source.readTable(title);
+  if (!withIndex) return { title, source, table };
+
+  const index = parseInt(req.params.index, 10);
+  if (!Number.isInteger(index) || index < 0 || index >= table.rows.length) {
+    res.status(404).json({ error: `Row ${req.params.index} not found in ${title}` });
+    return null;
+  }
+
+  if (!checkAptAccess(req, res, table.rows[index].apt_id)) return null;
+
+  // optimistic check: someone may have edited the sheet since the console loaded it
+  const { expected } = req.body || {};
+  if (!expected || !sameRow(table.headers, table.rows[index], expected)) {
+    res.status(409).json({ error: 'This row has changed since it was loaded. Refresh and try again.', current: table.rows[index] });
+    return null;
+  }
+  return { title, source, table, index };
+}
+
+function rowFromBody(req, res, title) {
+  const row = req.body?.row;
+  if (!row || typeof row !== 'object') {
+    res.status(400).json({ error: "Missing 'row' in request body" });
+    return null;
+  }
+  const required = REQUIRED_COLUMN[title];
+  if (!((row[required] ?? '') + '').trim()) {
+    res.status(400).json({ error: `'${required}' is required` });
+    return null;
+  }
+  if (!checkAptAccess(req, res, row.apt_id)) return null;
+  return row;
+}
+
+// before/after: the row as it was and as written, for the audit log
+async function afterWrite(req, res, { title, source, index }, before, after) {
+  res.locals.audit = {
+    apt: content.normaliseAptId(after?.apt_id ?? before?.apt_id) || null,
+    details: { table: title, index: index ?? null, before: before || null, after: after || null }
+  };
+  // the host made this change on purpose, so the shrink guard does not apply
+  await content.loadAllData({ force: true, reason: `admin edit (${title}) by ${req.admin.name}` });
+  return res.json({ ok: true, source: source.name, table: scopeTable(req, title, await source.readTable(title)) });
+}
+
+function writeError(res, err) {
+  console.error('Admin content write error:', err?.message || err);
+  return res.status(500).json({ error: 'Failed to save the change', details: err?.message || String(err) });
+}
+
+router.get('/admin/content', requireAdmin, async (req, res) => {
+  try {
+    const source = content.contentSource();
+    const tables = {};
+    for (const title of TABLE_TITLES) tables[title] = scopeTable(req, title, await source.readTable(title));
+    return res.json({ source: source.name, tables });
+  } catch (err) {
+    console.error('Admin content read error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to read content', details: err?.message || String(err) });
+  }
+});
+
+router.post('/admin/content/:table', requireAdmin, async (req, res) => {
+  try {
+    const target = await loadTarget(req, res, { withIndex: false });
+    if (!target) return;
+    const row = rowFromBody(req, res, target.title);
+    if (!row) return;
+
+    await target.source.appendRow(target.title, row);
+    return afterWrite(req, res, target, null, row);
+  } catch (err) {
+    return writeError(res, err);
+  }
+});
+
+router.put('/admin/content/:table/:index', requireAdmin, async (req, res) => {
+  try {
+    const target = await loadTarget(req, res, { withIndex: true });
+    if (!target) return;
+    const row = rowFromBody(req, res, target.title);
+    if (!row) return;
+
+    await target.source.updateRow(target.title, target.index, row);
+    return afterWrite(req, res, target, target.table.rows[target.index], row);
+  } catch (err) {
+    return writeError(res, err);
+  }
+});
+
+router.delete('/admin/content/:table/:index', requireAdmin, async (req, res) => {
+  try {
+    const target = await loadTarget(req, res, { withIndex: true });
+    if (!target) return;
+
+    await target.source.deleteRow(target.title, target.index);
+    return afterWrite(req, res, target, target.table.rows[target.index], null);
+  } catch (err) {
+    return writeError(res, err);
+  }
+});
+
+// -------------------------------
+// Test a question: which step answered, and why the earlier ones passed. A dry run, so
+// read-only accounts may use it and it is not audited.
+// -------------------------------
+router.post('/admin/test-question', requireAdminDryRun, async (req, res) => {
+  const { apt, message, verified } = req.body || {};
+  if (!apt || !message) return res.status(400).json({ error: "Missing 'apt' or 'message' in request body" });
+  if (!checkAptAccess(req, res, apt)) return;
+
+  try {
+    const trace = [];
+    const payload = await chatRouter.answerChat(
+      { apt, rawMessage: message, access: verified ? 'guest' : 'public' },
+      { trace }
+    );
+    return res.json({ payload, trace, handlers: chatRouter.describeChain(apt) });
+  } catch (err) {
+    console.error('Admin test question error:', err?.message || err);
+    return res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+module.exports = router;
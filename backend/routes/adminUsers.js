@@ -0,0 +1,90 @@
+// backend/routes/adminUsers.js
+// Admin accounts and their API keys, and the audit log (owners only, see adminUsers.js and
+// auditLog.js). A key is returned once, when the account is created or its key rotated.
+const express = require('express');
+const adminUsers = require('../adminUsers');
+const auditLog = require('../auditLog');
+const { requireAdmin, requireOwner } = require('../middleware/admin');
+
+const router = express.Router();
+
+// Who is signed in, so the console can hide what this account may not do
+router.get('/admin/me', requireAdmin, (req, res) => {
+  return res.json({ admin: req.admin });
+});
+
+// -------------------------------
+// Accounts (owners only)
+// -------------------------------
+router.get('/admin/users', requireOwner, (req, res) => {
+  return res.json({ roles: adminUsers.ROLES, users: adminUsers.listUsers() });
+});
+
+router.post('/admin/users', requireOwner, (req, res) => {
+  const { name, role, apartments } = req.body || {};
+  const error = adminUsers.validateUserInput({ name, role, apartments });
+  if (error) return res.status(400).json({ error });
+
+  const { user, key } = adminUsers.createUser({ name, role, apartments }, req.admin.id);
+  res.locals.audit = { details: { id: user.id, name: user.name, role: user.role, apartments: user.apartments } };
+  return res.status(201).json({ ok: true, user, key });
+});
+
+// Body: any of name, role, apartments, disabled
+router.put('/admin/users/:id', requireOwner, (req, res) => {
+  const existing = adminUsers.getUser(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Admin account not found' });
+
+  const change = {};
+  for (const field of ['name', 'role', 'apartments', 'disabled']) {
+    if (req.body?.[field] !== undefined) change[field] = req.body[field];
+  }
+  if (change.disabled !== undefined) change.disabled = change.disabled === true || change.disabled === 'true';
+  const error = adminUsers.validateUserInput({ ...existing, ...change });
+  if (error) return res.status(400).json({ error });
+  if (!adminUsers.ownerLeftAfter(existing.id, change)) {
+    return res.status(409).json({ error: 'This would leave no owner who can manage accounts' });
+  }
+
+  const user = adminUsers.updateUser(existing.id, change);
+  res.locals.audit = { details: { id: user.id, before: existing, after: user } };
+  return res.json({ ok: true, user });
+});
+
+router.post('/admin/users/:id/rotate-key', requireOwner, (req, res) => {
+  const result = adminUsers.rotateKey(req.params.id);
+  if (!result) return res.status(404).json({ error: 'Admin account not found' });
+  res.locals.audit = { details: { id: result.user.id, name: result.user.name } };
+  return res.json({ ok: true, ...result });
+});
+
+router.delete('/admin/users/:id', requireOwner, (req, res) => {
+  const existing = adminUsers.getUser(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Admin account not found' });
+  if (!adminUsers.ownerLeftAfter(existing.id, { disabled: true })) {
+    return res.status(409).json({ error: 'This would leave no owner who can manage accounts' });
+  }
+
+  adminUsers.deleteUser(existing.id);
+  res.locals.audit = { details: { id: existing.id, name: existing.name, role: existing.role } };
+  return res.json({ ok: true, user: existing });
+});
+
+// -------------------------------
+// Audit log (owners only)
+//   ?actor=<account id or env> ?action="POST /admin/reload-sheets" ?apt= ?days= ?limit=
+// -------------------------------
+router.get('/admin/audit', requireOwner, (req, res) => {
+  const days = parseInt(req.query.days, 10);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 5000);
+  const entries = auditLog.listActions({
+    actor: req.query.actor || undefined,
+    action: req.query.action || undefined,
+    apt: req.query.apt || undefined,
+    since: days > 0 ? new Date(Date.now() - days * 86400000) : undefined,
+    limit
+  });
+  return res.json({ integrity: auditLog.verifyAudit(), entries });
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// backend/routes/analytics.js
+// Conversation analytics for the admin console (Insights tab), all behind requireAdmin.
+//   ?days=30 (default) or ?from=&to= (ISO dates) pick the range, ?apt= one apartment
+const express = require('express');
+const conversationLog = require('../conversationLog');
+const analytics = require('../analytics');
+const { requireAdmin, checkAptAccess, scopeToApts } = require('../middleware/admin');
+
+const router = express.Router();
+
+const MAX_DAYS = 366;
+
+// Returns { since, until, apt } or an error string
+function rangeFromQuery(query) {
+  const apt = ((query.apt ?? '') + '').trim() || undefined;
+  if (query.from || query.to) {
+    const since = query.from ? new Date(query.from) : new Date(0);
+    const until = query.to ? new Date(query.to) : new Date();
+    if (Number.isNaN(since.getTime()) || Number.isNaN(until.getTime())) return "'from' and 'to' must be dates like 2026-01-31";
+    // a bare date in 'to' means the whole of that day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(query.to || '')) until.setUTCHours(23, 59, 59, 999);
+    return { since, until, apt };
+  }
+
+  const days = query.days === undefined ? 30 : parseInt(query.days, 10);
+  if (!(days > 0 && days <= MAX_DAYS)) return `'days' must be between 1 and ${MAX_DAYS}`;
+  return { since: new Date(Date.now() - days * 86400000), until: new Date(), apt };
+}
+
+// Range and apartment from the query, checked against the admin's apartments; null once answered
+function scopedRange(req, res) {
+  const range = rangeFromQuery(req.query);
+  if (typeof range === 'string') {
+    res.status(400).json({ error: range });
+    return null;
+  }
+  if (range.apt && !checkAptAccess(req, res, range.apt)) return null;
+  return range;
+}
+
+function exchanges(req, range) {
+  return scopeToApts(req, conversationLog.readExchanges(range));
+}
+
+router.get('/admin/analytics', requireAdmin, (req, res) => {
+  const range = scopedRange(req, res);
+  if (!range) return;
+
+  try {
+    const entries = exchanges(req, range);
+    return res.json({
+      from: range.since.toISOString(),
+      to: range.until.toISOString(),
+      apt: range.apt || null,
+      ...analytics.summarise(entries, { top: parseInt(req.query.top, 10) || 10 })
+    });
+  } catch (err) {
+    console.error('Analytics error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to build analytics', details: err?.message || String(err) });
+  }
+});
+
+// Newest first; ?source= and ?fallback=true narrow it down
+router.get('/admin/conversations', requireAdmin, (req, res) => {
+  const range = scopedRange(req, res);
+  if (!range) return;
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const entries = exchanges(req, range)
+    .filter(e => !req.query.source || e.source === req.query.source)
+    .filter(e => req.query.fallback !== 'true' || e.fallback)
+    .reverse();
+  return res.json({ total: entries.length, conversations: entries.slice(0, limit) });
+});
+
+router.get('/admin/analytics/export.csv', requireAdmin, (req, res) => {
+  const range = scopedRange(req, res);
+  if (!range) return;
+
+  const entries = exchanges(req, range);
+  const name = `conversations-${range.apt ? `${range.apt}-` : ''}${range.since.toISOString().slice(0, 10)}-to-${range.until.toISOString().slice(0, 10)}.csv`;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+  return res.send(analytics.toCsv(entries));
+});
+
+module.exports = router;
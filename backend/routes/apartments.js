@@ -0,0 +1,16 @@
+// backend/routes/apartments.js
+// Public apartment profile (display name, check-in/out, house rules) for the chat page.
+// Guest-only columns (Wi-Fi, floor, host phone) and booking refs never leave through here.
+const express = require('express');
+const content = require('../content');
+const { publicProfile } = require('../apartmentProfile');
+
+const router = express.Router();
+
+router.get('/api/apartments/:id/public', (req, res) => {
+  const aptRow = content.getApartmentById(content.normaliseAptId(req.params.id));
+  if (!aptRow) return res.status(404).json({ error: `Unknown apartment '${req.params.id}'.`, code: 'apt_unknown' });
+  return res.json(publicProfile(aptRow));
+});
+
+module.exports = router;
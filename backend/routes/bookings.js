@@ -0,0 +1,54 @@
+// backend/routes/bookings.js
+// The guest's stay for the chat greeting, and the imported reservations for the host (see bookings/).
+const express = require('express');
+const content = require('../content');
+const bookings = require('../bookings');
+const guestAccess = require('../guestAccess');
+const budgets = require('../budgets');
+const { translate } = require('../translations');
+const { normaliseLang } = require('../language');
+const { displayName } = require('../apartmentProfile');
+const { requireAptLink } = require('../middleware/aptLink');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requireAdmin, requireOwner, checkAptAccess, scopeToApts } = require('../middleware/admin');
+
+const router = express.Router();
+
+// { stay, greeting } - both null when neither a linked booking nor the link's stay window is known
+router.post('/api/stay', rateLimit('stay'), requireAptLink, async (req, res) => {
+  const { guest_token, lang } = req.body || {};
+  const apt = req.aptLink?.apt;
+  const stay = bookings.resolveStay({ apt, aptLink: req.aptLink, guest: guestAccess.verifyGuestToken(guest_token, apt) });
+  if (!stay) return res.json({ stay: null, greeting: null });
+
+  const name = displayName(content.getApartmentById(apt));
+  const keep = [name, stay.guest_name].filter(Boolean);
+  // the translation counts against this apartment's AI budget, as chat replies do
+  const greeting = await budgets.forApartment(apt, () => translate(bookings.formatGreeting(stay, name), normaliseLang(lang), { keep }));
+  return res.json({ stay, greeting });
+});
+
+// -------------------------------
+// Admin: imported reservations (protected)
+// -------------------------------
+router.get('/admin/bookings', requireAdmin, (req, res) => {
+  const apt = content.normaliseAptId(req.query.apt);
+  if (apt && !checkAptAccess(req, res, apt)) return;
+  const state = bookings.listBookings();
+  if (apt) return res.json({ ...state, apartments: { [apt]: bookings.reservationsFor(apt) } });
+  const scoped = map => Object.fromEntries(scopeToApts(req, Object.entries(map || {}), ([id]) => id));
+  return res.json({ ...state, apartments: scoped(state.apartments), errors: scoped(state.errors) });
+});
+
+router.post('/admin/bookings/sync', requireOwner, async (req, res) => {
+  try {
+    const result = await bookings.syncBookings('admin');
+    res.locals.audit = { details: { reservations: result.reservations, errors: Object.keys(result.errors || {}) } };
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Booking sync error:', err?.message || err);
+    return res.status(500).json({ error: 'Booking sync failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+// backend/routes/chat.js
+// Guest-facing API: chat (JSON and SSE), text-to-speech, speech-to-text, guest verification.
+// Every route is rate limited (middleware/rateLimit.js) and its input capped:
+//   MAX_MESSAGE_CHARS   chat message length (default 1000)
+//   TTS_MAX_CHARS       text read aloud per request (default 1500)
+//   STT_MAX_MB          voice recording size (default 5)
+// Voice calls are charged to the apartment's daily AI budget (budgets.js), like the chat.
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const content = require('../content');
+const guestAccess = require('../guestAccess');
+const bookings = require('../bookings');
+const budgets = require('../budgets');
+const { AI, textToSpeech, speechToText } = require('../ai');
+const { answerChat } = require('../router');
+const { logExchange, matchedFaq } = require('../conversationLog');
+const { summariseAxiosError } = require('../providers/http');
+const { requireAptLink } = require('../middleware/aptLink');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const MAX_MESSAGE_CHARS = parseInt(process.env.MAX_MESSAGE_CHARS || '1000', 10);
+const TTS_MAX_CHARS = parseInt(process.env.TTS_MAX_CHARS || '1500', 10);
+const STT_MAX_MB = parseFloat(process.env.STT_MAX_MB || '5');
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: Math.floor(STT_MAX_MB * 1024 * 1024), files: 1 } });
+
+// multer's size error as a 413 instead of Express's HTML error page
+function uploadAudio(req, res, next) {
+  upload.single('audio')(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Recording too large (max ${STT_MAX_MB} MB)`, code: 'too_large' });
+    }
+    return res.status(400).json({ error: err.message || 'Invalid upload' });
+  });
+}
+
+function tooLong(res, what, max) {
+  return res.status(413).json({ error: `${what} too long (max ${max} characters)`, code: 'too_large' });
+}
+
+// TTS and STT have no keyword fallback, so they stop until the budget resets
+function budgetExhausted(res) {
+  return res.status(503).json({ error: 'Voice is unavailable for the rest of the day, please type instead.', code: 'budget_exhausted' });
+}
+
+function chatInput(req) {
+  const { message, session_id, guest_token, request_token, lang } = req.body || {};
+  return { apt: req.aptLink?.apt, rawMessage: message, session_id, guest_token, request_token, lang, aptLink: req.aptLink };
+}
+
+function chatErrorBody(err) {
+  const info = err?._openai || summariseAxiosError(err);
+  console.error('Chat error (detailed):', info);
+  return {
+    error: 'Internal server error',
+    hint: info?.status ? `Upstream error ${info.status}: ${info.message}` : (info?.message || 'Unknown error')
+  };
+}
+
+// Answers 400/413 and returns true when the message can't go to the pipeline. Only a non-blank
+// string is a message: arrays and objects would be coerced and still cost an AI call.
+function rejectChatInput(res, { apt, rawMessage }) {
+  if (!apt || rawMessage === undefined || rawMessage === null) {
+    res.status(400).json({ error: "Missing 'apt' or 'message' in request body", code: 'bad_request' });
+    return true;
+  }
+  if (typeof rawMessage !== 'string' || !rawMessage.trim()) {
+    res.status(400).json({ error: "'message' must be a non-empty string", code: 'bad_request' });
+    return true;
+  }
+  if (rawMessage.length > MAX_MESSAGE_CHARS) {
+    tooLong(res, 'Message', MAX_MESSAGE_CHARS);
+    return true;
+  }
+  return false;
+}
+
+// Runs the chat pipeline and writes the exchange to the conversation log. The reply gets
+// message_id (for feedback) and faq, the FAQ question it came from.
+async function answerAndLog(input, channel, events = {}) {
+  const t0 = Date.now();
+  const id = crypto.randomUUID();
+  let answer = {};
+  const log = (payload, error) => logExchange({
+    id,
+    apt: input.apt,
+    aptRow: content.getApartmentById(input.apt),
+    sessionId: input.session_id,
+    channel,
+    access: answer.access,
+    payload,
+    answer,
+    latencyMs: Date.now() - t0,
+    message: input.rawMessage,
+    error
+  });
+
+  try {
+    const result = await answerChat(input, { ...events, onAnswer: info => { answer = info; } });
+    const payload = { ...result, message_id: id, faq: matchedFaq(result.source, answer) };
+    log(payload);
+    return payload;
+  } catch (err) {
+    log(undefined, err?.message || err);
+    throw err;
+  }
+}
+
+router.post('/api/chat', rateLimit('chat'), requireAptLink, async (req, res) => {
+  const input = chatInput(req);
+  if (rejectChatInput(res, input)) return;
+
+  try {
+    return res.json(await answerAndLog(input, 'chat'));
+  } catch (err) {
+    return res.status(500).json(chatErrorBody(err));
+  }
+});
+
+// -------------------------------
+// Streaming chat (Server-Sent Events)
+//   event: route  { source }          - which step is answering
+//   event: token  { text }            - partial LLM output
+//   event: done   { reply, source, score, matches, ... } - same body as /api/chat
+//   event: error  { error, hint }
+// -------------------------------
+router.post('/api/chat/stream', rateLimit('chat'), requireAptLink, async (req, res) => {
+  const input = chatInput(req);
+  if (rejectChatInput(res, input)) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // guest closed the page: stop generating
+  const abort = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) abort.abort(); });
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded || abort.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const payload = await answerAndLog(input, 'stream', {
+      signal: abort.signal,
+      onRoute: source => sendEvent('route', { source }),
+      onToken: text => sendEvent('token', { text })
+    });
+    sendEvent('done', payload);
+  } catch (err) {
+    sendEvent('error', chatErrorBody(err));
+  }
+  res.end();
+});
+
+// -------------------------------
+// Text-to-speech (TTS)
+// -------------------------------
+router.post('/api/tts', rateLimit('voice'), requireAptLink, async (req, res) => {
+  try {
+    const { text, voice } = req.body || {};
+    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: "Missing 'text' in request body" });
+    if (text.length > TTS_MAX_CHARS) return tooLong(res, 'Text', TTS_MAX_CHARS);
+    if (!AI.tts.isConfigured()) return res.status(500).json({ error: `TTS provider "${AI.tts.name}" not configured` });
+    if (budgets.isExhausted(req.aptLink?.apt)) return budgetExhausted(res);
+
+    const audio = await budgets.forApartment(req.aptLink?.apt, () => textToSpeech(text, { voice }));
+
+    res.setHeader('Content-Type', 'audio/mpeg');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(audio);
+  } catch (err) {
+    console.error('TTS error:', err?._openai || err?.message || err);
+    return res.status(500).json({ error: 'TTS failed' });
+  }
+});
+
+// -------------------------------
+// Speech-to-text (STT)
+// -------------------------------
+router.post('/api/stt', rateLimit('voice'), uploadAudio, requireAptLink, async (req, res) => {
+  try {
+    if (!AI.stt.isConfigured()) return res.status(500).json({ error: `STT provider "${AI.stt.name}" not configured` });
+    if (!req.file) return res.status(400).json({ error: "Missing 'audio' file" });
+    if (budgets.isExhausted(req.aptLink?.apt)) return budgetExhausted(res);
+
+    const text = await budgets.forApartment(req.aptLink?.apt, () => speechToText({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype
+    }));
+
+    return res.json({ text });
+  } catch (err) {
+    console.error('STT error:', err?._openai || err?.message || err);
+    return res.status(500).json({ error: 'STT failed' });
+  }
+});
+
+// -------------------------------
+// Guest verification (unlocks "guest" FAQs)
+// -------------------------------
+// An imported reservation's reference also links the booking: the token then lasts until
+// check-out and carries the reservation id (see bookings/).
+router.post('/api/verify', rateLimit('verify'), requireAptLink, (req, res) => {
+  const { booking_ref } = req.body || {};
+  const apt = req.aptLink?.apt;
+  if (!apt || !booking_ref) return res.status(400).json({ error: "Missing 'apt' or 'booking_ref' in request body" });
+
+  const booking = bookings.findByRef(apt, booking_ref);
+  if (!booking && !guestAccess.bookingRefMatches(content.getApartmentById(apt), booking_ref)) {
+    return res.status(401).json({ error: 'Booking reference not recognised for this apartment' });
+  }
+
+  try {
+    const { token, expiresAt } = booking
+      ? guestAccess.signGuestToken(apt, bookings.hoursUntilCheckout(booking), { bk: booking.id })
+      : guestAccess.signGuestToken(apt);
+    const stay = booking ? bookings.resolveStay({ apt, guest: { bk: booking.id } }) : null;
+    return res.json({ ok: true, guest_token: token, expires_at: expiresAt, stay });
+  } catch (err) {
+    console.error('Guest token error:', err?.message || err);
+    return res.status(500).json({ error: 'Guest verification is not configured on this server' });
+  }
+});
+
+module.exports = router;
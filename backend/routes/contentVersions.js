@@ -0,0 +1,69 @@
+// backend/routes/contentVersions.js
+// Content version history and rollback (admin), plus the sync webhook a Sheet can call on edit
+// (e.g. an Apps Script onEdit trigger posting to /webhooks/content-sync with X-Sync-Secret).
+const express = require('express');
+const content = require('../content');
+const versions = require('../contentVersions');
+const { safeEqual } = require('../signing');
+const { requireOwner } = require('../middleware/admin');
+
+const router = express.Router();
+
+// -------------------------------
+// Webhook: sync now (shared secret CONTENT_SYNC_SECRET)
+// -------------------------------
+router.post('/webhooks/content-sync', async (req, res) => {
+  const secret = process.env.CONTENT_SYNC_SECRET;
+  if (!secret) return res.status(503).json({ error: 'Content sync webhook is not configured (CONTENT_SYNC_SECRET)' });
+
+  const provided = req.headers['x-sync-secret'] || '';
+  if (!safeEqual(provided, secret)) return res.status(401).json({ error: 'Unauthorized: invalid sync secret' });
+
+  try {
+    const result = await content.syncContent('webhook');
+    const status = result.ok ? 200 : (result.refused ? 409 : 502);
+    return res.status(status).json({
+      ok: result.ok,
+      changed: !!result.applied,
+      version: result.version?.id || null,
+      error: result.refused || result.error || undefined
+    });
+  } catch (err) {
+    console.error('Content sync webhook error:', err?.message || err);
+    return res.status(500).json({ error: 'Sync failed', details: err?.message || String(err) });
+  }
+});
+
+// -------------------------------
+// Admin: versions and rollback (owners only)
+// -------------------------------
+router.get('/admin/content-versions', requireOwner, (req, res) => {
+  return res.json({
+    live: content.getLiveVersion()?.id || null,
+    versions: versions.listVersions().slice().reverse()
+  });
+});
+
+// ?rows=true also returns the full snapshot
+router.get('/admin/content-versions/:id', requireOwner, (req, res) => {
+  const version = versions.getVersion(req.params.id);
+  if (!version) return res.status(404).json({ error: `Content version '${req.params.id}' not found` });
+
+  const { rows, ...rest } = version;
+  return res.json(String(req.query.rows) === 'true' ? version : rest);
+});
+
+router.post('/admin/content-versions/:id/rollback', requireOwner, (req, res) => {
+  try {
+    const from = content.getLiveVersion()?.id || null;
+    const version = content.rollbackTo(req.params.id);
+    if (!version) return res.status(404).json({ error: `Content version '${req.params.id}' not found` });
+    res.locals.audit = { details: { to: req.params.id, from, live: version.id } };
+    return res.json({ ok: true, live: version.id, version });
+  } catch (err) {
+    console.error('Content rollback error:', err?.message || err);
+    return res.status(500).json({ error: 'Rollback failed', details: err?.message || String(err) });
+  }
+});
+
+module.exports = router;
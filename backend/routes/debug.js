@@ -0,0 +1,56 @@
+// backend/routes/debug.js
+// Read-only diagnostics: version, loaded content, and the chat handler chain (admins only).
+const express = require('express');
+const content = require('../content');
+const chatRouter = require('../router');
+const { EMBEDDING_MODEL_ID } = require('../ai');
+const { describeProviders } = require('../providers');
+const { indexStats } = require('../faqSearch');
+const { SERVER_VERSION } = require('../version');
+const { requireAdmin, checkAptAccess } = require('../middleware/admin');
+
+const router = express.Router();
+
+router.get('/debug/version', requireAdmin, (req, res) => {
+  res.json({ version: SERVER_VERSION });
+});
+
+router.get('/debug/faq-data', requireAdmin, (req, res) => {
+  const stats = content.contentStats();
+  const live = content.getLiveVersion();
+  res.json({
+    version: SERVER_VERSION,
+    contentVersion: live ? { id: live.id, createdAt: live.createdAt, reason: live.reason, source: live.source, hashes: live.hashes } : null,
+    apartmentsCount: stats.apartments,
+    localGuideCount: stats.localGuide,
+    faqApartments: stats.faqApartments,
+    globalFaqCount: stats.globalFaqCount,
+    embeddingModel: EMBEDDING_MODEL_ID,
+    providers: describeProviders(),
+    embeddingIndex: indexStats()
+  });
+});
+
+// GET /debug/chat-chain?apt=YAKA01                 -> handler order, on/off and config for that apartment
+// GET /debug/chat-chain?apt=YAKA01&message=...     -> also runs the message (public access, no session)
+//                                                     and shows which handler answered
+router.get('/debug/chat-chain', requireAdmin, async (req, res) => {
+  const apt = content.normaliseAptId(req.query.apt);
+  const message = ((req.query.message || '') + '').trim();
+  if (!checkAptAccess(req, res, apt)) return;
+
+  const out = { apt: apt || null, handlers: chatRouter.describeChain(apt) };
+  if (!apt || !message) return res.json(out);
+
+  try {
+    const trace = [];
+    out.payload = await chatRouter.answerChat({ apt, rawMessage: message }, { trace });
+    out.trace = trace;
+    return res.json(out);
+  } catch (err) {
+    console.error('Chat chain debug error:', err?.message || err);
+    return res.status(500).json({ ...out, error: err?.message || String(err) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// backend/routes/escalations.js
+// Host escalations raised from the chat (see escalations.js); the admin side is in routes/admin.js.
+const express = require('express');
+const escalations = require('../escalations');
+const { requireAptLink } = require('../middleware/aptLink');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+router.post('/api/escalations', rateLimit('notify'), requireAptLink, async (req, res) => {
+  const input = { ...req.body, apt: req.aptLink?.apt };
+  const error = escalations.validateEscalationInput(input);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const ticket = await escalations.createTicket(input);
+    console.log('Escalation ticket created:', ticket.id, ticket.apt, ticket.status);
+    return res.status(201).json({ ok: true, ticket: escalations.publicTicketView(ticket) });
+  } catch (err) {
+    console.error('Escalation error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to create escalation ticket' });
+  }
+});
+
+router.get('/api/escalations/:id', (req, res) => {
+  const ticket = escalations.getTicket(req.params.id);
+  if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+  return res.json({ ticket: escalations.publicTicketView(ticket) });
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// backend/routes/feedback.js
+// Guest 👍/👎 on bot replies (see feedback.js) and the admin list of low-rated answers.
+const express = require('express');
+const feedback = require('../feedback');
+const { requireAptLink } = require('../middleware/aptLink');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requireAdmin, checkAptAccess, scopeToApts } = require('../middleware/admin');
+
+const router = express.Router();
+
+router.post('/api/feedback', rateLimit('feedback'), requireAptLink, (req, res) => {
+  const error = feedback.validateFeedbackInput(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const item = feedback.recordFeedback({ ...req.body, apt: req.aptLink?.apt });
+    if (!item) return res.status(404).json({ error: 'Message not found for this apartment' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Feedback error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
+// -------------------------------
+// Admin: feedback grouped by FAQ (protected)
+//   ?days=30 ?apt= ?rating=down|up   ?group=none for the plain list
+// -------------------------------
+router.get('/admin/feedback', requireAdmin, (req, res) => {
+  const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+  if (!(days > 0)) return res.status(400).json({ error: "'days' must be a positive number" });
+  if (req.query.rating && !feedback.RATINGS.includes(req.query.rating)) {
+    return res.status(400).json({ error: "'rating' must be 'up' or 'down'" });
+  }
+
+  if (req.query.apt && !checkAptAccess(req, res, req.query.apt)) return;
+
+  const items = scopeToApts(req, feedback.listFeedback({
+    since: new Date(Date.now() - days * 86400000),
+    apt: req.query.apt || undefined,
+    rating: req.query.rating || undefined
+  }));
+  if (req.query.group === 'none') return res.json({ total: items.length, feedback: items });
+
+  const groups = feedback.groupByFaq(items);
+  return res.json({
+    total: items.length,
+    down: items.filter(f => f.rating === 'down').length,
+    groups
+  });
+});
+
+module.exports = router;
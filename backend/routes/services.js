@@ -0,0 +1,74 @@
+// backend/routes/services.js
+// Service requests from the chat (see services.js) and the host's side of them.
+const express = require('express');
+const services = require('../services');
+const bookings = require('../bookings');
+const guestAccess = require('../guestAccess');
+const { requireAptLink } = require('../middleware/aptLink');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requireAdmin, checkAptAccess, scopeToApts } = require('../middleware/admin');
+
+const router = express.Router();
+
+router.get('/api/services', requireAptLink, (req, res) => {
+  return res.json({ services: services.servicesForApt(req.aptLink?.apt) });
+});
+
+router.post('/api/service-requests', rateLimit('notify'), requireAptLink, async (req, res) => {
+  const { service_id, details, contact, request_token, guest_token, lang } = req.body || {};
+  const apt = req.aptLink?.apt;
+  if (!service_id) return res.status(400).json({ error: "Missing 'service_id' in request body" });
+
+  const service = services.getService(apt, service_id);
+  if (!service) return res.status(404).json({ error: `Unknown service '${service_id}' for this apartment` });
+
+  const stay = bookings.resolveStay({ apt, aptLink: req.aptLink, guest: guestAccess.verifyGuestToken(guest_token, apt) });
+  const cleaned = services.cleanDetails(details);
+  const error = services.validateRequest(service, cleaned, { apt, stay });
+  if (error) return res.status(400).json({ error });
+
+  // the same requester token for every request from this browser, so the chat can list them
+  const known = guestAccess.verifyRequesterToken(request_token, apt);
+  const requester = known ? { token: request_token, requester: known } : guestAccess.signRequesterToken(apt);
+
+  try {
+    const request = await services.createRequest({ apt, service, details: cleaned, contact, requester: requester?.requester, stay, lang });
+    console.log('Service request created:', request.id, request.apt, request.service_id);
+    return res.status(201).json({ ok: true, request: services.publicRequestView(request), request_token: requester?.token || null });
+  } catch (err) {
+    console.error('Service request error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to save the request' });
+  }
+});
+
+router.get('/api/service-requests/:id', requireAptLink, (req, res) => {
+  const request = services.getRequest(req.params.id);
+  if (!request || request.apt !== req.aptLink?.apt) return res.status(404).json({ error: 'Request not found' });
+  return res.json({ request: services.publicRequestView(request) });
+});
+
+// -------------------------------
+// Admin: service requests (protected)
+// -------------------------------
+router.get('/admin/service-requests', requireAdmin, (req, res) => {
+  const { apt, status } = req.query;
+  if (apt && !checkAptAccess(req, res, apt)) return;
+  return res.json({ requests: scopeToApts(req, services.listRequests({ apt, status })) });
+});
+
+router.post('/admin/service-requests/:id/status', requireAdmin, (req, res) => {
+  const { status, note } = req.body || {};
+  if (!services.REQUEST_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `'status' must be one of: ${services.REQUEST_STATUSES.join(', ')}` });
+  }
+
+  const existing = services.getRequest(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Request not found' });
+  res.locals.audit = { apt: existing.apt, details: { id: existing.id, from: existing.status, to: status } };
+  if (!checkAptAccess(req, res, existing.apt)) return;
+
+  const request = services.updateRequestStatus(req.params.id, status, note);
+  return res.json({ ok: true, request });
+});
+
+module.exports = router;
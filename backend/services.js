@@ -0,0 +1,304 @@
+// backend/services.js
+// Bookable services (airport transfers, cleaning, extra towels ...) and the guests' requests.
+// The catalogue is the Services sheet, one row per service:
+//   apt_id       an apartment, or blank / ALL for every apartment (an apartment's own row wins)
+//   service_id   e.g. airport_transfer, cleaning, towels - these three are also recognised in
+//                every chat language (see detectServiceRequest in intents.js)
+//   name, price  shown to the guest as written ("Airport transfer", "LKR 8,500 per car")
+//   lead_hours   minimum notice in hours (blank = none)
+//   fields       what the guest must fill in: date, time, flight, people (default: date, time);
+//                notes can always be added
+//   keywords     more words that ask for it, comma-separated, any language
+// Requests are saved to disk with a status (requested -> confirmed -> done), pushed to the host
+// through the escalation notifiers, and shown to the guest in the chat.
+const crypto = require('crypto');
+const content = require('./content');
+const { dataPath, readJson, writeJson } = require('./store');
+const { notifyAll } = require('./notifiers');
+const { localTime, timeZoneOf } = require('./openingHours');
+const { formatDay } = require('./bookings');
+
+const REQUESTS_FILE = dataPath('service-requests.json');
+
+const FIELDS = ['date', 'time', 'flight', 'people', 'notes'];
+const DEFAULT_FIELDS = ['date', 'time'];
+const REQUEST_STATUSES = ['requested', 'confirmed', 'done'];
+
+const MAX_PEOPLE = 50;
+
+let requests = null; // lazy-loaded { id: request }
+
+function str(v) {
+  return ((v ?? '') + '').trim();
+}
+
+function clean(v, max) {
+  return str(v).slice(0, max);
+}
+
+function list(v) {
+  return str(v).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// -------------------------------
+// Catalogue
+// -------------------------------
+// 'date, time, Flight' -> ['date', 'time', 'flight'] (unknown names are dropped; notes is never required)
+function parseFields(v) {
+  const named = list(v).map(s => s.toLowerCase());
+  if (!named.length) return [...DEFAULT_FIELDS];
+  return FIELDS.filter(f => f !== 'notes' && named.includes(f));
+}
+
+function toService(row) {
+  const lead = parseFloat(str(row.lead_hours));
+  return {
+    id: str(row.service_id) || str(row.name).toLowerCase().replace(/\W+/g, '_'),
+    name: str(row.name) || str(row.service_id),
+    price: str(row.price),
+    lead_hours: lead > 0 ? lead : 0,
+    fields: parseFields(row.fields),
+    keywords: list(row.keywords),
+    description: str(row.description)
+  };
+}
+
+function servicesForApt(apt) {
+  const id = str(apt);
+  const byId = new Map();
+  for (const row of content.getServices()) {
+    if (!str(row.name) && !str(row.service_id)) continue;
+    const own = str(row.apt_id) === id;
+    if (!own && !content.isGlobalAptId(row.apt_id)) continue;
+    const service = toService(row);
+    if (own || !byId.has(service.id)) byId.set(service.id, { ...service, own });
+  }
+  return [...byId.values()].map(({ own, ...service }) => service);
+}
+
+function getService(apt, serviceId) {
+  return servicesForApt(apt).find(s => s.id === str(serviceId)) || null;
+}
+
+// What chat.html needs to draw the form; the date is limited to the stay when it is known
+function serviceForm(service, stay) {
+  const form = {
+    id: service.id,
+    name: service.name,
+    price: service.price || null,
+    lead_hours: service.lead_hours,
+    fields: [...service.fields, 'notes'],
+    required: service.fields
+  };
+  if (stay) {
+    form.min_date = stay.check_in;
+    form.max_date = stay.check_out;
+  }
+  return form;
+}
+
+function formatServiceOffer(service) {
+  const parts = [service.price ? `${service.name}: ${service.price}.` : `${service.name} can be arranged.`];
+  if (service.description) parts.push(service.description);
+  if (service.lead_hours) parts.push(`Please book at least ${service.lead_hours} hours ahead.`);
+  parts.push("Fill in the details below and I'll send the request to the host.");
+  return parts.join(' ');
+}
+
+// -------------------------------
+// Requests
+// -------------------------------
+function loadRequests() {
+  if (!requests) requests = readJson(REQUESTS_FILE, {});
+  return requests;
+}
+
+function saveRequests() {
+  writeJson(REQUESTS_FILE, requests);
+}
+
+function newRequestId() {
+  return `S-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+// The form values, trimmed; only the fields the catalogue knows
+function cleanDetails(details) {
+  const d = details && typeof details === 'object' ? details : {};
+  const out = {};
+  for (const f of FIELDS) {
+    const v = clean(d[f], f === 'notes' ? 500 : 40);
+    if (v) out[f] = f === 'flight' ? v.toUpperCase().replace(/\s+/g, '') : v;
+  }
+  return out;
+}
+
+const FIELD_CHECKS = {
+  date: v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(`${v}T00:00:00Z`)),
+  time: v => /^([01]?\d|2[0-3]):[0-5]\d$/.test(v),
+  flight: v => /^[A-Z0-9]{2}\d{1,4}[A-Z]?$/.test(v),
+  people: v => /^\d+$/.test(v) && Number(v) >= 1 && Number(v) <= MAX_PEOPLE,
+};
+
+const FIELD_ERRORS = {
+  date: "'date' must be a date like 2026-03-05",
+  time: "'time' must be a time like 14:30",
+  flight: "'flight' must be a flight number like UL504",
+  people: `'people' must be a number from 1 to ${MAX_PEOPLE}`,
+};
+
+// Returns an error string, or null when the request can be made.
+// now: for tests; stay: the guest's stay (bookings.resolveStay), which the date must fall in
+function validateRequest(service, details, { apt, stay, now = new Date() } = {}) {
+  for (const f of service.fields) {
+    if (!details[f]) return `Missing '${f}' for ${service.name}`;
+  }
+  for (const [f, ok] of Object.entries(FIELD_CHECKS)) {
+    if (details[f] && !ok(details[f])) return FIELD_ERRORS[f];
+  }
+  if (!details.date) return null;
+
+  if (stay && (details.date < stay.check_in || details.date > stay.check_out)) {
+    return `The date must be during your stay (${formatDay(stay.check_in)} - ${formatDay(stay.check_out)})`;
+  }
+
+  // compared as the apartment's wall-clock time; a date without a time counts as the end of that day
+  const tz = timeZoneOf(content.getApartmentById(apt));
+  const earliest = localTime(new Date(now.getTime() + service.lead_hours * 3600000), tz);
+  const hhmm = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+  const wanted = `${details.date} ${(details.time || '23:59').padStart(5, '0')}`;
+  if (wanted < `${earliest.date} ${hhmm(earliest.minutes)}`) {
+    return service.lead_hours
+      ? `${service.name} needs at least ${service.lead_hours} hours' notice`
+      : 'That time has already passed';
+  }
+  return null;
+}
+
+// "Airport transfer, Thu 5 Mar 14:30, flight UL504, 3 people"
+function describeRequest(r) {
+  const d = r.details || {};
+  const parts = [r.service_name];
+  if (d.date) parts.push(`${formatDay(d.date)}${d.time ? ` ${d.time}` : ''}`);
+  else if (d.time) parts.push(d.time);
+  if (d.flight) parts.push(`flight ${d.flight}`);
+  if (d.people) parts.push(`${d.people} ${d.people === '1' ? 'person' : 'people'}`);
+  return parts.join(', ');
+}
+
+function publicRequestView(r) {
+  const note = [...r.history].reverse().find(h => h.note)?.note || null;
+  return {
+    id: r.id,
+    apt: r.apt,
+    service_id: r.service_id,
+    service_name: r.service_name,
+    summary: describeRequest(r),
+    details: r.details,
+    status: r.status,
+    note,
+    created_at: r.created_at,
+    updated_at: r.updated_at
+  };
+}
+
+// stay: the guest's stay when known, so the host sees the booking it belongs to;
+// requester: the id in the guest's requester token (guestAccess.signRequesterToken)
+async function createRequest({ apt, service, details, contact, requester, stay, lang }) {
+  const now = new Date().toISOString();
+  const c = contact && typeof contact === 'object' ? contact : {};
+
+  const request = {
+    id: newRequestId(),
+    apt: clean(apt, 64),
+    service_id: service.id,
+    service_name: service.name,
+    price: service.price,
+    details,
+    contact: {
+      name: clean(c.name, 120) || stay?.guest_name || '',
+      phone: clean(c.phone, 40),
+      email: clean(c.email, 160)
+    },
+    booking: stay?.ref ? { ref: stay.ref, check_in: stay.check_in, check_out: stay.check_out } : null,
+    requester: clean(requester, 64) || null,
+    lang: clean(lang, 8) || 'en',
+    status: 'requested',
+    history: [{ at: now, status: 'requested' }],
+    notifications: [],
+    created_at: now,
+    updated_at: now
+  };
+
+  loadRequests()[request.id] = request;
+  saveRequests();
+
+  // the host is told through the same channels as escalations
+  const lines = [`Service request: ${describeRequest(request)}`];
+  if (request.price) lines.push(`Price: ${request.price}`);
+  if (details.notes) lines.push(`Notes: ${details.notes}`);
+  if (request.booking) lines.push(`Booking ${request.booking.ref} (${request.booking.check_in} - ${request.booking.check_out})`);
+  const results = await notifyAll({ ...request, message: lines.join('\n'), conversation: [] });
+  request.notifications.push(...results);
+  saveRequests();
+
+  return request;
+}
+
+function getRequest(id) {
+  return loadRequests()[clean(id, 32)] || null;
+}
+
+function listRequests({ apt, status } = {}) {
+  return Object.values(loadRequests())
+    .filter(r => !apt || r.apt === apt)
+    .filter(r => !status || r.status === status)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// The guest's own requests: made with their requester token or for their linked booking (both
+// signed by the server; the chat session id is the client's own and proves nothing)
+function requestsForGuest({ apt, requester, ref }) {
+  return listRequests({ apt }).filter(r =>
+    (requester && r.requester === requester) || (ref && r.booking?.ref === ref));
+}
+
+function updateRequestStatus(id, status, note) {
+  const r = getRequest(id);
+  if (!r) return null;
+
+  r.status = status;
+  r.updated_at = new Date().toISOString();
+  r.history.push({ at: r.updated_at, status, ...(note && { note: clean(note, 1000) }) });
+  saveRequests();
+  return r;
+}
+
+const STATUS_TEXT = { requested: 'waiting for the host', confirmed: 'confirmed', done: 'done' };
+
+function formatRequestStatus(list) {
+  const lines = list.map(r => {
+    const note = publicRequestView(r).note;
+    return `• ${describeRequest(r)} (${r.id}): ${STATUS_TEXT[r.status] || r.status}${note ? ` - ${note}` : ''}`;
+  });
+  return `Your requests:\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  FIELDS,
+  REQUEST_STATUSES,
+  parseFields,
+  servicesForApt,
+  getService,
+  serviceForm,
+  formatServiceOffer,
+  cleanDetails,
+  validateRequest,
+  describeRequest,
+  publicRequestView,
+  createRequest,
+  getRequest,
+  listRequests,
+  requestsForGuest,
+  updateRequestStatus,
+  formatRequestStatus,
+};
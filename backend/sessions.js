@@ -0,0 +1,155 @@
+// backend/sessions.js
+// In-memory conversation sessions for /api/chat, keyed by a client-made session id.
+// Each session keeps the recent turns, the last LocalGuide places and the last FAQ hits,
+// so follow-ups like "and how far is it?", "what about the second one?" or, after a FAQ answer,
+// "is it free?" can be resolved.
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MINUTES || '60', 10) * 60 * 1000;
+const MAX_TURNS = parseInt(process.env.SESSION_MAX_TURNS || '8', 10);
+const MAX_SESSIONS = 5000;
+
+const sessions = new Map(); // id -> session
+
+function isValidSessionId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(id);
+}
+
+function getSession(id, apt) {
+  if (!isValidSessionId(id)) return null;
+
+  let s = sessions.get(id);
+  if (s && (Date.now() - s.lastSeen > SESSION_TTL_MS || s.apt !== apt)) {
+    sessions.delete(id);
+    s = null;
+  }
+
+  if (!s) {
+    if (sessions.size >= MAX_SESSIONS) sweepSessions();
+    // still full: drop the oldest (Map keeps insertion order)
+    if (sessions.size >= MAX_SESSIONS) sessions.delete(sessions.keys().next().value);
+
+    s = { id, apt, turns: [], lastPlaces: [], focusPlace: null, lastFaqs: [], lastSeen: Date.now() };
+    sessions.set(id, s);
+  }
+
+  s.lastSeen = Date.now();
+  return s;
+}
+
+function recordTurn(session, { message, reply, source, places, faqs }) {
+  if (!session) return;
+
+  session.turns.push({ role: 'user', content: message });
+  session.turns.push({ role: 'assistant', content: reply, source });
+  if (session.turns.length > MAX_TURNS * 2) session.turns.splice(0, session.turns.length - MAX_TURNS * 2);
+
+  if (places && places.length) {
+    session.lastPlaces = places;
+    session.focusPlace = places.length === 1 ? places[0] : null;
+  }
+  // only the FAQs behind the last reply; after a FAQ answer "it" means that topic, not a place
+  session.lastFaqs = faqs && faqs.length ? faqs : [];
+  if (session.lastFaqs.length && !(places && places.length)) session.focusPlace = null;
+}
+
+function sweepSessions() {
+  const now = Date.now();
+  for (const [id, s] of sessions) {
+    if (now - s.lastSeen > SESSION_TTL_MS) sessions.delete(id);
+  }
+}
+
+setInterval(sweepSessions, 5 * 60 * 1000).unref();
+
+// -------------------------------
+// Follow-up resolution
+// -------------------------------
+const ORDINALS = {
+  first: 0, '1st': 0,
+  second: 1, '2nd': 1,
+  third: 2, '3rd': 2,
+  fourth: 3, '4th': 3,
+  fifth: 4, '5th': 4,
+  sixth: 5, '6th': 5,
+  last: -1
+};
+
+const ORDINAL_RE = /\b(?:the\s+)?(first|1st|second|2nd|third|3rd|fourth|4th|fifth|5th|sixth|6th|last)(?:\s+(?:one|place|option))?\b/i;
+const NUMBER_RE = /\b(?:number|no\.?|#)\s*([1-6])\b|(?:^|\s)#([1-6])\b/i;
+const PRONOUN_RE = /\b(that place|this place|that one|this one|it)\b/i;
+const THERE_RE = /\b(?:to\s+)?there\b/i;
+const FOLLOW_UP_CUE_RE = /\b(how far|far|where|directions?|get|go|walk|open|close|closing|distance|address|map|maps|how long|minutes?|mins?)\b/i;
+const FAQ_FOLLOW_UP_RE = /^\s*(?:and|also|what about|how about)\b|\b(?:it|that|this|they|them|those)\b/i;
+
+function pickOrdinal(list, message) {
+  const m = message.match(ORDINAL_RE);
+  if (m) {
+    const idx = ORDINALS[m[1].toLowerCase()];
+    const row = idx === -1 ? list[list.length - 1] : list[idx];
+    return row ? { row, phrase: m[0] } : null;
+  }
+  const n = message.match(NUMBER_RE);
+  if (n) {
+    const row = list[parseInt(n[1] || n[2], 10) - 1];
+    return row ? { row, phrase: n[0].trim() } : null;
+  }
+  return null;
+}
+
+// { message, place } with the reference replaced by the place name, or null
+function resolvePlace(session, original) {
+  if (!session.lastPlaces.length) return null;
+
+  // "what about the second one?" / "number 2"
+  const ord = pickOrdinal(session.lastPlaces, original);
+  if (ord) {
+    const name = (ord.row.name || '').toString().trim();
+    if (name) {
+      session.focusPlace = ord.row;
+      return { message: original.replace(ord.phrase, name), place: ord.row };
+    }
+  }
+
+  // "how far is it?" / "how do I get there?" — only when one place is in focus
+  const focus = session.focusPlace;
+  const name = (focus?.name || '').toString().trim();
+  if (!name || !FOLLOW_UP_CUE_RE.test(original)) return null;
+
+  if (PRONOUN_RE.test(original)) return { message: original.replace(PRONOUN_RE, name), place: focus };
+  if (THERE_RE.test(original)) return { message: original.replace(THERE_RE, `to ${name}`), place: focus };
+  return null;
+}
+
+// Returns { message, place, faq }: message has a place reference replaced by the place name;
+// faq is the FAQ behind the last reply when the message follows up on it ("is it free?"), for
+// the LLM to answer from. Otherwise the original message, place and faq null.
+function resolveFollowUp(session, message) {
+  const original = (message || '').toString();
+  const none = { message: original, place: null, faq: null };
+  if (!session) return none;
+
+  // long messages are new questions, not follow-ups
+  if (original.trim().split(/\s+/).length > 12) return none;
+
+  const place = resolvePlace(session, original);
+  if (place) return { ...place, faq: null };
+
+  if (session.lastFaqs.length && FAQ_FOLLOW_UP_RE.test(original)) return { ...none, faq: session.lastFaqs[0] };
+  return none;
+}
+
+// Recent turns as chat messages for the LLM fallback.
+function historyForLLM(session, maxTurns = 4) {
+  if (!session) return [];
+  return session.turns
+    .slice(-maxTurns * 2)
+    .map(t => ({ role: t.role, content: (t.content || '').toString().slice(0, 800) }));
+}
+
+module.exports = {
+  isValidSessionId,
+  getSession,
+  recordTurn,
+  resolveFollowUp,
+  historyForLLM,
+  sweepSessions,
+};
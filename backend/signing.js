@@ -0,0 +1,57 @@
+// backend/signing.js
+// Compact HMAC-signed tokens: base64url(JSON payload) + "." + base64url(HMAC-SHA256).
+// Used by guest tokens and apartment link tokens.
+const crypto = require('crypto');
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromB64url(s) {
+  return Buffer.from(s.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+function signPayload(payload, secret) {
+  const body = b64url(JSON.stringify(payload));
+  return `${body}.${b64url(hmac(secret, body))}`;
+}
+
+// Decodes the payload WITHOUT checking the signature (e.g. to read the key version first).
+function readPayload(token) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+  try {
+    const payload = JSON.parse(fromB64url(parts[0]).toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function hasValidSignature(token, secret) {
+  if (typeof token !== 'string' || !secret) return false;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return false;
+
+  const expected = hmac(secret, body);
+  const given = fromB64url(sig);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+module.exports = {
+  signPayload,
+  readPayload,
+  hasValidSignature,
+  safeEqual,
+};
@@ -0,0 +1,46 @@
+// backend/store.js
+// Tiny JSON-on-disk helpers for runtime data (tickets, caches, logs).
+// Everything lives under DATA_DIR (default ./data, git-ignored).
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+function ensureDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Could not read ${file}:`, err?.message || err);
+    return fallback;
+  }
+}
+
+// write to a temp file then rename, so a crash never leaves half a file behind
+function writeJson(file, data) {
+  ensureDir(path.dirname(file));
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function appendJsonLine(file, obj) {
+  ensureDir(path.dirname(file));
+  fs.appendFileSync(file, JSON.stringify(obj) + '\n');
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  ensureDir,
+  readJson,
+  writeJson,
+  appendJsonLine,
+};
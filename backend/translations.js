@@ -0,0 +1,166 @@
+// backend/translations.js
+// Machine translation of replies, with two guards around ai.translateText:
+//   - protected spans: URLs, emails, phone numbers, codes (Wi-Fi names and passwords, door codes)
+//     and place names are swapped for ⟦n⟧ placeholders before translating and put back after,
+//     so the model never sees (or mangles) them
+//   - a persistent cache keyed by language + sha256(text with placeholders), as JSON lines in
+//     DATA_DIR/translations.jsonl: { "l": lang, "h": hash, "t": translation }. The same FAQ answer
+//     or place list costs one translation per language, even across restarts, and the cache never
+//     holds the protected values themselves.
+// TRANSLATION_CACHE=false turns the cache off. Host-written translations (answer_<lang> columns
+// in the FAQs sheet) are picked in the router and never come through here.
+const crypto = require('crypto');
+const fs = require('fs');
+const { dataPath, appendJsonLine } = require('./store');
+const { translateText } = require('./ai');
+
+const CACHE_FILE = dataPath('translations.jsonl');
+
+let cache = null; // lazy-loaded Map(`${lang}:${hash}` -> translation)
+
+function cacheEnabled() {
+  return process.env.TRANSLATION_CACHE !== 'false';
+}
+
+// -------------------------------
+// Protected spans
+// -------------------------------
+const PLACEHOLDER = /⟦(\d+)⟧/g;
+
+// checked in this order; an earlier match wins over a later one that overlaps it
+const PATTERNS = [
+  /`[^`\n]+`/g,                                                    // anything the host put in backticks
+  /\bhttps?:\/\/[^\s<>"')]+[^\s<>"').,;:!?]/gi,                    // URLs
+  /\bwww\.[^\s<>"')]+[^\s<>"').,;:!?]/gi,
+  /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,                                  // emails
+  /\+?\d[\d\s().-]{5,}\d/g,                                         // phone numbers
+  // the value after "password is", "code:", "network", "PIN" ...
+  /(?<=\b(?:password|passcode|passwort|code|pin|network|ssid|wi-?fi name|key ?box)\s*(?:is|:)?\s+)(?!is\b)[^\s,;]*[^\s,;.!?]/gi,
+  // codes: mixed letters and digits (YAKA01-Guest, 4821B), or CamelCase (YakaGuest); not times (11am)
+  /(?<![\p{L}\p{N}])(?!\d{1,2}(?:[.:]\d{2})?\s?(?:am|pm)\b)(?=[\p{L}\p{N}_#-]*\p{N})(?=[\p{L}\p{N}_#-]*\p{L})[\p{L}\p{N}_#-]{3,}/gu,
+  /(?<![\p{L}\p{N}])\p{Lu}\p{Ll}+\p{Lu}[\p{L}\p{N}]*/gu,
+];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns { text (with ⟦n⟧ placeholders), spans: [original, ...] }.
+// keep: extra literal strings to protect (place names), matched case-insensitively.
+function protectSpans(text, { keep = [] } = {}) {
+  const source = (text ?? '') + '';
+  const names = [...new Set(keep.map(k => ((k ?? '') + '').trim()).filter(k => k.length >= 3))]
+    .sort((a, b) => b.length - a.length);
+  const patterns = [
+    ...names.map(n => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(n)}(?![\\p{L}\\p{N}])`, 'giu')),
+    ...PATTERNS
+  ];
+
+  // collect non-overlapping ranges, first pattern first
+  const ranges = [];
+  for (const re of patterns) {
+    re.lastIndex = 0;
+    for (const m of source.matchAll(re)) {
+      if (!m[0]) continue;
+      const start = m.index;
+      const end = start + m[0].length;
+      if (ranges.some(r => start < r.end && end > r.start)) continue;
+      ranges.push({ start, end });
+    }
+  }
+  ranges.sort((a, b) => a.start - b.start);
+
+  const spans = [];
+  let out = '';
+  let at = 0;
+  for (const r of ranges) {
+    out += source.slice(at, r.start) + `⟦${spans.length}⟧`;
+    spans.push(source.slice(r.start, r.end));
+    at = r.end;
+  }
+  return { text: out + source.slice(at), spans };
+}
+
+// null when the translation lost or invented a placeholder
+function restoreSpans(text, spans) {
+  const found = [...((text ?? '') + '').matchAll(PLACEHOLDER)].map(m => Number(m[1]));
+  if (found.length !== spans.length || !spans.every((_, i) => found.includes(i))) return null;
+  return text.replace(PLACEHOLDER, (_, i) => spans[Number(i)]);
+}
+
+// -------------------------------
+// Cache
+// -------------------------------
+function textHash(text) {
+  return crypto.createHash('sha256').update(((text ?? '') + '').trim()).digest('hex');
+}
+
+function loadCache() {
+  if (cache) return cache;
+  cache = new Map();
+  try {
+    for (const line of fs.readFileSync(CACHE_FILE, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        const row = JSON.parse(line);
+        if (row.l && row.h && typeof row.t === 'string') cache.set(`${row.l}:${row.h}`, row.t);
+      } catch { /* skip a torn last line */ }
+    }
+    console.log(`Translation cache: ${cache.size} translations loaded`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Could not read translation cache:', err?.message || err);
+  }
+  return cache;
+}
+
+function getCached(lang, text) {
+  if (!cacheEnabled()) return null;
+  return loadCache().get(`${lang}:${textHash(text)}`) ?? null;
+}
+
+function putCached(lang, text, translation) {
+  if (!cacheEnabled()) return;
+  const h = textHash(text);
+  const c = loadCache();
+  if (c.get(`${lang}:${h}`) === translation) return;
+  c.set(`${lang}:${h}`, translation);
+  try {
+    appendJsonLine(CACHE_FILE, { l: lang, h, t: translation });
+  } catch (err) {
+    console.warn('Could not persist translation:', err?.message || err);
+  }
+}
+
+// -------------------------------
+// Translate
+// -------------------------------
+// English text -> targetLang. Falls back to the English text (uncached) when the model fails or
+// drops a protected span, so a guest never gets a wrong password or a broken link.
+async function translate(text, targetLang, { keep = [] } = {}) {
+  const lang = ((targetLang ?? '') + '').trim().toLowerCase();
+  if (!text || !lang || lang === 'en') return text;
+
+  const { text: masked, spans } = protectSpans(text, { keep });
+  if (!masked.replace(PLACEHOLDER, '').trim()) return text; // nothing left to translate
+
+  const cached = getCached(lang, masked);
+  if (cached !== null) return restoreSpans(cached, spans) ?? text;
+
+  const translated = await translateText(masked, lang);
+  if (!translated || translated === masked) return text; // failed (translateText returns the input)
+
+  const restored = restoreSpans(translated, spans);
+  if (restored === null) {
+    console.warn(`Translation to ${lang} lost a protected span; replying in English`);
+    return text;
+  }
+  putCached(lang, masked, translated);
+  return restored;
+}
+
+module.exports = {
+  CACHE_FILE,
+  protectSpans,
+  restoreSpans,
+  translate,
+};
@@ -0,0 +1,74 @@
+// backend/vectorIndex.js
+// In-memory vector index, partitioned by apartment (plus one global partition).
+// Vectors are L2-normalised and packed into one Float32Array per partition, so a query
+// is a tight dot-product scan over only its apartment + global FAQs. That stays in the
+// low milliseconds for thousands of FAQs across all apartments.
+function normalise(vec) {
+  let sum = 0;
+  for (let i = 0; i < vec.length; i++) sum += vec[i] * vec[i];
+  const n = Math.sqrt(sum) || 1;
+  const out = new Float32Array(vec.length);
+  for (let i = 0; i < vec.length; i++) out[i] = vec[i] / n;
+  return out;
+}
+
+function createVectorIndex() {
+  const partitions = new Map(); // key -> { dim, items, matrix }
+
+  // entries: [{ item, vector }]
+  function setPartition(key, entries) {
+    const usable = entries.filter(e => e.vector && e.vector.length);
+    if (!usable.length) {
+      partitions.delete(key);
+      return;
+    }
+
+    const dim = usable[0].vector.length;
+    const rows = usable.filter(e => e.vector.length === dim);
+    const matrix = new Float32Array(rows.length * dim);
+    rows.forEach((e, i) => matrix.set(normalise(e.vector), i * dim));
+
+    partitions.set(key, { dim, items: rows.map(e => e.item), matrix });
+  }
+
+  function clear() {
+    partitions.clear();
+  }
+
+  // Returns [{ item, score }] best first (cosine similarity).
+  function search(queryVec, keys, topK = 5) {
+    const q = normalise(queryVec);
+    const hits = [];
+
+    for (const key of keys) {
+      const p = partitions.get(key);
+      if (!p || p.dim !== q.length) continue;
+
+      const { dim, items, matrix } = p;
+      for (let r = 0; r < items.length; r++) {
+        let dot = 0;
+        const off = r * dim;
+        for (let i = 0; i < dim; i++) dot += q[i] * matrix[off + i];
+
+        // keep only the best topK (small K, so a sorted insert is cheapest)
+        if (hits.length < topK || dot > hits[hits.length - 1].score) {
+          let pos = hits.length;
+          while (pos > 0 && hits[pos - 1].score < dot) pos--;
+          hits.splice(pos, 0, { item: items[r], score: dot });
+          if (hits.length > topK) hits.pop();
+        }
+      }
+    }
+    return hits;
+  }
+
+  function stats() {
+    const out = {};
+    for (const [key, p] of partitions) out[key] = p.items.length;
+    return out;
+  }
+
+  return { setPartition, clear, search, stats };
+}
+
+module.exports = { createVectorIndex };
@@ -0,0 +1,7 @@
+// backend/version.js
+// -------------------------------
+// VERSION (single source of truth)
+// -------------------------------
+const SERVER_VERSION = "2026-02-05-localguide-list-sortmins";
+
+module.exports = { SERVER_VERSION };
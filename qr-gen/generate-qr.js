@@ -3,9 +3,10 @@ const QRCode = require('qrcode');
 const fs = require('fs-extra');
 const path = require('path');
 const { parse } = require('csv-parse/sync');   // <-- FIXED HERE
+const linkTokens = require('../backend/linkTokens');
 
 // CONFIG: change baseUrl to your hosted chat site
-const baseUrl = 'https://ask.yakaresidences.com/?apt=';
+const baseUrl = process.env.PUBLIC_BASE_URL || 'https://ask.yakaresidences.com/';
 
 // Output folder
 const outDir = path.join(__dirname, 'out');
@@ -14,23 +15,41 @@ fs.ensureDirSync(outDir);
 // Example apartments fallback
 const apartments = ['YAKA01', 'YAKA02', 'YAKA03'];
 
-// If CSV exists, read it
+// If CSV exists, read it (columns: apt_id, and optionally from/to for a stay-limited code)
 const csvPath = path.join(__dirname, 'apartments.csv');
-let aptList = apartments;
+let aptList = apartments.map(apt_id => ({ apt_id }));
 
 if (fs.existsSync(csvPath)) {
   const raw = fs.readFileSync(csvPath, 'utf8');
   const rows = parse(raw, { columns: true, skip_empty_lines: true });
 
-  aptList = rows.map(r => r.apt_id || Object.values(r)[0]).filter(Boolean);
+  aptList = rows
+    .map(r => ({ apt_id: r.apt_id || Object.values(r)[0], from: r.from || undefined, to: r.to || undefined }))
+    .filter(r => r.apt_id);
+}
+
+// Signed links need the same APT_LINK_KEYS / APT_LINK_KEY_VERSION as the server.
+// Codes printed for the apartment walls should have no from/to, so they never expire.
+function linkFor({ apt_id, from, to }) {
+  if (!linkTokens.isConfigured()) {
+    return `${baseUrl}?apt=${encodeURIComponent(apt_id)}`;
+  }
+  const { token } = linkTokens.signAptLink(apt_id, { from, to });
+  return `${baseUrl}?t=${encodeURIComponent(token)}`;
 }
 
 (async () => {
+  if (!linkTokens.isConfigured()) {
+    console.warn('APT_LINK_KEYS not set - generating unsigned ?apt= links (anyone can guess these).');
+  } else {
+    console.log('Signing links with key version', linkTokens.currentKeyVersion());
+  }
+
   for (const apt of aptList) {
-    const url = `${baseUrl}${encodeURIComponent(apt)}`;
-    const outFile = path.join(outDir, `${apt}.png`);
+    const outFile = path.join(outDir, `${apt.apt_id}.png`);
 
     try {
+      const url = linkFor(apt);
       await QRCode.toFile(outFile, url, {
         errorCorrectionLevel: 'H',
         type: 'png',
@@ -40,7 +59,7 @@ if (fs.existsSync(csvPath)) {
 
       console.log('Generated:', outFile);
     } catch (err) {
-      console.error('Failed for', apt, err);
+      console.error('Failed for', apt.apt_id, err);
     }
   }
 
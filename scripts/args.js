@@ -0,0 +1,16 @@
+// scripts/args.js
+// Minimal --flag / --key value parser for the maintenance scripts.
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const [key, inline] = a.slice(2).split('=', 2);
+    if (inline !== undefined) out[key] = inline;
+    else if (argv[i + 1] && !argv[i + 1].startsWith('--')) out[key] = argv[++i];
+    else out[key] = true;
+  }
+  return out;
+}
+
+module.exports = { parseArgs };
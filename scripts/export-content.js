@@ -0,0 +1,32 @@
+// scripts/export-content.js
+// Copies the Google Sheet's LocalGuide, Apartments and FAQs tabs into content files.
+//
+//   node scripts/export-content.js [--dir content/] [--format json|csv|yaml]
+//
+// --dir defaults to CONTENT_DIR (DATA_DIR/content). Run the server with CONTENT_SOURCE=files
+// (or without Google credentials) to serve the exported files.
+require('dotenv').config();
+const { parseArgs } = require('./args');
+
+const args = parseArgs(process.argv.slice(2));
+if (args.dir) process.env.CONTENT_DIR = args.dir;
+
+const { getSource, TABLE_TITLES } = require('../backend/dataSources');
+
+(async () => {
+  const sheets = getSource('sheets');
+  const files = getSource('files');
+  if (!sheets.isConfigured()) {
+    console.error('Google Sheets is not configured (GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_SERVICE_ACCOUNT_KEY, GOOGLE_SHEETS_ID).');
+    process.exit(1);
+  }
+
+  for (const title of TABLE_TITLES) {
+    const table = await sheets.readTable(title);
+    const file = await files.writeTable(title, table, args.format);
+    console.log(`${title}: ${table.rows.length} rows -> ${file}`);
+  }
+})().catch(err => {
+  console.error('Export failed:', err?.message || err);
+  process.exit(1);
+});
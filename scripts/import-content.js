@@ -0,0 +1,61 @@
+// scripts/import-content.js
+// Replaces the Google Sheet's LocalGuide, Apartments and FAQs tabs with the content files.
+//
+//   node scripts/import-content.js [--dir content/] [--yes]
+//
+// Without --yes it only prints what would change. Tabs with no file are left alone.
+require('dotenv').config();
+const { parseArgs } = require('./args');
+
+const args = parseArgs(process.argv.slice(2));
+if (args.dir) process.env.CONTENT_DIR = args.dir;
+
+const { getSource, TABLE_TITLES } = require('../backend/dataSources');
+
+function rowKey(headers, row) {
+  return JSON.stringify(headers.map(h => ((row[h] ?? '') + '').trim()));
+}
+
+// rows only in one side, compared on the file's columns
+function diffRows(headers, before, after) {
+  const count = (rows) => {
+    const m = new Map();
+    for (const r of rows) m.set(rowKey(headers, r), (m.get(rowKey(headers, r)) || 0) + 1);
+    return m;
+  };
+  const b = count(before);
+  const a = count(after);
+  let added = 0;
+  let removed = 0;
+  for (const [k, n] of a) added += Math.max(0, n - (b.get(k) || 0));
+  for (const [k, n] of b) removed += Math.max(0, n - (a.get(k) || 0));
+  return { added, removed };
+}
+
+(async () => {
+  const sheets = getSource('sheets');
+  const files = getSource('files');
+  if (!sheets.isConfigured()) {
+    console.error('Google Sheets is not configured (GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_SERVICE_ACCOUNT_KEY, GOOGLE_SHEETS_ID).');
+    process.exit(1);
+  }
+
+  for (const title of TABLE_TITLES) {
+    if (!files.hasTable(title)) {
+      console.log(`${title}: no content file, skipped`);
+      continue;
+    }
+
+    const found = await files.readTable(title);
+    const current = await sheets.readTable(title);
+    const { added, removed } = diffRows(found.headers, current.rows, found.rows);
+    console.log(`${title}: ${current.rows.length} rows in the sheet -> ${found.rows.length} from files (+${added} / -${removed})`);
+
+    if (args.yes) await sheets.writeTable(title, found);
+  }
+
+  if (!args.yes) console.log('\nDry run - nothing written. Re-run with --yes to replace the sheet tabs.');
+})().catch(err => {
+  console.error('Import failed:', err?.message || err);
+  process.exit(1);
+});
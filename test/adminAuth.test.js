@@ -0,0 +1,128 @@
+// test/adminAuth.test.js
+// Admin accounts: API keys, roles (owner, host limited to apartments, read-only), the debug
+// routes behind sign-in, and the audit log of every change.
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const auditLog = require('../backend/auditLog');
+const guestAccess = require('../backend/guestAccess');
+
+const OWNER = { 'X-Admin-Secret': 'test-admin-secret' };
+
+let srv;
+test.before(async () => {
+  await harness.seedContentFiles();
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+async function request(method, pathname, body, headers = OWNER) {
+  const resp = await fetch(srv.baseUrl + pathname, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: resp.status, json: await resp.json() };
+}
+
+const bearer = key => ({ Authorization: `Bearer ${key}` });
+
+let hostKey;
+let readerKey;
+
+test('an owner creates accounts; keys are shown once and only their hash is kept', async () => {
+  assert.equal((await request('POST', '/admin/users', { name: 'Nimal', role: 'host' })).json.error, 'A host needs at least one apartment');
+  assert.equal((await request('POST', '/admin/users', { name: 'X', role: 'admin' })).status, 400);
+
+  const host = await request('POST', '/admin/users', { name: 'Nimal', role: 'host', apartments: 'YAKA02' });
+  assert.equal(host.status, 201);
+  assert.match(host.json.key, /^yka_[0-9a-f]{8}_[\w-]{32}$/);
+  hostKey = host.json.key;
+  readerKey = (await request('POST', '/admin/users', { name: 'Accountant', role: 'read_only' })).json.key;
+
+  const stored = fs.readFileSync(`${harness.dataDir}/admin-users.json`, 'utf8');
+  assert.ok(!stored.includes(hostKey.split('_')[2]));
+  const list = await request('GET', '/admin/users');
+  assert.deepEqual(list.json.users.map(u => [u.name, u.role, 'key_hash' in u]), [['Nimal', 'host', false], ['Accountant', 'read_only', false]]);
+
+  assert.deepEqual((await request('GET', '/admin/me', null, bearer(hostKey))).json.admin.apartments, ['YAKA02']);
+  // the secret is only read from headers now
+  assert.equal((await request('POST', '/admin/reload-sheets', { admin_secret: 'test-admin-secret' }, {})).status, 401);
+});
+
+test('a host sees and changes only their own apartments', async () => {
+  const { json } = await request('GET', '/admin/content', null, bearer(hostKey));
+  const faqs = json.tables.FAQs.rows;
+  assert.equal(faqs.length, 5);
+  assert.deepEqual(faqs.filter(Boolean).map(r => r.apt_id), ['ALL', 'ALL', 'YAKA02']);
+  assert.deepEqual(json.tables.Apartments.rows.filter(Boolean).map(r => r.apt_id), ['YAKA02']);
+
+  const index = faqs.findIndex(r => r?.apt_id === 'YAKA02');
+  const edit = await request('PUT', `/admin/content/FAQs/${index}`,
+    { expected: faqs[index], row: { ...faqs[index], answer: 'Yes, slot 12 under the building.' } }, bearer(hostKey));
+  assert.equal(edit.status, 200);
+
+  const global = faqs.findIndex(r => r?.apt_id === 'ALL');
+  assert.equal((await request('PUT', `/admin/content/FAQs/${global}`, { expected: faqs[global], row: faqs[global] }, bearer(hostKey))).status, 403);
+  assert.equal((await request('POST', '/admin/content/FAQs', { row: { apt_id: 'YAKA01', question: 'Q?' } }, bearer(hostKey))).status, 403);
+  assert.equal((await request('POST', '/admin/test-question', { apt: 'YAKA01', message: 'Hi' }, bearer(hostKey))).status, 403);
+  assert.equal((await request('POST', '/admin/reload-sheets', {}, bearer(hostKey))).status, 403);
+  assert.deepEqual(Object.keys((await request('GET', '/admin/usage', null, bearer(hostKey))).json.apartments), ['YAKA02']);
+  assert.equal((await request('GET', '/admin/users', null, bearer(hostKey))).status, 403);
+
+  // guest links carry a signed apartment link, as bare ?apt= links are refused
+  assert.equal((await request('POST', '/admin/guest-links', { apt: 'NOPE99' })).status, 404);
+  const link = await request('POST', '/admin/guest-links', { apt: ' YAKA02 ', hours: 2 }, bearer(hostKey));
+  assert.equal(link.json.apt, 'YAKA02');
+  assert.ok(guestAccess.verifyGuestToken(link.json.guest_token, 'YAKA02'));
+  const params = new URL(link.json.url).searchParams;
+  assert.deepEqual([params.get('apt'), params.get('t'), params.get('g')], [null, link.json.apt_token, link.json.guest_token]);
+  const chat = await request('POST', '/api/chat', { message: 'Is there parking?' }, { 'X-Apt-Token': params.get('t') });
+  assert.equal(chat.status, 200);
+});
+
+test('read-only accounts read but change nothing; rotated or disabled keys stop working', async () => {
+  assert.equal((await request('GET', '/admin/content', null, bearer(readerKey))).status, 200);
+  assert.equal((await request('GET', '/debug/faq-data', null, bearer(readerKey))).status, 200);
+  assert.equal((await request('POST', '/admin/apt-links', { apt: 'YAKA01' }, bearer(readerKey))).status, 403);
+  // the test-question tool is a dry run: read-only accounts may use it
+  const tried = await request('POST', '/admin/test-question', { apt: 'YAKA01', message: 'Is there parking?' }, bearer(readerKey));
+  assert.equal(tried.status, 200);
+  assert.ok(tried.json.trace.length);
+  assert.equal((await request('GET', '/debug/version', null, {})).status, 401);
+
+  const { json } = await request('GET', '/admin/users');
+  const reader = json.users.find(u => u.role === 'read_only');
+  const rotated = await request('POST', `/admin/users/${reader.id}/rotate-key`);
+  assert.equal((await request('GET', '/admin/me', null, bearer(readerKey))).status, 401);
+  assert.equal((await request('GET', '/admin/me', null, { 'X-Admin-Secret': rotated.json.key })).status, 200);
+
+  await request('PUT', `/admin/users/${reader.id}`, { disabled: true });
+  assert.equal((await request('GET', '/admin/me', null, bearer(rotated.json.key))).status, 401);
+});
+
+test('every change is in the audit log, which shows tampering', async () => {
+  const { json } = await request('GET', '/admin/audit?limit=50');
+  assert.equal(json.integrity.ok, true);
+  const lines = json.entries.map(e => `${e.actor.name} ${e.action} ${e.status}`);
+  assert.ok(lines.includes('Nimal PUT /admin/content/:table/:index 200'));
+  assert.ok(lines.includes('Nimal POST /admin/reload-sheets 403'));
+  assert.ok(lines.includes('Accountant POST /admin/apt-links 403'));
+  assert.ok(lines.includes('ADMIN_RELOAD_SECRET POST /admin/users 201'));
+
+  const edit = json.entries.find(e => e.action === 'PUT /admin/content/:table/:index' && e.status === 200);
+  assert.equal(edit.apt, 'YAKA02');
+  assert.equal(edit.details.after.answer, 'Yes, slot 12 under the building.');
+  // reads and dry runs are not logged, and neither are keys
+  assert.ok(!json.entries.some(e => e.method === 'GET'));
+  assert.ok(!json.entries.some(e => e.action === 'POST /admin/test-question'));
+  assert.ok(!JSON.stringify(json.entries).includes(hostKey));
+
+  const text = fs.readFileSync(auditLog.AUDIT_FILE, 'utf8');
+  fs.writeFileSync(auditLog.AUDIT_FILE, text.replace('"status":403', '"status":200'));
+  assert.equal(auditLog.verifyAudit().ok, false);
+});
@@ -0,0 +1,113 @@
+// test/adminContent.test.js
+// Admin console API against the content files source (no Google Sheets in tests).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+
+const ADMIN = { 'X-Admin-Secret': 'test-admin-secret' };
+
+let srv;
+test.before(async () => {
+  await harness.seedContentFiles();
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+async function request(method, pathname, body, headers = ADMIN) {
+  const resp = await fetch(srv.baseUrl + pathname, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: resp.status, json: await resp.json() };
+}
+
+function askChat(apt, message) {
+  return srv.post('/api/chat', { message }, { 'X-Apt-Token': harness.aptToken(apt) });
+}
+
+test('content endpoints need the admin secret', async () => {
+  const resp = await request('GET', '/admin/content', null, {});
+  assert.equal(resp.status, 401);
+});
+
+test('GET /admin/content returns every tab from the content files', async () => {
+  const resp = await request('GET', '/admin/content');
+  assert.equal(resp.status, 200);
+  assert.equal(resp.json.source, 'files');
+  assert.deepEqual(Object.keys(resp.json.tables).sort(), ['Apartments', 'FAQs', 'LocalGuide', 'Services']);
+  // no Services file yet: an empty tab with the default columns
+  assert.deepEqual(resp.json.tables.Services.rows, []);
+  assert.equal(resp.json.tables.FAQs.rows.length, 5);
+  assert.deepEqual(resp.json.tables.FAQs.headers, ['apt_id', 'question', 'answer', 'visibility', 'answer_si']);
+});
+
+test('a new FAQ is saved and answered straight away', async () => {
+  const row = { apt_id: 'YAKA01', question: 'Is there a hair dryer?', answer: 'Yes, in the bathroom drawer.', visibility: 'public' };
+  const resp = await request('POST', '/admin/content/FAQs', { row });
+  assert.equal(resp.status, 200);
+  assert.equal(resp.json.table.rows.length, 6);
+
+  const chat = await askChat('YAKA01', 'Is there a hair dryer?');
+  assert.equal(chat.json.source, 'faq');
+  assert.equal(chat.json.reply, 'Yes, in the bathroom drawer.');
+});
+
+test('editing a row needs the row as it was loaded', async () => {
+  const { json } = await request('GET', '/admin/content');
+  const index = json.tables.LocalGuide.rows.findIndex(r => r.name === 'Barista');
+  const original = json.tables.LocalGuide.rows[index];
+
+  const stale = await request('PUT', `/admin/content/LocalGuide/${index}`, {
+    row: { ...original, sort_mins: '2' },
+    expected: { ...original, distance: '999 m' }
+  });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.json.current.name, 'Barista');
+
+  const ok = await request('PUT', `/admin/content/LocalGuide/${index}`, {
+    row: { ...original, distance: '250 m', sort_mins: '2' },
+    expected: original
+  });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.json.table.rows[index].distance, '250 m');
+});
+
+test('deleting a row removes it from the bot', async () => {
+  const { json } = await request('GET', '/admin/content');
+  const index = json.tables.LocalGuide.rows.findIndex(r => r.name === 'Galle Face Green');
+
+  const resp = await request('DELETE', `/admin/content/LocalGuide/${index}`, { expected: json.tables.LocalGuide.rows[index] });
+  assert.equal(resp.status, 200);
+
+  const chat = await askChat('YAKA01', 'How do I get to Galle Face Green?');
+  assert.notEqual(chat.json.source, 'local_guide');
+});
+
+test('rows are validated', async () => {
+  assert.equal((await request('POST', '/admin/content/FAQs', { row: { apt_id: 'YAKA01', question: ' ' } })).status, 400);
+  assert.equal((await request('POST', '/admin/content/Nope', { row: { name: 'x' } })).status, 404);
+  assert.equal((await request('PUT', '/admin/content/FAQs/999', { row: { question: 'x' }, expected: {} })).status, 404);
+});
+
+test('test-question explains which step answered and why the others passed', async () => {
+  const resp = await request('POST', '/admin/test-question', { apt: 'YAKA01', message: 'Any restaurants nearby?' });
+  assert.equal(resp.status, 200);
+  assert.equal(resp.json.payload.source, 'local_guide_list');
+
+  const steps = Object.fromEntries(resp.json.trace.map(s => [s.handler, s]));
+  assert.equal(steps.nearest_list.reason, 'no "nearest <category>" wording');
+  assert.equal(steps.faq_keyword.reason, 'not an opening-hours question');
+  assert.match(steps.faq_embedding.reason, /^best score [\d.]+ below threshold 0.72$/);
+  assert.equal(steps.local_guide_list.result, 'answered');
+});
+
+test('test-question can preview as a verified guest', async () => {
+  const asPublic = await request('POST', '/admin/test-question', { apt: 'YAKA01', message: 'What is the Wi-Fi password?' });
+  const asGuest = await request('POST', '/admin/test-question', { apt: 'YAKA01', message: 'What is the Wi-Fi password?', verified: true });
+  assert.equal(asPublic.json.payload.source, 'faq_gated');
+  assert.equal(asGuest.json.payload.source, 'faq');
+});
@@ -0,0 +1,118 @@
+// test/apartmentProfile.test.js
+// Apartment profile columns: the questions they answer (in any language), guest-only columns,
+// and the public profile endpoint the chat page reads its display name from.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const content = require('../backend/content');
+const { valuesToObjects } = require('../backend/dataSources/sheets');
+const { detectApartmentFact } = require('../backend/intents');
+const { answerFact } = require('../backend/apartmentProfile');
+const sheets = require('./fixtures/sheets');
+
+const PROFILE = {
+  display_name: 'THE SKYLINE SUITE',
+  floor: '12',
+  check_in: '14:00',
+  check_out: '11:00',
+  wifi_ssid: 'Skyline-5G',
+  wifi_password: 'sunset-2024',
+  parking: 'no',
+  smoking: 'no',
+  pets: 'Small dogs only, please ask first',
+  house_rules: 'Quiet hours from 22:00.',
+  host_name: 'Nadee',
+  host_phone: '+94 77 123 4567',
+};
+
+let srv;
+test.before(async () => {
+  srv = await harness.startServer();
+  content.applySheetRows({
+    localGuideRows: valuesToObjects(sheets.LocalGuide),
+    apartmentsRows: valuesToObjects(sheets.Apartments).map(r => (r.apt_id === 'YAKA01' ? { ...r, ...PROFILE } : r)),
+    faqsRows: valuesToObjects(sheets.FAQs),
+  });
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+function ask(message, extra = {}) {
+  return srv.post('/api/chat', { message, ...extra }, { 'X-Apt-Token': harness.aptToken('YAKA01') });
+}
+
+test('apartment questions are recognised in every language', () => {
+  const cases = {
+    'What time is check-out?': 'check_out',
+    'Um wie viel Uhr ist die Abreise?': 'check_out',
+    '¿A qué hora es la llegada?': 'check_in',
+    'Во сколько заселение?': 'check_in',
+    '入住时间是几点？': 'check_in',
+    'Quel est le mot de passe du wifi ?': 'wifi',
+    'වයිෆයි පාස්වර්ඩ් එක මොකක්ද?': 'wifi',
+    'Where can I park the car?': 'parking',
+    'Czy mogę palić na balkonie?': 'smoking',
+    'هل يسمح بالحيوانات الأليفة؟': 'pets',
+    'Can we have a party on Saturday?': 'parties',
+    'What are the house rules?': 'house_rules',
+    'क्या मैं मालिक से संपर्क कर सकता हूँ?': 'host',
+    'Which floor is the apartment on?': 'floor',
+  };
+  for (const [message, fact] of Object.entries(cases)) assert.equal(detectApartmentFact(message), fact, message);
+  assert.equal(detectApartmentFact('Where is the nearest supermarket?'), null);
+});
+
+test('answers come from the row; blank columns and guest-only columns say so', () => {
+  const row = { apt_id: 'X', ...PROFILE };
+  assert.deepEqual(answerFact('check_in', row), { text: 'Check-in at THE SKYLINE SUITE is from 14:00.' });
+  assert.deepEqual(answerFact('parking', row), { text: 'Sorry, there is no parking at the apartment.' });
+  assert.deepEqual(answerFact('pets', row), { text: 'Pets: Small dogs only, please ask first' });
+  assert.deepEqual(answerFact('wifi', row), { gated: true });
+  assert.deepEqual(answerFact('wifi', row, { guest: true }), { text: 'The Wi-Fi network is Skyline-5G and the password is sunset-2024.' });
+  assert.equal(answerFact('house_rules', row).text,
+    'House rules for THE SKYLINE SUITE:\n• Smoking is not allowed in the apartment.\n• Pets: Small dogs only, please ask first\n• Quiet hours from 22:00.');
+  assert.equal(answerFact('check_out', { apt_id: 'Y' }), null);
+});
+
+test('/api/chat answers from the profile before the FAQs, in the guest\'s language', async () => {
+  const en = await ask('What time is check-out?');
+  assert.equal(en.json.source, 'apartment_profile');
+  assert.equal(en.json.reply, 'Check-out is by 11:00.');
+
+  const ru = await ask('Во сколько выезд?');
+  assert.equal(ru.json.source, 'apartment_profile');
+  assert.equal(ru.json.reply, '[ru] Check-out is by 11:00.');
+});
+
+test('guest-only columns need a verified guest', async () => {
+  const locked = await ask('What is the Wi-Fi password?');
+  assert.equal(locked.json.source, 'faq_gated');
+
+  // a link with a stay window is shared like any QR code: it is not a guest credential
+  const window = { from: new Date(Date.now() - 86400000).toISOString(), to: new Date(Date.now() + 86400000).toISOString() };
+  const viaWindow = await srv.post('/api/chat', { message: 'What is the Wi-Fi password?' }, { 'X-Apt-Token': harness.aptToken('YAKA01', window) });
+  assert.equal(viaWindow.json.source, 'faq_gated');
+
+  const v = await srv.post('/api/verify', { booking_ref: 'BK-1001' }, { 'X-Apt-Token': harness.aptToken('YAKA01') });
+  const open = await ask('What is the Wi-Fi password?', { guest_token: v.json.guest_token });
+  assert.equal(open.json.source, 'apartment_profile');
+  assert.match(open.json.reply, /Skyline-5G and the password is sunset-2024/);
+});
+
+test('GET /api/apartments/:id/public exposes only the safe subset', async () => {
+  const resp = await fetch(`${srv.baseUrl}/api/apartments/YAKA01/public`);
+  assert.equal(resp.status, 200);
+  const body = await resp.json();
+  assert.equal(body.display_name, 'THE SKYLINE SUITE');
+  assert.equal(body.check_in, '14:00');
+  assert.deepEqual(body.house_rules, { smoking: false, pets: 'Small dogs only, please ask first', parties: null, notes: 'Quiet hours from 22:00.' });
+  const raw = JSON.stringify(body);
+  for (const secret of ['sunset-2024', 'Skyline-5G', '+94 77', 'BK-1001', '6.9000']) assert.ok(!raw.includes(secret), secret);
+
+  const plain = await (await fetch(`${srv.baseUrl}/api/apartments/YAKA02/public`)).json();
+  assert.equal(plain.display_name, 'Yaka 02 - Garden');
+
+  assert.equal((await fetch(`${srv.baseUrl}/api/apartments/NOPE/public`)).status, 404);
+});
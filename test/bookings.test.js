@@ -0,0 +1,188 @@
+// test/bookings.test.js
+// Booking imports (iCal files and the stub PMS), linking a booking with its reference in the
+// chat, stay-specific answers and the personal greeting.
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const content = require('../backend/content');
+const bookings = require('../backend/bookings');
+const conversationLog = require('../backend/conversationLog');
+const { parseEvents } = require('../backend/bookings/ical');
+const { detectStayIntent } = require('../backend/intents');
+const { valuesToObjects } = require('../backend/dataSources/sheets');
+const sheets = require('./fixtures/sheets');
+
+const ADMIN = { 'X-Admin-Secret': 'test-admin-secret' };
+const BOOKINGS_DIR = path.join(harness.dataDir, 'bookings');
+
+function day(offset) {
+  return new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+}
+const icalDay = offset => day(offset).replace(/-/g, '');
+
+const CALENDAR = [
+  'BEGIN:VCALENDAR',
+  'PRODID:-//Airbnb Inc//Hosting Calendar 1.0//EN',
+  'BEGIN:VEVENT',
+  `DTSTART;VALUE=DATE:${icalDay(-1)}`,
+  `DTEND;VALUE=DATE:${icalDay(2)}`,
+  'UID:stay-anna@airbnb.com',
+  'SUMMARY:Reserved - Anna Smith',
+  'DESCRIPTION:Reservation URL: https://www.airbnb.com/hosting/reservations/details/HMABC12\r\n 3\\nPhone Number (Last 4 Digits): 1234',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  `DTSTART;VALUE=DATE:${icalDay(5)}`,
+  `DTEND;VALUE=DATE:${icalDay(9)}`,
+  'UID:blocked@airbnb.com',
+  'SUMMARY:Airbnb (Not available)',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  `DTSTART;VALUE=DATE:${icalDay(-10)}`,
+  `DTEND;VALUE=DATE:${icalDay(-7)}`,
+  'UID:past@airbnb.com',
+  'SUMMARY:Reserved - Old Guest',
+  'DESCRIPTION:Confirmation code: HMOLD999',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+let srv;
+test.before(async () => {
+  srv = await harness.startServer();
+  fs.mkdirSync(BOOKINGS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(BOOKINGS_DIR, 'yaka01.ics'), CALENDAR);
+  content.applySheetRows({
+    localGuideRows: valuesToObjects(sheets.LocalGuide),
+    apartmentsRows: valuesToObjects(sheets.Apartments)
+      .map(r => (r.apt_id === 'YAKA01' ? { ...r, ical_url: 'yaka01.ics', check_in: '14:00', check_out: '11:00' } : r)),
+    faqsRows: valuesToObjects(sheets.FAQs),
+  });
+  await bookings.syncBookings('test');
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+const headers = (window) => ({ 'X-Apt-Token': harness.aptToken('YAKA01', window) });
+
+async function linkBooking(ref) {
+  return srv.post('/api/verify', { booking_ref: ref }, headers());
+}
+
+test('stay questions are told apart from general check-in/out questions', () => {
+  assert.deepEqual(detectStayIntent('When is my checkout?'), { topic: 'check_out', personal: true, change: false });
+  assert.deepEqual(detectStayIntent('Can I get a late check-in?'), { topic: 'check_in', personal: false, change: true });
+  assert.equal(detectStayIntent('What time is check-out?').personal, false);
+  assert.equal(detectStayIntent('Where is the nearest pharmacy?'), null);
+});
+
+test('iCal events become reservations; blocks without a guest are skipped', () => {
+  assert.equal(parseEvents(CALENDAR).length, 3);
+  const list = bookings.reservationsFor('YAKA01');
+  assert.deepEqual(list.map(r => [r.ref, r.guest_name]), [['HMOLD999', 'Old Guest'], ['HMABC123', 'Anna Smith']]);
+  assert.equal(list[1].check_in, day(-1));
+  assert.deepEqual(bookings.reservationsFor('YAKA02'), []);
+});
+
+test('linking a booking answers "when is my checkout?" for that stay', async () => {
+  const anon = await srv.post('/api/chat', { message: 'When is my checkout?' }, headers());
+  assert.equal(anon.json.source, 'booking_link_needed');
+  assert.equal(anon.json.verify, true);
+
+  // past stays can't be linked
+  assert.equal((await linkBooking('HMOLD999')).status, 401);
+
+  const v = await linkBooking('hmabc123');
+  assert.equal(v.status, 200);
+  assert.equal(v.json.stay.ref, 'HMABC123');
+  assert.equal(v.json.stay.nights, 3);
+
+  const resp = await srv.post('/api/chat', { message: 'When is my checkout?', guest_token: v.json.guest_token }, headers());
+  assert.equal(resp.json.source, 'booking');
+  assert.equal(resp.json.reply, `Your check-out is on ${bookings.formatDay(day(2))}, by 11:00.`);
+
+  const late = await srv.post('/api/chat', { message: 'Can I get a late check-out?', guest_token: v.json.guest_token }, headers());
+  assert.equal(late.json.escalate, true);
+  assert.match(late.json.reply, /ask the host/);
+
+  // the fixture refs still verify (no stay), and general questions still go to the profile
+  assert.equal((await linkBooking('BK-1001')).json.stay, null);
+  const general = await srv.post('/api/chat', { message: 'What time is check-out?' }, headers());
+  assert.equal(general.json.source, 'apartment_profile');
+});
+
+test('imported booking refs are masked in the conversation log', async () => {
+  const v = await linkBooking('HMABC123');
+  await srv.post('/api/chat', { message: 'Booking HMABC123 - when is my checkout?', guest_token: v.json.guest_token }, headers());
+
+  const logged = conversationLog.readExchanges().at(-1);
+  assert.equal(logged.message, 'Booking [booking_ref] - when is my checkout?');
+  const files = fs.readdirSync(path.join(harness.dataDir, 'conversations'));
+  assert.ok(!files.some(f => fs.readFileSync(path.join(harness.dataDir, 'conversations', f), 'utf8').includes('HMABC123')));
+});
+
+test('POST /api/stay greets the guest by name, or from the link\'s stay window', async () => {
+  const v = await linkBooking('HMABC123');
+  const linked = await srv.post('/api/stay', { guest_token: v.json.guest_token, lang: 'de' }, headers());
+  assert.equal(linked.json.stay.source, 'booking');
+  assert.match(linked.json.greeting, /^\[de\] Hi Anna, welcome to /);
+
+  const window = { from: `${day(-1)}T12:00:00Z`, to: `${day(3)}T06:00:00Z` };
+  const viaLink = await srv.post('/api/stay', {}, headers(window));
+  assert.deepEqual([viaLink.json.stay.source, viaLink.json.stay.check_out, viaLink.json.stay.nights], ['link', day(3), 4]);
+
+  const none = await srv.post('/api/stay', {}, headers());
+  assert.deepEqual(none.json, { stay: null, greeting: null });
+});
+
+test('the stub PMS adds reservations; a failing source keeps the previous import', async (t) => {
+  const stubFile = path.join(BOOKINGS_DIR, 'pms-stub.json');
+  fs.writeFileSync(stubFile, JSON.stringify([
+    { id: 'pms-1', listing_id: 'L-77', ref: 'HA-5001', guest_name: 'Ben Okafor', check_in: day(0), check_out: day(4), check_out_time: '10:00' },
+  ]));
+  process.env.BOOKING_PMS = 'stub';
+  t.after(() => {
+    delete process.env.BOOKING_PMS;
+    harness.loadFixtures();
+  });
+  content.applySheetRows({
+    localGuideRows: valuesToObjects(sheets.LocalGuide),
+    apartmentsRows: valuesToObjects(sheets.Apartments).map(r => (r.apt_id === 'YAKA02' ? { ...r, pms_listing_id: 'L-77' } : r)),
+    faqsRows: valuesToObjects(sheets.FAQs),
+  });
+
+  assert.equal((await srv.post('/admin/bookings/sync', {})).status, 401);
+  const sync = await srv.post('/admin/bookings/sync', {}, ADMIN);
+  assert.equal(sync.json.reservations, 1);
+  assert.equal(bookings.findByRef('YAKA02', 'ha 5001').check_out_time, '10:00');
+
+  fs.writeFileSync(stubFile, '{not json');
+  const failed = await bookings.syncBookings('test');
+  assert.ok(failed.errors.YAKA02);
+  assert.equal(bookings.reservationsFor('YAKA02').length, 1);
+
+  const list = await (await fetch(`${srv.baseUrl}/admin/bookings?apt=YAKA02`, { headers: ADMIN })).json();
+  assert.deepEqual(Object.keys(list.apartments), ['YAKA02']);
+});
+
+test('a sync before any apartments are loaded keeps the saved reservations', async (t) => {
+  t.after(() => harness.loadFixtures());
+  content.applySheetRows({
+    localGuideRows: valuesToObjects(sheets.LocalGuide),
+    apartmentsRows: valuesToObjects(sheets.Apartments).map(r => (r.apt_id === 'YAKA01' ? { ...r, ical_url: 'yaka01.ics' } : r)),
+    faqsRows: valuesToObjects(sheets.FAQs),
+  });
+  await bookings.syncBookings('test');
+  const before = fs.readFileSync(path.join(harness.dataDir, 'bookings.json'), 'utf8');
+  assert.equal(bookings.reservationsFor('YAKA01').length, 2);
+
+  content.applySheetRows({ localGuideRows: [], apartmentsRows: [], faqsRows: [] });
+  const result = await bookings.syncBookings('startup');
+  assert.equal(result.skipped, 'no apartments loaded');
+  assert.equal(result.reservations, 2);
+  assert.equal(bookings.reservationsFor('YAKA01').length, 2);
+  assert.equal(fs.readFileSync(path.join(harness.dataDir, 'bookings.json'), 'utf8'), before);
+});
@@ -0,0 +1,108 @@
+// test/chatRouter.test.js
+// The handler chain: order, per-apartment switches/config, and the debug endpoint.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const chatRouter = require('../backend/router');
+const content = require('../backend/content');
+const sessions = require('../backend/sessions');
+
+let srv;
+test.before(async () => { srv = await harness.startServer(); });
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+function chat(apt, message) {
+  return chatRouter.answerChat({ apt, rawMessage: message });
+}
+
+test('chain runs in the documented order with every handler on by default', () => {
+  const chain = chatRouter.describeChain('YAKA01');
+  assert.deepEqual(chain.map(h => h.name), [
+    'nearest_list', 'local_guide_place', 'open_now', 'service_request', 'booking', 'apartment_facts', 'faq_keyword', 'faq_embedding',
+    'local_guide_list', 'google_places', 'llm', 'fallback'
+  ]);
+  assert.ok(chain.every(h => h.enabled));
+  assert.deepEqual(chain[0].config, { limit: 3 });
+});
+
+test('apartment columns switch handlers off and override their config', () => {
+  const chain = Object.fromEntries(chatRouter.describeChain('YAKA03').map(h => [h.name, h]));
+  assert.equal(chain.nearest_list.enabled, false);
+  assert.equal(chain.google_places.enabled, false);
+  assert.deepEqual(chain.local_guide_list.config, { limit: 1 });
+});
+
+test('the required fallback handler cannot be switched off', () => {
+  const fallback = chatRouter.describeChain('YAKA03').find(h => h.name === 'fallback');
+  assert.equal(fallback.enabled, true);
+});
+
+test('a disabled handler is skipped and the next one answers', async () => {
+  const resp = await chat('YAKA03', 'Where is the nearest supermarket?');
+  assert.equal(resp.source, 'local_guide_list');
+  assert.equal(resp.results_count, 1);
+  assert.equal(resp.reply, 'Here are some nearby supermarkets:\n\n• Keells Super — 400 m\n  https://maps.example/keells');
+});
+
+test('without Google Places the nearby question falls through to the LLM', async () => {
+  const calls = harness.placesCalls.length;
+  const resp = await chat('YAKA03', 'Is there a pharmacy nearby?');
+  assert.equal(resp.source, 'llm_fallback');
+  assert.equal(harness.placesCalls.length, calls);
+});
+
+test('a new handler slots into the chain without touching the others', async (t) => {
+  const echo = {
+    name: 'echo',
+    description: 'test handler',
+    defaults: { prefix: 'echo:' },
+    async match(ctx, config) {
+      if (!ctx.message.startsWith('!')) return null;
+      return ctx.reply({ reply: config.prefix + ctx.message.slice(1), source: 'echo' });
+    }
+  };
+  chatRouter.HANDLERS.unshift(echo);
+  t.after(() => chatRouter.HANDLERS.splice(chatRouter.HANDLERS.indexOf(echo), 1));
+
+  assert.deepEqual(await chat('YAKA01', '!hello'), { reply: 'echo:hello', source: 'echo' });
+  assert.equal((await chat('YAKA01', 'Where is the nearest supermarket?')).source, 'local_guide_nearest_list');
+});
+
+test('GET /debug/chat-chain lists the chain and traces a message', async () => {
+  const url = `${srv.baseUrl}/debug/chat-chain?apt=YAKA01&message=${encodeURIComponent('Any restaurants nearby?')}`;
+  assert.equal((await fetch(url)).status, 401);
+  const body = await (await fetch(url, { headers: { 'X-Admin-Secret': 'test-admin-secret' } })).json();
+
+  assert.equal(body.handlers.length, 12);
+  assert.equal(body.payload.source, 'local_guide_list');
+  assert.deepEqual(body.trace.map(s => [s.handler, s.result]), [
+    ['nearest_list', 'passed'],
+    ['local_guide_place', 'passed'],
+    ['open_now', 'passed'],
+    ['service_request', 'passed'],
+    ['booking', 'passed'],
+    ['apartment_facts', 'passed'],
+    ['faq_keyword', 'passed'],
+    ['faq_embedding', 'passed'],
+    ['local_guide_list', 'answered'],
+  ]);
+});
+
+test('a follow-up only gets the last FAQ while the visitor may still see it', async () => {
+  const wifi = content.getFaqsForApt('YAKA01').find(f => f.visibility === 'guest');
+  const followUp = async (sessionId, access) => {
+    sessions.recordTurn(sessions.getSession(sessionId, 'YAKA01'), { message: 'Wi-Fi?', reply: wifi.answer, source: 'faq_keyword', faqs: [wifi] });
+    return chatRouter.answerChat({ apt: 'YAKA01', rawMessage: 'and does it reach the balcony?', session_id: sessionId, access });
+  };
+
+  const verified = await followUp('follow-up-guest-1', 'guest');
+  assert.equal(verified.source, 'llm_fallback');
+  assert.match(verified.reply, /ocean-breeze/);
+
+  // same kind of session, but the guest token is gone: back to public
+  const lapsed = await followUp('follow-up-public-1', undefined);
+  assert.doesNotMatch(lapsed.reply, /ocean-breeze/);
+});
@@ -0,0 +1,68 @@
+// test/chatRouting.golden.test.js
+// Golden-file suite: every case in golden/chat-routing.json is sent through POST /api/chat
+// and must come back with the same `source` and `reply`.
+//
+// Cases: { name, apt, message, verified?, env?, expect: { source, reply } }
+//   verified  unlock guest FAQs first (POST /api/verify with the fixture booking ref)
+//   env       env vars set for this case only (e.g. FAKE_LLM_REPLY="" to force the final fallback)
+//
+// After an intended wording/routing change: UPDATE_GOLDEN=1 npm test, then review the diff.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const harness = require('./helpers/harness');
+
+const GOLDEN_FILE = path.join(__dirname, 'golden', 'chat-routing.json');
+const BOOKING_REFS = { YAKA01: 'BK-1001', YAKA02: 'BK-2001' };
+
+const golden = JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8'));
+const updating = process.env.UPDATE_GOLDEN === '1';
+
+async function withEnv(vars, fn) {
+  const saved = {};
+  for (const [k, v] of Object.entries(vars || {})) {
+    saved[k] = process.env[k];
+    process.env[k] = v;
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+test('chat routing golden cases', async (t) => {
+  const srv = await harness.startServer();
+  t.after(async () => {
+    await srv.close();
+    if (updating) fs.writeFileSync(GOLDEN_FILE, JSON.stringify(golden, null, 2) + '\n');
+    harness.cleanup();
+  });
+
+  for (const c of golden) {
+    await t.test(c.name, async () => {
+      const headers = { 'X-Apt-Token': harness.aptToken(c.apt) };
+      const body = { message: c.message };
+
+      if (c.verified) {
+        const v = await srv.post('/api/verify', { booking_ref: BOOKING_REFS[c.apt] }, headers);
+        assert.equal(v.status, 200, v.text);
+        body.guest_token = v.json.guest_token;
+      }
+
+      const resp = await withEnv(c.env, () => srv.post('/api/chat', body, headers));
+      assert.equal(resp.status, 200, resp.text);
+
+      if (updating) {
+        c.expect = { source: resp.json.source, reply: resp.json.reply };
+        return;
+      }
+      assert.equal(resp.json.source, c.expect.source);
+      assert.equal(resp.json.reply, c.expect.reply);
+    });
+  }
+});
@@ -0,0 +1,51 @@
+// test/chatStream.test.js
+// POST /api/chat/stream must route like /api/chat and end with the same final payload.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+
+function parseSse(text) {
+  return text.split('\n\n').filter(Boolean).map(frame => {
+    const event = (frame.match(/^event: (.+)$/m) || [])[1];
+    const data = (frame.match(/^data: (.+)$/m) || [])[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+let srv;
+test.before(async () => { srv = await harness.startServer(); });
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+test('LLM answers stream as token events', async () => {
+  const headers = { 'X-Apt-Token': harness.aptToken('YAKA02') };
+  const resp = await srv.post('/api/chat/stream', { message: 'Can we bring a dog?' }, headers);
+  assert.equal(resp.status, 200);
+
+  const events = parseSse(resp.text);
+  assert.deepEqual(events[0], { event: 'route', data: { source: 'llm_fallback' } });
+
+  const tokens = events.filter(e => e.event === 'token').map(e => e.data.text);
+  assert.ok(tokens.length > 1);
+
+  const done = events.find(e => e.event === 'done');
+  assert.equal(done.data.source, 'llm_fallback');
+  assert.equal(tokens.join(''), done.data.reply);
+});
+
+test('non-LLM answers arrive as a single done event', async () => {
+  const headers = { 'X-Apt-Token': harness.aptToken('YAKA01') };
+  const resp = await srv.post('/api/chat/stream', { message: 'Where is the nearest supermarket?' }, headers);
+
+  const events = parseSse(resp.text);
+  assert.deepEqual(events.map(e => e.event), ['route', 'done']);
+  assert.equal(events[1].data.source, 'local_guide_nearest_list');
+});
+
+test('requests without a signed link are rejected', async () => {
+  const resp = await srv.post('/api/chat/stream', { apt: 'YAKA01', message: 'hi' });
+  assert.equal(resp.status, 401);
+  assert.equal(resp.json.code, 'link_missing');
+});
@@ -0,0 +1,89 @@
+// test/contentFiles.test.js
+// The files content source: JSON/CSV/YAML tabs, format switches and hot reload.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const harness = require('./helpers/harness');
+const content = require('../backend/content');
+const files = require('../backend/dataSources/files');
+
+test.after(() => harness.cleanup());
+
+const FAQ_TABLE = {
+  headers: ['apt_id', 'question', 'answer', 'visibility'],
+  rows: [
+    { apt_id: 'YAKA01', question: 'WiFi password?', answer: 'It is "yaka, 2024" - see the fridge', visibility: 'public' },
+    { apt_id: 'YAKA01', question: 'Check-out time?', answer: '11:00\nLate check-out on request', visibility: '' },
+  ],
+};
+
+for (const format of ['json', 'csv', 'yaml']) {
+  test(`${format} tabs read back exactly as written`, async () => {
+    const file = await files.writeTable('FAQs', FAQ_TABLE, format);
+    assert.equal(path.extname(file), `.${format}`);
+
+    const table = await files.readTable('FAQs');
+    assert.deepEqual(table, FAQ_TABLE);
+  });
+}
+
+test('values are read as strings, like the Sheets API', async () => {
+  fs.writeFileSync(path.join(files.CONTENT_DIR, 'LocalGuide.yaml'),
+    '- apt_id: YAKA01\n  name: Keells\n  sort_mins: 5\n  open: true\n');
+
+  const table = await files.readTable('LocalGuide');
+  assert.deepEqual(table.rows, [{ apt_id: 'YAKA01', name: 'Keells', sort_mins: '5', open: 'true' }]);
+  fs.unlinkSync(path.join(files.CONTENT_DIR, 'LocalGuide.yaml'));
+});
+
+test('switching format replaces the old file', async () => {
+  await files.writeTable('Apartments', { headers: ['apt_id', 'name'], rows: [{ apt_id: 'YAKA01', name: 'Sea View' }] }, 'json');
+  await files.writeTable('Apartments', { headers: ['apt_id', 'name'], rows: [{ apt_id: 'YAKA01', name: 'Sea View' }] }, 'csv');
+
+  const names = fs.readdirSync(files.CONTENT_DIR).filter(n => n.startsWith('Apartments'));
+  assert.deepEqual(names, ['Apartments.csv']);
+});
+
+test('row edits keep the tab in its format', async () => {
+  await files.writeTable('FAQs', FAQ_TABLE, 'yaml');
+  await files.updateRow('FAQs', 1, { ...FAQ_TABLE.rows[1], answer: '10:00' });
+  await files.appendRow('FAQs', { apt_id: 'YAKA02', question: 'Parking?', extra: 'dropped' });
+  await files.deleteRow('FAQs', 0);
+
+  assert.ok(fs.existsSync(path.join(files.CONTENT_DIR, 'FAQs.yaml')));
+  const table = await files.readTable('FAQs');
+  assert.deepEqual(table.rows.map(r => r.answer), ['10:00', '']);
+  assert.deepEqual(Object.keys(table.rows[1]), FAQ_TABLE.headers);
+});
+
+test('a missing tab reads as empty with the default columns', async () => {
+  fs.rmSync(files.CONTENT_DIR, { recursive: true, force: true });
+  assert.equal(files.isConfigured(), false);
+  assert.equal(await files.readAllRows(), null);
+
+  const table = await files.readTable('FAQs');
+  assert.deepEqual(table, { headers: ['apt_id', 'question', 'answer', 'visibility'], rows: [] });
+});
+
+test('editing a content file reloads the bot content', async () => {
+  await harness.seedContentFiles('csv');
+  await content.loadAllData();
+  assert.equal(content.getFaqsForApt('YAKA01').some(f => f.question === 'Is there a kettle?'), false);
+
+  const stop = content.watchContent();
+  try {
+    const reloaded = new Promise(resolve => content.onContentChange(resolve));
+    const faqs = await files.readTable('FAQs');
+    faqs.rows.push({ apt_id: 'YAKA01', question: 'Is there a kettle?', answer: 'Yes.', visibility: 'public' });
+    await files.writeTable('FAQs', faqs);
+
+    await Promise.race([
+      reloaded,
+      new Promise((_, reject) => setTimeout(() => reject(new Error('no reload after 5s')), 5000)),
+    ]);
+    assert.ok(content.getFaqsForApt('YAKA01').some(f => f.question === 'Is there a kettle?'));
+  } finally {
+    stop();
+  }
+});
@@ -0,0 +1,135 @@
+// test/contentHealth.test.js
+// Content checks on load: the validator report, the shrink guard and the admin endpoints.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const content = require('../backend/content');
+const files = require('../backend/dataSources/files');
+const { valuesToObjects } = require('../backend/dataSources/sheets');
+const { validateContent, checkShrink } = require('../backend/contentHealth');
+const sheets = require('./fixtures/sheets');
+
+const ADMIN = { 'X-Admin-Secret': 'test-admin-secret' };
+
+function fixtureRows() {
+  return {
+    localGuideRows: valuesToObjects(sheets.LocalGuide),
+    apartmentsRows: valuesToObjects(sheets.Apartments),
+    faqsRows: valuesToObjects(sheets.FAQs),
+  };
+}
+
+function issuesFor(report, sheet, column) {
+  return report.issues.filter(i => i.sheet === sheet && i.column === column);
+}
+
+let srv;
+test.before(async () => {
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+test('the fixture sheets are clean', () => {
+  const report = validateContent(fixtureRows());
+  assert.equal(report.ok, true);
+  assert.deepEqual(report.issues, []);
+  assert.deepEqual(report.sheets.FAQs, { rows: 5, errors: 0, warnings: 0 });
+});
+
+test('LocalGuide problems are reported per row and column', () => {
+  const rows = fixtureRows();
+  rows.localGuideRows.push(
+    { apt_id: 'YAKA09', category: 'cafe', name: 'Nowhere Cafe', distance: 'near the beach', sort_mins: 'five', description: '', maps_link: '' },
+    { apt_id: 'YAKA01', category: '', name: '', distance: '', sort_mins: '', description: '', maps_link: 'maps.google.com/x' },
+  );
+  const report = validateContent(rows);
+  const lastRow = rows.localGuideRows.length + 1; // spreadsheet row of the last added row
+
+  assert.equal(report.ok, false);
+  assert.match(issuesFor(report, 'LocalGuide', 'apt_id')[0].message, /'YAKA09' is not in Apartments/);
+  assert.match(issuesFor(report, 'LocalGuide', 'distance')[0].message, /Cannot read a distance from 'near the beach'/);
+  assert.equal(issuesFor(report, 'LocalGuide', 'sort_mins')[0].level, 'warning');
+  assert.deepEqual(
+    issuesFor(report, 'LocalGuide', 'name').map(i => [i.level, i.row]),
+    [['error', lastRow]]
+  );
+  assert.match(issuesFor(report, 'LocalGuide', 'maps_link')[1].message, /not an http\(s\) link/);
+});
+
+test('Apartments and FAQs problems are reported', () => {
+  const rows = fixtureRows();
+  rows.apartmentsRows.push(
+    { apt_id: 'YAKA01', name: 'Copy', lat: '', lng: '', booking_ref: '', handlers_off: '', handler_config: '' },
+    { apt_id: 'YAKA04', name: 'Bad', lat: '95', lng: '79.8', booking_ref: '', handlers_off: 'faq_keywords', handler_config: '{limit:1}' },
+  );
+  rows.faqsRows.push(
+    { apt_id: 'yaka01', question: 'Where is the kettle?', answer: '', visibility: 'secret' },
+  );
+  const report = validateContent(rows);
+
+  assert.match(issuesFor(report, 'Apartments', 'apt_id')[0].message, /Duplicate apt_id 'YAKA01'/);
+  assert.match(issuesFor(report, 'Apartments', 'lat')[0].message, /not a valid latitude/);
+  assert.match(issuesFor(report, 'Apartments', 'handlers_off')[0].message, /Unknown chat step 'faq_keywords'/);
+  assert.match(issuesFor(report, 'Apartments', 'handler_config')[0].message, /Invalid JSON/);
+  assert.match(issuesFor(report, 'FAQs', 'apt_id')[0].message, /case differs/);
+  assert.equal(issuesFor(report, 'FAQs', 'answer')[0].level, 'error');
+  assert.match(issuesFor(report, 'FAQs', 'visibility')[0].message, /Unknown visibility 'secret'/);
+});
+
+test('misspelt and missing columns are caught', () => {
+  const rows = fixtureRows();
+  rows.localGuideRows = rows.localGuideRows.map(({ maps_link, ...r }) => ({ ...r, maps_lnk: maps_link }));
+  rows.faqsRows = rows.faqsRows.map(({ answer, ...r }) => r);
+  const report = validateContent(rows);
+
+  const typo = issuesFor(report, 'LocalGuide', 'maps_lnk')[0];
+  assert.equal(typo.row, 1);
+  assert.match(typo.message, /did you mean 'maps_link'/);
+  assert.equal(issuesFor(report, 'FAQs', 'answer')[0].message, "Missing column 'answer'");
+});
+
+test('the shrink guard only trips when most of a larger tab goes', () => {
+  assert.equal(checkShrink({ FAQs: 40 }, { FAQs: 25 }), null);
+  assert.equal(checkShrink({ FAQs: 4 }, { FAQs: 0 }), null);
+  assert.match(checkShrink({ FAQs: 40, LocalGuide: 30 }, { FAQs: 3, LocalGuide: 30 }), /FAQs 40 -> 3 rows/);
+});
+
+test('content-health endpoint returns the live report and can filter it', async () => {
+  const noAuth = await fetch(srv.baseUrl + '/admin/content-health');
+  assert.equal(noAuth.status, 401);
+
+  const resp = await fetch(srv.baseUrl + '/admin/content-health?level=error', { headers: ADMIN });
+  const json = await resp.json();
+  assert.equal(resp.status, 200);
+  assert.equal(json.live, true);
+  assert.equal(json.ok, true);
+  assert.deepEqual(json.issues, []);
+});
+
+test('a reload that empties most of a tab is refused unless forced', async () => {
+  const faqs = { headers: ['apt_id', 'question', 'answer', 'visibility'], rows: [] };
+  for (let i = 0; i < 12; i++) faqs.rows.push({ apt_id: 'YAKA01', question: `Question ${i}?`, answer: `Answer ${i}.`, visibility: 'public' });
+  await harness.seedContentFiles();
+  await files.writeTable('FAQs', faqs);
+
+  let resp = await srv.post('/admin/reload-sheets', {}, ADMIN);
+  assert.equal(resp.status, 200);
+  assert.equal(resp.json.health.sheets.FAQs.rows, 12);
+
+  await files.writeTable('FAQs', { ...faqs, rows: faqs.rows.slice(0, 2) });
+  resp = await srv.post('/admin/reload-sheets', {}, ADMIN);
+  assert.equal(resp.status, 409);
+  assert.match(resp.json.details, /FAQs 12 -> 2 rows/);
+  assert.equal(content.getFaqsForApt('YAKA01').length, 12);
+
+  const fresh = await fetch(srv.baseUrl + '/admin/content-health?fresh=true', { headers: ADMIN }).then(r => r.json());
+  assert.equal(fresh.live, false);
+  assert.equal(fresh.sheets.FAQs.rows, 2);
+
+  resp = await srv.post('/admin/reload-sheets?force=true', {}, ADMIN);
+  assert.equal(resp.status, 200);
+  assert.equal(content.getFaqsForApt('YAKA01').length, 2);
+});
@@ -0,0 +1,127 @@
+// test/contentVersions.test.js
+// Content versions: change detection, diffs, rollback, the sync webhook and /debug/faq-data.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const content = require('../backend/content');
+const files = require('../backend/dataSources/files');
+const { diffRows } = require('../backend/contentVersions');
+
+const ADMIN = { 'X-Admin-Secret': 'test-admin-secret' };
+
+let srv;
+test.before(async () => {
+  await harness.seedContentFiles();
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+async function get(pathname, headers = ADMIN) {
+  const resp = await fetch(srv.baseUrl + pathname, { headers });
+  return { status: resp.status, json: await resp.json() };
+}
+
+async function editFaq(question, answer) {
+  const table = await files.readTable('FAQs');
+  table.rows.find(r => r.question === question).answer = answer;
+  await files.writeTable('FAQs', table);
+}
+
+function askChat(message) {
+  return srv.post('/api/chat', { message }, { 'X-Apt-Token': harness.aptToken('YAKA01') });
+}
+
+test('diffRows matches rows by apartment and question or name', () => {
+  const before = {
+    faqsRows: [
+      { apt_id: 'YAKA01', question: 'WiFi?', answer: 'yaka-guest' },
+      { apt_id: '', question: 'Check-out?', answer: '11:00' },
+    ],
+    localGuideRows: [{ apt_id: 'YAKA01', name: 'Keells', distance: '5 min' }],
+  };
+  const after = {
+    faqsRows: [
+      { apt_id: 'YAKA01', question: 'wifi?', answer: 'yaka-2024' },
+      { apt_id: 'YAKA01', question: 'Parking?', answer: 'Basement' },
+    ],
+    localGuideRows: [{ apt_id: 'YAKA01', name: 'Keells', distance: '5 min' }],
+  };
+  const diff = diffRows(before, after);
+
+  assert.deepEqual(diff.FAQs.changed.map(c => [c.key, c.columns]), [['YAKA01 | wifi?', ['question', 'answer']]]);
+  assert.deepEqual(diff.FAQs.added.map(a => a.key), ['YAKA01 | parking?']);
+  assert.deepEqual(diff.FAQs.removed.map(r => r.key), ['* | check-out?']);
+  assert.deepEqual(diff.LocalGuide, { added: [], changed: [], removed: [] });
+});
+
+test('each load that changes something becomes a version with a diff', async () => {
+  let resp = await srv.post('/admin/reload-sheets', {}, ADMIN);
+  assert.equal(resp.status, 200);
+  assert.equal(resp.json.changed, true);
+  const first = resp.json.version;
+
+  resp = await srv.post('/admin/reload-sheets', {}, ADMIN);
+  assert.equal(resp.json.changed, false);
+  assert.equal(resp.json.version, first);
+
+  await editFaq('What time is check-out?', 'Check-out is at 10am.');
+  const result = await content.syncContent('test');
+  assert.equal(result.applied, true);
+
+  const list = await get('/admin/content-versions');
+  assert.equal(list.json.live, result.version.id);
+  assert.deepEqual(list.json.versions.map(v => v.id), [result.version.id, first]);
+  assert.deepEqual(list.json.versions[0].changes.FAQs, { added: 0, changed: 1, removed: 0 });
+  assert.equal(list.json.versions[0].reason, 'test');
+
+  const detail = await get(`/admin/content-versions/${result.version.id}`);
+  assert.equal(detail.json.rows, undefined);
+  assert.deepEqual(detail.json.diff.FAQs.changed[0].columns, ['answer']);
+});
+
+test('rollback restores an earlier version and a sync does not undo it', async () => {
+  const { json } = await get('/admin/content-versions');
+  const [latest, earlier] = json.versions;
+
+  const resp = await srv.post(`/admin/content-versions/${earlier.id}/rollback`, {}, ADMIN);
+  assert.equal(resp.status, 200);
+  assert.equal(resp.json.version.reason, `rollback to ${earlier.id}`);
+  assert.deepEqual(resp.json.version.hashes, earlier.hashes);
+  assert.notEqual(resp.json.live, latest.id);
+
+  const chat = await askChat('What time is check-out?');
+  assert.match(chat.json.reply, /Check-out is at 11am/);
+
+  const sync = await content.syncContent('schedule');
+  assert.equal(sync.unchanged, true);
+  assert.equal(content.getLiveVersion().id, resp.json.live);
+
+  assert.equal((await get('/debug/faq-data', {})).status, 401);
+  const debug = await get('/debug/faq-data');
+  assert.equal(debug.json.contentVersion.id, resp.json.live);
+
+  const missing = await srv.post('/admin/content-versions/v999/rollback', {}, ADMIN);
+  assert.equal(missing.status, 404);
+});
+
+test('the sync webhook needs its secret and picks up source edits', async () => {
+  delete process.env.CONTENT_SYNC_SECRET;
+  let resp = await srv.post('/webhooks/content-sync', {});
+  assert.equal(resp.status, 503);
+
+  process.env.CONTENT_SYNC_SECRET = 'test-sync-secret';
+  resp = await srv.post('/webhooks/content-sync', {}, { 'X-Sync-Secret': 'wrong' });
+  assert.equal(resp.status, 401);
+
+  await editFaq('What time is check-out?', 'Check-out is at noon.');
+  resp = await srv.post('/webhooks/content-sync', {}, { 'X-Sync-Secret': 'test-sync-secret' });
+  assert.equal(resp.status, 200);
+  assert.equal(resp.json.changed, true);
+  assert.equal(content.getLiveVersion().id, resp.json.version);
+
+  const chat = await askChat('What time is check-out?');
+  assert.equal(chat.json.reply, 'Check-out is at noon.');
+});
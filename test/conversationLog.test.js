@@ -0,0 +1,138 @@
+// test/conversationLog.test.js
+// Conversation log (what is stored, redaction) and the analytics built on it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const conversationLog = require('../backend/conversationLog');
+const { summarise, clusterQuestions } = require('../backend/analytics');
+
+const ADMIN = { 'X-Admin-Secret': 'test-admin-secret' };
+
+let srv;
+test.before(async () => {
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+function ask(apt, message, extra = {}) {
+  return srv.post('/api/chat', { message, ...extra }, { 'X-Apt-Token': harness.aptToken(apt) });
+}
+
+function lastEntry() {
+  const all = conversationLog.readExchanges();
+  return all[all.length - 1];
+}
+
+test('redact masks contact details, card numbers and booking references', () => {
+  const text = 'I am jo.guest@example.com, call +94 77 123 4567, card 4111 1111 1111 1111, booking bk-1001, arriving 2026-03-14';
+  assert.equal(
+    conversationLog.redact(text, { bookingRefs: ['BK-1001'] }),
+    'I am [email], call [phone], card [card], booking [booking_ref], arriving 2026-03-14'
+  );
+  assert.equal(conversationLog.redact('Flat 12, 5 min walk'), 'Flat 12, 5 min walk');
+});
+
+test('each chat exchange is logged with routing details', async () => {
+  const resp = await ask('YAKA01', 'Where is the nearest supermarket?', { session_id: 'session-abc' });
+  assert.equal(resp.status, 200);
+
+  const e = lastEntry();
+  assert.equal(e.apt, 'YAKA01');
+  assert.equal(e.channel, 'chat');
+  assert.equal(e.access, 'public');
+  assert.equal(e.source, resp.json.source);
+  assert.equal(e.handler, 'nearest_list');
+  assert.equal(e.lang, 'en');
+  assert.equal(e.fallback, false);
+  assert.equal(typeof e.latency_ms, 'number');
+  assert.equal(e.reply, resp.json.reply);
+  assert.match(e.session, /^[0-9a-f]{12}$/);
+  assert.notEqual(e.session, 'session-abc');
+});
+
+test('FAQ answers record the matched question; unanswered ones are flagged', async () => {
+  await ask('YAKA01', 'What time is check-out?');
+  assert.equal(lastEntry().faq, 'What time is check-out?');
+
+  await ask('YAKA01', 'Is there a gym in the building?');
+  const e = lastEntry();
+  assert.ok(['llm_fallback', 'fallback'].includes(e.source));
+  assert.equal(e.fallback, true);
+});
+
+test('messages are redacted unless CONVERSATION_LOG_REDACT=false', async () => {
+  await ask('YAKA01', 'My booking is BK-1001, email me at guest@example.com');
+  assert.equal(lastEntry().message, 'My booking is [booking_ref], email me at [email]');
+
+  process.env.CONVERSATION_LOG_REDACT = 'false';
+  try {
+    await ask('YAKA01', 'email me at guest@example.com');
+    assert.equal(lastEntry().message, 'email me at guest@example.com');
+  } finally {
+    delete process.env.CONVERSATION_LOG_REDACT;
+  }
+});
+
+test('streamed answers are logged too', async () => {
+  const resp = await srv.post('/api/chat/stream', { message: 'Where is the nearest pharmacy?' }, { 'X-Apt-Token': harness.aptToken('YAKA01') });
+  assert.equal(resp.status, 200);
+  assert.equal(lastEntry().channel, 'stream');
+});
+
+test('similar unanswered questions are clustered, biggest first', () => {
+  const e = (message, apt = 'YAKA01') => ({ ts: '2026-01-02T10:00:00.000Z', apt, message, source: 'fallback', fallback: true });
+  const clusters = clusterQuestions([
+    e('Is there a gym?'), e('is there a gym'), e('Where is the gym?', 'YAKA02'),
+    e('Can I bring my dog?'), e('Any laundry service?'), e('Is there a laundry service nearby?'),
+  ]);
+
+  assert.equal(clusters[0].size, 3);
+  assert.deepEqual(clusters[0].apts, ['YAKA01', 'YAKA02']);
+  assert.deepEqual(clusters[0].variants.map(v => v.count), [2, 1]);
+  assert.equal(clusters[1].size, 2);
+  assert.match(clusters[1].example, /laundry/i);
+});
+
+test('summary counts sources, languages and days', () => {
+  const entries = [
+    { ts: '2026-01-01T09:00:00.000Z', apt: 'YAKA01', lang: 'en', source: 'faq', fallback: false, latency_ms: 100, message: 'WiFi?' },
+    { ts: '2026-01-01T10:00:00.000Z', apt: 'YAKA01', lang: 'de', source: 'faq', fallback: false, latency_ms: 300, message: 'wifi' },
+    { ts: '2026-01-02T10:00:00.000Z', apt: 'YAKA02', lang: 'en', source: 'fallback', fallback: true, latency_ms: 200, message: 'Gym?' },
+  ];
+  const s = summarise(entries);
+
+  assert.equal(s.total, 3);
+  assert.equal(s.fallbackRate, 0.333);
+  assert.deepEqual(s.latency, { avg: 200, p50: 200, p95: 300 });
+  assert.deepEqual(s.sources[0], { source: 'faq', count: 2, share: 0.667 });
+  assert.deepEqual(s.languages.map(l => l.lang), ['en', 'de']);
+  assert.deepEqual(s.daily.map(d => [d.day, d.total, d.fallback]), [['2026-01-01', 2, 0], ['2026-01-02', 1, 1]]);
+  assert.deepEqual(s.topQuestions.YAKA01, [{ question: 'WiFi?', count: 2, sources: { faq: 2 }, lastAsked: '2026-01-01T10:00:00.000Z' }]);
+});
+
+test('analytics endpoints summarise and export the log', async () => {
+  const noAuth = await fetch(srv.baseUrl + '/admin/analytics');
+  assert.equal(noAuth.status, 401);
+
+  const bad = await fetch(srv.baseUrl + '/admin/analytics?days=0', { headers: ADMIN });
+  assert.equal(bad.status, 400);
+
+  const summary = await fetch(srv.baseUrl + '/admin/analytics?apt=YAKA01', { headers: ADMIN }).then(r => r.json());
+  assert.equal(summary.total, conversationLog.readExchanges({ apt: 'YAKA01' }).length);
+  assert.ok(summary.unansweredClusters.some(c => /gym/i.test(c.example)));
+
+  const list = await fetch(srv.baseUrl + '/admin/conversations?fallback=true', { headers: ADMIN }).then(r => r.json());
+  assert.ok(list.conversations.length >= 1);
+  assert.ok(list.conversations.every(c => c.fallback));
+
+  const csv = await fetch(srv.baseUrl + '/admin/analytics/export.csv', { headers: ADMIN });
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+  assert.match(csv.headers.get('content-disposition'), /attachment; filename="conversations-.*\.csv"/);
+  const lines = (await csv.text()).trim().split('\n');
+  assert.equal(lines[0], 'ts,apt,lang,source,handler,score,fallback,latency_ms,faq,message,reply,session,channel,access,id');
+  assert.ok(lines.length > 5);
+});
@@ -0,0 +1,75 @@
+// test/feedback.test.js
+// Guest 👍/👎 on bot replies and the admin list of low-rated answers.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+
+const ADMIN = { 'X-Admin-Secret': 'test-admin-secret' };
+
+let srv;
+test.before(async () => {
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+function ask(apt, message) {
+  return srv.post('/api/chat', { message }, { 'X-Apt-Token': harness.aptToken(apt) });
+}
+
+function rate(apt, body) {
+  return srv.post('/api/feedback', body, { 'X-Apt-Token': harness.aptToken(apt) });
+}
+
+test('chat replies carry a message id and the matched FAQ', async () => {
+  const resp = await ask('YAKA01', 'What time is check-out?');
+  assert.equal(resp.status, 200);
+  assert.match(resp.json.message_id, /^[0-9a-f-]{36}$/);
+  assert.equal(resp.json.faq, 'What time is check-out?');
+});
+
+test('feedback is validated and tied to the apartment that got the reply', async () => {
+  const { json } = await ask('YAKA01', 'What time is check-out?');
+
+  assert.equal((await rate('YAKA01', { rating: 'down' })).status, 400);
+  assert.equal((await rate('YAKA01', { message_id: json.message_id, rating: 'meh' })).status, 400);
+  assert.equal((await rate('YAKA02', { message_id: json.message_id, rating: 'down' })).status, 404);
+  assert.equal((await srv.post('/api/feedback', { message_id: json.message_id, rating: 'up' })).status, 401);
+
+  const ok = await rate('YAKA01', { message_id: json.message_id, rating: 'up' });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(ok.json, { ok: true });
+});
+
+test('low-rated answers are grouped by FAQ; a second vote replaces the first', async () => {
+  const a = await ask('YAKA01', 'What time is check-out?');
+  const b = await ask('YAKA01', 'What time is check-out?');
+  const c = await ask('YAKA01', 'Is there a gym in the building?');
+
+  await rate('YAKA01', { message_id: a.json.message_id, rating: 'up' });
+  await rate('YAKA01', { message_id: a.json.message_id, rating: 'down', comment: 'We were told 10am' });
+  await rate('YAKA01', { message_id: b.json.message_id, rating: 'down' });
+  await rate('YAKA01', { message_id: c.json.message_id, rating: 'down', comment: 'No answer at all' });
+  // the client's source/faq are ignored when the message is in the log
+  await rate('YAKA01', { message_id: c.json.message_id, rating: 'down', faq: 'Made up' });
+
+  assert.equal((await fetch(srv.baseUrl + '/admin/feedback')).status, 401);
+
+  const r = await fetch(srv.baseUrl + '/admin/feedback?rating=down', { headers: ADMIN }).then(x => x.json());
+  assert.equal(r.total, 3);
+  const checkout = r.groups.find(g => g.faq === 'What time is check-out?');
+  assert.equal(checkout.down, 2);
+  assert.ok(checkout.comments.some(x => x.comment === 'We were told 10am' && x.message === 'What time is check-out?'));
+  assert.deepEqual(checkout.apts, ['YAKA01']);
+
+  const gym = r.groups.find(g => !g.faq);
+  assert.equal(gym.source, c.json.source);
+  assert.equal(gym.comments[0].comment, 'No answer at all');
+
+  const plain = await fetch(srv.baseUrl + '/admin/feedback?group=none', { headers: ADMIN }).then(x => x.json());
+  const first = plain.feedback.find(f => f.message_id === a.json.message_id);
+  assert.equal(first.rating, 'down');
+  assert.equal(first.reply, a.json.reply);
+});
@@ -0,0 +1,31 @@
+// test/fixtures/sheets.js
+// Fixture spreadsheet, in the same shape the Sheets API returns (header row + value rows),
+// so the tests go through valuesToObjects exactly like a real load.
+module.exports = {
+  Apartments: [
+    ['apt_id', 'name', 'lat', 'lng', 'booking_ref', 'handlers_off', 'handler_config'],
+    ['YAKA01', 'Yaka 01 - Sea View', '6.9000', '79.8530', 'BK-1001, BK-1002'],
+    ['YAKA02', 'Yaka 02 - Garden', '', '', 'BK-2001'],
+    ['YAKA03', 'Yaka 03 - Loft', '6.9010', '79.8540', 'BK-3001', 'nearest_list, google_places, fallback', '{"local_guide_list":{"limit":1}}'],
+  ],
+
+  LocalGuide: [
+    ['apt_id', 'category', 'name', 'distance', 'sort_mins', 'description', 'maps_link'],
+    ['ALL', 'Supermarket', 'Keells Super', '400 m', '5', 'Turn left out of the lobby, it is on Marine Drive.', 'https://maps.example/keells'],
+    ['ALL', 'Supermarket', 'Cargills Food City', '1.2 km', '14', '', 'https://maps.example/cargills'],
+    ['YAKA01', 'Supermarket', 'SPAR Express', '650 m', '8', '', 'https://maps.example/spar'],
+    ['ALL', 'Restaurant', 'Upali\'s', '900 m', '', 'Sri Lankan rice and curry.', 'https://maps.example/upalis'],
+    ['ALL', 'Restaurant', 'Ministry of Crab', '2 km', '', '', 'https://maps.example/crab'],
+    ['ALL', 'Attraction', 'Galle Face Green', '1.5 km', '18', 'Best at sunset, street food stalls along the promenade.', 'https://maps.example/gfg'],
+    ['ALL', 'Cafe', 'Barista', '300 m', '4', '', 'https://maps.example/barista'],
+  ],
+
+  FAQs: [
+    ['apt_id', 'question', 'answer', 'visibility', 'answer_si'],
+    ['ALL', 'Which supermarket is open late?', 'Keells Super on Marine Drive is open until 11pm every day.', 'public', 'Marine Drive හි Keells Super සෑම දිනකම රාත්‍රී 11 දක්වා විවෘතයි.'],
+    ['ALL', 'Where are the spare towels?', 'Spare towels are in the locked host cupboard.', 'host_only'],
+    ['YAKA01', 'What time is check-out?', 'Check-out is at 11am. Please leave the keys on the kitchen table.', 'public'],
+    ['YAKA01', 'What is the Wi-Fi password?', 'The Wi-Fi network is YAKA01-Guest and the password is ocean-breeze.', 'guest'],
+    ['YAKA02', 'Is there parking?', 'Yes, there is one covered parking slot (number 12).', ''],
+  ],
+};
@@ -0,0 +1,116 @@
+// test/helpers/harness.js
+// Boots the real Express app against fixture sheet data, fully offline:
+//   - LLM_PROVIDER=fake        (deterministic chat/embeddings, see backend/providers/fake.js)
+//   - Google Places            stubbed at axios.get, returns PLACES_FIXTURE
+//   - DATA_DIR                 a fresh temp dir (tickets, embedding cache, content files)
+// Env must be set before the first require of backend/*, which read it at load time.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yaka-test-'));
+
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  CONTENT_DIR: path.join(dataDir, 'content'),
+  CONTENT_SOURCE: 'files',
+  LLM_PROVIDER: 'fake',
+  GOOGLE_PLACES_API_KEY: 'test-places-key',
+  APT_LINK_KEYS: '1:test-link-secret',
+  ALLOW_LEGACY_APT_LINKS: 'false',
+  GUEST_TOKEN_SECRET: 'test-guest-secret',
+  ADMIN_RELOAD_SECRET: 'test-admin-secret',
+  ESCALATION_NOTIFIERS: 'file',
+});
+delete process.env.FAKE_LLM_REPLY;
+
+// Limits are off unless a test file sets them before requiring the harness (limits.test.js)
+for (const name of ['RATE_LIMIT_PER_IP', 'RATE_LIMIT_PER_LINK', 'RATE_LIMIT_VERIFY_PER_IP', 'RATE_LIMIT_NOTIFY_PER_IP', 'RATE_LIMIT_NOTIFY_PER_LINK']) {
+  process.env[name] ??= '0';
+}
+
+const axios = require('axios');
+const server = require('../../backend/server');
+const content = require('../../backend/content');
+const { valuesToObjects } = require('../../backend/dataSources/sheets');
+const linkTokens = require('../../backend/linkTokens');
+const sheets = require('../fixtures/sheets');
+
+const PLACES_FIXTURE = [
+  { name: 'Union Chemists', vicinity: '12 Galle Road, Colombo 3', rating: 4.5, place_id: 'place-union' },
+  { name: 'Healthguard Pharmacy', vicinity: '88 Duplication Road, Colombo 4', place_id: 'place-healthguard' },
+];
+
+const placesCalls = [];
+mock.method(axios, 'get', async (url, config = {}) => {
+  if (!String(url).startsWith('https://maps.googleapis.com/')) {
+    throw new Error(`Unexpected network call in tests: ${url}`);
+  }
+  placesCalls.push(config.params);
+  return { data: { status: 'OK', results: PLACES_FIXTURE } };
+});
+
+// Writes the fixture tabs as content files (CONTENT_DIR), for tests that go through
+// content.loadAllData() instead of loadFixtures().
+async function seedContentFiles(format) {
+  const files = require('../../backend/dataSources/files');
+  for (const [title, values] of Object.entries(sheets)) {
+    await files.writeTable(title, { headers: values[0], rows: valuesToObjects(values) }, format);
+  }
+}
+
+function loadFixtures() {
+  content.applySheetRows({
+    localGuideRows: valuesToObjects(sheets.LocalGuide),
+    apartmentsRows: valuesToObjects(sheets.Apartments),
+    faqsRows: valuesToObjects(sheets.FAQs),
+  });
+}
+
+// Starts the app on a random port. Returns { baseUrl, post, close }.
+async function startServer() {
+  loadFixtures();
+
+  const listener = await new Promise(resolve => {
+    const l = server.app.listen(0, () => resolve(l));
+  });
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  async function post(pathname, body, headers = {}) {
+    const resp = await fetch(baseUrl + pathname, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body || {})
+    });
+    const text = await resp.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* SSE or plain text */ }
+    return { status: resp.status, json, text };
+  }
+
+  function close() {
+    return new Promise(resolve => listener.close(resolve));
+  }
+
+  return { baseUrl, post, close };
+}
+
+function aptToken(apt, window) {
+  return linkTokens.signAptLink(apt, window).token;
+}
+
+function cleanup() {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  dataDir,
+  placesCalls,
+  PLACES_FIXTURE,
+  seedContentFiles,
+  loadFixtures,
+  startServer,
+  aptToken,
+  cleanup,
+};
@@ -0,0 +1,75 @@
+// test/intents.test.js
+// Intent detection in every language the chat offers: nearest/nearby places, directions and
+// opening hours, plus a full /api/chat round trip for non-Latin scripts.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const {
+  norm,
+  isDirectionsQuestion,
+  isOpeningHoursQuestion,
+  detectNearestCategoryIntent,
+  detectNearbyIntent,
+} = require('../backend/intents');
+
+let srv;
+test.before(async () => {
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+// [nearest supermarket, any restaurants nearby, how do I get to the beach, is the pharmacy open now]
+const PHRASES = {
+  en: ['Where is the nearest supermarket?', 'Any restaurants nearby?', 'How do I get to the beach?', 'Is the pharmacy open now?'],
+  de: ['Wo ist der nächste Supermarkt?', 'Gibt es Restaurants in der Nähe?', 'Wie komme ich zum Strand?', 'Wie sind die Öffnungszeiten der Apotheke?'],
+  fr: ['Où est le supermarché le plus proche ?', 'Un restaurant dans le coin ?', 'Comment aller à la plage ?', 'La pharmacie est-elle ouverte ?'],
+  es: ['¿Dónde está el supermercado más cercano?', '¿Hay restaurantes cerca?', '¿Cómo llego a la playa?', '¿A qué hora cierra la farmacia?'],
+  it: ['Dov\'è il supermercato più vicino?', 'Ci sono ristoranti qui vicino?', 'Come arrivo alla spiaggia?', 'La farmacia è aperta adesso?'],
+  pt: ['Onde fica o supermercado mais próximo?', 'Há restaurantes por perto?', 'Como chego à praia?', 'A farmácia está aberta agora?'],
+  pl: ['Gdzie jest najbliższy sklep?', 'Czy jest tu jakaś restauracja?', 'Jak dojść na plażę?', 'Czy apteka jest teraz otwarta?'],
+  ru: ['Где ближайший супермаркет?', 'Есть рядом рестораны?', 'Как добраться до пляжа?', 'Аптека сейчас открыта?'],
+  si: ['ළඟම සුපර් මාකට් එක කොහෙද?', 'ළඟපාත අවන්හල් තියෙනවද?', 'වෙරළට යන්නේ කොහොමද?', 'ෆාමසිය දැන් විවෘතද?'],
+  ta: ['மிக அருகில் உள்ள சூப்பர் மார்க்கெட் எங்கே?', 'அருகில் உணவகம் உள்ளதா?', 'கடற்கரைக்கு எப்படி செல்வது?', 'மருந்தகம் இப்போது திறந்திருக்கும்?'],
+  zh: ['最近的超市在哪里？', '附近有餐厅吗？', '怎么去海滩？', '药店现在营业吗？'],
+  hi: ['सबसे नज़दीकी सुपरमार्केट कहाँ है?', 'पास में कोई रेस्टोरेंट है?', 'समुद्र तट कैसे जाएं?', 'क्या फार्मेसी अभी खुली है?'],
+  ar: ['أين أقرب سوبر ماركت؟', 'هل توجد مطاعم قريبة؟', 'كيف أصل إلى الشاطئ؟', 'هل الصيدلية مفتوحة الآن؟'],
+};
+
+test('norm keeps letters of every script and folds accents', () => {
+  assert.equal(norm('Où est le SUPERMARCHÉ ?'), 'ou est le supermarche');
+  assert.equal(norm('Где ближайший супермаркет?'), 'где ближаишии супермаркет');
+  assert.equal(norm('ළඟම සුපර් මාකට් එක කොහෙද?'), norm('ළඟම සුපර් මාකට් එක කොහෙද'));
+  assert.notEqual(norm('最近的超市在哪里？'), '');
+  assert.equal(norm("What's check-out?"), 'what s check out');
+});
+
+for (const [lang, [nearest, nearby, directions, hours]] of Object.entries(PHRASES)) {
+  test(`intents in ${lang}`, () => {
+    assert.deepEqual(detectNearestCategoryIntent(nearest), { category: 'supermarket', label: 'supermarket' }, nearest);
+    assert.deepEqual(detectNearbyIntent(nearby), { type: 'restaurant', label: 'restaurants' }, nearby);
+    assert.equal(isDirectionsQuestion(directions), true, directions);
+    assert.equal(detectNearbyIntent(directions), null, directions);
+    assert.equal(isOpeningHoursQuestion(hours), true, hours);
+
+    assert.equal(isDirectionsQuestion(nearest), false, nearest);
+    assert.equal(isOpeningHoursQuestion(nearby), false, nearby);
+  });
+}
+
+test('keywords match at the start of a word only', () => {
+  assert.equal(detectNearbyIntent('That was a great stay'), null);
+  assert.deepEqual(detectNearbyIntent('Good places for breakfast?'), { type: 'restaurant', label: 'restaurants' });
+  assert.equal(detectNearbyIntent('Any problems with the heater? مشاكل'), null);
+});
+
+test('non-English questions reach the LocalGuide', async () => {
+  for (const message of [PHRASES.si[0], PHRASES.ru[0], PHRASES.zh[0], PHRASES.ta[0]]) {
+    const resp = await srv.post('/api/chat', { message }, { 'X-Apt-Token': harness.aptToken('YAKA01') });
+    assert.equal(resp.json.source, 'local_guide_nearest_list', message);
+    assert.equal(resp.json.places[0].name, 'Keells Super');
+    assert.match(resp.json.reply, /Keells Super/);
+  }
+});
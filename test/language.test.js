@@ -0,0 +1,100 @@
+// test/language.test.js
+// Reply language: the guest's chosen language, the local detector and the LLM fallback.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const { AI } = require('../backend/ai');
+const { detectLocal, resolveLanguage, normaliseLang } = require('../backend/language');
+
+let srv;
+let detectCalls = 0;
+test.before(async () => {
+  const chat = AI.chat.chat;
+  AI.chat.chat = (messages, options = {}) => {
+    if (options.purpose === 'detect_language') detectCalls++;
+    return chat(messages, options);
+  };
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+function ask(body) {
+  return srv.post('/api/chat', body, { 'X-Apt-Token': harness.aptToken('YAKA01') });
+}
+
+test('the local detector knows scripts and common words, and says when it is unsure', () => {
+  const cases = {
+    'Where is the nearest supermarket?': 'en',
+    'Wo ist der nächste Supermarkt?': 'de',
+    'Où est le supermarché le plus proche ?': 'fr',
+    '¿Dónde está el supermercado más cercano?': 'es',
+    "Dov'è il supermercato più vicino?": 'it',
+    'Onde fica o supermercado mais perto?': 'pt',
+    'Gdzie jest najbliższy sklep?': 'pl',
+    'ළඟම සුපර් මාකට් එක කොහෙද?': 'si',
+    'அருகிலுள்ள கடை எங்கே?': 'ta',
+    'Где ближайший супермаркет?': 'ru',
+    '最近的超市在哪里': 'zh',
+    'सबसे नज़दीकी दुकान कहाँ है?': 'hi',
+    'أين أقرب سوبر ماركت؟': 'ar',
+  };
+  for (const [message, lang] of Object.entries(cases)) {
+    assert.deepEqual(detectLocal(message), { lang, confident: true }, message);
+  }
+  for (const message of ['wifi?', 'ok thanks', 'check-out time', '👍']) {
+    assert.equal(detectLocal(message).confident, false, message);
+  }
+  assert.equal(normaliseLang('pt-BR'), 'pt');
+  assert.equal(normaliseLang('<script>'), null);
+});
+
+test('policies combine the chosen language with detection', async () => {
+  const before = detectCalls;
+  assert.deepEqual(await resolveLanguage({ message: 'wifi?', preferred: 'de' }), { lang: 'de', via: 'preferred' });
+  assert.deepEqual(await resolveLanguage({ message: 'Where is the nearest supermarket?', preferred: 'de' }), { lang: 'en', via: 'detected' });
+  assert.deepEqual(await resolveLanguage({ message: 'wifi?', session: { lang: 'ru' } }), { lang: 'ru', via: 'session' });
+  assert.equal(detectCalls, before);
+
+  assert.deepEqual(await resolveLanguage({ message: 'wifi?' }), { lang: 'en', via: 'llm' });
+  assert.equal(detectCalls, before + 1);
+
+  process.env.LANGUAGE_POLICY = 'fixed';
+  try {
+    assert.deepEqual(await resolveLanguage({ message: 'Where is the nearest supermarket?', preferred: 'de' }), { lang: 'de', via: 'preferred' });
+  } finally {
+    delete process.env.LANGUAGE_POLICY;
+  }
+
+  process.env.LANGUAGE_DETECT_LLM = 'false';
+  try {
+    assert.deepEqual(await resolveLanguage({ message: 'wifi?' }), { lang: 'en', via: 'default' });
+    assert.equal(detectCalls, before + 1);
+  } finally {
+    delete process.env.LANGUAGE_DETECT_LLM;
+  }
+});
+
+test('/api/chat replies in the chosen language without asking the LLM', async () => {
+  const before = detectCalls;
+  const resp = await ask({ message: 'Where is the nearest supermarket', lang: 'de', session_id: 'lang-test-1' });
+  assert.equal(resp.status, 200);
+  assert.equal(resp.json.detected_language, 'en'); // clearly English wins over the picker
+
+  const short = await ask({ message: 'supermarket?', lang: 'de', session_id: 'lang-test-1' });
+  assert.equal(short.json.detected_language, 'de');
+  assert.match(short.json.reply, /^\[de\] /);
+  assert.equal(detectCalls, before);
+});
+
+test('without a chosen language a short follow-up keeps the language of the conversation', async () => {
+  const first = await ask({ message: 'Где ближайший супермаркет?', session_id: 'lang-test-2' });
+  assert.equal(first.json.detected_language, 'ru');
+
+  const before = detectCalls;
+  const next = await ask({ message: 'wifi?', session_id: 'lang-test-2' });
+  assert.equal(next.json.detected_language, 'ru');
+  assert.equal(detectCalls, before);
+});
@@ -0,0 +1,139 @@
+// test/limits.test.js
+// Abuse protection on the guest API: rate limits, input caps, the CORS allow-list and the
+// daily AI budget falling back to keyword-only answers.
+process.env.RATE_LIMIT_PER_LINK = '4';
+process.env.RATE_LIMIT_VERIFY_PER_IP = '3';
+process.env.RATE_LIMIT_NOTIFY_PER_LINK = '2';
+process.env.TTS_MAX_CHARS = '40';
+process.env.STT_MAX_MB = '0.001';
+process.env.CORS_ORIGINS = 'https://chat.example, https://yaka.example/';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const content = require('../backend/content');
+const { valuesToObjects } = require('../backend/dataSources/sheets');
+const sheets = require('./fixtures/sheets');
+
+const ADMIN = { 'X-Admin-Secret': 'test-admin-secret' };
+
+let srv;
+test.before(async () => {
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+// every stay window is a different link, with its own count
+let links = 0;
+function headers(apt = 'YAKA01') {
+  links += 1;
+  const to = new Date(Date.now() + links * 86400000).toISOString();
+  return { 'X-Apt-Token': harness.aptToken(apt, { from: '2026-01-01T00:00:00Z', to }) };
+}
+
+test('one apartment link gets a limited number of chat requests a minute', async () => {
+  const link = headers();
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await srv.post('/api/chat', { message: 'Where is the nearest supermarket?' }, link)).status, 200);
+  }
+  const limited = await srv.post('/api/chat/stream', { message: 'Where is the nearest supermarket?' }, link);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.json.code, 'rate_limited');
+
+  assert.equal((await srv.post('/api/chat', { message: 'Where is the nearest supermarket?' }, headers())).status, 200);
+
+  // booking reference guesses are limited per IP
+  const link2 = headers();
+  const tries = [];
+  for (let i = 0; i < 4; i++) tries.push((await srv.post('/api/verify', { booking_ref: `BK-99${i}` }, link2)).status);
+  assert.deepEqual(tries, [401, 401, 401, 429]);
+});
+
+test('escalations, service requests, feedback and the greeting are limited too', async () => {
+  // escalations and service requests message the host, so they share a small count
+  const link = headers();
+  const escalate = () => srv.post('/api/escalations', { message: 'The hot water is not working' }, link);
+  assert.deepEqual([(await escalate()).status, (await escalate()).status], [201, 201]);
+  const service = await srv.post('/api/service-requests', { service_id: 'airport_pickup' }, link);
+  assert.deepEqual([service.status, service.json.code], [429, 'rate_limited']);
+
+  const link2 = headers();
+  const statuses = [];
+  for (let i = 0; i < 5; i++) statuses.push((await srv.post('/api/feedback', { message_id: 'nope', rating: 'up' }, link2)).status);
+  assert.equal(statuses[4], 429);
+  for (let i = 0; i < 4; i++) assert.equal((await srv.post('/api/stay', {}, link2)).status, 200);
+  assert.equal((await srv.post('/api/stay', {}, link2)).status, 429);
+});
+
+test('malformed or long messages, long TTS text and large recordings are refused', async () => {
+  const chat = await srv.post('/api/chat', { message: 'x'.repeat(1001) }, headers());
+  assert.deepEqual([chat.status, chat.json.code], [413, 'too_large']);
+
+  // only a non-blank string is a message
+  for (const message of [['x'], { a: 1 }, 42, '   ']) {
+    const bad = await srv.post('/api/chat', { message }, headers());
+    assert.deepEqual([bad.status, bad.json.code], [400, 'bad_request'], JSON.stringify(message));
+  }
+  assert.equal((await srv.post('/api/chat/stream', { message: ['x'] }, headers())).status, 400);
+
+  assert.equal((await srv.post('/api/tts', { text: 'Check-out is at 11am.' }, headers())).status, 200);
+  assert.equal((await srv.post('/api/tts', { text: 'x'.repeat(41) }, headers())).status, 413);
+
+  const form = new FormData();
+  form.append('audio', new Blob([Buffer.alloc(2048)], { type: 'audio/webm' }), 'voice.webm');
+  const stt = await fetch(`${srv.baseUrl}/api/stt`, { method: 'POST', body: form, headers: headers() });
+  assert.equal(stt.status, 413);
+  assert.equal((await stt.json()).code, 'too_large');
+});
+
+test('only allow-listed websites can call the API from a browser', async () => {
+  const ask = origin => fetch(`${srv.baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Origin: origin, ...headers() },
+    body: JSON.stringify({ message: 'Where is the nearest supermarket?' })
+  });
+
+  const allowed = await ask('https://yaka.example');
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://yaka.example');
+
+  const blocked = await ask('https://evil.example');
+  assert.equal(blocked.status, 403);
+  assert.equal((await blocked.json()).code, 'origin_not_allowed');
+
+  // the chat page served by this server
+  assert.equal((await ask(srv.baseUrl)).status, 200);
+});
+
+test('an apartment over its daily AI budget gets keyword-only answers, not errors', async (t) => {
+  t.after(() => harness.loadFixtures());
+  content.applySheetRows({
+    localGuideRows: valuesToObjects(sheets.LocalGuide),
+    apartmentsRows: valuesToObjects(sheets.Apartments).map(r => (r.apt_id === 'YAKA02' ? { ...r, ai_budget_usd: '0.000001' } : r)),
+    faqsRows: valuesToObjects(sheets.FAQs),
+  });
+
+  const first = await srv.post('/api/chat', { message: 'Can we bring a dog?' }, headers('YAKA02'));
+  assert.equal(first.json.source, 'llm_fallback');
+
+  const second = await srv.post('/api/chat', { message: 'Can we bring a dog?' }, headers('YAKA02'));
+  assert.equal(second.status, 200);
+  assert.equal(second.json.source, 'fallback');
+
+  const faq = await srv.post('/api/chat', { message: 'Is there parking?' }, headers('YAKA02'));
+  assert.equal(faq.json.source, 'faq_keyword');
+  assert.equal(faq.json.reply, 'Yes, there is one covered parking slot (number 12).');
+
+  // other apartments are not affected; voice has no keyword fallback so it stops
+  assert.equal((await srv.post('/api/chat', { message: 'Can we bring a dog?' }, headers('YAKA01'))).json.source, 'llm_fallback');
+  const tts = await srv.post('/api/tts', { text: 'Hello' }, headers('YAKA02'));
+  assert.deepEqual([tts.status, tts.json.code], [503, 'budget_exhausted']);
+
+  const usage = await (await fetch(`${srv.baseUrl}/admin/usage`, { headers: ADMIN })).json();
+  assert.equal(usage.apartments.YAKA02.keyword_only, true);
+  assert.equal(usage.apartments.YAKA01.keyword_only, false);
+  assert.ok(usage.spent_usd > 0);
+});
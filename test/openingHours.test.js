@@ -0,0 +1,115 @@
+// test/openingHours.test.js
+// LocalGuide opening hours: schedule parsing, open/closed at a given local time, and the chat
+// replies once rows have hours.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const content = require('../backend/content');
+const { valuesToObjects } = require('../backend/dataSources/sheets');
+const { validateContent } = require('../backend/contentHealth');
+const sheets = require('./fixtures/sheets');
+const {
+  DEFAULT_TIMEZONE,
+  timeZoneOf,
+  localTime,
+  parseSchedule,
+  openStatus,
+  openUntil,
+  describeStatus,
+} = require('../backend/openingHours');
+
+let srv;
+test.before(async () => {
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+// 2026-10-19 is a Monday
+const at = (date, time) => {
+  const [h, m] = time.split(':').map(Number);
+  return { date, day: new Date(`${date}T00:00:00Z`).getUTCDay(), minutes: h * 60 + m };
+};
+const status = (opening_hours, when, hours_exceptions = '') => openStatus({ opening_hours, hours_exceptions }, when);
+
+test('weekly schedules: day ranges, split hours, days off and later rules winning', () => {
+  const week = 'Mo-Fr 08:00-22:00; Sa 09:00-13:00, 15:00-20:00; Su off';
+  assert.deepEqual(status(week, at('2026-10-19', '08:30')), { known: true, open: true, closesAt: '22:00', closesIn: 810 });
+  assert.deepEqual(status(week, at('2026-10-24', '14:00')), { known: true, open: false, opensAt: '15:00', opensDay: 0 });
+  assert.deepEqual(status(week, at('2026-10-24', '21:00')), { known: true, open: false, opensAt: '08:00', opensDay: 2 });
+  assert.equal(describeStatus(status(week, at('2026-10-24', '21:00')), at('2026-10-24', '21:00')), 'closed now, opens Mon 08:00');
+
+  assert.equal(status('daily 07:00-23:00; Su 10:00-14:00', at('2026-10-25', '16:00')).open, false);
+  assert.equal(status('Fr-Mo 10:00-12:00', at('2026-10-18', '11:00')).open, true); // wraps over Sunday
+  assert.deepEqual(status('24/7', at('2026-10-19', '03:00')), { known: true, open: true, always: true });
+  assert.deepEqual(openStatus({ name: 'No hours' }, at('2026-10-19', '03:00')), { known: false });
+
+  assert.ok(parseSchedule('whenever').error);
+  assert.ok(parseSchedule('Mo-Fr 25:00-26:00').error);
+});
+
+test('hours past midnight count for the next morning', () => {
+  const bar = '18:00-02:00';
+  assert.deepEqual(status(bar, at('2026-10-20', '01:00')), { known: true, open: true, closesAt: '02:00', closesIn: 60 });
+  assert.equal(describeStatus(status(bar, at('2026-10-20', '23:30')), at('2026-10-20', '23:30')), 'open now, until 02:00');
+  assert.equal(openUntil({ opening_hours: bar }, at('2026-10-20', '12:00'), 22 * 60), true);
+  assert.equal(openUntil({ opening_hours: 'daily 08:00-21:00' }, at('2026-10-20', '12:00'), 22 * 60), false);
+});
+
+test('exceptions override the week, including yearly dates', () => {
+  const hours = 'daily 08:00-22:00';
+  assert.equal(status(hours, at('2026-12-25', '12:00'), '2026-12-25 off').open, false);
+  assert.equal(status(hours, at('2027-04-14', '12:00'), '04-13..04-14 closed').open, false);
+  assert.deepEqual(status(hours, at('2026-12-30', '23:00'), '2026-12-31 10:00-18:00'), { known: true, open: false, opensAt: '10:00', opensDay: 1 });
+  assert.equal(describeStatus(status(hours, at('2026-12-30', '23:00'), '2026-12-31 10:00-18:00'), at('2026-12-30', '23:00')), 'closed now, opens 10:00 tomorrow');
+});
+
+test('local time follows the apartment time zone', () => {
+  assert.deepEqual(localTime(new Date('2026-10-19T03:00:00Z'), 'Asia/Colombo'), { date: '2026-10-19', day: 1, minutes: 510 });
+  assert.deepEqual(localTime(new Date('2026-10-19T03:00:00Z'), 'America/New_York'), { date: '2026-10-18', day: 0, minutes: 23 * 60 });
+  assert.equal(timeZoneOf({ timezone: 'Europe/Berlin' }), 'Europe/Berlin');
+  assert.equal(timeZoneOf({ timezone: 'Mars/Olympus' }), DEFAULT_TIMEZONE);
+});
+
+test('content checks warn about unreadable hours and time zones', () => {
+  const report = validateContent({
+    apartmentsRows: [{ apt_id: 'YAKA01', timezone: 'Mars/Olympus' }],
+    localGuideRows: [{ apt_id: 'ALL', category: 'Cafe', name: 'Barista', distance: '300 m', maps_link: 'https://maps.example/b', opening_hours: 'mornings', hours_exceptions: 'xmas off' }],
+  });
+  const columns = report.issues.filter(i => i.level === 'warning').map(i => i.column);
+  assert.ok(columns.includes('timezone'));
+  assert.ok(columns.includes('opening_hours'));
+  assert.ok(columns.includes('hours_exceptions'));
+});
+
+test('chat answers open-now questions and marks places open or closed', async (t) => {
+  const hours = { 'Keells Super': '24/7', 'Cargills Food City': 'off' };
+  content.applySheetRows({
+    localGuideRows: valuesToObjects(sheets.LocalGuide).map(r => ({ ...r, opening_hours: hours[r.name] || '' })),
+    apartmentsRows: valuesToObjects(sheets.Apartments),
+    faqsRows: valuesToObjects(sheets.FAQs),
+  });
+  t.after(() => harness.loadFixtures());
+  const ask = message => srv.post('/api/chat', { message }, { 'X-Apt-Token': harness.aptToken('YAKA01') });
+
+  const late = await ask('Which supermarket is open late?');
+  assert.equal(late.json.source, 'local_guide_open_now');
+  assert.deepEqual(late.json.places.map(p => [p.name, p.open_now]), [['Keells Super', true]]);
+  assert.match(late.json.reply, /^Supermarkets open late tonight:\n\n1\. Keells Super — 400 m \(open 24 hours\)/);
+
+  const nearest = await ask('Where is the nearest supermarket?');
+  assert.equal(nearest.json.source, 'local_guide_nearest_list');
+  assert.deepEqual(nearest.json.places.map(p => [p.name, p.open_now]), [['Keells Super', true], ['SPAR Express', undefined], ['Cargills Food City', false]]);
+  assert.match(nearest.json.reply, /Cargills Food City — 1\.2 km \(closed\)/);
+
+  const named = await ask('Is Cargills Food City open now?');
+  assert.equal(named.json.source, 'local_guide');
+  assert.equal(named.json.place.open_now, false);
+  assert.match(named.json.reply, /^Cargills Food City is closed\./);
+
+  // no hours for cafes: left to the FAQs and the rest of the chain as before
+  const cafe = await ask('Is the cafe open now?');
+  assert.notEqual(cafe.json.source, 'local_guide_open_now');
+});
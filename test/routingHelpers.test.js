@@ -0,0 +1,142 @@
+// test/routingHelpers.test.js
+// Unit tests for the matching helpers the chat pipeline routes on.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const content = require('../backend/content');
+const { valuesToObjects } = require('../backend/dataSources/sheets');
+const sheets = require('./fixtures/sheets');
+
+const { keywordFaqMatch } = require('../backend/faqSearch');
+const {
+  findLocalGuidePlace,
+  distanceToMetres,
+  haversineMetres,
+  listByCategory,
+  formatLocalGuideNearestListReply,
+} = require('../backend/localGuide');
+const { detectNearbyIntent } = require('../backend/intents');
+const sessions = require('../backend/sessions');
+
+test.before(() => harness.loadFixtures());
+test.after(() => harness.cleanup());
+
+const FAQS = [
+  { question: 'Which supermarket is open late?', answer: 'Keells Super is open until 11pm.' },
+  { question: 'What time is check-out?', answer: 'Check-out is at 11am.' },
+  { question: 'Is there parking?', answer: 'Yes, slot 12.' },
+];
+
+test('keywordFaqMatch: the whole question inside the message wins', () => {
+  const hit = keywordFaqMatch(FAQS, 'Hi! what time is check-out? we fly early');
+  assert.equal(hit.faq, FAQS[1]);
+  assert.ok(hit.score >= 80);
+});
+
+test('keywordFaqMatch: opening-hours wording boosts the late-opening FAQ', () => {
+  const hit = keywordFaqMatch(FAQS, 'until when is the supermarket open?');
+  assert.equal(hit.faq, FAQS[0]);
+});
+
+test('keywordFaqMatch: below the threshold returns null', () => {
+  assert.equal(keywordFaqMatch(FAQS, 'Do you have a hair dryer?'), null);
+  assert.equal(keywordFaqMatch([], 'What time is check-out?'), null);
+  assert.equal(keywordFaqMatch(undefined, 'anything'), null);
+});
+
+test('findLocalGuidePlace: matches a named place for the apartment or ALL', () => {
+  assert.equal(findLocalGuidePlace('YAKA01', 'How do I get to Galle Face Green?').name, 'Galle Face Green');
+  assert.equal(findLocalGuidePlace('YAKA01', 'Is SPAR Express any good?').name, 'SPAR Express');
+});
+
+test('findLocalGuidePlace: rows for another apartment are not matched', () => {
+  assert.equal(findLocalGuidePlace('YAKA02', 'Is SPAR Express any good?'), null);
+});
+
+test('findLocalGuidePlace: no place named returns null', () => {
+  assert.equal(findLocalGuidePlace('YAKA01', 'What is the Wi-Fi password?'), null);
+});
+
+test('distanceToMetres: parses km, m and walking minutes', () => {
+  assert.equal(distanceToMetres('1.2 km'), 1200);
+  assert.equal(distanceToMetres('400 m'), 400);
+  assert.equal(distanceToMetres('450m'), 450);
+  assert.equal(distanceToMetres('5 mins'), 400);
+  assert.equal(distanceToMetres('10 minutes walk'), 800);
+});
+
+test('distanceToMetres: bare numbers and blanks', () => {
+  assert.equal(distanceToMetres('250'), 250);
+  assert.equal(distanceToMetres(''), Number.POSITIVE_INFINITY);
+  assert.equal(distanceToMetres(undefined), Number.POSITIVE_INFINITY);
+  assert.equal(distanceToMetres('nearby'), Number.POSITIVE_INFINITY);
+});
+
+test('haversineMetres: great-circle distance', () => {
+  assert.equal(Math.round(haversineMetres({ lat: 6.9, lng: 79.853 }, { lat: 6.9036, lng: 79.853 })), 400);
+  assert.equal(Math.round(haversineMetres({ lat: 51.5007, lng: -0.1246 }, { lat: 48.8584, lng: 2.2945 }) / 1000), 341); // Big Ben to the Eiffel Tower
+});
+
+test('LocalGuide rows with coordinates get a distance and walking time per apartment', (t) => {
+  const coords = { 'Keells Super': ['6.9036', '79.8530'], 'Cargills Food City': ['6.9010', '79.8545'] };
+  content.applySheetRows({
+    localGuideRows: valuesToObjects(sheets.LocalGuide).map(r => {
+      const [lat, lng] = coords[r.name] || ['', ''];
+      return { ...r, lat, lng };
+    }),
+    apartmentsRows: valuesToObjects(sheets.Apartments),
+    faqsRows: valuesToObjects(sheets.FAQs),
+  });
+  t.after(() => harness.loadFixtures());
+
+  const summary = rows => rows.map(r => [r.name, r.distance, r.walk_mins]);
+  // computed rows sort by walking time; the typed row (sort_mins 8) keeps its place among them
+  assert.deepEqual(summary(listByCategory('YAKA01', 'Supermarket')), [
+    ['Cargills Food City', '200 m', 3], ['Keells Super', '400 m', 7], ['SPAR Express', '650 m', undefined],
+  ]);
+  // the same ALL rows, measured from another building
+  assert.deepEqual(summary(listByCategory('YAKA03', 'Supermarket')), [
+    ['Cargills Food City', '60 m', 1], ['Keells Super', '310 m', 5],
+  ]);
+  // no apartment coordinates: the typed distances
+  assert.deepEqual(summary(listByCategory('YAKA02', 'Supermarket')), [
+    ['Keells Super', '400 m', undefined], ['Cargills Food City', '1.2 km', undefined],
+  ]);
+
+  assert.equal(
+    formatLocalGuideNearestListReply(listByCategory('YAKA01', 'Supermarket', 2), 'supermarket'),
+    'Nearest supermarket options:\n\n1. Cargills Food City — 200 m · 3 min walk\n   https://maps.example/cargills\n\n2. Keells Super — 400 m · 7 min walk\n   https://maps.example/keells'
+  );
+});
+
+test('detectNearbyIntent: maps wording to a Places type', () => {
+  assert.deepEqual(detectNearbyIntent('Any restaurants nearby?'), { type: 'restaurant', label: 'restaurants' });
+  assert.deepEqual(detectNearbyIntent('Where can I get coffee?'), { type: 'cafe', label: 'cafés' });
+  assert.deepEqual(detectNearbyIntent('I need some cash'), { type: 'atm', label: 'ATMs' });
+  assert.deepEqual(detectNearbyIntent('Is there a chemist close by?'), { type: 'pharmacy', label: 'pharmacies' });
+  assert.deepEqual(detectNearbyIntent('Where do I buy groceries?'), { type: 'supermarket', label: 'supermarkets' });
+  assert.deepEqual(detectNearbyIntent('Things to do around here?'), { type: 'tourist_attraction', label: 'attractions' });
+});
+
+test('detectNearbyIntent: directions and named places are not list intents', () => {
+  assert.equal(detectNearbyIntent('How do I get to the restaurant?'), null);
+  assert.equal(detectNearbyIntent('Is Ministry of Crab a good restaurant?'), null);
+});
+
+test('detectNearbyIntent: unrelated questions return null', () => {
+  assert.equal(detectNearbyIntent('What is the Wi-Fi password?'), null);
+});
+
+test('resolveFollowUp: places by number or pronoun, and the FAQ behind the last reply', () => {
+  const session = sessions.getSession('follow-up-test', 'YAKA01');
+  const places = [{ name: 'Keells Super' }, { name: 'Cargills Food City' }];
+  sessions.recordTurn(session, { message: 'Supermarkets?', reply: '1. Keells 2. Cargills', source: 'places', places });
+  assert.equal(sessions.resolveFollowUp(session, 'how far is the second one?').message, 'how far is Cargills Food City?');
+  assert.equal(sessions.resolveFollowUp(session, 'is it open now?').message, 'is Cargills Food City open now?');
+
+  sessions.recordTurn(session, { message: 'Is there parking?', reply: 'Yes, slot 12.', source: 'faq_keyword', faqs: [FAQS[2]] });
+  const onFaq = sessions.resolveFollowUp(session, 'is it free?');
+  assert.deepEqual([onFaq.message, onFaq.place, onFaq.faq], ['is it free?', null, FAQS[2]]);
+  assert.equal(sessions.resolveFollowUp(session, 'Where can I rent a scooter?').faq, null);
+  assert.equal(sessions.resolveFollowUp(session, 'the first one').message, 'Keells Super');
+});
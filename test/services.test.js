@@ -0,0 +1,145 @@
+// test/services.test.js
+// Services sheet: service questions in chat, the request form's checks, the host's status
+// updates and the guest seeing them.
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./helpers/harness');
+const content = require('../backend/content');
+const services = require('../backend/services');
+const { detectServiceRequest } = require('../backend/intents');
+const { validateContent } = require('../backend/contentHealth');
+const { valuesToObjects } = require('../backend/dataSources/sheets');
+const sheets = require('./fixtures/sheets');
+
+const ADMIN = { 'X-Admin-Secret': 'test-admin-secret' };
+const SESSION = 'services-test-session';
+
+const SERVICES = valuesToObjects([
+  ['apt_id', 'service_id', 'name', 'price', 'lead_hours', 'fields', 'keywords'],
+  ['ALL', 'airport_transfer', 'Airport transfer', 'LKR 8,500 per car', '24', 'date, time, flight, people'],
+  ['ALL', 'towels', 'Extra towels', '', '', 'notes'],
+  ['YAKA01', 'cleaning', 'Extra cleaning', 'LKR 3,000', '12', 'date, time'],
+  ['YAKA01', 'bbq', 'BBQ dinner', 'LKR 6,000', '', 'date, people', 'barbecue, grill'],
+]);
+
+function day(offset) {
+  return new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+}
+
+let srv;
+test.before(async () => {
+  srv = await harness.startServer();
+  content.applySheetRows({
+    localGuideRows: valuesToObjects(sheets.LocalGuide),
+    apartmentsRows: valuesToObjects(sheets.Apartments),
+    faqsRows: valuesToObjects(sheets.FAQs),
+    servicesRows: SERVICES,
+  });
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+const headers = (apt = 'YAKA01') => ({ 'X-Apt-Token': harness.aptToken(apt) });
+
+function ask(message, apt = 'YAKA01', extra = {}) {
+  return srv.post('/api/chat', { message, session_id: SESSION, ...extra }, headers(apt));
+}
+
+function order(body, apt = 'YAKA01') {
+  return srv.post('/api/service-requests', { session_id: SESSION, ...body }, headers(apt));
+}
+
+let requestToken;
+
+test('service requests are recognised in every language, not just any mention', () => {
+  const list = services.servicesForApt('YAKA01');
+  const cases = {
+    'Can you arrange an airport pickup?': 'airport_transfer',
+    'Können Sie uns vom Flughafen abholen?': 'airport_transfer',
+    'Мне нужно такси в аэропорт': 'airport_transfer',
+    '我需要接机': 'airport_transfer',
+    'Could we get some more towels?': 'towels',
+    '¿Pueden limpiar el apartamento mañana?': 'cleaning',
+    'Can we book a barbecue on Friday?': 'bbq',
+  };
+  for (const [message, id] of Object.entries(cases)) assert.equal(detectServiceRequest(message, list)?.id, id, message);
+  assert.equal(detectServiceRequest('How far is the airport?', list), null);
+  // apartment rows only apply to that apartment
+  assert.deepEqual(services.servicesForApt('YAKA02').map(s => s.id), ['airport_transfer', 'towels']);
+});
+
+test('/api/chat offers the service with a form for its fields', async () => {
+  const resp = await ask('Can you arrange an airport pickup for us?');
+  assert.equal(resp.json.source, 'service_catalogue');
+  assert.equal(resp.json.reply,
+    "Airport transfer: LKR 8,500 per car. Please book at least 24 hours ahead. Fill in the details below and I'll send the request to the host.");
+  assert.deepEqual(resp.json.service.fields, ['date', 'time', 'flight', 'people', 'notes']);
+  assert.deepEqual(resp.json.service.required, ['date', 'time', 'flight', 'people']);
+
+  const de = await ask('Können Sie uns vom Flughafen abholen?', 'YAKA01', { lang: 'de' });
+  assert.match(de.json.reply, /^\[de\] Airport transfer/);
+});
+
+test('requests are checked against the catalogue and its notice period', async () => {
+  const details = { date: day(3), time: '14:30', flight: 'ul 504', people: '3' };
+  assert.equal((await order({ service_id: 'airport_transfer', details: { ...details, flight: '' } })).json.error,
+    "Missing 'flight' for Airport transfer");
+  assert.equal((await order({ service_id: 'airport_transfer', details: { ...details, people: '0' } })).status, 400);
+  assert.equal((await order({ service_id: 'airport_transfer', details: { ...details, date: day(0), time: '00:00' } })).json.error,
+    "Airport transfer needs at least 24 hours' notice");
+  assert.equal((await order({ service_id: 'cleaning', details }, 'YAKA02')).status, 404);
+
+  const resp = await order({ service_id: 'airport_transfer', details, contact: { phone: '+44 7700 900123' } });
+  assert.equal(resp.status, 201);
+  assert.equal(resp.json.request.status, 'requested');
+  assert.equal(resp.json.request.details.flight, 'UL504');
+  assert.match(resp.json.request.summary, /^Airport transfer, \w{3} \d+ \w{3} 14:30, flight UL504, 3 people$/);
+
+  // the host hears about it through the escalation notifiers
+  const outbox = fs.readFileSync(path.join(harness.dataDir, 'escalations-outbox.jsonl'), 'utf8');
+  assert.match(outbox, new RegExp(`${resp.json.request.id}.*Service request: Airport transfer`));
+});
+
+test('the host confirms a request and the guest sees it in the chat', async () => {
+  const made = await order({ service_id: 'towels', details: { notes: 'Two bath towels please' } });
+  const id = made.json.request.id;
+  requestToken = made.json.request_token;
+  // the next request from this browser keeps the same token
+  assert.equal((await order({ service_id: 'cleaning', details: { date: '2099-01-02', time: '10:00' }, request_token: requestToken })).json.request_token, requestToken);
+
+  assert.equal((await srv.post(`/admin/service-requests/${id}/status`, { status: 'confirmed' })).status, 401);
+  assert.equal((await srv.post(`/admin/service-requests/${id}/status`, { status: 'maybe' }, ADMIN)).status, 400);
+  const updated = await srv.post(`/admin/service-requests/${id}/status`, { status: 'confirmed', note: 'Bringing them at 6pm' }, ADMIN);
+  assert.deepEqual(updated.json.request.history.map(h => h.status), ['requested', 'confirmed']);
+
+  const view = await (await fetch(`${srv.baseUrl}/api/service-requests/${id}`, { headers: headers() })).json();
+  assert.deepEqual([view.request.status, view.request.note], ['confirmed', 'Bringing them at 6pm']);
+  assert.equal((await fetch(`${srv.baseUrl}/api/service-requests/${id}`, { headers: headers('YAKA02') })).status, 404);
+
+  const status = await ask('What is the status of my request?', 'YAKA01', { request_token: requestToken });
+  assert.equal(status.json.source, 'service_status');
+  assert.match(status.json.reply, new RegExp(`• Extra towels \\(${id}\\): confirmed - Bringing them at 6pm`));
+
+  // the same chat session id without the token shows nothing (anyone can send it), so the
+  // question goes on down the chain
+  assert.notEqual((await ask('What is the status of my request?')).json.source, 'service_status');
+
+  const list = await (await fetch(`${srv.baseUrl}/admin/service-requests?apt=YAKA01&status=confirmed`, { headers: ADMIN })).json();
+  assert.deepEqual(list.requests.map(r => r.id), [id]);
+});
+
+test('Services rows with unknown fields or a bad notice period are reported', () => {
+  const report = validateContent({
+    apartmentsRows: valuesToObjects(sheets.Apartments),
+    servicesRows: [
+      { apt_id: 'ALL', service_id: 'taxi', name: 'Taxi', lead_hours: 'soon', fields: 'date, luggage' },
+      { apt_id: 'ALL', service_id: 'taxi', name: 'Taxi again', lead_hours: '', fields: '' },
+    ],
+  });
+  const services = report.issues.filter(i => i.sheet === 'Services').map(i => `${i.level} ${i.row} ${i.column}`);
+  assert.deepEqual(services, ['warning 2 lead_hours', 'warning 2 fields', 'error 3 service_id']);
+});
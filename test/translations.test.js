@@ -0,0 +1,65 @@
+// test/translations.test.js
+// Per-language FAQ answers, the translation cache and protected spans.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const harness = require('./helpers/harness');
+const { AI } = require('../backend/ai');
+const translations = require('../backend/translations');
+
+let srv;
+let translateCalls = 0;
+test.before(async () => {
+  const chat = AI.chat.chat;
+  AI.chat.chat = (messages, options = {}) => {
+    if (options.purpose === 'translate') translateCalls++;
+    return chat(messages, options);
+  };
+  srv = await harness.startServer();
+});
+test.after(async () => {
+  await srv.close();
+  harness.cleanup();
+});
+
+function ask(apt, message) {
+  return srv.post('/api/chat', { message }, { 'X-Apt-Token': harness.aptToken(apt) });
+}
+
+test('URLs, contact details, codes and place names are protected', () => {
+  const { text, spans } = translations.protectSpans(
+    'The Wi-Fi network is YAKA01-Guest and the password is ocean-breeze. Keells Super is at https://maps.example/keells, call +94 77 123 4567. Check-out is at 11am.',
+    { keep: ['Keells Super'] }
+  );
+  assert.equal(text, 'The Wi-Fi network is ⟦0⟧ and the password is ⟦1⟧. ⟦2⟧ is at ⟦3⟧, call ⟦4⟧. Check-out is at 11am.');
+  assert.deepEqual(spans, ['YAKA01-Guest', 'ocean-breeze', 'Keells Super', 'https://maps.example/keells', '+94 77 123 4567']);
+
+  assert.equal(translations.restoreSpans('[de] ⟦1⟧ / ⟦0⟧', ['a', 'b']), '[de] b / a');
+  assert.equal(translations.restoreSpans('[de] ⟦0⟧', ['a', 'b']), null);
+});
+
+test('a FAQ answer_<lang> column is used instead of machine translation', async () => {
+  const before = translateCalls;
+  const resp = await ask('YAKA01', 'Which supermarket is open late? ස්තූතියි');
+  assert.equal(resp.json.detected_language, 'si');
+  assert.equal(resp.json.source, 'faq_keyword');
+  assert.equal(resp.json.reply, 'Marine Drive හි Keells Super සෑම දිනකම රාත්‍රී 11 දක්වා විවෘතයි.');
+  assert.equal(translateCalls, before);
+});
+
+test('machine translations are cached and keep place names intact', async () => {
+  const first = await ask('YAKA01', 'Where is the nearest supermarket? спасибо');
+  assert.equal(first.json.detected_language, 'ru');
+  assert.match(first.json.reply, /^\[ru\] /);
+  assert.match(first.json.reply, /Keells Super/);
+  const calls = translateCalls;
+
+  const second = await ask('YAKA01', 'Where is the nearest supermarket? спасибо');
+  assert.equal(second.json.reply, first.json.reply);
+  assert.equal(translateCalls, calls);
+
+  // the cache holds the text with placeholders, never the names themselves
+  const cached = fs.readFileSync(translations.CACHE_FILE, 'utf8');
+  assert.match(cached, /"l":"ru"/);
+  assert.doesNotMatch(cached, /Keells Super/);
+});